@@ -0,0 +1,142 @@
+// Post attachments: what can be attached, and preparing it for upload
+//
+// A post carries up to four images or a single file. Images are redrawn on a canvas before
+// they are uploaded, which scales them down and leaves their EXIF data (camera, location)
+// behind. storage.rules enforces the same types and sizes on the server.
+
+const MAX_IMAGES = 4;
+const MAX_IMAGE_DIMENSION = 2048;
+const MAX_SOURCE_IMAGE_BYTES = 25 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+const FILE_TYPES = ['application/pdf', 'text/plain', 'application/zip'];
+
+function isImageType(type) {
+    return IMAGE_TYPES.includes(type);
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Throws with a message for the post form if the selection can't be attached to one post
+function validateAttachments(files) {
+    const images = files.filter(file => isImageType(file.type));
+    const others = files.filter(file => !isImageType(file.type));
+
+    if (others.length > 0 && files.length > 1) {
+        throw new Error(`Attach up to ${MAX_IMAGES} images, or one file`);
+    }
+    if (images.length > MAX_IMAGES) {
+        throw new Error(`Attach up to ${MAX_IMAGES} images per post`);
+    }
+
+    others.forEach(file => {
+        if (!FILE_TYPES.includes(file.type)) {
+            throw new Error('Files must be images, PDFs, plain text or zip archives');
+        }
+        if (file.size > MAX_FILE_BYTES) {
+            throw new Error(`Files must be ${formatFileSize(MAX_FILE_BYTES)} or smaller`);
+        }
+    });
+    images.forEach(file => {
+        if (file.size > MAX_SOURCE_IMAGE_BYTES) {
+            throw new Error(`Images must be ${formatFileSize(MAX_SOURCE_IMAGE_BYTES)} or smaller`);
+        }
+    });
+
+    return files;
+}
+
+// Scale down to fit a square box, keeping the aspect ratio; never scales up
+function fitWithin(width, height, maxDimension = MAX_IMAGE_DIMENSION) {
+    const scale = Math.min(1, maxDimension / Math.max(width, height));
+    return {
+        width: Math.max(1, Math.round(width * scale)),
+        height: Math.max(1, Math.round(height * scale))
+    };
+}
+
+// Storage object names: letters, numbers, dots, dashes and underscores, prefixed with the
+// attachment's position so two files with the same name don't collide
+function getAttachmentPath(uid, postId, index, fileName) {
+    const safeName = String(fileName || 'file')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '_')
+        .replace(/^[._]+/, '')
+        .slice(-80) || 'file';
+    return `attachments/${uid}/${postId}/${index}-${safeName}`;
+}
+
+// Redraw an image at upload size. PNGs stay PNG for their transparency, everything else
+// becomes JPEG (GIFs keep their first frame only).
+async function prepareImage(file) {
+    let bitmap;
+    try {
+        // Apply the EXIF orientation while it's still there, so the redrawn image stays upright
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (error) {
+        throw new Error(`${file.name} could not be read as an image`);
+    }
+
+    const { width, height } = fitWithin(bitmap.width, bitmap.height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const contentType = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, contentType, 0.85));
+    if (!blob) {
+        throw new Error(`${file.name} could not be resized`);
+    }
+    if (blob.size > MAX_IMAGE_BYTES) {
+        throw new Error(`${file.name} is still over ${formatFileSize(MAX_IMAGE_BYTES)} after resizing`);
+    }
+
+    const extension = contentType === 'image/png' ? 'png' : 'jpg';
+    return {
+        kind: 'image',
+        blob,
+        name: `${file.name.replace(/\.[^.]*$/, '')}.${extension}`,
+        contentType,
+        width,
+        height
+    };
+}
+
+// Validate a selection and turn it into blobs ready for Storage
+async function prepareAttachments(files) {
+    validateAttachments(files);
+
+    const prepared = [];
+    for (const file of files) {
+        prepared.push(isImageType(file.type)
+            ? await prepareImage(file)
+            : { kind: 'file', blob: file, name: file.name, contentType: file.type });
+    }
+    return prepared;
+}
+
+// Export for potential future use with modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_IMAGES,
+        MAX_IMAGE_BYTES,
+        MAX_FILE_BYTES,
+        IMAGE_TYPES,
+        FILE_TYPES,
+        isImageType,
+        formatFileSize,
+        validateAttachments,
+        fitWithin,
+        getAttachmentPath,
+        prepareAttachments
+    };
+}
@@ -1,18 +1,70 @@
 // Firebase functions will be available globally through the window object
 
+// Reactions anyone can leave on a post, once each. firestore.rules lists the same types.
+const POST_REACTIONS = [
+    { type: 'like', emoji: '👍', label: 'Like' },
+    { type: 'love', emoji: '❤️', label: 'Love' },
+    { type: 'laugh', emoji: '😂', label: 'Haha' },
+    { type: 'wow', emoji: '😮', label: 'Wow' },
+    { type: 'sad', emoji: '😢', label: 'Sad' },
+    { type: 'celebrate', emoji: '🎉', label: 'Celebrate' }
+];
+
+// What a user can be notified about, each of which they can mute from the notification settings
+const NOTIFICATION_TYPES = [
+    { type: 'reply', label: 'Replies' },
+    { type: 'mention', label: 'Mentions' },
+    { type: 'follow', label: 'New followers' },
+    { type: 'reaction', label: 'Reactions' },
+    { type: 'invite', label: 'Category invitations' }
+];
+
+// Direct messages: conversations hold two to eight people, as firestore.rules enforces
+const MAX_CONVERSATION_PARTICIPANTS = 8;
+const MAX_MESSAGE_LENGTH = 2000;
+// A typing indicator lapses this long after the last keystroke
+const TYPING_TIMEOUT_MS = 6000;
+
 // Firebase Authentication and Firestore management
 class FirebaseAuthManager {
-    constructor() {
+    constructor(options = {}) {
         this.auth = null;
         this.db = null;
+        this.functions = null;
+        this.storage = null;
         this.currentUser = null;
         this.authStateListener = null;
+        // Soft-deleted posts can be restored until this window runs out
+        this.deleteUndoWindowMs = 10000;
+        this.pendingPurges = new Map();
+
+        // Session limits; the idle timeout can be overridden per user from the dashboard
+        this.sessionConfig = {
+            maxSessionAgeMs: 7 * 24 * 60 * 60 * 1000,
+            idleTimeoutMinutes: 30,
+            checkIntervalMs: 15000,
+            ...(options.session || {})
+        };
+        this.idleTimeoutMinutes = this.sessionConfig.idleTimeoutMinutes;
+        this.mutedNotificationTypes = [];
+        this.sessionStart = null;
+        this.deviceSessionStart = null;
+        this.sessionCheckInterval = null;
+        this.activityListener = null;
+        this.profileUnsubscribe = null;
+        this.revokingSessions = false;
+        this.signOutReason = null;
+        // Posts and categories written offline, by document id, until the server takes them
+        this.outbox = new Map();
+        this.outboxListeners = new Set();
     }
 
     // Initialize Firebase services
     initialize() {
         this.auth = window.firebaseAuth;
         this.db = window.firebaseDb;
+        this.functions = window.firebaseFunctions;
+        this.storage = window.firebaseStorage;
         
         if (!this.auth || !this.db) {
             throw new Error('Firebase services not initialized');
@@ -23,23 +75,267 @@ class FirebaseAuthManager {
             this.currentUser = user;
             this.handleAuthStateChange(user);
         });
+
+        // Posts and categories held offline go out once the connection is back
+        window.addEventListener('online', () => this.drainOutbox());
     }
 
     // Handle authentication state changes
-    handleAuthStateChange(user) {
+    async handleAuthStateChange(user) {
         const pageRenderer = window.pageRenderer;
         if (!pageRenderer) return;
 
         if (user) {
+            const endedMessage = await this.startSession(user);
+            if (endedMessage) {
+                await this.endSession(endedMessage);
+                return;
+            }
             pageRenderer.renderDashboard();
         } else {
-            pageRenderer.renderLoginPage();
+            this.stopSessionMonitoring();
+            const message = this.signOutReason;
+            this.signOutReason = null;
+            pageRenderer.renderLoginPage(message);
+        }
+    }
+
+    // Start tracking a signed-in session; returns a message if the session has already ended
+    async startSession(user) {
+        const profile = await this.getUserProfile(user.uid);
+        const authTime = await this.getAuthTime(user);
+
+        // The absolute lifetime runs from when this device signed in, not the account's
+        // lastLogin, which a sign-in on any other device moves forward
+        this.sessionStart = this.getSessionStart(user.uid, authTime);
+        this.deviceSessionStart = authTime || Date.now();
+
+        if (profile && typeof profile.idleTimeoutMinutes === 'number') {
+            this.idleTimeoutMinutes = profile.idleTimeoutMinutes;
+        }
+        this.mutedNotificationTypes = Array.isArray(profile?.mutedNotifications) ? profile.mutedNotifications : [];
+
+        // A verified email change lands in Firebase Auth first; keep the profile in step
+        if (profile && user.email && profile.email !== user.email) {
+            await this.updateUserProfile(user.uid, { email: user.email });
+        }
+
+        const endedMessage = this.checkSession(profile);
+        if (endedMessage) return endedMessage;
+
+        this.startSessionMonitoring(user);
+        return null;
+    }
+
+    // When this device signed in (the ID token's auth_time), or 0 if the token can't be read
+    async getAuthTime(user) {
+        try {
+            const tokenResult = await user.getIdTokenResult();
+            return new Date(tokenResult.authTime).getTime() || 0;
+        } catch (error) {
+            console.error('Error reading session token:', error);
+            return 0;
+        }
+    }
+
+    // Signing out the other devices signs this one back in, which must not restart its
+    // lifetime; the sign-in it was renewed with is recorded along with when it first began
+    getSessionStart(uid, authTime) {
+        let renewal = null;
+        try {
+            renewal = JSON.parse(this.readSessionValue(`sessionRenewal.${uid}`));
+        } catch (error) {
+            renewal = null;
+        }
+
+        if (renewal && authTime && renewal.authTime === authTime) {
+            return renewal.startedAt;
+        }
+        return authTime || Date.now();
+    }
+
+    // Returns why the session has ended, or null while it is still valid
+    checkSession(profile) {
+        const now = Date.now();
+
+        if (this.sessionStart && now - this.sessionStart > this.sessionConfig.maxSessionAgeMs) {
+            const days = Math.round(this.sessionConfig.maxSessionAgeMs / (24 * 60 * 60 * 1000));
+            return `Your session expired after ${days} days. Please sign in again.`;
+        }
+
+        if (this.idleTimeoutMinutes > 0) {
+            const lastActivity = Number(this.readSessionValue('lastActivity')) || now;
+            if (now - lastActivity > this.idleTimeoutMinutes * 60 * 1000) {
+                return `You were signed out after ${this.idleTimeoutMinutes} minutes of inactivity.`;
+            }
+        }
+
+        const revokedAt = profile?.sessionsRevokedAt?.toMillis ? profile.sessionsRevokedAt.toMillis() : 0;
+        if (revokedAt > this.deviceSessionStart) {
+            return 'You were signed out because your account was signed out of all devices.';
+        }
+
+        return null;
+    }
+
+    startSessionMonitoring(user) {
+        this.stopSessionMonitoring();
+        this.recordActivity(true);
+
+        // Any interaction counts as activity; it is shared across tabs through localStorage
+        this.activityListener = () => this.recordActivity();
+        ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, this.activityListener, { passive: true });
+        });
+
+        this.sessionCheckInterval = setInterval(() => {
+            const endedMessage = this.checkSession(null);
+            if (endedMessage) {
+                this.endSession(endedMessage);
+            }
+        }, this.sessionConfig.checkIntervalMs);
+
+        // Revocations and timeout changes made on other devices arrive through the profile
+        this.profileUnsubscribe = this.subscribeToUserProfile(user.uid, (profile) => {
+            if (!profile) return;
+            if (typeof profile.idleTimeoutMinutes === 'number') {
+                this.idleTimeoutMinutes = profile.idleTimeoutMinutes;
+            }
+            if (Array.isArray(profile.mutedNotifications)) {
+                this.mutedNotificationTypes = profile.mutedNotifications;
+            }
+            if (this.revokingSessions) return;
+
+            const endedMessage = this.checkSession(profile);
+            if (endedMessage) {
+                this.endSession(endedMessage);
+            }
+        });
+    }
+
+    stopSessionMonitoring() {
+        if (this.sessionCheckInterval) {
+            clearInterval(this.sessionCheckInterval);
+            this.sessionCheckInterval = null;
+        }
+        if (this.activityListener) {
+            ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(eventName => {
+                document.removeEventListener(eventName, this.activityListener);
+            });
+            this.activityListener = null;
+        }
+        if (this.profileUnsubscribe) {
+            this.profileUnsubscribe();
+            this.profileUnsubscribe = null;
+        }
+    }
+
+    recordActivity(force = false) {
+        const now = Date.now();
+        const lastActivity = Number(this.readSessionValue('lastActivity')) || 0;
+
+        // Throttle writes; mousemove fires constantly
+        if (force || now - lastActivity > 5000) {
+            this.writeSessionValue('lastActivity', String(now));
+        }
+    }
+
+    // Sign out and tell the login page why
+    async endSession(message) {
+        this.stopSessionMonitoring();
+        this.signOutReason = message;
+
+        try {
+            await this.logout();
+        } catch (error) {
+            console.error('Error ending session:', error);
+            if (window.pageRenderer) {
+                window.pageRenderer.renderLoginPage(message);
+            }
+        }
+    }
+
+    // End every session for this account on the server (see functions/src/sessions.js) and sign
+    // this device back in with the token that returns, so it stays signed in
+    async signOutEverywhere() {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to sign out other devices');
+        }
+
+        const uid = this.currentUser.uid;
+        const startedAt = this.sessionStart || Date.now();
+        this.revokingSessions = true;
+
+        try {
+            const revokeSessions = window.httpsCallable(this.functions, 'revokeSessions');
+            const result = await revokeSessions();
+
+            // The user is the same, so onAuthStateChanged stays quiet
+            const userCredential = await window.signInWithCustomToken(this.auth, result.data.token);
+            this.currentUser = userCredential.user;
+
+            const authTime = await this.getAuthTime(userCredential.user);
+            this.writeSessionValue(`sessionRenewal.${uid}`, JSON.stringify({ authTime, startedAt }));
+            this.sessionStart = startedAt;
+            this.deviceSessionStart = authTime || Date.now();
+        } catch (error) {
+            console.error('Error signing out other devices:', error);
+            throw new Error('Failed to sign out other devices');
+        } finally {
+            this.revokingSessions = false;
+        }
+    }
+
+    // Change how long this account may stay idle before being signed out (0 disables it)
+    async updateIdleTimeout(minutes) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to change session settings');
+        }
+
+        this.idleTimeoutMinutes = minutes;
+        this.recordActivity(true);
+        await this.updateUserProfile(this.currentUser.uid, { idleTimeoutMinutes: minutes });
+    }
+
+    getIdleTimeoutMinutes() {
+        return this.idleTimeoutMinutes;
+    }
+
+    // Mute or unmute notification types. Muted notifications are still delivered, since nobody
+    // else can read this setting, but they are left out of the list and the unread badge.
+    async updateNotificationMutes(types) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to change notification settings');
+        }
+
+        this.mutedNotificationTypes = types.filter(type => NOTIFICATION_TYPES.some(option => option.type === type));
+        await this.updateUserProfile(this.currentUser.uid, { mutedNotifications: this.mutedNotificationTypes });
+    }
+
+    getMutedNotificationTypes() {
+        return this.mutedNotificationTypes;
+    }
+
+    readSessionValue(key) {
+        try {
+            return window.localStorage.getItem(`ssaavvee.${key}`);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeSessionValue(key, value) {
+        try {
+            window.localStorage.setItem(`ssaavvee.${key}`, value);
+        } catch (error) {
+            // Storage can be unavailable (private mode); sessions still expire within this tab
         }
     }
 
     // Register a new user
     async registerUser(email, password) {
         try {
+            this.recordActivity(true);
             const userCredential = await window.createUserWithEmailAndPassword(this.auth, email, password);
             const user = userCredential.user;
 
@@ -50,6 +346,13 @@ class FirebaseAuthManager {
                 lastLogin: window.serverTimestamp()
             });
 
+            // Best effort: the dashboard offers a resend if this one never arrives
+            try {
+                await window.sendEmailVerification(user);
+            } catch (error) {
+                console.error('Error sending verification email:', error);
+            }
+
             return user;
         } catch (error) {
             throw this.handleFirebaseError(error);
@@ -59,6 +362,8 @@ class FirebaseAuthManager {
     // Authenticate user
     async authenticateUser(email, password) {
         try {
+            // A fresh sign-in must not be judged against the previous session's idle time
+            this.recordActivity(true);
             const userCredential = await window.signInWithEmailAndPassword(this.auth, email, password);
             const user = userCredential.user;
 
@@ -73,969 +378,7590 @@ class FirebaseAuthManager {
         }
     }
 
-    // Create user profile in Firestore
-    async createUserProfile(uid, profileData) {
-        try {
-            const userDocRef = window.doc(this.db, 'users', uid);
-            await window.setDoc(userDocRef, profileData);
-        } catch (error) {
-            console.error('Error creating user profile:', error);
-            throw new Error('Failed to create user profile');
+    // Federated providers offered next to email/password
+    getAuthProvider(providerId) {
+        switch (providerId) {
+            case 'google.com':
+                return new window.GoogleAuthProvider();
+            case 'github.com':
+                return new window.GithubAuthProvider();
+            default:
+                throw new Error('Unsupported sign-in provider');
         }
     }
 
-    // Update user profile in Firestore
-    async updateUserProfile(uid, updates) {
+    // Sign in (or sign up) with GitHub or Google
+    async signInWithProvider(providerId) {
         try {
-            const userDocRef = window.doc(this.db, 'users', uid);
-            await window.setDoc(userDocRef, updates, { merge: true });
+            this.recordActivity(true);
+            const result = await window.signInWithPopup(this.auth, this.getAuthProvider(providerId));
+            await this.ensureUserProfile(result.user);
+            return result.user;
         } catch (error) {
-            console.error('Error updating user profile:', error);
+            if (error.code === 'auth/account-exists-with-different-credential') {
+                throw await this.createAccountExistsError(error, providerId);
+            }
+            throw this.handleFirebaseError(error);
         }
     }
 
-    // Get user profile from Firestore
-    async getUserProfile(uid) {
+    // Federated sign-ins don't go through registerUser, so the first one creates the profile here
+    async ensureUserProfile(user) {
+        const profile = await this.getUserProfile(user.uid);
+
+        if (profile) {
+            await this.updateUserProfile(user.uid, {
+                lastLogin: window.serverTimestamp()
+            });
+        } else {
+            await this.createUserProfile(user.uid, {
+                email: user.email || null,
+                createdAt: window.serverTimestamp(),
+                lastLogin: window.serverTimestamp()
+            });
+        }
+    }
+
+    // The email is already registered with another method: keep what's needed to link afterwards
+    async createAccountExistsError(error, providerId) {
+        const email = error.customData?.email || null;
+        const providerClass = providerId === 'github.com' ? window.GithubAuthProvider : window.GoogleAuthProvider;
+
+        // Empty when email enumeration protection is on, in which case every method is offered
+        let existingMethods = [];
+        if (email) {
+            try {
+                existingMethods = await window.fetchSignInMethodsForEmail(this.auth, email);
+            } catch (lookupError) {
+                console.error('Error looking up sign-in methods:', lookupError);
+            }
+        }
+
+        const accountExistsError = this.handleFirebaseError(error);
+        accountExistsError.code = error.code;
+        accountExistsError.email = email;
+        accountExistsError.providerId = providerId;
+        accountExistsError.pendingCredential = providerClass.credentialFromError(error);
+        accountExistsError.existingMethods = existingMethods;
+        return accountExistsError;
+    }
+
+    // Sign in with the account's existing method, then attach the credential that collided
+    async completeAccountLink(accountExistsError, method, password = null) {
         try {
-            const userDocRef = window.doc(this.db, 'users', uid);
-            const userDoc = await window.getDoc(userDocRef);
-            
-            if (userDoc.exists()) {
-                return userDoc.data();
+            let userCredential;
+            if (method === 'password') {
+                this.recordActivity(true);
+                userCredential = await window.signInWithEmailAndPassword(this.auth, accountExistsError.email, password);
+                await this.updateUserProfile(userCredential.user.uid, {
+                    lastLogin: window.serverTimestamp()
+                });
             } else {
-                return null;
+                this.recordActivity(true);
+                userCredential = await window.signInWithPopup(this.auth, this.getAuthProvider(method));
+                await this.ensureUserProfile(userCredential.user);
+            }
+
+            if (accountExistsError.pendingCredential) {
+                await window.linkWithCredential(userCredential.user, accountExistsError.pendingCredential);
             }
+
+            return userCredential.user;
         } catch (error) {
-            console.error('Error getting user profile:', error);
-            return null;
+            throw this.handleFirebaseError(error);
         }
     }
 
-    // Check if user is currently authenticated
-    isAuthenticated() {
-        return this.currentUser !== null;
-    }
+    // Add another sign-in provider to the signed-in account
+    async linkProvider(providerId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to link accounts');
+        }
 
-    // Get current user
-    getCurrentUser() {
-        return this.currentUser;
+        try {
+            await window.linkWithPopup(this.currentUser, this.getAuthProvider(providerId));
+        } catch (error) {
+            throw this.handleFirebaseError(error);
+        }
     }
 
-    // Logout user
-    async logout() {
+    async unlinkProvider(providerId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to unlink accounts');
+        }
+
+        if (this.getLinkedProviders().length <= 1) {
+            throw new Error('You need at least one way to sign in');
+        }
+
         try {
-            await window.signOut(this.auth);
+            await window.unlink(this.currentUser, providerId);
         } catch (error) {
-            console.error('Error signing out:', error);
-            throw new Error('Failed to sign out');
+            throw this.handleFirebaseError(error);
         }
     }
 
-    // Handle Firebase errors
-    handleFirebaseError(error) {
-        switch (error.code) {
-            case 'auth/email-already-in-use':
-                return new Error('An account with this email already exists');
-            case 'auth/invalid-email':
-                return new Error('Please enter a valid email address');
-            case 'auth/operation-not-allowed':
-                return new Error('Email/password accounts are not enabled');
-            case 'auth/weak-password':
-                return new Error('Password should be at least 6 characters');
-            case 'auth/user-disabled':
-                return new Error('This account has been disabled');
-            case 'auth/user-not-found':
-                return new Error('No account found with this email');
-            case 'auth/wrong-password':
-                return new Error('Incorrect password');
-            case 'auth/invalid-credential':
-                return new Error('Invalid email or password');
-            case 'auth/too-many-requests':
-                return new Error('Too many failed attempts. Please try again later');
-            default:
-                return new Error('Authentication failed. Please try again');
+    // Provider ids linked to the signed-in account, e.g. ['password', 'github.com']
+    getLinkedProviders() {
+        if (!this.currentUser) return [];
+        return this.currentUser.providerData.map(provider => provider.providerId);
+    }
+
+    // Email a password reset link
+    async sendPasswordReset(email) {
+        try {
+            await window.sendPasswordResetEmail(this.auth, email);
+        } catch (error) {
+            throw this.handleFirebaseError(error);
         }
     }
 
-    // Create a new post
-    async createPost(content, category = 'General') {
+    // Send the signed-in user another email verification link
+    async resendVerificationEmail() {
         if (!this.currentUser) {
-            throw new Error('User must be authenticated to create posts');
+            throw new Error('User must be authenticated to verify their email');
         }
 
-        if (!content || content.trim().length === 0) {
-            throw new Error('Post content cannot be empty');
+        try {
+            await window.sendEmailVerification(this.currentUser);
+        } catch (error) {
+            throw this.handleFirebaseError(error);
         }
+    }
 
-        try {
-            const postsCollection = window.collection(this.db, 'posts');
-            const postData = {
-                content: content.trim(),
-                category: category,
-                userId: this.currentUser.uid,
-                userEmail: this.currentUser.email,
-                createdAt: window.serverTimestamp(),
-                updatedAt: window.serverTimestamp()
-            };
+    // Reload the user from Firebase Auth so emailVerified reflects a link clicked elsewhere
+    async refreshEmailVerification() {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to verify their email');
+        }
 
-            const docRef = await window.addDoc(postsCollection, postData);
-            return { id: docRef.id, ...postData };
+        try {
+            await this.currentUser.reload();
+            return this.currentUser.emailVerified;
         } catch (error) {
-            console.error('Error creating post:', error);
-            throw new Error('Failed to create post');
+            throw this.handleFirebaseError(error);
         }
     }
 
-    // Get posts with real-time updates
-    subscribeToPosts(callback, category = null, limitCount = 50) {
+    // Sensitive changes need a recent sign-in, so confirm the current password first
+    async reauthenticate(currentPassword) {
+        const credential = window.EmailAuthProvider.credential(this.currentUser.email, currentPassword);
+        await window.reauthenticateWithCredential(this.currentUser, credential);
+    }
+
+    async changePassword(currentPassword, newPassword) {
         if (!this.currentUser) {
-            throw new Error('User must be authenticated to view posts');
+            throw new Error('User must be authenticated to change their password');
         }
 
         try {
-            const postsCollection = window.collection(this.db, 'posts');
-            let postsQuery;
-            
-            if (category && category !== 'All') {
-                postsQuery = window.query(
-                    postsCollection,
-                    window.where('category', '==', category),
-                    window.orderBy('createdAt', 'desc'),
-                    window.limit(limitCount)
-                );
-            } else {
-                postsQuery = window.query(
-                    postsCollection,
-                    window.orderBy('createdAt', 'desc'),
-                    window.limit(limitCount)
-                );
-            }
-
-            // Return the unsubscribe function
-            return window.onSnapshot(postsQuery, (snapshot) => {
-                const posts = [];
-                snapshot.forEach((doc) => {
-                    posts.push({
-                        id: doc.id,
-                        ...doc.data()
-                    });
-                });
-                callback(posts);
-            }, (error) => {
-                console.error('Error listening to posts:', error);
-                callback([]);
-            });
+            await this.reauthenticate(currentPassword);
+            await window.updatePassword(this.currentUser, newPassword);
         } catch (error) {
-            console.error('Error subscribing to posts:', error);
-            throw new Error('Failed to subscribe to posts');
+            throw this.handleFirebaseError(error);
         }
     }
 
-    // Get posts (one-time fetch)
-    async getPosts(limitCount = 50) {
+    // The address only changes once the link sent to the new address is opened
+    async changeEmail(currentPassword, newEmail) {
         if (!this.currentUser) {
-            throw new Error('User must be authenticated to view posts');
+            throw new Error('User must be authenticated to change their email');
+        }
+
+        try {
+            await this.reauthenticate(currentPassword);
+            await window.verifyBeforeUpdateEmail(this.currentUser, newEmail);
+        } catch (error) {
+            throw this.handleFirebaseError(error);
+        }
+    }
+
+    // Create user profile in Firestore
+    async createUserProfile(uid, profileData) {
+        try {
+            const userDocRef = window.doc(this.db, 'users', uid);
+            await window.setDoc(userDocRef, profileData);
+        } catch (error) {
+            console.error('Error creating user profile:', error);
+            throw new Error('Failed to create user profile');
+        }
+    }
+
+    // Update user profile in Firestore
+    async updateUserProfile(uid, updates) {
+        try {
+            const userDocRef = window.doc(this.db, 'users', uid);
+            await window.setDoc(userDocRef, updates, { merge: true });
+        } catch (error) {
+            console.error('Error updating user profile:', error);
+        }
+    }
+
+    // Get user profile from Firestore
+    async getUserProfile(uid) {
+        try {
+            const userDocRef = window.doc(this.db, 'users', uid);
+            const userDoc = await window.getDoc(userDocRef);
+            
+            if (userDoc.exists()) {
+                return userDoc.data();
+            } else {
+                return null;
+            }
+        } catch (error) {
+            console.error('Error getting user profile:', error);
+            return null;
+        }
+    }
+
+    // Public profiles: what other users see instead of the private users document (which holds the email)
+    normalizeHandle(handle) {
+        return (handle || '').trim().replace(/^@/, '').toLowerCase();
+    }
+
+    isValidHandle(handle) {
+        return /^[a-z0-9_]{3,20}$/.test(handle);
+    }
+
+    // Create or update the current user's public profile, claiming the handle if it changed
+    async savePublicProfile({ handle, displayName = '', bio = '', avatarUrl = '' }) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to edit their profile');
+        }
+
+        const normalizedHandle = this.normalizeHandle(handle);
+        if (!this.isValidHandle(normalizedHandle)) {
+            throw new Error('Handles are 3-20 characters: letters, numbers and underscores');
+        }
+        if (displayName.trim().length > 50) {
+            throw new Error('Display name must be 50 characters or fewer');
+        }
+        if (bio.trim().length > 160) {
+            throw new Error('Bio must be 160 characters or fewer');
+        }
+        if (avatarUrl.trim() && !/^https:\/\/\S+$/.test(avatarUrl.trim())) {
+            throw new Error('Avatar must be an https:// image URL');
+        }
+
+        const uid = this.currentUser.uid;
+        const profileRef = window.doc(this.db, 'profiles', uid);
+        const handleRef = window.doc(this.db, 'handles', normalizedHandle);
+
+        try {
+            await window.runTransaction(this.db, async (transaction) => {
+                const profileDoc = await transaction.get(profileRef);
+                const handleDoc = await transaction.get(handleRef);
+
+                if (handleDoc.exists() && handleDoc.data().uid !== uid) {
+                    throw new Error('That handle is already taken');
+                }
+
+                const previousHandle = profileDoc.exists() ? profileDoc.data().handle : null;
+                if (previousHandle && previousHandle !== normalizedHandle) {
+                    transaction.delete(window.doc(this.db, 'handles', previousHandle));
+                }
+                if (!handleDoc.exists()) {
+                    transaction.set(handleRef, { uid });
+                }
+
+                transaction.set(profileRef, {
+                    handle: normalizedHandle,
+                    displayName: displayName.trim(),
+                    bio: bio.trim(),
+                    avatarUrl: avatarUrl.trim(),
+                    createdAt: profileDoc.exists() ? profileDoc.data().createdAt : window.serverTimestamp(),
+                    updatedAt: window.serverTimestamp()
+                });
+            });
+        } catch (error) {
+            console.error('Error saving public profile:', error);
+            throw new Error(error.message === 'That handle is already taken' ? error.message : 'Failed to save profile');
+        }
+    }
+
+    // Get a user's public profile (null if they haven't set one up)
+    async getPublicProfile(uid) {
+        try {
+            const profileDoc = await window.getDoc(window.doc(this.db, 'profiles', uid));
+            return profileDoc.exists() ? { id: profileDoc.id, ...profileDoc.data() } : null;
+        } catch (error) {
+            console.error('Error getting public profile:', error);
+            return null;
+        }
+    }
+
+    // Resolve a handle (with or without the leading @) to a public profile
+    async getProfileByHandle(handle) {
+        try {
+            const handleDoc = await window.getDoc(window.doc(this.db, 'handles', this.normalizeHandle(handle)));
+            return handleDoc.exists() ? this.getPublicProfile(handleDoc.data().uid) : null;
+        } catch (error) {
+            console.error('Error resolving handle:', error);
+            return null;
+        }
+    }
+
+    // Get one user's posts with real-time updates
+    subscribeToUserPosts(uid, callback, limitCount = 20) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view posts');
         }
 
         try {
-            const postsCollection = window.collection(this.db, 'posts');
             const postsQuery = window.query(
-                postsCollection,
+                window.collection(this.db, 'posts'),
+                window.where('userId', '==', uid),
                 window.orderBy('createdAt', 'desc'),
                 window.limit(limitCount)
             );
 
-            const snapshot = await window.getDocs(postsQuery);
-            const posts = [];
-            snapshot.forEach((doc) => {
-                posts.push({
-                    id: doc.id,
-                    ...doc.data()
+            return window.onSnapshot(postsQuery, (snapshot) => {
+                const posts = [];
+                snapshot.forEach((doc) => {
+                    posts.push({
+                        id: doc.id,
+                        ...doc.data()
+                    });
                 });
+                callback(posts);
+            }, (error) => {
+                console.error('Error listening to user posts:', error);
+                callback([]);
             });
-
-            return posts;
         } catch (error) {
-            console.error('Error getting posts:', error);
-            throw new Error('Failed to get posts');
+            console.error('Error subscribing to user posts:', error);
+            throw new Error('Failed to subscribe to user posts');
         }
     }
 
-    // Create a new category
-    async createCategory(categoryName) {
+    // Follow graph: one document per edge at follows/{followerId}_{followeeId}
+    getFollowEdgeRef(followerId, followeeId) {
+        return window.doc(this.db, 'follows', `${followerId}_${followeeId}`);
+    }
+
+    async followUser(uid) {
         if (!this.currentUser) {
-            throw new Error('User must be authenticated to create categories');
+            throw new Error('User must be authenticated to follow users');
         }
-
-        if (!categoryName || categoryName.trim().length === 0) {
-            throw new Error('Category name cannot be empty');
+        if (uid === this.currentUser.uid) {
+            throw new Error('You cannot follow yourself');
         }
 
         try {
-            const categoriesCollection = window.collection(this.db, 'categories');
-            const categoryData = {
-                name: categoryName.trim(),
-                createdBy: this.currentUser.uid,
+            await window.setDoc(this.getFollowEdgeRef(this.currentUser.uid, uid), {
+                followerId: this.currentUser.uid,
+                followeeId: uid,
                 createdAt: window.serverTimestamp()
-            };
+            });
+            await this.notifyUsers('follow', [uid]);
+        } catch (error) {
+            console.error('Error following user:', error);
+            throw new Error('Failed to follow user');
+        }
+    }
+
+    async unfollowUser(uid) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to unfollow users');
+        }
 
-            const docRef = await window.addDoc(categoriesCollection, categoryData);
-            return { id: docRef.id, ...categoryData };
+        try {
+            await window.deleteDoc(this.getFollowEdgeRef(this.currentUser.uid, uid));
         } catch (error) {
-            console.error('Error creating category:', error);
-            throw new Error('Failed to create category');
+            console.error('Error unfollowing user:', error);
+            throw new Error('Failed to unfollow user');
         }
     }
 
-    // Get all categories
-    async getCategories() {
+    // Get the ids of everyone the current user follows with real-time updates
+    subscribeToFollowing(callback) {
         if (!this.currentUser) {
-            throw new Error('User must be authenticated to view categories');
+            throw new Error('User must be authenticated to view follows');
         }
 
         try {
-            const categoriesCollection = window.collection(this.db, 'categories');
-            const categoriesQuery = window.query(
-                categoriesCollection,
-                window.orderBy('createdAt', 'asc')
+            const followsQuery = window.query(
+                window.collection(this.db, 'follows'),
+                window.where('followerId', '==', this.currentUser.uid)
             );
 
-            const snapshot = await window.getDocs(categoriesQuery);
-            const categories = [];
-            snapshot.forEach((doc) => {
-                categories.push({
-                    id: doc.id,
-                    ...doc.data()
+            return window.onSnapshot(followsQuery, (snapshot) => {
+                const followeeIds = [];
+                snapshot.forEach((doc) => {
+                    followeeIds.push(doc.data().followeeId);
                 });
+                callback(followeeIds);
+            }, (error) => {
+                console.error('Error listening to follows:', error);
+                callback([]);
             });
+        } catch (error) {
+            console.error('Error subscribing to follows:', error);
+            throw new Error('Failed to subscribe to follows');
+        }
+    }
 
-            return categories;
+    // Add or take back a reaction. The reaction document and the post's counter for its type
+    // change in one transaction, so counts can't drift from the reactions behind them.
+    async toggleReaction(postId, type) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to react to posts');
+        }
+        if (!POST_REACTIONS.some(reaction => reaction.type === type)) {
+            throw new Error('Unknown reaction');
+        }
+
+        const postRef = window.doc(this.db, 'posts', postId);
+        const reactionRef = window.doc(this.db, 'posts', postId, 'reactions', `${this.currentUser.uid}_${type}`);
+        let authorId = null;
+
+        try {
+            const added = await window.runTransaction(this.db, async (transaction) => {
+                const reactionDoc = await transaction.get(reactionRef);
+                const postDoc = await transaction.get(postRef);
+                authorId = postDoc.exists() ? postDoc.data().userId : null;
+
+                if (reactionDoc.exists()) {
+                    transaction.delete(reactionRef);
+                    transaction.update(postRef, { [`reactionCounts.${type}`]: window.increment(-1) });
+                    return false;
+                }
+
+                transaction.set(reactionRef, {
+                    userId: this.currentUser.uid,
+                    type,
+                    createdAt: window.serverTimestamp()
+                });
+                transaction.update(postRef, { [`reactionCounts.${type}`]: window.increment(1) });
+                return true;
+            });
+
+            // Taking a reaction back doesn't take the notification back
+            if (added) {
+                await this.notifyUsers('reaction', [authorId], { postId, reaction: type });
+            }
+            return added;
         } catch (error) {
-            console.error('Error getting categories:', error);
-            throw new Error('Failed to get categories');
+            console.error('Error toggling reaction:', error);
+            throw new Error('Failed to update reaction');
         }
     }
 
-    // Subscribe to categories with real-time updates
-    subscribeToCategories(callback) {
+    // Get the current user's reactions as "postId/type" keys with real-time updates
+    subscribeToOwnReactions(callback) {
         if (!this.currentUser) {
-            throw new Error('User must be authenticated to view categories');
+            throw new Error('User must be authenticated to view reactions');
         }
 
         try {
-            const categoriesCollection = window.collection(this.db, 'categories');
-            const categoriesQuery = window.query(
-                categoriesCollection,
-                window.orderBy('createdAt', 'asc')
+            const reactionsQuery = window.query(
+                window.collectionGroup(this.db, 'reactions'),
+                window.where('userId', '==', this.currentUser.uid)
             );
 
-            // Return the unsubscribe function
-            return window.onSnapshot(categoriesQuery, (snapshot) => {
-                const categories = [];
+            return window.onSnapshot(reactionsQuery, (snapshot) => {
+                const keys = new Set();
                 snapshot.forEach((doc) => {
-                    categories.push({
-                        id: doc.id,
-                        ...doc.data()
-                    });
+                    keys.add(`${doc.ref.parent.parent.id}/${doc.data().type}`);
                 });
-                callback(categories);
+                callback(keys);
             }, (error) => {
-                console.error('Error listening to categories:', error);
-                callback([]);
+                console.error('Error listening to reactions:', error);
+                callback(new Set());
             });
         } catch (error) {
-            console.error('Error subscribing to categories:', error);
-            throw new Error('Failed to subscribe to categories');
+            console.error('Error subscribing to reactions:', error);
+            throw new Error('Failed to subscribe to reactions');
         }
     }
 
-    // Cleanup
-    destroy() {
-        if (this.authStateListener) {
-            this.authStateListener();
+    // Save a post to the current user's bookmarks, or remove it. Bookmarks are private;
+    // only the post's bookmarkCount is public.
+    async toggleBookmark(postId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to bookmark posts');
         }
-    }
-}
 
-// Page renderer (updated for Firebase)
-class PageRenderer {
-    constructor(authManager) {
-        this.authManager = authManager;
-        this.container = document.getElementById('app-container');
-        this.selectedCategory = 'All';
-        this.categories = [];
-        this.postsUnsubscribe = null;
-        this.categoriesUnsubscribe = null;
+        const postRef = window.doc(this.db, 'posts', postId);
+        const bookmarkRef = window.doc(this.db, 'users', this.currentUser.uid, 'bookmarks', postId);
+
+        try {
+            return await window.runTransaction(this.db, async (transaction) => {
+                const bookmarkDoc = await transaction.get(bookmarkRef);
+                const postDoc = await transaction.get(postRef);
+
+                if (bookmarkDoc.exists()) {
+                    transaction.delete(bookmarkRef);
+                    // The post may have been deleted since it was saved
+                    if (postDoc.exists()) {
+                        transaction.update(postRef, { bookmarkCount: window.increment(-1) });
+                    }
+                    return false;
+                }
+
+                if (!postDoc.exists()) {
+                    throw new Error('Post not found');
+                }
+                // postId lets the cleanUpPost function find the bookmark once the post is deleted
+                transaction.set(bookmarkRef, { postId, createdAt: window.serverTimestamp() });
+                transaction.update(postRef, { bookmarkCount: window.increment(1) });
+                return true;
+            });
+        } catch (error) {
+            console.error('Error toggling bookmark:', error);
+            throw new Error('Failed to update bookmark');
+        }
     }
 
-    renderLoginPage() {
-        // Reset container style for auth pages
-        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
-        
-        this.container.innerHTML = `
-            <div class="max-w-md w-full space-y-8">
-                <div>
-                    <h2 class="mt-6 text-center text-3xl font-bold text-gray-900">
-                        Sign in to your account
-                    </h2>
-                    <p class="mt-2 text-center text-sm text-gray-600">
-                        ActivityPub Authentication with Firebase
-                    </p>
-                </div>
-                
-                <form id="login-form" class="mt-8 space-y-6">
-                    <div class="space-y-4">
-                        <div>
-                            <label for="email" class="block text-sm font-medium text-gray-700">
-                                Email address
-                            </label>
-                            <input 
-                                id="email" 
-                                name="email" 
-                                type="email" 
-                                required 
-                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
-                                placeholder="Enter your email"
-                            >
-                        </div>
-                        
-                        <div>
-                            <label for="password" class="block text-sm font-medium text-gray-700">
-                                Password
-                            </label>
-                            <input 
-                                id="password" 
-                                name="password" 
-                                type="password" 
-                                required 
-                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
-                                placeholder="Enter your password"
-                            >
-                        </div>
-                    </div>
+    // Get the ids of the current user's bookmarked posts, most recently saved first, with real-time updates
+    subscribeToBookmarks(callback, limitCount = 100) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view bookmarks');
+        }
 
-                    <div id="login-error" class="text-red-600 text-sm hidden"></div>
-                    <div id="login-loading" class="text-blue-600 text-sm hidden">Signing in...</div>
+        try {
+            const bookmarksQuery = window.query(
+                window.collection(this.db, 'users', this.currentUser.uid, 'bookmarks'),
+                window.orderBy('createdAt', 'desc'),
+                window.limit(limitCount)
+            );
 
-                    <div class="space-y-4">
-                        <button 
+            return window.onSnapshot(bookmarksQuery, (snapshot) => {
+                callback(snapshot.docs.map(doc => doc.id));
+            }, (error) => {
+                console.error('Error listening to bookmarks:', error);
+                callback([]);
+            });
+        } catch (error) {
+            console.error('Error subscribing to bookmarks:', error);
+            throw new Error('Failed to subscribe to bookmarks');
+        }
+    }
+
+    // Get bookmarked posts with real-time updates, in the order they were saved
+    subscribeToBookmarkedPosts(postIds, callback) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view posts');
+        }
+
+        if (postIds.length === 0) {
+            callback([]);
+            return () => {};
+        }
+
+        try {
+            const chunks = this.chunkIds(postIds);
+            const chunkPosts = chunks.map(() => []);
+
+            const unsubscribes = chunks.map((chunk, index) => window.onSnapshot(
+                window.query(window.collection(this.db, 'posts'), window.where(window.documentId(), 'in', chunk)),
+                (snapshot) => {
+                    chunkPosts[index] = [];
+                    snapshot.forEach((doc) => {
+                        chunkPosts[index].push({
+                            id: doc.id,
+                            ...doc.data()
+                        });
+                    });
+
+                    const postsById = new Map(chunkPosts.flat().map(post => [post.id, post]));
+                    callback(postIds.filter(id => postsById.has(id)).map(id => postsById.get(id)));
+                },
+                (error) => {
+                    console.error('Error listening to bookmarked posts:', error);
+                }
+            ));
+
+            return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+        } catch (error) {
+            console.error('Error subscribing to bookmarked posts:', error);
+            throw new Error('Failed to subscribe to posts');
+        }
+    }
+
+    // Direct messages. A conversation between two people has a fixed id, so starting one
+    // again opens the existing conversation; groups of up to eight get a new one each time.
+    getDirectConversationId(uidA, uidB) {
+        return `dm_${[uidA, uidB].sort().join('_')}`;
+    }
+
+    async startConversation(userIds) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to send messages');
+        }
+
+        const others = Array.from(new Set(userIds)).filter(uid => uid && uid !== this.currentUser.uid);
+        if (others.length === 0) {
+            throw new Error('Choose someone to message');
+        }
+        if (others.length > MAX_CONVERSATION_PARTICIPANTS - 1) {
+            throw new Error(`Conversations can have up to ${MAX_CONVERSATION_PARTICIPANTS} people`);
+        }
+
+        try {
+            const conversationRef = others.length === 1
+                ? window.doc(this.db, 'conversations', this.getDirectConversationId(this.currentUser.uid, others[0]))
+                : window.doc(window.collection(this.db, 'conversations'));
+
+            if (others.length === 1) {
+                const existing = await window.getDoc(conversationRef);
+                if (existing.exists()) return conversationRef.id;
+            }
+
+            await window.setDoc(conversationRef, {
+                participantIds: [this.currentUser.uid, ...others].sort(),
+                createdBy: this.currentUser.uid,
+                createdAt: window.serverTimestamp(),
+                updatedAt: window.serverTimestamp(),
+                readAt: { [this.currentUser.uid]: window.serverTimestamp() }
+            });
+            return conversationRef.id;
+        } catch (error) {
+            console.error('Error starting conversation:', error);
+            throw new Error('Failed to start conversation');
+        }
+    }
+
+    // Get the current user's conversations, most recently active first, with real-time updates
+    subscribeToConversations(callback, limitCount = 50) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view messages');
+        }
+
+        try {
+            const conversationsQuery = window.query(
+                window.collection(this.db, 'conversations'),
+                window.where('participantIds', 'array-contains', this.currentUser.uid),
+                window.orderBy('updatedAt', 'desc'),
+                window.limit(limitCount)
+            );
+
+            return window.onSnapshot(conversationsQuery, (snapshot) => {
+                const conversations = [];
+                snapshot.forEach((doc) => {
+                    // Estimated timestamps keep a conversation read while its readAt is still being written
+                    conversations.push({
+                        id: doc.id,
+                        ...doc.data({ serverTimestamps: 'estimate' })
+                    });
+                });
+                callback(conversations);
+            }, (error) => {
+                console.error('Error listening to conversations:', error);
+                callback([]);
+            });
+        } catch (error) {
+            console.error('Error subscribing to conversations:', error);
+            throw new Error('Failed to subscribe to conversations');
+        }
+    }
+
+    // Count messages that arrived after the current user last read the conversation. Their own
+    // messages move their readAt along, so only other people's are counted.
+    async getUnreadMessageCount(conversation, limitCount = 100) {
+        if (!this.currentUser) return 0;
+
+        try {
+            const readAt = conversation.readAt && conversation.readAt[this.currentUser.uid];
+            const unreadQuery = window.query(
+                window.collection(this.db, 'conversations', conversation.id, 'messages'),
+                ...(readAt ? [window.where('createdAt', '>', readAt)] : []),
+                window.limit(limitCount)
+            );
+            const snapshot = await window.getCountFromServer(unreadQuery);
+            return snapshot.data().count;
+        } catch (error) {
+            console.error('Error counting unread messages:', error);
+            return 0;
+        }
+    }
+
+    // Get the latest messages of a conversation, oldest first, with real-time updates
+    subscribeToMessages(conversationId, callback, limitCount = 100) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view messages');
+        }
+
+        try {
+            const messagesQuery = window.query(
+                window.collection(this.db, 'conversations', conversationId, 'messages'),
+                window.orderBy('createdAt', 'desc'),
+                window.limit(limitCount)
+            );
+
+            return window.onSnapshot(messagesQuery, (snapshot) => {
+                const messages = [];
+                snapshot.forEach((doc) => {
+                    messages.push({
+                        id: doc.id,
+                        ...doc.data({ serverTimestamps: 'estimate' })
+                    });
+                });
+                callback(messages.reverse());
+            }, (error) => {
+                console.error('Error listening to messages:', error);
+                callback([]);
+            });
+        } catch (error) {
+            console.error('Error subscribing to messages:', error);
+            throw new Error('Failed to subscribe to messages');
+        }
+    }
+
+    // Send a message. The conversation's summary and the sender's read receipt are written with
+    // it, and the sender stops typing.
+    async sendMessage(conversationId, text) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to send messages');
+        }
+
+        if (!text || text.trim().length === 0) {
+            throw new Error('Message cannot be empty');
+        }
+        if (text.trim().length > MAX_MESSAGE_LENGTH) {
+            throw new Error(`Messages can be up to ${MAX_MESSAGE_LENGTH} characters`);
+        }
+
+        try {
+            const conversationRef = window.doc(this.db, 'conversations', conversationId);
+            const messageRef = window.doc(window.collection(conversationRef, 'messages'));
+            const messageData = {
+                senderId: this.currentUser.uid,
+                text: text.trim(),
+                createdAt: window.serverTimestamp()
+            };
+
+            const batch = window.writeBatch(this.db);
+            batch.set(messageRef, messageData);
+            batch.update(conversationRef, {
+                lastMessage: {
+                    id: messageRef.id,
+                    senderId: this.currentUser.uid,
+                    text: messageData.text.slice(0, 100),
+                    createdAt: window.serverTimestamp()
+                },
+                updatedAt: window.serverTimestamp(),
+                [`readAt.${this.currentUser.uid}`]: window.serverTimestamp()
+            });
+            batch.delete(window.doc(conversationRef, 'typing', this.currentUser.uid));
+            await batch.commit();
+
+            return { id: messageRef.id, ...messageData };
+        } catch (error) {
+            console.error('Error sending message:', error);
+            throw new Error('Failed to send message');
+        }
+    }
+
+    // Record that the current user has read the conversation up to now (their read receipt)
+    async markConversationRead(conversationId) {
+        if (!this.currentUser) return;
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'conversations', conversationId), {
+                [`readAt.${this.currentUser.uid}`]: window.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error marking conversation read:', error);
+        }
+    }
+
+    // Typing indicators are a document per participant, refreshed while they type
+    async setTyping(conversationId, isTyping) {
+        if (!this.currentUser) return;
+
+        try {
+            const typingRef = window.doc(this.db, 'conversations', conversationId, 'typing', this.currentUser.uid);
+            if (isTyping) {
+                await window.setDoc(typingRef, { at: window.serverTimestamp() });
+            } else {
+                await window.deleteDoc(typingRef);
+            }
+        } catch (error) {
+            console.error('Error updating typing indicator:', error);
+        }
+    }
+
+    // Get who else is typing in a conversation, with when they last typed, with real-time updates
+    subscribeToTyping(conversationId, callback) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view messages');
+        }
+
+        try {
+            return window.onSnapshot(window.collection(this.db, 'conversations', conversationId, 'typing'), (snapshot) => {
+                const typing = [];
+                snapshot.forEach((doc) => {
+                    if (doc.id !== this.currentUser.uid) {
+                        typing.push({ userId: doc.id, ...doc.data({ serverTimestamps: 'estimate' }) });
+                    }
+                });
+                callback(typing);
+            }, (error) => {
+                console.error('Error listening to typing indicators:', error);
+                callback([]);
+            });
+        } catch (error) {
+            console.error('Error subscribing to typing indicators:', error);
+            throw new Error('Failed to subscribe to typing indicators');
+        }
+    }
+
+    // Count a user's followers and the people they follow without downloading the edges
+    async getFollowCounts(uid) {
+        try {
+            const follows = window.collection(this.db, 'follows');
+            const [followers, following] = await Promise.all([
+                window.getCountFromServer(window.query(follows, window.where('followeeId', '==', uid))),
+                window.getCountFromServer(window.query(follows, window.where('followerId', '==', uid)))
+            ]);
+
+            return {
+                followers: followers.data().count,
+                following: following.data().count
+            };
+        } catch (error) {
+            console.error('Error getting follow counts:', error);
+            return { followers: 0, following: 0 };
+        }
+    }
+
+    // Subscribe to the user's profile document with real-time updates
+    subscribeToUserProfile(uid, callback) {
+        const userDocRef = window.doc(this.db, 'users', uid);
+
+        return window.onSnapshot(userDocRef, (userDoc) => {
+            callback(userDoc.exists() ? userDoc.data() : null);
+        }, (error) => {
+            console.error('Error listening to user profile:', error);
+        });
+    }
+
+    // Check if user is currently authenticated
+    isAuthenticated() {
+        return this.currentUser !== null;
+    }
+
+    // Get current user
+    getCurrentUser() {
+        return this.currentUser;
+    }
+
+    // Logout user
+    async logout() {
+        try {
+            await window.signOut(this.auth);
+        } catch (error) {
+            console.error('Error signing out:', error);
+            throw new Error('Failed to sign out');
+        }
+    }
+
+    // Handle Firebase errors
+    handleFirebaseError(error) {
+        switch (error.code) {
+            case 'auth/email-already-in-use':
+                return new Error('An account with this email already exists');
+            case 'auth/invalid-email':
+                return new Error('Please enter a valid email address');
+            case 'auth/operation-not-allowed':
+                return new Error('This sign-in method is not enabled');
+            case 'auth/weak-password':
+                return new Error('Password should be at least 6 characters');
+            case 'auth/user-disabled':
+                return new Error('This account has been disabled');
+            case 'auth/user-not-found':
+                return new Error('No account found with this email');
+            case 'auth/wrong-password':
+                return new Error('Incorrect password');
+            case 'auth/invalid-credential':
+                return new Error('Invalid email or password');
+            case 'auth/too-many-requests':
+                return new Error('Too many failed attempts. Please try again later');
+            case 'auth/missing-email':
+                return new Error('Please enter your email address');
+            case 'auth/missing-password':
+                return new Error('Please enter your password');
+            case 'auth/requires-recent-login':
+                return new Error('For your security, please sign in again before making this change');
+            case 'auth/user-mismatch':
+                return new Error('Those credentials belong to a different account');
+            case 'auth/user-token-expired':
+                return new Error('Your sign-in has expired. Please sign in again');
+            case 'auth/expired-action-code':
+                return new Error('This link has expired. Please request a new one');
+            case 'auth/invalid-action-code':
+                return new Error('This link is invalid or has already been used');
+            case 'auth/invalid-recipient-email':
+                return new Error('We could not send an email to that address');
+            case 'auth/email-change-needs-verification':
+                return new Error('Please verify your new email address before continuing');
+            case 'auth/network-request-failed':
+                return new Error('Network error. Please check your connection and try again');
+            case 'auth/account-exists-with-different-credential':
+                return new Error('An account already exists with this email using a different sign-in method');
+            case 'auth/credential-already-in-use':
+                return new Error('That account is already linked to a different user');
+            case 'auth/provider-already-linked':
+                return new Error('That sign-in method is already linked to your account');
+            case 'auth/no-such-provider':
+                return new Error('That sign-in method is not linked to your account');
+            case 'auth/popup-closed-by-user':
+            case 'auth/cancelled-popup-request':
+                return new Error('The sign-in window was closed before finishing');
+            case 'auth/popup-blocked':
+                return new Error('Your browser blocked the sign-in window. Allow pop-ups and try again');
+            case 'auth/unauthorized-domain':
+                return new Error('Sign-in is not allowed from this domain');
+            default:
+                return new Error('Authentication failed. Please try again');
+        }
+    }
+
+    // Offline writes: Firestore's persistent cache applies them locally at once and sends them
+    // when the connection returns, but their promises only settle then. The outbox follows
+    // this session's queued posts and categories from 'pending' to 'synced' or 'failed'.
+    // The rules time the cooldown between posts by when each write arrives, so only one post
+    // and one category at a time go to the cache; the ones after it are held in the outbox,
+    // with everything needed to write them, until drainOutbox() sends them.
+    isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    getOutbox() {
+        return Array.from(this.outbox.values());
+    }
+
+    subscribeToOutbox(callback) {
+        this.outboxListeners.add(callback);
+        callback(this.getOutbox());
+        return () => this.outboxListeners.delete(callback);
+    }
+
+    setOutboxEntry(id, entry) {
+        if (entry) {
+            this.outbox.set(id, entry);
+        } else {
+            this.outbox.delete(id);
+        }
+        const outbox = this.getOutbox();
+        this.outboxListeners.forEach(callback => callback(outbox));
+    }
+
+    queueWrite(entry, write) {
+        this.setOutboxEntry(entry.id, { ...entry, status: 'pending', error: null });
+        write.then(() => {
+            if (this.outbox.has(entry.id)) {
+                this.setOutboxEntry(entry.id, { ...this.outbox.get(entry.id), status: 'synced' });
+            }
+        }, (error) => {
+            console.error(`Error syncing ${entry.kind}:`, error);
+            if (this.outbox.has(entry.id)) {
+                this.setOutboxEntry(entry.id, {
+                    ...this.outbox.get(entry.id),
+                    status: 'failed',
+                    error: entry.kind === 'category' ? 'Failed to create category' : 'Failed to create post'
+                });
+            }
+        }).then(() => this.drainOutbox());
+    }
+
+    // Whether a post or category of this kind is already waiting in the cache
+    isOutboxBusy(kind) {
+        return this.getOutbox().some(entry => entry.kind === kind && entry.status === 'pending' && !entry.held);
+    }
+
+    holdWrite(entry) {
+        this.setOutboxEntry(entry.id, { ...entry, userId: this.currentUser.uid, status: 'pending', held: true, error: null });
+    }
+
+    // Write the held posts and categories, oldest first and one at a time: each waits until
+    // the write before it of its kind has settled and that kind's cooldown has passed
+    async drainOutbox() {
+        if (this.outboxDraining) return;
+        this.outboxDraining = true;
+
+        try {
+            let entry;
+            while (this.currentUser && this.isOnline() && (entry = this.getNextHeldEntry())) {
+                await this.writeHeldEntry(entry);
+            }
+        } finally {
+            this.outboxDraining = false;
+        }
+    }
+
+    getNextHeldEntry() {
+        return this.getOutbox().find(entry => entry.held &&
+            entry.userId === this.currentUser.uid &&
+            !this.isOutboxBusy(entry.kind));
+    }
+
+    async writeHeldEntry(entry) {
+        const readyAt = getCooldownEnd(entry.kind, await this.getRateLimit(entry.kind));
+        if (readyAt && readyAt.getTime() > Date.now()) {
+            await new Promise(resolve => setTimeout(resolve, readyAt.getTime() - Date.now()));
+        }
+        // Discarded while it waited
+        if (!this.outbox.has(entry.id)) return;
+
+        this.setOutboxEntry(entry.id, { ...this.outbox.get(entry.id), held: false });
+        try {
+            const created = entry.kind === 'category'
+                ? await this.writeCategory(window.doc(this.db, 'categories', entry.id), entry.name, entry.details)
+                : await this.writePost(window.doc(this.db, 'posts', entry.id), entry.post.content, entry.category, entry.attachments);
+            // Offline again, it went to the cache instead and queueWrite() follows it
+            if (!created.queued && this.outbox.has(entry.id)) {
+                this.setOutboxEntry(entry.id, { ...this.outbox.get(entry.id), status: 'synced' });
+            }
+        } catch (error) {
+            console.error(`Error syncing ${entry.kind}:`, error);
+            if (this.outbox.has(entry.id)) {
+                this.setOutboxEntry(entry.id, { ...this.outbox.get(entry.id), status: 'failed', error: error.message });
+            }
+        }
+    }
+
+    dismissOutboxEntry(id) {
+        this.setOutboxEntry(id, null);
+    }
+
+    clearSyncedOutbox() {
+        this.getOutbox()
+            .filter(entry => entry.status === 'synced')
+            .forEach(entry => this.setOutboxEntry(entry.id, null));
+    }
+
+    // Write a failed post or category again, as a new document, with the same text, category,
+    // attachments or details. If it is refused again before writing, as by the rate limits,
+    // the entry stays in the outbox with the new error.
+    async retryOutboxEntry(id) {
+        const entry = this.outbox.get(id);
+        if (!entry || entry.status !== 'failed') return null;
+
+        try {
+            const created = entry.kind === 'category'
+                ? await this.createCategory(entry.name, entry.details)
+                : await this.createPost(entry.post.content, entry.category, entry.attachments);
+            this.setOutboxEntry(id, null);
+            return created;
+        } catch (error) {
+            if (this.outbox.has(id)) {
+                this.setOutboxEntry(id, { ...this.outbox.get(id), error: error.message });
+            }
+            throw error;
+        }
+    }
+
+    // How often the user posts, replies and creates categories is counted in rateLimits/{uid},
+    // which is written alongside each new post, reply and category and checked by
+    // firestore.rules (see RATE_LIMITS in schema.js)
+    getRateLimitRef() {
+        return window.doc(this.db, 'rateLimits', this.currentUser.uid);
+    }
+
+    // The user's entry for kind ('post', 'reply' or 'category'), with its times as Dates.
+    // Times of writes still on their way are estimated. If it can't be read, as offline before
+    // it was ever cached, the write goes ahead and the rules decide.
+    async getRateLimit(kind) {
+        try {
+            const snapshot = await window.getDoc(this.getRateLimitRef());
+            const entry = snapshot.exists() ? snapshot.data({ serverTimestamps: 'estimate' })[kind] : null;
+            if (!entry) return {};
+
+            return {
+                ...entry,
+                windowStart: entry.windowStart ? entry.windowStart.toDate() : null,
+                lastAt: entry.lastAt ? entry.lastAt.toDate() : null
+            };
+        } catch (error) {
+            console.error('Error getting rate limits:', error);
+            return {};
+        }
+    }
+
+    // What to merge into rateLimits/{uid} for a new post, reply or category, given
+    // checkRateLimit()'s answer
+    getRateLimitUpdate(kind, { count, startsWindow }, id, fields = {}) {
+        return {
+            [kind]: {
+                count,
+                ...(startsWindow ? { windowStart: window.serverTimestamp() } : {}),
+                lastAt: window.serverTimestamp(),
+                lastId: id,
+                ...fields
+            }
+        };
+    }
+
+    // Create a new post in a category, or in General when category is null. Attachments come
+    // from prepareAttachments() and are uploaded first, under the post's id; onProgress gets
+    // the overall upload progress from 0 to 1. A post in a private category keeps its text and
+    // attachments in posts/{id}/private/body, which only the category's members can read.
+    // Offline, the post goes to the outbox and is returned with queued set. Posting too soon
+    // after the last post, too often, or text already posted within the hour throws before
+    // anything is written; a wait comes with the error's retryAt. Offline posts after the
+    // first are held in the outbox and wait their turn instead.
+    async createPost(content, category = null, attachments = [], onProgress = null) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to create posts');
+        }
+
+        content = validatePostContent(content, attachments.length);
+
+        const offline = !this.isOnline();
+        if (offline && attachments.length > 0) {
+            throw new Error('Attachments can only be uploaded while online');
+        }
+
+        const postRef = window.doc(window.collection(this.db, 'posts'));
+        if (offline && this.isOutboxBusy('post')) {
+            const held = this.getOutbox()
+                .filter(entry => entry.kind === 'post' && entry.held)
+                .map(entry => entry.post.content.toLowerCase());
+            checkDuplicatePost([...getRecentContent(await this.getRateLimit('post')), ...held], content);
+
+            const post = {
+                id: postRef.id,
+                content,
+                hashtags: extractHashtags(content),
+                attachments: [],
+                category: category ? category.name : 'General',
+                ...(category ? { categoryId: category.id } : {}),
+                userId: this.currentUser.uid,
+                createdAt: null
+            };
+            this.holdWrite({ id: postRef.id, kind: 'post', post, category, attachments });
+            return { ...post, queued: true };
+        }
+
+        return this.writePost(postRef, content, category, attachments, onProgress);
+    }
+
+    // createPost()'s write, also used for posts held in the outbox
+    async writePost(postRef, content, category = null, attachments = [], onProgress = null) {
+        const offline = !this.isOnline();
+        const previous = await this.getRateLimit('post');
+        const rateLimit = checkRateLimit('post', previous);
+        const recentContent = rateLimit.startsWindow ? [] : getRecentContent(previous);
+        checkDuplicatePost(recentContent, content);
+
+        let uploaded = [];
+
+        try {
+            uploaded = await this.uploadAttachments(postRef.id, attachments, onProgress);
+
+            // Offline, only handles already in the cache can be looked up; the others still
+            // link to the profile but don't notify
+            const mentions = await this.resolveMentions(extractMentions(content))
+                .catch(error => {
+                    if (!offline) throw error;
+                    return [];
+                });
+            const body = {
+                content: content.trim(),
+                hashtags: extractHashtags(content),
+                attachments: uploaded
+            };
+            const postData = {
+                category: category ? category.name : 'General',
+                ...(category ? { categoryId: category.id } : {}),
+                mentions,
+                userId: this.currentUser.uid,
+                createdAt: window.serverTimestamp(),
+                updatedAt: window.serverTimestamp()
+            };
+
+            // firestore.rules refuses anything else, so a mismatch is a bug worth logging
+            const isPrivate = getCategoryVisibility(category) === 'private';
+            validatePostData(isPrivate ? { ...postData, private: true } : { ...postData, ...body });
+            if (isPrivate) {
+                validatePostBody(body);
+            }
+
+            const batch = window.writeBatch(this.db);
+            if (isPrivate) {
+                batch.set(postRef, { ...postData, private: true });
+                batch.set(window.doc(this.db, 'posts', postRef.id, 'private', 'body'), body);
+            } else {
+                batch.set(postRef, { ...postData, ...body });
+            }
+            batch.set(
+                this.getRateLimitRef(),
+                this.getRateLimitUpdate('post', rateLimit, postRef.id, {
+                    recentContent: [...recentContent, body.content.toLowerCase()]
+                }),
+                { merge: true }
+            );
+            const write = batch.commit();
+
+            if (offline) {
+                this.queueWrite(
+                    { id: postRef.id, kind: 'post', post: { id: postRef.id, ...postData, ...body, createdAt: null }, category, attachments },
+                    write.then(() => this.notifyUsers('mention', mentions, { postId: postRef.id }))
+                );
+                return { id: postRef.id, ...postData, ...body, queued: true };
+            }
+
+            await write;
+            await this.notifyUsers('mention', mentions, { postId: postRef.id });
+            return { id: postRef.id, ...postData, ...body };
+        } catch (error) {
+            console.error('Error creating post:', error);
+            // Don't leave files behind for a post that doesn't exist
+            await this.deleteAttachments(uploaded);
+            throw new Error(error.code && error.code.startsWith('storage/') ? 'Failed to upload attachments' : 'Failed to create post');
+        }
+    }
+
+    // Upload prepared attachments one after another, reporting progress across all of them
+    async uploadAttachments(postId, attachments, onProgress = null) {
+        if (attachments.length === 0) return [];
+        if (!this.storage) {
+            throw new Error('File uploads are not available');
+        }
+
+        const totalBytes = attachments.reduce((sum, attachment) => sum + attachment.blob.size, 0);
+        let finishedBytes = 0;
+        const uploaded = [];
+
+        try {
+            for (const [index, attachment] of attachments.entries()) {
+                const path = getAttachmentPath(this.currentUser.uid, postId, index, attachment.name);
+                const objectRef = window.storageRef(this.storage, path);
+                const task = window.uploadBytesResumable(objectRef, attachment.blob, {
+                    contentType: attachment.contentType
+                });
+
+                await new Promise((resolve, reject) => {
+                    task.on('state_changed', (snapshot) => {
+                        if (onProgress && totalBytes > 0) {
+                            onProgress((finishedBytes + snapshot.bytesTransferred) / totalBytes);
+                        }
+                    }, reject, resolve);
+                });
+                finishedBytes += attachment.blob.size;
+
+                // The download URL reads the file without storage.rules, so a private post keeps
+                // it in its private body, which only the category's members can read
+                uploaded.push({
+                    kind: attachment.kind,
+                    url: await window.getDownloadURL(objectRef),
+                    path,
+                    name: attachment.name,
+                    contentType: attachment.contentType,
+                    size: attachment.blob.size,
+                    ...(attachment.kind === 'image' ? { width: attachment.width, height: attachment.height } : {})
+                });
+            }
+        } catch (error) {
+            await this.deleteAttachments(uploaded);
+            throw error;
+        }
+
+        return uploaded;
+    }
+
+    // Remove attachment files from Storage; a file that's already gone isn't an error
+    async deleteAttachments(attachments) {
+        if (!this.storage || !attachments || attachments.length === 0) return;
+
+        await Promise.all(attachments.map(async (attachment) => {
+            try {
+                await window.deleteObject(window.storageRef(this.storage, attachment.path));
+            } catch (error) {
+                if (error.code !== 'storage/object-not-found') {
+                    console.error('Error deleting attachment:', error);
+                }
+            }
+        }));
+    }
+
+    // The text and attachments of a post in a private category (null if it has none, or the
+    // user isn't a member)
+    async getPostBody(postId) {
+        try {
+            const bodyDoc = await window.getDoc(window.doc(this.db, 'posts', postId, 'private', 'body'));
+            return bodyDoc.exists() ? bodyDoc.data() : null;
+        } catch (error) {
+            console.error('Error getting post body:', error);
+            return null;
+        }
+    }
+
+    // Edit a post, archiving the previous version in its revisions subcollection
+    async updatePost(postId, content) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to edit posts');
+        }
+
+        content = validatePostContent(content);
+
+        try {
+            const postRef = window.doc(this.db, 'posts', postId);
+            const bodyRef = window.doc(this.db, 'posts', postId, 'private', 'body');
+            const revisionRef = window.doc(window.collection(this.db, 'posts', postId, 'revisions'));
+            const mentions = await this.resolveMentions(extractMentions(content));
+            let newMentions = [];
+
+            await window.runTransaction(this.db, async (transaction) => {
+                const postDoc = await transaction.get(postRef);
+                if (!postDoc.exists()) {
+                    throw new Error('Post not found');
+                }
+
+                // A private post's text is in its body document
+                const isPrivate = !!postDoc.data().private;
+                const previous = isPrivate
+                    ? { ...postDoc.data(), ...(await transaction.get(bodyRef)).data() }
+                    : postDoc.data();
+                if (previous.content === content.trim()) {
+                    return;
+                }
+
+                // Only people mentioned for the first time in this edit are notified
+                const previousMentions = previous.mentions || [];
+                newMentions = mentions.filter(uid => !previousMentions.includes(uid));
+
+                transaction.set(revisionRef, {
+                    content: previous.content,
+                    userId: this.currentUser.uid,
+                    versionCreatedAt: previous.editedAt || previous.createdAt || null,
+                    createdAt: window.serverTimestamp()
+                });
+                const body = {
+                    content: content.trim(),
+                    hashtags: extractHashtags(content)
+                };
+                if (isPrivate) {
+                    transaction.update(bodyRef, body);
+                }
+                transaction.update(postRef, {
+                    ...(isPrivate ? {} : body),
+                    mentions,
+                    updatedAt: window.serverTimestamp(),
+                    editedAt: window.serverTimestamp(),
+                    revisionCount: window.increment(1)
+                });
+            });
+
+            await this.notifyUsers('mention', newMentions, { postId });
+        } catch (error) {
+            console.error('Error updating post:', error);
+            throw new Error('Failed to update post');
+        }
+    }
+
+    // Look up the uids behind @handles, skipping unknown handles and the author's own
+    async resolveMentions(handles) {
+        const handleDocs = await Promise.all(handles.map(handle =>
+            window.getDoc(window.doc(this.db, 'handles', handle))
+        ));
+
+        return handleDocs
+            .filter(handleDoc => handleDoc.exists())
+            .map(handleDoc => handleDoc.data().uid)
+            .filter(uid => uid !== this.currentUser.uid);
+    }
+
+    // Leave a notification for each user an action targets, other than the current user.
+    // The action is already saved, so a failure here is logged rather than reported as a
+    // failed post, reply, follow or reaction. firestore.rules checks each one against it.
+    async notifyUsers(type, uids, details = {}) {
+        const recipients = Array.from(new Set(uids)).filter(uid => uid && uid !== this.currentUser.uid);
+        if (recipients.length === 0) return;
+
+        try {
+            const batch = window.writeBatch(this.db);
+            recipients.forEach(uid => {
+                batch.set(window.doc(window.collection(this.db, 'users', uid, 'notifications')), {
+                    type,
+                    actorId: this.currentUser.uid,
+                    ...details,
+                    read: false,
+                    createdAt: window.serverTimestamp()
+                });
+            });
+            await batch.commit();
+        } catch (error) {
+            console.error(`Error sending ${type} notifications:`, error);
+        }
+    }
+
+    // A reply notifies the post's author, and the author of the reply it answers
+    async notifyReply(rootId, replyId, parentId) {
+        try {
+            const parentRefs = [window.doc(this.db, 'posts', rootId)];
+            if (parentId !== rootId) {
+                parentRefs.push(window.doc(this.db, 'posts', rootId, 'replies', parentId));
+            }
+
+            const parentDocs = await Promise.all(parentRefs.map(ref => window.getDoc(ref)));
+            const authorIds = parentDocs.filter(parentDoc => parentDoc.exists()).map(parentDoc => parentDoc.data().userId);
+            await this.notifyUsers('reply', authorIds, { postId: rootId, replyId });
+        } catch (error) {
+            console.error('Error sending reply notifications:', error);
+        }
+    }
+
+    // Get the current user's latest notifications, newest first, with real-time updates
+    subscribeToNotifications(callback, limitCount = 50) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view notifications');
+        }
+
+        try {
+            const notificationsQuery = window.query(
+                window.collection(this.db, 'users', this.currentUser.uid, 'notifications'),
+                window.orderBy('createdAt', 'desc'),
+                window.limit(limitCount)
+            );
+
+            return window.onSnapshot(notificationsQuery, (snapshot) => {
+                const notifications = [];
+                snapshot.forEach((doc) => {
+                    notifications.push({
+                        id: doc.id,
+                        ...doc.data()
+                    });
+                });
+                callback(notifications);
+            }, (error) => {
+                console.error('Error listening to notifications:', error);
+                callback([]);
+            });
+        } catch (error) {
+            console.error('Error subscribing to notifications:', error);
+            throw new Error('Failed to subscribe to notifications');
+        }
+    }
+
+    async markNotificationRead(notificationId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to update notifications');
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'users', this.currentUser.uid, 'notifications', notificationId), {
+                read: true
+            });
+        } catch (error) {
+            console.error('Error marking notification read:', error);
+            throw new Error('Failed to update notification');
+        }
+    }
+
+    // Mark every unread notification read, a batch (Firestore's limit of 500 writes) at a time
+    async markAllNotificationsRead() {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to update notifications');
+        }
+
+        try {
+            const unreadQuery = window.query(
+                window.collection(this.db, 'users', this.currentUser.uid, 'notifications'),
+                window.where('read', '==', false),
+                window.limit(500)
+            );
+
+            let snapshot = await window.getDocs(unreadQuery);
+            while (!snapshot.empty) {
+                const batch = window.writeBatch(this.db);
+                snapshot.forEach((doc) => {
+                    batch.update(doc.ref, { read: true });
+                });
+                await batch.commit();
+
+                if (snapshot.size < 500) break;
+                snapshot = await window.getDocs(unreadQuery);
+            }
+        } catch (error) {
+            console.error('Error marking notifications read:', error);
+            throw new Error('Failed to update notifications');
+        }
+    }
+
+    // Get the earlier versions of a post, oldest first
+    async getPostRevisions(postId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view posts');
+        }
+
+        try {
+            const revisionsQuery = window.query(
+                window.collection(this.db, 'posts', postId, 'revisions'),
+                window.orderBy('createdAt', 'asc')
+            );
+
+            const snapshot = await window.getDocs(revisionsQuery);
+            const revisions = [];
+            snapshot.forEach((doc) => {
+                revisions.push({
+                    id: doc.id,
+                    ...doc.data()
+                });
+            });
+
+            return revisions;
+        } catch (error) {
+            console.error('Error getting post revisions:', error);
+            throw new Error('Failed to get post history');
+        }
+    }
+
+    // Mark a post as deleted; it is removed for good once the undo window passes
+    async softDeletePost(postId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to delete posts');
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'posts', postId), {
+                deletedAt: window.serverTimestamp()
+            });
+            this.schedulePurge(postId, this.deleteUndoWindowMs);
+        } catch (error) {
+            console.error('Error deleting post:', error);
+            throw new Error('Failed to delete post');
+        }
+    }
+
+    // Bring back a soft-deleted post while its undo window is still open
+    async restorePost(postId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to restore posts');
+        }
+
+        this.cancelPurge(postId);
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'posts', postId), {
+                deletedAt: null
+            });
+        } catch (error) {
+            console.error('Error restoring post:', error);
+            throw new Error('Failed to restore post');
+        }
+    }
+
+    // Permanently remove a post together with its revision history, replies, reactions and
+    // attachments. Bookmarks of it and notifications about it belong to other users, and are
+    // deleted by the cleanUpPost function.
+    async purgePost(postId) {
+        this.cancelPurge(postId);
+
+        try {
+            const attachments = await this.deletePostDocuments(postId);
+            await this.deleteAttachments(attachments);
+        } catch (error) {
+            console.error('Error purging post:', error);
+        }
+    }
+
+    // What purgePost and removePost delete, a private post's body included. Returns the
+    // post's attachments, which only their author can delete from Storage.
+    async deletePostDocuments(postId) {
+        const postRef = window.doc(this.db, 'posts', postId);
+        const bodyRef = window.doc(this.db, 'posts', postId, 'private', 'body');
+        const postDoc = await window.getDoc(postRef);
+        const isPrivate = postDoc.exists() && !!postDoc.data().private;
+        const bodyDoc = isPrivate ? await window.getDoc(bodyRef) : null;
+
+        // A post can have more replies and reactions than one batch holds, so they go first
+        for (const name of ['revisions', 'replies', 'reactions']) {
+            await this.deleteCollection(window.collection(this.db, 'posts', postId, name));
+        }
+
+        const batch = window.writeBatch(this.db);
+        if (isPrivate) {
+            batch.delete(bodyRef);
+        }
+        batch.delete(postRef);
+        await batch.commit();
+
+        if (!postDoc.exists()) return [];
+        return (bodyDoc && bodyDoc.exists() ? bodyDoc.data().attachments : postDoc.data().attachments) || [];
+    }
+
+    // Delete every document in a collection, a batch (Firestore's limit of 500 writes) at a time
+    async deleteCollection(collectionRef) {
+        const childQuery = window.query(collectionRef, window.limit(500));
+
+        let snapshot = await window.getDocs(childQuery);
+        while (!snapshot.empty) {
+            const batch = window.writeBatch(this.db);
+            snapshot.forEach((childDoc) => {
+                batch.delete(childDoc.ref);
+            });
+            await batch.commit();
+
+            if (snapshot.size < 500) break;
+            snapshot = await window.getDocs(childQuery);
+        }
+    }
+
+    schedulePurge(postId, delayMs) {
+        this.cancelPurge(postId);
+        this.pendingPurges.set(postId, setTimeout(() => {
+            this.pendingPurges.delete(postId);
+            this.purgePost(postId);
+        }, Math.max(delayMs, 0)));
+    }
+
+    cancelPurge(postId) {
+        if (this.pendingPurges.has(postId)) {
+            clearTimeout(this.pendingPurges.get(postId));
+            this.pendingPurges.delete(postId);
+        }
+    }
+
+    // Finish deletions left pending by an earlier session (e.g. the tab was closed during the undo window)
+    async purgeExpiredDeletions() {
+        if (!this.currentUser) return;
+
+        try {
+            const deletedQuery = window.query(
+                window.collection(this.db, 'posts'),
+                window.where('userId', '==', this.currentUser.uid),
+                window.where('deletedAt', '!=', null)
+            );
+
+            const snapshot = await window.getDocs(deletedQuery);
+            snapshot.forEach((postDoc) => {
+                const deletedAt = postDoc.data().deletedAt;
+                const deletedAtMs = deletedAt?.toMillis ? deletedAt.toMillis() : Date.now();
+                this.schedulePurge(postDoc.id, deletedAtMs + this.deleteUndoWindowMs - Date.now());
+            });
+        } catch (error) {
+            console.error('Error purging deleted posts:', error);
+        }
+    }
+
+    // Build the feed query, newest first, optionally filtered by a category name or { hashtag }
+    buildPostsQuery(filter, ...constraints) {
+        const postsCollection = window.collection(this.db, 'posts');
+
+        if (filter && filter.hashtag) {
+            return window.query(
+                postsCollection,
+                window.where('hashtags', 'array-contains', normalizeHashtag(filter.hashtag)),
+                window.orderBy('createdAt', 'desc'),
+                ...constraints
+            );
+        }
+
+        if (filter && filter !== 'All') {
+            return window.query(
+                postsCollection,
+                window.where('category', '==', filter),
+                window.orderBy('createdAt', 'desc'),
+                ...constraints
+            );
+        }
+
+        return window.query(
+            postsCollection,
+            window.orderBy('createdAt', 'desc'),
+            ...constraints
+        );
+    }
+
+    // Get a page of posts with real-time updates: the newest, or the one after a cursor. With
+    // an end cursor the page is every post after the cursor down to and including that one.
+    subscribeToPosts(callback, filter = null, limitCount = 50, cursor = null, endCursor = null) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view posts');
+        }
+
+        try {
+            const postsQuery = this.buildPostsQuery(filter, ...this.getPageConstraints(limitCount, cursor, endCursor));
+
+            // Return the unsubscribe function. Metadata changes tell when a post written
+            // offline (in this session or before a reload) reaches the server; changes lists
+            // the posts added, modified or removed since the last snapshot, empty when only
+            // that changed.
+            return window.onSnapshot(postsQuery, { includeMetadataChanges: true }, (snapshot) => {
+                const posts = [];
+                snapshot.forEach((doc) => {
+                    posts.push({
+                        id: doc.id,
+                        ...doc.data()
+                    });
+                });
+
+                // The last snapshot is the cursor for loading older pages
+                callback(posts, {
+                    lastVisible: snapshot.docs[snapshot.docs.length - 1] || cursor,
+                    hasMore: !endCursor && snapshot.size === limitCount,
+                    pendingIds: snapshot.docs.filter(doc => doc.metadata.hasPendingWrites).map(doc => doc.id),
+                    changes: snapshot.docChanges().map(change => ({ type: change.type, id: change.doc.id }))
+                });
+            }, (error) => {
+                console.error('Error listening to posts:', error);
+                callback([], { lastVisible: cursor, hasMore: false });
+            });
+        } catch (error) {
+            console.error('Error subscribing to posts:', error);
+            throw new Error('Failed to subscribe to posts');
+        }
+    }
+
+    // Where a page starts and how far it runs: a page's worth, or everything down to an end cursor
+    getPageConstraints(limitCount, cursor, endCursor) {
+        return [
+            ...(cursor ? [window.startAfter(cursor)] : []),
+            endCursor ? window.endAt(endCursor) : window.limit(limitCount)
+        ];
+    }
+
+    // "in" queries take at most 30 values, so the Following and Bookmarks feeds query in chunks
+    chunkIds(ids) {
+        const chunks = [];
+        for (let i = 0; i < ids.length; i += 30) {
+            chunks.push(ids.slice(i, i + 30));
+        }
+        return chunks;
+    }
+
+    buildFollowingPostsQuery(followeeIds, ...constraints) {
+        return window.query(
+            window.collection(this.db, 'posts'),
+            window.where('userId', 'in', followeeIds),
+            window.orderBy('createdAt', 'desc'),
+            ...constraints
+        );
+    }
+
+    // Merge per-chunk results newest first and cut them back to one page, unless it runs to an
+    // end cursor. The cursor is the oldest post's timestamp, which works as a startAfter (or
+    // endAt) value for every chunk's query.
+    mergeFollowingPages(chunkPosts, limitCount, chunkHasMore) {
+        const posts = chunkPosts.flat()
+            .sort((a, b) => (b.createdAt?.toMillis ? b.createdAt.toMillis() : Date.now()) -
+                            (a.createdAt?.toMillis ? a.createdAt.toMillis() : Date.now()));
+        const page = limitCount ? posts.slice(0, limitCount) : posts;
+        const oldest = page[page.length - 1];
+
+        return {
+            posts: page,
+            lastVisible: oldest && oldest.createdAt ? oldest.createdAt : null,
+            hasMore: !!limitCount && (posts.length > limitCount || chunkHasMore)
+        };
+    }
+
+    // Get a page of posts by followed users with real-time updates: the newest, or the one
+    // after a cursor, down to an end cursor if there is one
+    subscribeToFollowingPosts(followeeIds, callback, limitCount = 50, cursor = null, endCursor = null) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view posts');
+        }
+
+        if (followeeIds.length === 0) {
+            callback([], { lastVisible: cursor, hasMore: false });
+            return () => {};
+        }
+
+        try {
+            const chunks = this.chunkIds(followeeIds);
+            const chunkPosts = chunks.map(() => []);
+            const chunkFull = chunks.map(() => false);
+            const constraints = this.getPageConstraints(limitCount, cursor, endCursor);
+
+            const unsubscribes = chunks.map((chunk, index) => window.onSnapshot(
+                this.buildFollowingPostsQuery(chunk, ...constraints),
+                (snapshot) => {
+                    chunkPosts[index] = [];
+                    snapshot.forEach((doc) => {
+                        chunkPosts[index].push({
+                            id: doc.id,
+                            ...doc.data()
+                        });
+                    });
+                    chunkFull[index] = !endCursor && snapshot.size === limitCount;
+
+                    const page = this.mergeFollowingPages(chunkPosts, endCursor ? null : limitCount, chunkFull.some(Boolean));
+                    callback(page.posts, {
+                        lastVisible: page.lastVisible || cursor,
+                        hasMore: page.hasMore,
+                        changes: snapshot.docChanges().map(change => ({ type: change.type, id: change.doc.id }))
+                    });
+                },
+                (error) => {
+                    console.error('Error listening to following posts:', error);
+                }
+            ));
+
+            return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+        } catch (error) {
+            console.error('Error subscribing to following posts:', error);
+            throw new Error('Failed to subscribe to posts');
+        }
+    }
+
+    // Get the unfurled preview (title, description, image, site name) for a link.
+    // Returns null when the preview can't be loaded, so callers fall back to a plain link.
+    async getLinkPreview(url) {
+        if (!this.currentUser || !this.functions) {
+            return null;
+        }
+
+        try {
+            const unfurlLink = window.httpsCallable(this.functions, 'unfurlLink');
+            const result = await unfurlLink({ url });
+            return result.data;
+        } catch (error) {
+            console.error('Error loading link preview:', error);
+            return null;
+        }
+    }
+
+    // Search public posts and people through the searchPosts function, which keeps the
+    // index. Dates are milliseconds since the epoch; results come back best match first.
+    async searchPosts({ text, author = '', category = '', from = null, to = null }) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to search');
+        }
+        if (!this.functions) {
+            throw new Error('Search is not available');
+        }
+
+        try {
+            const searchPosts = window.httpsCallable(this.functions, 'searchPosts');
+            const result = await searchPosts({
+                text,
+                author: author || null,
+                category: category || null,
+                from,
+                to
+            });
+            return result.data;
+        } catch (error) {
+            console.error('Error searching:', error);
+            // The function explains searches it can't run, like one without a long enough word
+            throw new Error(error.code === 'functions/invalid-argument' ? error.message : 'Search failed');
+        }
+    }
+
+    // Get posts (one-time fetch)
+    async getPosts(limitCount = 50) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view posts');
+        }
+
+        try {
+            const postsCollection = window.collection(this.db, 'posts');
+            const postsQuery = window.query(
+                postsCollection,
+                window.orderBy('createdAt', 'desc'),
+                window.limit(limitCount)
+            );
+
+            const snapshot = await window.getDocs(postsQuery);
+            const posts = [];
+            snapshot.forEach((doc) => {
+                posts.push({
+                    id: doc.id,
+                    ...doc.data()
+                });
+            });
+
+            return posts;
+        } catch (error) {
+            console.error('Error getting posts:', error);
+            throw new Error('Failed to get posts');
+        }
+    }
+
+    // Reply to a post or to another reply in its thread. Like posts, replies are rate limited
+    // (see createPost).
+    async createReply(rootId, parentId, content) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to reply');
+        }
+
+        content = validateReplyContent(content);
+        const rateLimit = checkRateLimit('reply', await this.getRateLimit('reply'));
+
+        try {
+            // Replies live under the root post so a whole thread is one query
+            const replyRef = window.doc(window.collection(this.db, 'posts', rootId, 'replies'));
+            const rootRef = window.doc(this.db, 'posts', rootId);
+            const replyData = {
+                content,
+                parentId: parentId || rootId,
+                rootId: rootId,
+                userId: this.currentUser.uid,
+                createdAt: window.serverTimestamp(),
+                updatedAt: window.serverTimestamp()
+            };
+            // firestore.rules refuses anything else, so a mismatch is a bug worth logging
+            validateReplyData(replyData);
+
+            // Write the reply and bump the root's counter together; the rules check the counter
+            // against the reply named by countedReplyId
+            const batch = window.writeBatch(this.db);
+            batch.set(replyRef, replyData);
+            batch.update(rootRef, { replyCount: window.increment(1), countedReplyId: replyRef.id });
+            batch.set(
+                this.getRateLimitRef(),
+                this.getRateLimitUpdate('reply', rateLimit, replyRef.id, { lastPostId: rootId }),
+                { merge: true }
+            );
+            await batch.commit();
+
+            await this.notifyReply(rootId, replyRef.id, replyData.parentId);
+
+            return { id: replyRef.id, ...replyData };
+        } catch (error) {
+            console.error('Error creating reply:', error);
+            throw new Error('Failed to create reply');
+        }
+    }
+
+    // Delete one of the current user's replies
+    async deleteReply(rootId, replyId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to delete replies');
+        }
+
+        try {
+            const batch = window.writeBatch(this.db);
+            batch.delete(window.doc(this.db, 'posts', rootId, 'replies', replyId));
+            batch.update(window.doc(this.db, 'posts', rootId), { replyCount: window.increment(-1), countedReplyId: replyId });
+            await batch.commit();
+        } catch (error) {
+            console.error('Error deleting reply:', error);
+            throw new Error('Failed to delete reply');
+        }
+    }
+
+    // Subscribe to a post and all of its replies with real-time updates
+    subscribeToThread(rootId, callback) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view posts');
+        }
+
+        try {
+            let post = null;
+            let replies = [];
+            let postLoaded = false;
+            let repliesLoaded = false;
+
+            // Only report once both listeners have delivered their first snapshot
+            const emit = () => {
+                if (postLoaded && repliesLoaded) {
+                    callback({ post, replies });
+                }
+            };
+
+            const postUnsubscribe = window.onSnapshot(window.doc(this.db, 'posts', rootId), (postDoc) => {
+                post = postDoc.exists() ? { id: postDoc.id, ...postDoc.data() } : null;
+                postLoaded = true;
+                emit();
+            }, (error) => {
+                console.error('Error listening to thread post:', error);
+                postLoaded = true;
+                emit();
+            });
+
+            const repliesQuery = window.query(
+                window.collection(this.db, 'posts', rootId, 'replies'),
+                window.orderBy('createdAt', 'asc')
+            );
+
+            const repliesUnsubscribe = window.onSnapshot(repliesQuery, (snapshot) => {
+                replies = [];
+                snapshot.forEach((doc) => {
+                    replies.push({
+                        id: doc.id,
+                        ...doc.data()
+                    });
+                });
+                repliesLoaded = true;
+                emit();
+            }, (error) => {
+                console.error('Error listening to replies:', error);
+                repliesLoaded = true;
+                emit();
+            });
+
+            // Return a single unsubscribe function for both listeners
+            return () => {
+                postUnsubscribe();
+                repliesUnsubscribe();
+            };
+        } catch (error) {
+            console.error('Error subscribing to thread:', error);
+            throw new Error('Failed to subscribe to thread');
+        }
+    }
+
+    // Create a new category, claiming its slug so no other category can take the same name.
+    // Transactions need the server, so offline the slug is claimed without checking it first
+    // and the category goes to the outbox; the rules refuse the write if the slug is taken.
+    // Like posts, categories are rate limited and held in the outbox after the first one
+    // offline (see createPost).
+    async createCategory(categoryName, { description = '', color = 'blue', visibility = 'public' } = {}) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to create categories');
+        }
+
+        const name = validateCategoryName(categoryName);
+        const details = { description, color, visibility };
+        validateCategoryDetails(details);
+
+        const categoryRef = window.doc(window.collection(this.db, 'categories'));
+        if (!this.isOnline() && this.isOutboxBusy('category')) {
+            this.holdWrite({ id: categoryRef.id, kind: 'category', name, details });
+            return { id: categoryRef.id, name, ...details, queued: true };
+        }
+
+        return this.writeCategory(categoryRef, name, details);
+    }
+
+    // createCategory()'s write, also used for categories held in the outbox
+    async writeCategory(categoryRef, name, { description = '', color = 'blue', visibility = 'public' } = {}) {
+        const slug = getCategorySlug(name);
+        const slugRef = window.doc(this.db, 'categorySlugs', slug);
+        const categoryData = {
+            name,
+            slug,
+            description: description.trim(),
+            color,
+            visibility,
+            moderatorIds: [],
+            order: Date.now(),
+            archived: false,
+            createdBy: this.currentUser.uid,
+            createdAt: window.serverTimestamp(),
+            updatedAt: window.serverTimestamp()
+        };
+        validateCategoryData(categoryData);
+
+        const rateLimit = checkRateLimit('category', await this.getRateLimit('category'));
+        const rateLimitUpdate = this.getRateLimitUpdate('category', rateLimit, categoryRef.id);
+
+        try {
+            if (!this.isOnline()) {
+                const batch = window.writeBatch(this.db);
+                batch.set(categoryRef, categoryData);
+                batch.set(slugRef, { categoryId: categoryRef.id });
+                batch.set(this.getRateLimitRef(), rateLimitUpdate, { merge: true });
+                this.queueWrite(
+                    { id: categoryRef.id, kind: 'category', name, details: { description, color, visibility } },
+                    batch.commit()
+                );
+                return { id: categoryRef.id, ...categoryData, queued: true };
+            }
+
+            await window.runTransaction(this.db, async (transaction) => {
+                const slugDoc = await transaction.get(slugRef);
+                if (slugDoc.exists()) {
+                    throw new Error('A category with that name already exists');
+                }
+
+                transaction.set(categoryRef, categoryData);
+                transaction.set(slugRef, { categoryId: categoryRef.id });
+                transaction.set(this.getRateLimitRef(), rateLimitUpdate, { merge: true });
+            });
+            return { id: categoryRef.id, ...categoryData };
+        } catch (error) {
+            console.error('Error creating category:', error);
+            throw new Error(error.message === 'A category with that name already exists' ? error.message : 'Failed to create category');
+        }
+    }
+
+    // Edit a category's name, description, color and visibility. Renaming claims the new slug,
+    // releases the old one and moves the category's posts to the new name.
+    async updateCategory(categoryId, { name: newName, description = '', color = 'blue', visibility = 'public' }) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to edit categories');
+        }
+
+        const name = validateCategoryName(newName);
+        validateCategoryDetails({ description, color, visibility });
+
+        const slug = getCategorySlug(name);
+        const categoryRef = window.doc(this.db, 'categories', categoryId);
+        const slugRef = window.doc(this.db, 'categorySlugs', slug);
+        let previousName = null;
+
+        try {
+            await window.runTransaction(this.db, async (transaction) => {
+                const categoryDoc = await transaction.get(categoryRef);
+                const slugDoc = await transaction.get(slugRef);
+                if (!categoryDoc.exists()) {
+                    throw new Error('Category not found');
+                }
+                if (slugDoc.exists() && slugDoc.data().categoryId !== categoryId) {
+                    throw new Error('A category with that name already exists');
+                }
+
+                const category = categoryDoc.data();
+                if ((getCategoryVisibility(category) === 'private') !== (visibility === 'private')) {
+                    throw new Error('Categories can only be made private when they are created');
+                }
+
+                const updates = {
+                    name,
+                    slug,
+                    description: description.trim(),
+                    color,
+                    visibility,
+                    updatedAt: window.serverTimestamp()
+                };
+                if (category.name !== name) {
+                    previousName = category.name;
+                    updates.previousName = category.name;
+                }
+                validateCategoryData({ ...category, ...updates });
+
+                if (category.slug && category.slug !== slug) {
+                    transaction.delete(window.doc(this.db, 'categorySlugs', category.slug));
+                }
+                if (!slugDoc.exists()) {
+                    transaction.set(slugRef, { categoryId });
+                }
+                transaction.update(categoryRef, updates);
+            });
+        } catch (error) {
+            console.error('Error updating category:', error);
+            const known = [
+                'Category not found',
+                'A category with that name already exists',
+                'Categories can only be made private when they are created'
+            ];
+            throw new Error(known.includes(error.message) ? error.message : 'Failed to update category');
+        }
+
+        if (previousName === null) return;
+
+        await this.moveCategoryPosts(categoryId, categoryId, previousName, name);
+        try {
+            // Once the posts have moved, the old name is free and no longer grants a move
+            await window.updateDoc(categoryRef, { previousName: null });
+        } catch (error) {
+            console.error('Error updating category:', error);
+        }
+    }
+
+    // Move a category within the sidebar; see getMovedCategoryOrder
+    async setCategoryOrder(categoryId, order) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to reorder categories');
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'categories', categoryId), {
+                order,
+                updatedAt: window.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error reordering category:', error);
+            throw new Error('Failed to reorder category');
+        }
+    }
+
+    // Archived categories leave the sidebar, but keep their posts and their name
+    async setCategoryArchived(categoryId, archived) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to archive categories');
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'categories', categoryId), {
+                archived,
+                updatedAt: window.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error archiving category:', error);
+            throw new Error(archived ? 'Failed to archive category' : 'Failed to restore category');
+        }
+    }
+
+    // Move every post of one category into another, then delete the emptied category and
+    // release its slug
+    async mergeCategories(sourceId, targetId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to merge categories');
+        }
+        if (sourceId === targetId) {
+            throw new Error('Choose a different category to merge into');
+        }
+
+        let source;
+        let target;
+        try {
+            const [sourceDoc, targetDoc] = await Promise.all([
+                window.getDoc(window.doc(this.db, 'categories', sourceId)),
+                window.getDoc(window.doc(this.db, 'categories', targetId))
+            ]);
+            source = sourceDoc.exists() ? sourceDoc.data() : null;
+            target = targetDoc.exists() ? targetDoc.data() : null;
+        } catch (error) {
+            console.error('Error loading categories to merge:', error);
+            throw new Error('Failed to merge categories');
+        }
+        if (!source || !target) {
+            throw new Error('Category not found');
+        }
+        // Private posts keep their text apart from the post, so they can't mix with other posts
+        if ((getCategoryVisibility(source) === 'private') !== (getCategoryVisibility(target) === 'private')) {
+            throw new Error('Private categories can only be merged with other private categories');
+        }
+
+        const movedCount = await this.moveCategoryPosts(sourceId, targetId, source.name, target.name);
+
+        try {
+            const batch = window.writeBatch(this.db);
+            batch.delete(window.doc(this.db, 'categories', sourceId));
+            if (source.slug) {
+                batch.delete(window.doc(this.db, 'categorySlugs', source.slug));
+            }
+            await batch.commit();
+        } catch (error) {
+            console.error('Error deleting merged category:', error);
+            throw new Error('Failed to merge categories');
+        }
+        return movedCount;
+    }
+
+    // Re-file a category's posts from one category name to another in batched writes. Each batch
+    // carries a move ticket (categoryMoves/{uid}) that the rules check against the categories
+    // involved, since the posts belong to other people. Returns the number of posts moved.
+    async moveCategoryPosts(categoryId, targetId, from, to) {
+        const ticketRef = window.doc(this.db, 'categoryMoves', this.currentUser.uid);
+        const postsQuery = window.query(
+            window.collection(this.db, 'posts'),
+            window.where('categoryId', '==', categoryId),
+            window.where('category', '==', from),
+            window.limit(CATEGORY_MOVE_BATCH_SIZE)
+        );
+        let movedCount = 0;
+
+        try {
+            let snapshot;
+            do {
+                snapshot = await window.getDocs(postsQuery);
+                if (snapshot.empty) break;
+
+                const batch = window.writeBatch(this.db);
+                batch.set(ticketRef, { categoryId, targetId, from, to });
+                snapshot.forEach((postDoc) => {
+                    batch.update(postDoc.ref, { category: to, categoryId: targetId });
+                });
+                await batch.commit();
+                movedCount += snapshot.size;
+            } while (snapshot.size === CATEGORY_MOVE_BATCH_SIZE);
+
+            await window.deleteDoc(ticketRef);
+            return movedCount;
+        } catch (error) {
+            console.error('Error moving category posts:', error);
+            throw new Error(`Failed to move posts to ${to}`);
+        }
+    }
+
+    // Owners appoint up to MAX_CATEGORY_MODERATORS moderators, who pin, hide and remove posts
+    // and invite or remove members
+    async setCategoryModerators(categoryId, userIds) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to appoint moderators');
+        }
+
+        const moderatorIds = Array.from(new Set(userIds)).filter(uid => uid && uid !== this.currentUser.uid);
+        if (moderatorIds.length > MAX_CATEGORY_MODERATORS) {
+            throw new Error(`A category can have up to ${MAX_CATEGORY_MODERATORS} moderators`);
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'categories', categoryId), {
+                moderatorIds,
+                updatedAt: window.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error updating moderators:', error);
+            throw new Error('Failed to update moderators');
+        }
+    }
+
+    // Invite someone to an invite-only or private category. They become a member once they
+    // accept, and are notified of the invitation.
+    async inviteToCategory(categoryId, userId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to invite members');
+        }
+
+        const memberRef = window.doc(this.db, 'categories', categoryId, 'members', userId);
+
+        try {
+            const memberDoc = await window.getDoc(memberRef);
+            if (memberDoc.exists()) {
+                throw new Error(memberDoc.data().status === 'member' ? 'Already a member' : 'Already invited');
+            }
+
+            await window.setDoc(memberRef, {
+                userId,
+                status: 'invited',
+                invitedBy: this.currentUser.uid,
+                createdAt: window.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error inviting member:', error);
+            throw new Error(['Already a member', 'Already invited'].includes(error.message) ? error.message : 'Failed to send invitation');
+        }
+
+        await this.notifyUsers('invite', [userId], { categoryId });
+    }
+
+    async acceptCategoryInvite(categoryId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to join categories');
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'categories', categoryId, 'members', this.currentUser.uid), {
+                status: 'member',
+                joinedAt: window.serverTimestamp()
+            });
+        } catch (error) {
+            console.error('Error accepting invitation:', error);
+            throw new Error('Failed to join category');
+        }
+    }
+
+    // Declining an invitation, leaving a category and a moderator removing someone all delete
+    // the membership; the current user's own by default
+    async removeCategoryMember(categoryId, userId = null) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to manage members');
+        }
+
+        try {
+            await window.deleteDoc(window.doc(this.db, 'categories', categoryId, 'members', userId || this.currentUser.uid));
+        } catch (error) {
+            console.error('Error removing member:', error);
+            throw new Error('Failed to remove member');
+        }
+    }
+
+    // Members and open invitations of one category, for its moderators and members
+    subscribeToCategoryMembers(categoryId, callback) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view members');
+        }
+
+        try {
+            return window.onSnapshot(window.collection(this.db, 'categories', categoryId, 'members'), (snapshot) => {
+                const members = [];
+                snapshot.forEach((doc) => {
+                    members.push({
+                        id: doc.id,
+                        ...doc.data()
+                    });
+                });
+                callback(members);
+            }, (error) => {
+                console.error('Error listening to members:', error);
+                callback([]);
+            });
+        } catch (error) {
+            console.error('Error subscribing to members:', error);
+            throw new Error('Failed to subscribe to members');
+        }
+    }
+
+    // The current user's memberships and invitations across categories, as a Map of category id
+    // to status
+    subscribeToMemberships(callback) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view memberships');
+        }
+
+        try {
+            const membershipsQuery = window.query(
+                window.collectionGroup(this.db, 'members'),
+                window.where('userId', '==', this.currentUser.uid)
+            );
+
+            return window.onSnapshot(membershipsQuery, (snapshot) => {
+                const memberships = new Map();
+                snapshot.forEach((doc) => {
+                    memberships.set(doc.ref.parent.parent.id, doc.data().status);
+                });
+                callback(memberships);
+            }, (error) => {
+                console.error('Error listening to memberships:', error);
+                callback(new Map());
+            });
+        } catch (error) {
+            console.error('Error subscribing to memberships:', error);
+            throw new Error('Failed to subscribe to memberships');
+        }
+    }
+
+    // Moderators pin posts to the top of their category, and hide posts from everyone but the
+    // author and the moderators
+    async setPostPinned(postId, pinned) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to moderate posts');
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'posts', postId), { pinned });
+        } catch (error) {
+            console.error('Error pinning post:', error);
+            throw new Error(pinned ? 'Failed to pin post' : 'Failed to unpin post');
+        }
+    }
+
+    async setPostHidden(postId, hidden) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to moderate posts');
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'posts', postId), { hidden });
+        } catch (error) {
+            console.error('Error hiding post:', error);
+            throw new Error(hidden ? 'Failed to hide post' : 'Failed to unhide post');
+        }
+    }
+
+    // A moderator removes a post for good, straight away; there's no undo as for the author.
+    // The post is hidden first, which lets the moderator clear its replies and reactions. Its
+    // attachment files stay in Storage, where only the author can delete them.
+    async removePost(postId) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to moderate posts');
+        }
+
+        try {
+            await window.updateDoc(window.doc(this.db, 'posts', postId), { hidden: true });
+            await this.deletePostDocuments(postId);
+        } catch (error) {
+            console.error('Error removing post:', error);
+            throw new Error('Failed to remove post');
+        }
+    }
+
+    // The pinned posts of a category, for the top of its feed
+    subscribeToPinnedPosts(categoryName, callback, limitCount = 10) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view posts');
+        }
+
+        try {
+            const pinnedQuery = window.query(
+                window.collection(this.db, 'posts'),
+                window.where('category', '==', categoryName),
+                window.where('pinned', '==', true),
+                window.limit(limitCount)
+            );
+
+            return window.onSnapshot(pinnedQuery, (snapshot) => {
+                const posts = [];
+                snapshot.forEach((doc) => {
+                    posts.push({
+                        id: doc.id,
+                        ...doc.data()
+                    });
+                });
+                callback(posts);
+            }, (error) => {
+                console.error('Error listening to pinned posts:', error);
+                callback([]);
+            });
+        } catch (error) {
+            console.error('Error subscribing to pinned posts:', error);
+            throw new Error('Failed to subscribe to pinned posts');
+        }
+    }
+
+    // Get all categories
+    async getCategories() {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view categories');
+        }
+
+        try {
+            const categoriesCollection = window.collection(this.db, 'categories');
+            const categoriesQuery = window.query(
+                categoriesCollection,
+                window.orderBy('createdAt', 'asc')
+            );
+
+            const snapshot = await window.getDocs(categoriesQuery);
+            const categories = [];
+            snapshot.forEach((doc) => {
+                categories.push({
+                    id: doc.id,
+                    ...doc.data()
+                });
+            });
+
+            return categories;
+        } catch (error) {
+            console.error('Error getting categories:', error);
+            throw new Error('Failed to get categories');
+        }
+    }
+
+    // Subscribe to categories with real-time updates
+    subscribeToCategories(callback) {
+        if (!this.currentUser) {
+            throw new Error('User must be authenticated to view categories');
+        }
+
+        try {
+            const categoriesCollection = window.collection(this.db, 'categories');
+            const categoriesQuery = window.query(
+                categoriesCollection,
+                window.orderBy('createdAt', 'asc')
+            );
+
+            // Return the unsubscribe function
+            return window.onSnapshot(categoriesQuery, (snapshot) => {
+                const categories = [];
+                snapshot.forEach((doc) => {
+                    categories.push({
+                        id: doc.id,
+                        ...doc.data()
+                    });
+                });
+                callback(categories);
+            }, (error) => {
+                console.error('Error listening to categories:', error);
+                callback([]);
+            });
+        } catch (error) {
+            console.error('Error subscribing to categories:', error);
+            throw new Error('Failed to subscribe to categories');
+        }
+    }
+
+    // Cleanup
+    destroy() {
+        if (this.authStateListener) {
+            this.authStateListener();
+        }
+        this.stopSessionMonitoring();
+        this.pendingPurges.forEach(timeoutId => clearTimeout(timeoutId));
+        this.pendingPurges.clear();
+    }
+}
+
+// Page renderer (updated for Firebase)
+class PageRenderer {
+    constructor(authManager) {
+        this.authManager = authManager;
+        this.container = document.getElementById('app-container');
+        this.selectedCategory = 'All';
+        this.selectedHashtag = null;
+        this.activeFeed = 'category';
+        this.categories = [];
+        this.editingCategoryId = null;
+        this.memberships = new Map();
+        this.categoryMembers = null;
+        this.followingIds = new Set();
+        this.ownReactions = new Set();
+        this.bookmarkIds = [];
+        this.postsUnsubscribe = null;
+        this.pinnedUnsubscribe = null;
+        this.categoriesUnsubscribe = null;
+        this.membershipsUnsubscribe = null;
+        this.followingUnsubscribe = null;
+        this.reactionsUnsubscribe = null;
+        this.bookmarksUnsubscribe = null;
+        this.conversationsUnsubscribe = null;
+        this.notificationsUnsubscribe = null;
+        this.detailsUnsubscribe = null;
+        this.notifications = [];
+        this.conversations = [];
+        this.unreadCounts = new Map();
+        this.currentConversationId = null;
+        this.currentMessages = null;
+        this.markedReadMessageId = null;
+        this.typingUsers = [];
+        this.typingSentAt = 0;
+        this.typingStopTimer = null;
+        this.typingIndicatorTimer = null;
+        this.postCooldownTimer = null;
+        this.selectedPostId = null;
+        this.replyTarget = null;
+        this.posts = [];
+        this.pinnedPosts = [];
+        this.postBodies = new Map();
+        this.pendingPostBodies = new Set();
+        this.profilePosts = [];
+        this.editingPostId = null;
+        this.editDraft = '';
+        this.pendingAttachments = [];
+        this.lightboxKeyListener = null;
+        this.currentThread = null;
+        this.profileCache = new Map();
+        this.pendingProfileIds = new Set();
+        this.currentProfileId = null;
+        this.linkPreviews = new Map();
+        this.pendingLinkPreviews = new Set();
+        this.searchResults = null;
+        this.searchGeneration = 0;
+        this.outbox = [];
+        this.outboxUnsubscribe = null;
+        this.pendingPostIds = new Set();
+        this.connectionListener = null;
+        // Keyed rendering: the markup each rendered card and category button was built from,
+        // and each post's card markup as long as neither the post nor anything else it shows
+        // has changed
+        this.renderedPosts = new Map();
+        this.renderedCategories = new Map();
+        this.postCards = new Map();
+        this.postHeights = new Map();
+        this.feedPosts = [];
+        this.feedWindow = null;
+        this.feedScrollFrame = null;
+        this.feedScrollListener = null;
+        this.pageSize = 50;
+        this.feedObserver = null;
+        this.resetFeedPages();
+    }
+
+    renderLoginPage(message = null) {
+        // Reset container style for auth pages
+        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
+        
+        this.container.innerHTML = html`
+            <div class="max-w-md w-full space-y-8">
+                <div>
+                    <h2 class="mt-6 text-center text-3xl font-bold text-gray-900">
+                        Sign in to your account
+                    </h2>
+                    <p class="mt-2 text-center text-sm text-gray-600">
+                        ActivityPub Authentication with Firebase
+                    </p>
+                </div>
+                
+                <div id="login-notice" class="text-custom-black text-sm p-3 bg-custom-pink border border-custom-grey ${message ? '' : 'hidden'}"></div>
+                
+                <form id="login-form" class="mt-8 space-y-6">
+                    <div class="space-y-4">
+                        <div>
+                            <label for="email" class="block text-sm font-medium text-gray-700">
+                                Email address
+                            </label>
+                            <input 
+                                id="email" 
+                                name="email" 
+                                type="email" 
+                                required 
+                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
+                                placeholder="Enter your email"
+                            >
+                        </div>
+                        
+                        <div>
+                            <label for="password" class="block text-sm font-medium text-gray-700">
+                                Password
+                            </label>
+                            <input 
+                                id="password" 
+                                name="password" 
+                                type="password" 
+                                required 
+                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
+                                placeholder="Enter your password"
+                            >
+                            <div class="mt-2 flex justify-end">
+                                <button 
+                                    type="button" 
+                                    id="go-to-reset"
+                                    class="text-sm text-gray-600 underline hover:text-black focus:outline-none"
+                                >
+                                    Forgot password?
+                                </button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div id="login-error" class="text-red-600 text-sm hidden"></div>
+                    <div id="login-loading" class="text-blue-600 text-sm hidden">Signing in...</div>
+
+                    <div class="space-y-4">
+                        <button 
+                            type="submit" 
+                            id="login-submit-btn"
+                            class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium text-white bg-black hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Sign in
+                        </button>
+                        
+                        <button 
+                            type="button" 
+                            id="go-to-signup"
+                            class="w-full flex justify-center py-2 px-4 border border-black text-sm font-medium text-black bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black"
+                        >
+                            Create new account
+                        </button>
+                    </div>
+                </form>
+                ${this.getOAuthButtonsHtml()}
+            </div>
+        `;
+
+        // Set as text: the message may quote user-facing values
+        if (message) {
+            document.getElementById('login-notice').textContent = message;
+        }
+
+        this.attachLoginEventListeners();
+    }
+
+    renderPasswordResetPage(email = '') {
+        // Reset container style for auth pages
+        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
+        
+        this.container.innerHTML = html`
+            <div class="max-w-md w-full space-y-8">
+                <div>
+                    <h2 class="mt-6 text-center text-3xl font-bold text-gray-900">
+                        Reset your password
+                    </h2>
+                    <p class="mt-2 text-center text-sm text-gray-600">
+                        We'll email you a link to choose a new password
+                    </p>
+                </div>
+                
+                <form id="reset-form" class="mt-8 space-y-6">
+                    <div>
+                        <label for="email" class="block text-sm font-medium text-gray-700">
+                            Email address
+                        </label>
+                        <input 
+                            id="email" 
+                            name="email" 
+                            type="email" 
+                            required 
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
+                            placeholder="Enter your email"
+                        >
+                    </div>
+
+                    <div id="reset-error" class="text-red-600 text-sm hidden"></div>
+                    <div id="reset-success" class="text-green-700 text-sm hidden"></div>
+                    <div id="reset-loading" class="text-blue-600 text-sm hidden">Sending reset link...</div>
+
+                    <div class="space-y-4">
+                        <button 
+                            type="submit" 
+                            id="reset-submit-btn"
+                            class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium text-white bg-black hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Send reset link
+                        </button>
+                        
+                        <button 
+                            type="button" 
+                            id="go-to-login"
+                            class="w-full flex justify-center py-2 px-4 border border-black text-sm font-medium text-black bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black"
+                        >
+                            Back to sign in
+                        </button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        document.getElementById('email').value = email;
+        this.attachPasswordResetEventListeners();
+    }
+
+    renderAccountSettings() {
+        const user = this.authManager.getCurrentUser();
+
+        if (!user) {
+            this.renderLoginPage();
+            return;
+        }
+
+        // Leaving the dashboard, so stop its live listeners
+        this.cleanup();
+
+        // Password and email changes re-authenticate with the password, so they need that provider
+        const linkedProviders = this.authManager.getLinkedProviders();
+        const hasPassword = linkedProviders.includes('password');
+
+        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
+        
+        this.container.innerHTML = html`
+            <div class="max-w-md w-full space-y-8">
+                <div>
+                    <h2 class="mt-6 text-center text-3xl font-bold text-custom-black">
+                        Account settings
+                    </h2>
+                    <p id="settings-email" class="mt-2 text-center text-sm text-custom-black break-words"></p>
+                </div>
+
+                <div class="bg-custom-white p-6 border border-custom-grey space-y-4">
+                    <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Sign-in methods</h3>
+                    <div class="space-y-2">
+                        ${['password', ...this.getOAuthProviders().map(provider => provider.id)].map(providerId => {
+                            const isLinked = linkedProviders.includes(providerId);
+                            const action = providerId === 'password'
+                                ? ''
+                                : isLinked
+                                    ? html`<button class="text-xs text-custom-black underline hover:opacity-80 disabled:opacity-50" data-unlink-provider="${providerId}" ${linkedProviders.length <= 1 ? 'disabled' : ''}>Unlink</button>`
+                                    : html`<button class="text-xs text-custom-black underline hover:opacity-80" data-link-provider="${providerId}">Link</button>`;
+                            return html`
+                                <div class="flex items-center justify-between">
+                                    <span class="text-sm text-custom-black">${this.getProviderLabel(providerId)}</span>
+                                    <div class="flex items-center space-x-3">
+                                        <span class="text-xs px-2 py-1 ${isLinked ? 'bg-custom-green' : 'bg-custom-pink'} text-custom-black">${isLinked ? 'Linked' : 'Not linked'}</span>
+                                        ${action}
+                                    </div>
+                                </div>
+                            `;
+                        })}
+                    </div>
+                    <div id="providers-error" class="text-red-600 text-sm hidden"></div>
+                </div>
+
+                ${hasPassword ? html`
+                <form id="change-password-form" class="bg-custom-white p-6 border border-custom-grey space-y-4">
+                    <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Change password</h3>
+                    <div>
+                        <label for="password-current" class="block text-sm font-medium text-custom-black">Current password</label>
+                        <input 
+                            id="password-current" 
+                            type="password" 
+                            required 
+                            autocomplete="current-password"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                        >
+                    </div>
+                    <div>
+                        <label for="password-new" class="block text-sm font-medium text-custom-black">New password</label>
+                        <input 
+                            id="password-new" 
+                            type="password" 
+                            required 
+                            autocomplete="new-password"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                            placeholder="6+ characters"
+                        >
+                    </div>
+                    <div>
+                        <label for="password-confirm" class="block text-sm font-medium text-custom-black">Confirm new password</label>
+                        <input 
+                            id="password-confirm" 
+                            type="password" 
+                            required 
+                            autocomplete="new-password"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                        >
+                    </div>
+                    <div id="password-error" class="text-red-600 text-sm hidden"></div>
+                    <div id="password-success" class="text-green-700 text-sm hidden"></div>
+                    <button 
+                        type="submit" 
+                        id="password-submit-btn"
+                        class="w-full flex justify-center py-2 px-4 text-sm font-medium text-custom-black bg-custom-green hover:opacity-80 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                    >
+                        Update password
+                    </button>
+                </form>
+
+                <form id="change-email-form" class="bg-custom-white p-6 border border-custom-grey space-y-4">
+                    <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Change email</h3>
+                    <div>
+                        <label for="email-new" class="block text-sm font-medium text-custom-black">New email address</label>
+                        <input 
+                            id="email-new" 
+                            type="email" 
+                            required 
+                            autocomplete="email"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                        >
+                    </div>
+                    <div>
+                        <label for="email-password" class="block text-sm font-medium text-custom-black">Current password</label>
+                        <input 
+                            id="email-password" 
+                            type="password" 
+                            required 
+                            autocomplete="current-password"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                        >
+                    </div>
+                    <div id="email-error" class="text-red-600 text-sm hidden"></div>
+                    <div id="email-success" class="text-green-700 text-sm hidden"></div>
+                    <button 
+                        type="submit" 
+                        id="email-submit-btn"
+                        class="w-full flex justify-center py-2 px-4 text-sm font-medium text-custom-black bg-custom-green hover:opacity-80 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                    >
+                        Send confirmation link
+                    </button>
+                </form>
+                ` : ''}
+
+                <button 
+                    type="button" 
+                    id="back-to-dashboard"
+                    class="w-full flex justify-center py-2 px-4 border border-custom-grey text-sm font-medium text-custom-black bg-custom-white hover:opacity-80 focus:outline-none transition-opacity"
+                >
+                    Back to dashboard
+                </button>
+            </div>
+        `;
+
+        document.getElementById('settings-email').textContent = user.email;
+        this.attachAccountSettingsEventListeners();
+    }
+
+    renderSignupPage() {
+        // Reset container style for auth pages
+        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
+        
+        this.container.innerHTML = html`
+            <div class="max-w-md w-full space-y-8">
+                <div>
+                    <h2 class="mt-6 text-center text-3xl font-bold text-gray-900">
+                        Create your account
+                    </h2>
+                    <p class="mt-2 text-center text-sm text-gray-600">
+                        ActivityPub Authentication with Firebase
+                    </p>
+                </div>
+                
+                <form id="signup-form" class="mt-8 space-y-6">
+                    <div class="space-y-4">
+                        <div>
+                            <label for="email" class="block text-sm font-medium text-gray-700">
+                                Email address
+                            </label>
+                            <input 
+                                id="email" 
+                                name="email" 
+                                type="email" 
+                                required 
+                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
+                                placeholder="Enter your email"
+                            >
+                        </div>
+                        
+                        <div>
+                            <label for="password" class="block text-sm font-medium text-gray-700">
+                                Password
+                            </label>
+                            <input 
+                                id="password" 
+                                name="password" 
+                                type="password" 
+                                required 
+                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
+                                placeholder="Create a password (6+ characters)"
+                            >
+                        </div>
+                        
+                        <div>
+                            <label for="confirm-password" class="block text-sm font-medium text-gray-700">
+                                Confirm Password
+                            </label>
+                            <input 
+                                id="confirm-password" 
+                                name="confirm-password" 
+                                type="password" 
+                                required 
+                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
+                                placeholder="Confirm your password"
+                            >
+                        </div>
+                    </div>
+
+                    <div id="signup-error" class="text-red-600 text-sm hidden"></div>
+                    <div id="signup-loading" class="text-blue-600 text-sm hidden">Creating account...</div>
+
+                    <div class="space-y-4">
+                        <button 
+                            type="submit" 
+                            id="signup-submit-btn"
+                            class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium text-white bg-black hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Create account
+                        </button>
+                        
+                        <button 
+                            type="button" 
+                            id="go-to-login"
+                            class="w-full flex justify-center py-2 px-4 border border-black text-sm font-medium text-black bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black"
+                        >
+                            Already have an account? Sign in
+                        </button>
+                    </div>
+                </form>
+                ${this.getOAuthButtonsHtml()}
+            </div>
+        `;
+
+        this.attachSignupEventListeners();
+    }
+
+    renderDashboard() {
+        const user = this.authManager.getCurrentUser();
+        
+        if (!user) {
+            this.renderLoginPage();
+            return;
+        }
+
+        // A fresh dashboard starts with fresh listeners and an empty Details panel
+        this.cleanup();
+        this.selectedPostId = null;
+        this.replyTarget = null;
+
+        // Update container to use full screen layout
+        this.container.className = "min-h-screen";
+        
+        this.container.innerHTML = html`
+            <div class="min-h-screen grid grid-cols-7 gap-6 p-6">
+                <!-- Sidebar (1 column) -->
+                <div class="col-span-1 bg-custom-white border border-custom-grey p-6 h-fit">
+                    <div class="space-y-6">
+                        <div class="flex items-center justify-between">
+                            <h1 class="text-2xl font-bold text-custom-blue">ssaavvee</h1>
+                            <button 
+                                id="notifications-btn"
+                                class="relative px-2 py-1 border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity"
+                                aria-label="Notifications"
+                            >
+                                🔔
+                                <span id="notifications-unread" class="hidden absolute -top-2 -right-2 text-xs px-1 bg-custom-pink text-custom-black"></span>
+                            </button>
+                        </div>
+
+                        <form id="search-form" role="search">
+                            <input 
+                                id="search-input" 
+                                type="search" 
+                                aria-label="Search"
+                                placeholder="Search posts, people, categories"
+                                maxlength="200"
+                                class="w-full px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white placeholder-custom-grey focus:outline-none"
+                            >
+                        </form>
+
+                        <div id="connection-status" role="status" class="flex items-center justify-between text-xs text-custom-black">
+                            <!-- Online or offline, and how many writes are waiting -->
+                        </div>
+
+                        <div id="outbox" class="hidden space-y-2">
+                            <div class="flex items-center justify-between">
+                                <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Outbox</h3>
+                                <button id="outbox-clear-btn" class="text-xs text-custom-black underline hover:opacity-80">Clear synced</button>
+                            </div>
+                            <div id="outbox-list" class="space-y-2">
+                                <!-- Posts and categories written offline are listed here -->
+                            </div>
+                        </div>
+                        
+                        <div class="space-y-3">
+                            <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Account</h3>
+                            <div class="bg-custom-white p-3 border border-custom-grey">
+                                <p class="text-sm text-custom-black break-words font-medium">${user.email}</p>
+                                <p class="text-xs text-custom-black mt-1">ID: ${user.uid.substring(0, 8)}...</p>
+                            </div>
+                            <div id="account-profile" class="space-y-2">
+                                <!-- Public profile summary is loaded here -->
+                            </div>
+                        </div>
+                        
+                        <div class="space-y-3">
+                            <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Categories</h3>
+                            <div class="space-y-2">
+                                <button 
+                                    id="category-all"
+                                    class="w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-blue hover:opacity-80 transition-opacity"
+                                >
+                                    All messages
+                                </button>
+                                <button 
+                                    id="category-following"
+                                    class="w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity"
+                                >
+                                    Following
+                                </button>
+                                <button 
+                                    id="category-bookmarks"
+                                    class="w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity"
+                                >
+                                    Bookmarks
+                                </button>
+                                <div id="categories-list" class="space-y-2">
+                                    <!-- Categories will be loaded here -->
+                                </div>
+                                <button 
+                                    id="add-category-btn"
+                                    class="w-full flex justify-center py-2 px-3 border border-custom-grey text-sm font-medium text-custom-black bg-custom-green hover:opacity-80 focus:outline-none transition-opacity"
+                                >
+                                    Manage Categories
+                                </button>
+                            </div>
+                        </div>
+                        
+                        <div class="space-y-3">
+                            <div class="flex items-center justify-between">
+                                <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Messages</h3>
+                                <span id="messages-unread" class="hidden text-xs px-2 py-0.5 bg-custom-pink text-custom-black"></span>
+                            </div>
+                            <div class="space-y-2">
+                                <div id="conversations-list" class="space-y-2">
+                                    <!-- Conversations will be loaded here -->
+                                </div>
+                                <button 
+                                    id="new-message-btn"
+                                    class="w-full flex justify-center py-2 px-3 border border-custom-grey text-sm font-medium text-custom-black bg-custom-green hover:opacity-80 focus:outline-none transition-opacity"
+                                >
+                                    + New Message
+                                </button>
+                            </div>
+                        </div>
+                        
+                        <div class="space-y-3">
+                            <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Session</h3>
+                            <div class="space-y-2">
+                                <label for="idle-timeout" class="block text-xs text-custom-black">Sign out after inactivity</label>
+                                <select 
+                                    id="idle-timeout"
+                                    class="w-full px-2 py-1 text-sm text-custom-black border border-custom-grey bg-custom-white focus:outline-none"
+                                >
+                                    ${this.getIdleTimeoutOptionsHtml()}
+                                </select>
+                                <button 
+                                    id="sign-out-everywhere-btn"
+                                    class="w-full flex justify-center py-2 px-3 border border-custom-grey text-xs font-medium text-custom-black bg-custom-white hover:opacity-80 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                                >
+                                    Sign out of all other devices
+                                </button>
+                                <div id="session-message" class="text-xs text-custom-black hidden"></div>
+                            </div>
+                        </div>
+                        
+                        <div class="space-y-2">
+                            <div class="flex items-center justify-between">
+                                <span class="text-xs text-custom-black">Email Verified</span>
+                                <span class="text-xs px-2 py-1 ${user.emailVerified ? 'bg-custom-green text-custom-black' : 'bg-custom-pink text-custom-black'}">${user.emailVerified ? 'Yes' : 'No'}</span>
+                            </div>
+                            ${user.emailVerified ? '' : html`
+                                <div class="flex items-center justify-between">
+                                    <button id="resend-verification-btn" class="text-xs text-custom-black underline hover:opacity-80 disabled:opacity-50">Resend verification</button>
+                                    <button id="refresh-verification-btn" class="text-xs text-custom-black underline hover:opacity-80">I've verified</button>
+                                </div>
+                                <div id="verification-message" class="text-xs text-custom-black hidden"></div>
+                            `}
+                            <div class="text-xs text-custom-black">
+                                <strong>Last Sign In:</strong><br>
+                                ${user.metadata.lastSignInTime ? new Date(user.metadata.lastSignInTime).toLocaleDateString() : 'N/A'}
+                            </div>
+                        </div>
+                        
+                        <button 
+                            id="account-settings-btn"
+                            class="w-full flex justify-center py-2 px-4 border border-custom-grey text-sm font-medium text-custom-black bg-custom-white hover:opacity-80 focus:outline-none transition-opacity"
+                        >
+                            Account settings
+                        </button>
+                        
+                        <button 
+                            id="logout-btn"
+                            class="w-full flex justify-center py-3 px-4 border border-custom-grey text-sm font-medium text-custom-black bg-custom-pink hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-pink disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                        >
+                            Logout
+                        </button>
+                    </div>
+                </div>
+
+                <!-- Feed Panel (3 columns) -->
+                <div class="col-span-3 bg-custom-white border border-custom-grey">
+                    <div class="h-full flex flex-col">
+                        <!-- Post Input Section -->
+                        <div class="p-6 border-b border-custom-grey">
+                            <form id="post-form" class="space-y-4">
+                                <div>
+                                    <label for="post-content" id="post-label" class="block text-sm font-semibold text-custom-black mb-3">
+                                        What's on your mind?
+                                    </label>
+                                    <textarea 
+                                        id="post-content" 
+                                        name="content" 
+                                        rows="3" 
+                                        class="w-full px-4 py-3 border border-custom-grey bg-custom-white focus:outline-none focus:ring-2 focus:ring-custom-grey focus:border-custom-grey resize-none placeholder-custom-grey text-custom-black transition-colors"
+                                        placeholder="Share something wonderful..."
+                                        maxlength="${MAX_POST_LENGTH}"
+                                    ></textarea>
+                                    <div id="attachment-list" class="hidden mt-3 flex flex-wrap gap-2"></div>
+                                    <progress id="upload-progress" max="100" value="0" class="hidden w-full h-1 mt-3"></progress>
+                                    <div class="flex justify-between items-center mt-3">
+                                        <div class="flex items-center space-x-4">
+                                            <span id="char-count" class="text-xs text-custom-black">0/${MAX_POST_LENGTH}</span>
+                                            <label for="post-attachments" class="text-xs text-custom-black underline cursor-pointer hover:opacity-80">Attach</label>
+                                            <input 
+                                                type="file" 
+                                                id="post-attachments" 
+                                                class="hidden" 
+                                                multiple 
+                                                accept="${[...IMAGE_TYPES, ...FILE_TYPES].join(',')}"
+                                            >
+                                        </div>
+                                        <button 
+                                            type="submit" 
+                                            id="post-submit-btn"
+                                            class="px-6 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-green disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                                        >
+                                            Post
+                                        </button>
+                                    </div>
+                                </div>
+                                <div id="post-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
+                                <div id="post-success" class="text-green-700 text-sm hidden p-3 bg-green-50 border border-green-200"></div>
+                            </form>
+                        </div>
+                        
+                        <!-- Feed Section -->
+                        <div id="feed-scroll" class="flex-1 overflow-y-auto">
+                            <div class="p-6">
+                                <h2 class="text-lg font-semibold text-custom-black mb-6 flex items-center">
+                                    <span class="w-2 h-2 bg-custom-blue mr-3"></span>
+                                    <span id="feed-title">Recent Posts</span>
+                                </h2>
+                                <div id="posts-spacer-before"></div>
+                                <div id="posts-container" class="space-y-4">
+                                    <div class="text-center text-custom-black py-8">
+                                        <div class="animate-spin h-8 w-8 border-b-2 border-custom-blue mx-auto mb-4"></div>
+                                        <p>Loading posts...</p>
+                                    </div>
+                                </div>
+                                <div id="posts-spacer-after"></div>
+                                <div id="posts-sentinel" class="pt-4 text-center hidden">
+                                    <button 
+                                        id="load-older-btn"
+                                        class="px-4 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                                    >
+                                        Load older posts
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Details Panel (3 columns) -->
+                <div id="details-panel" class="col-span-3 bg-custom-white border border-custom-grey p-6">
+                    ${this.getDetailsPlaceholderHtml()}
+                </div>
+            </div>
+        `;
+
+        this.attachDashboardEventListeners();
+        this.initializeFeed();
+        this.updatePostLabel();
+        this.loadOwnProfile();
+    }
+
+    getIdleTimeoutOptionsHtml() {
+        const current = this.authManager.getIdleTimeoutMinutes();
+        const choices = [15, 30, 60, 240, 0];
+        if (!choices.includes(current)) {
+            choices.unshift(current);
+        }
+
+        return choices.map(minutes => {
+            const label = minutes === 0
+                ? 'Never'
+                : minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+            return html`<option value="${minutes}" ${minutes === current ? 'selected' : ''}>${label}</option>`;
+        });
+    }
+
+    renderLoadingPage() {
+        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
+        
+        this.container.innerHTML = html`
+            <div class="max-w-md w-full space-y-8">
+                <div class="bg-custom-white p-8 border border-custom-grey">
+                    <div class="text-center">
+                        <div class="animate-spin h-12 w-12 border-b-2 border-custom-blue mx-auto"></div>
+                        <p class="mt-4 text-custom-black">Loading...</p>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    attachLoginEventListeners() {
+        const form = document.getElementById('login-form');
+        const goToSignup = document.getElementById('go-to-signup');
+        const errorDiv = document.getElementById('login-error');
+        const loadingDiv = document.getElementById('login-loading');
+        const submitBtn = document.getElementById('login-submit-btn');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const email = document.getElementById('email').value.trim();
+            const password = document.getElementById('password').value;
+
+            // Reset states
+            errorDiv.classList.add('hidden');
+            loadingDiv.classList.remove('hidden');
+            submitBtn.disabled = true;
+
+            try {
+                await this.authManager.authenticateUser(email, password);
+                // Auth state change will handle navigation
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.remove('hidden');
+                loadingDiv.classList.add('hidden');
+                submitBtn.disabled = false;
+            }
+        });
+
+        goToSignup.addEventListener('click', () => {
+            this.renderSignupPage();
+        });
+
+        this.attachOAuthEventListeners(errorDiv);
+
+        document.getElementById('go-to-reset').addEventListener('click', () => {
+            this.renderPasswordResetPage(document.getElementById('email').value.trim());
+        });
+    }
+
+    attachPasswordResetEventListeners() {
+        const form = document.getElementById('reset-form');
+        const errorDiv = document.getElementById('reset-error');
+        const successDiv = document.getElementById('reset-success');
+        const loadingDiv = document.getElementById('reset-loading');
+        const submitBtn = document.getElementById('reset-submit-btn');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const email = document.getElementById('email').value.trim();
+
+            // Reset states
+            errorDiv.classList.add('hidden');
+            successDiv.classList.add('hidden');
+
+            if (!this.isValidEmail(email)) {
+                errorDiv.textContent = 'Please enter a valid email address';
+                errorDiv.classList.remove('hidden');
+                return;
+            }
+
+            loadingDiv.classList.remove('hidden');
+            submitBtn.disabled = true;
+
+            try {
+                await this.authManager.sendPasswordReset(email);
+                // Worded the same whether or not the account exists
+                successDiv.textContent = 'If an account exists for that email, a reset link is on its way.';
+                successDiv.classList.remove('hidden');
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.remove('hidden');
+            } finally {
+                loadingDiv.classList.add('hidden');
+                submitBtn.disabled = false;
+            }
+        });
+
+        document.getElementById('go-to-login').addEventListener('click', () => {
+            this.renderLoginPage();
+        });
+    }
+
+    attachAccountSettingsEventListeners() {
+        const providersError = document.getElementById('providers-error');
+
+        // Link or unlink federated providers, then redraw to show the new state
+        this.container.querySelectorAll('[data-link-provider], [data-unlink-provider]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                providersError.classList.add('hidden');
+                btn.disabled = true;
+
+                try {
+                    if (btn.hasAttribute('data-link-provider')) {
+                        await this.authManager.linkProvider(btn.getAttribute('data-link-provider'));
+                    } else {
+                        await this.authManager.unlinkProvider(btn.getAttribute('data-unlink-provider'));
+                    }
+                    this.renderAccountSettings();
+                } catch (error) {
+                    providersError.textContent = error.message;
+                    providersError.classList.remove('hidden');
+                    btn.disabled = false;
+                }
+            });
+        });
+
+        document.getElementById('back-to-dashboard').addEventListener('click', () => {
+            this.renderDashboard();
+        });
+
+        if (!document.getElementById('change-password-form')) return;
+
+        const passwordForm = document.getElementById('change-password-form');
+        const passwordError = document.getElementById('password-error');
+        const passwordSuccess = document.getElementById('password-success');
+        const passwordSubmitBtn = document.getElementById('password-submit-btn');
+        const emailForm = document.getElementById('change-email-form');
+        const emailError = document.getElementById('email-error');
+        const emailSuccess = document.getElementById('email-success');
+        const emailSubmitBtn = document.getElementById('email-submit-btn');
+
+        passwordForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const currentPassword = document.getElementById('password-current').value;
+            const newPassword = document.getElementById('password-new').value;
+            const confirmPassword = document.getElementById('password-confirm').value;
+
+            // Reset states
+            passwordError.classList.add('hidden');
+            passwordSuccess.classList.add('hidden');
+
+            if (newPassword.length < 6) {
+                passwordError.textContent = 'Password must be at least 6 characters long';
+                passwordError.classList.remove('hidden');
+                return;
+            }
+
+            if (newPassword !== confirmPassword) {
+                passwordError.textContent = 'Passwords do not match';
+                passwordError.classList.remove('hidden');
+                return;
+            }
+
+            passwordSubmitBtn.disabled = true;
+
+            try {
+                await this.authManager.changePassword(currentPassword, newPassword);
+                passwordForm.reset();
+                passwordSuccess.textContent = 'Your password has been updated.';
+                passwordSuccess.classList.remove('hidden');
+            } catch (error) {
+                passwordError.textContent = error.message;
+                passwordError.classList.remove('hidden');
+            } finally {
+                passwordSubmitBtn.disabled = false;
+            }
+        });
+
+        emailForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const newEmail = document.getElementById('email-new').value.trim();
+            const currentPassword = document.getElementById('email-password').value;
+
+            // Reset states
+            emailError.classList.add('hidden');
+            emailSuccess.classList.add('hidden');
+
+            if (!this.isValidEmail(newEmail)) {
+                emailError.textContent = 'Please enter a valid email address';
+                emailError.classList.remove('hidden');
+                return;
+            }
+
+            emailSubmitBtn.disabled = true;
+
+            try {
+                await this.authManager.changeEmail(currentPassword, newEmail);
+                emailForm.reset();
+                emailSuccess.textContent = `We sent a confirmation link to ${newEmail}. Your email changes once you open it.`;
+                emailSuccess.classList.remove('hidden');
+            } catch (error) {
+                emailError.textContent = error.message;
+                emailError.classList.remove('hidden');
+            } finally {
+                emailSubmitBtn.disabled = false;
+            }
+        });
+    }
+
+    attachSignupEventListeners() {
+        const form = document.getElementById('signup-form');
+        const goToLogin = document.getElementById('go-to-login');
+        const errorDiv = document.getElementById('signup-error');
+        const loadingDiv = document.getElementById('signup-loading');
+        const submitBtn = document.getElementById('signup-submit-btn');
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const email = document.getElementById('email').value.trim();
+            const password = document.getElementById('password').value;
+            const confirmPassword = document.getElementById('confirm-password').value;
+
+            // Reset states
+            errorDiv.classList.add('hidden');
+
+            // Client-side validation
+            if (!this.isValidEmail(email)) {
+                errorDiv.textContent = 'Please enter a valid email address';
+                errorDiv.classList.remove('hidden');
+                return;
+            }
+
+            if (password.length < 6) {
+                errorDiv.textContent = 'Password must be at least 6 characters long';
+                errorDiv.classList.remove('hidden');
+                return;
+            }
+
+            if (password !== confirmPassword) {
+                errorDiv.textContent = 'Passwords do not match';
+                errorDiv.classList.remove('hidden');
+                return;
+            }
+
+            // Show loading state
+            loadingDiv.classList.remove('hidden');
+            submitBtn.disabled = true;
+
+            try {
+                await this.authManager.registerUser(email, password);
+                // Auth state change will handle navigation
+            } catch (error) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.remove('hidden');
+                loadingDiv.classList.add('hidden');
+                submitBtn.disabled = false;
+            }
+        });
+
+        goToLogin.addEventListener('click', () => {
+            this.renderLoginPage();
+        });
+
+        this.attachOAuthEventListeners(errorDiv);
+    }
+
+    getOAuthProviders() {
+        return [
+            { id: 'github.com', label: 'GitHub' },
+            { id: 'google.com', label: 'Google' }
+        ];
+    }
+
+    getProviderLabel(providerId) {
+        if (providerId === 'password') return 'Email and password';
+        const provider = this.getOAuthProviders().find(p => p.id === providerId);
+        return provider ? provider.label : providerId;
+    }
+
+    getOAuthButtonsHtml(providers = this.getOAuthProviders()) {
+        return html`
+            <div class="space-y-4">
+                <div class="flex items-center">
+                    <div class="flex-1 border-t border-gray-300"></div>
+                    <span class="px-3 text-sm text-gray-600">or</span>
+                    <div class="flex-1 border-t border-gray-300"></div>
+                </div>
+                ${providers.map(provider => html`
+                    <button 
+                        type="button" 
+                        data-oauth-provider="${provider.id}"
+                        class="w-full flex justify-center py-2 px-4 border border-black text-sm font-medium text-black bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Continue with ${provider.label}
+                    </button>
+                `)}
+            </div>
+        `;
+    }
+
+    attachOAuthEventListeners(errorDiv) {
+        this.container.querySelectorAll('[data-oauth-provider]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                errorDiv.classList.add('hidden');
+                btn.disabled = true;
+
+                try {
+                    await this.authManager.signInWithProvider(btn.getAttribute('data-oauth-provider'));
+                    // Auth state change will handle navigation
+                } catch (error) {
+                    if (error.code === 'auth/account-exists-with-different-credential') {
+                        this.renderAccountLinkPage(error);
+                        return;
+                    }
+                    errorDiv.textContent = error.message;
+                    errorDiv.classList.remove('hidden');
+                    btn.disabled = false;
+                }
+            });
+        });
+    }
+
+    // Merge prompt: the email already has an account, so sign in to it and link the new provider
+    renderAccountLinkPage(accountExistsError) {
+        const attemptedLabel = this.getProviderLabel(accountExistsError.providerId);
+        const knownMethods = accountExistsError.existingMethods || [];
+        const offerPassword = accountExistsError.email && (knownMethods.length === 0 || knownMethods.includes('password'));
+        const otherProviders = this.getOAuthProviders().filter(provider =>
+            provider.id !== accountExistsError.providerId &&
+            (knownMethods.length === 0 || knownMethods.includes(provider.id))
+        );
+
+        // Reset container style for auth pages
+        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
+        
+        this.container.innerHTML = html`
+            <div class="max-w-md w-full space-y-8">
+                <div>
+                    <h2 class="mt-6 text-center text-3xl font-bold text-gray-900">
+                        Link your accounts
+                    </h2>
+                    <p id="link-explanation" class="mt-2 text-center text-sm text-gray-600"></p>
+                </div>
+
+                ${offerPassword ? html`
+                    <form id="link-password-form" class="mt-8 space-y-6">
+                        <div>
+                            <label for="password" class="block text-sm font-medium text-gray-700">
+                                Password
+                            </label>
+                            <input 
+                                id="password" 
+                                name="password" 
+                                type="password" 
+                                required 
+                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
+                                placeholder="Enter your password"
+                            >
+                        </div>
+                        <button 
+                            type="submit" 
+                            id="link-submit-btn"
+                            class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium text-white bg-black hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Sign in and link ${attemptedLabel}
+                        </button>
+                    </form>
+                ` : ''}
+
+                ${otherProviders.length > 0 ? this.getOAuthButtonsHtml(otherProviders) : ''}
+
+                <div id="link-error" class="text-red-600 text-sm hidden"></div>
+
+                <button 
+                    type="button" 
+                    id="go-to-login"
+                    class="w-full flex justify-center py-2 px-4 border border-black text-sm font-medium text-black bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black"
+                >
+                    Cancel
+                </button>
+            </div>
+        `;
+
+        document.getElementById('link-explanation').textContent = accountExistsError.email
+            ? `${accountExistsError.email} already has an account. Sign in the way you did before and ${attemptedLabel} will be linked to it.`
+            : `This email already has an account. Sign in the way you did before and ${attemptedLabel} will be linked to it.`;
+
+        this.attachAccountLinkEventListeners(accountExistsError);
+    }
+
+    attachAccountLinkEventListeners(accountExistsError) {
+        const errorDiv = document.getElementById('link-error');
+        const passwordForm = document.getElementById('link-password-form');
+
+        const showError = (error) => {
+            // Signing in may already have swapped this page for the dashboard
+            if (document.body.contains(errorDiv)) {
+                errorDiv.textContent = error.message;
+                errorDiv.classList.remove('hidden');
+            } else {
+                alert(error.message);
+            }
+        };
+
+        if (passwordForm) {
+            const submitBtn = document.getElementById('link-submit-btn');
+
+            passwordForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                errorDiv.classList.add('hidden');
+                submitBtn.disabled = true;
+
+                try {
+                    await this.authManager.completeAccountLink(
+                        accountExistsError,
+                        'password',
+                        document.getElementById('password').value
+                    );
+                    // Auth state change will handle navigation
+                } catch (error) {
+                    showError(error);
+                    submitBtn.disabled = false;
+                }
+            });
+        }
+
+        this.container.querySelectorAll('[data-oauth-provider]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                errorDiv.classList.add('hidden');
+                btn.disabled = true;
+
+                try {
+                    await this.authManager.completeAccountLink(accountExistsError, btn.getAttribute('data-oauth-provider'));
+                } catch (error) {
+                    showError(error);
+                    btn.disabled = false;
+                }
+            });
+        });
+
+        document.getElementById('go-to-login').addEventListener('click', () => {
+            this.renderLoginPage();
+        });
+    }
+
+    attachDashboardEventListeners() {
+        const logoutBtn = document.getElementById('logout-btn');
+        const postForm = document.getElementById('post-form');
+        const postContent = document.getElementById('post-content');
+        const charCount = document.getElementById('char-count');
+        const postSubmitBtn = document.getElementById('post-submit-btn');
+        const postError = document.getElementById('post-error');
+        const postSuccess = document.getElementById('post-success');
+        const attachmentInput = document.getElementById('post-attachments');
+        const attachmentList = document.getElementById('attachment-list');
+        const uploadProgress = document.getElementById('upload-progress');
+        const addCategoryBtn = document.getElementById('add-category-btn');
+        const categoryAllBtn = document.getElementById('category-all');
+        const categoryFollowingBtn = document.getElementById('category-following');
+        const categoryBookmarksBtn = document.getElementById('category-bookmarks');
+        const postLabel = document.getElementById('post-label');
+        const postsContainer = document.getElementById('posts-container');
+        
+        // Logout functionality
+        logoutBtn.addEventListener('click', async () => {
+            try {
+                await this.authManager.logout();
+                // Auth state change will handle navigation
+            } catch (error) {
+                console.error('Logout error:', error);
+                // Force navigation even if logout fails
+                this.renderLoginPage();
+            }
+        });
+
+        // Account settings and email verification
+        document.getElementById('account-settings-btn').addEventListener('click', () => {
+            this.renderAccountSettings();
+        });
+
+        const resendVerificationBtn = document.getElementById('resend-verification-btn');
+        const refreshVerificationBtn = document.getElementById('refresh-verification-btn');
+        const verificationMessage = document.getElementById('verification-message');
+
+        if (resendVerificationBtn) {
+            resendVerificationBtn.addEventListener('click', async () => {
+                resendVerificationBtn.disabled = true;
+
+                try {
+                    await this.authManager.resendVerificationEmail();
+                    verificationMessage.textContent = 'Verification email sent. Check your inbox.';
+                    verificationMessage.className = 'text-xs text-custom-black';
+                } catch (error) {
+                    verificationMessage.textContent = error.message;
+                    verificationMessage.className = 'text-xs text-red-600';
+                } finally {
+                    resendVerificationBtn.disabled = false;
+                }
+            });
+
+            refreshVerificationBtn.addEventListener('click', async () => {
+                try {
+                    const verified = await this.authManager.refreshEmailVerification();
+                    if (verified) {
+                        this.renderDashboard();
+                        return;
+                    }
+                    verificationMessage.textContent = 'Your email is not verified yet.';
+                    verificationMessage.className = 'text-xs text-custom-black';
+                } catch (error) {
+                    verificationMessage.textContent = error.message;
+                    verificationMessage.className = 'text-xs text-red-600';
+                }
+            });
+        }
+
+        // Session settings
+        const idleTimeoutSelect = document.getElementById('idle-timeout');
+        const signOutEverywhereBtn = document.getElementById('sign-out-everywhere-btn');
+        const sessionMessage = document.getElementById('session-message');
+
+        idleTimeoutSelect.addEventListener('change', async () => {
+            try {
+                await this.authManager.updateIdleTimeout(Number(idleTimeoutSelect.value));
+            } catch (error) {
+                console.error('Error updating idle timeout:', error);
+            }
+        });
+
+        signOutEverywhereBtn.addEventListener('click', async () => {
+            if (!confirm('Sign out of ssaavvee on every other device?')) return;
+
+            signOutEverywhereBtn.disabled = true;
+            sessionMessage.classList.add('hidden');
+
+            try {
+                await this.authManager.signOutEverywhere();
+                sessionMessage.textContent = 'All other devices have been signed out.';
+                sessionMessage.className = 'text-xs text-custom-black';
+            } catch (error) {
+                sessionMessage.textContent = error.message;
+                sessionMessage.className = 'text-xs text-red-600';
+            } finally {
+                signOutEverywhereBtn.disabled = false;
+            }
+        });
+
+        // Category selection - All messages
+        categoryAllBtn.addEventListener('click', () => {
+            this.selectCategory('All');
+        });
+
+        // Following feed - posts from followed users only
+        categoryFollowingBtn.addEventListener('click', () => {
+            this.selectFollowingFeed();
+        });
+
+        // Bookmarks - the current user's saved posts
+        categoryBookmarksBtn.addEventListener('click', () => {
+            this.selectBookmarksFeed();
+        });
+
+        // Notifications
+        document.getElementById('notifications-btn').addEventListener('click', () => {
+            this.openNotifications();
+        });
+
+        // Search opens in the Details panel, where it can be narrowed down
+        document.getElementById('search-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.openSearch(document.getElementById('search-input').value);
+        });
+
+        // Category buttons are rebuilt as categories change, so one listener serves them all
+        document.getElementById('categories-list').addEventListener('click', (e) => {
+            const categoryBtn = e.target.closest('[data-category]');
+            if (categoryBtn) {
+                this.selectCategory(categoryBtn.getAttribute('data-category'));
+            }
+        });
+
+        // Outbox
+        document.getElementById('outbox-list').addEventListener('click', (e) => {
+            const actionBtn = e.target.closest('[data-outbox-action]');
+            if (actionBtn) {
+                this.handleOutboxAction(
+                    actionBtn.getAttribute('data-outbox-action'),
+                    actionBtn.closest('[data-outbox-id]').getAttribute('data-outbox-id')
+                );
+            }
+        });
+
+        document.getElementById('outbox-clear-btn').addEventListener('click', () => {
+            this.authManager.clearSyncedOutbox();
+        });
+
+        // Direct messages - opening a conversation, or starting one
+        document.getElementById('conversations-list').addEventListener('click', (e) => {
+            const conversationBtn = e.target.closest('[data-conversation-id]');
+            if (conversationBtn) {
+                this.openConversation(conversationBtn.getAttribute('data-conversation-id'));
+            }
+        });
+
+        document.getElementById('new-message-btn').addEventListener('click', () => {
+            this.openNewConversation();
+        });
+
+        // Category manager: create, edit, reorder, archive and merge categories
+        addCategoryBtn.addEventListener('click', () => {
+            this.openCategoryManager();
+        });
+
+        // Character counter for post content
+        postContent.addEventListener('input', () => {
+            const currentLength = postContent.value.length;
+            charCount.textContent = `${currentLength}/${MAX_POST_LENGTH}`;
+            
+            if (currentLength > MAX_POST_LENGTH - 50) {
+                charCount.className = 'text-xs text-red-600 font-medium';
+            } else if (currentLength > 350) {
+                charCount.className = 'text-xs text-custom-pink';
+            } else {
+                charCount.className = 'text-xs text-custom-black';
+            }
+        });
+
+        // Attachments are checked as they're picked, and prepared and uploaded with the post
+        attachmentInput.addEventListener('change', () => {
+            postError.classList.add('hidden');
+
+            try {
+                this.pendingAttachments = validateAttachments([...this.pendingAttachments, ...Array.from(attachmentInput.files)]);
+            } catch (error) {
+                postError.textContent = error.message;
+                postError.classList.remove('hidden');
+            }
+
+            // Cleared so picking the same file again still counts as a change
+            attachmentInput.value = '';
+            this.renderAttachmentList();
+        });
+
+        attachmentList.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-attachment]');
+            if (removeBtn) {
+                this.pendingAttachments.splice(Number(removeBtn.getAttribute('data-remove-attachment')), 1);
+                this.renderAttachmentList();
+            }
+        });
+
+        // Post form submission
+        postForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const content = postContent.value.trim();
+            
+            // Reset states
+            postError.classList.add('hidden');
+            postSuccess.classList.add('hidden');
+            
+            if (!content && this.pendingAttachments.length === 0) {
+                postError.textContent = 'Please enter some content to post';
+                postError.classList.remove('hidden');
+                return;
+            }
+
+            // Show loading state
+            postSubmitBtn.disabled = true;
+            postSubmitBtn.textContent = 'Posting...';
+            let retryAt = null;
+
+            try {
+                const category = this.getSelectedCategory();
+                if (category && !canPostInCategory(category, this.authManager.getCurrentUser().uid, this.memberships)) {
+                    throw new Error(`Only members can post in ${category.name}`);
+                }
+                const attachments = await prepareAttachments(this.pendingAttachments);
+                if (attachments.length > 0) {
+                    uploadProgress.value = 0;
+                    uploadProgress.classList.remove('hidden');
+                    postSubmitBtn.textContent = 'Uploading...';
+                }
+
+                const post = await this.authManager.createPost(content, category, attachments, (fraction) => {
+                    uploadProgress.value = Math.round(fraction * 100);
+                });
+                
+                // Success
+                postContent.value = '';
+                this.pendingAttachments = [];
+                this.renderAttachmentList();
+                charCount.textContent = `0/${MAX_POST_LENGTH}`;
+                charCount.className = 'text-xs text-custom-black';
+                postSuccess.textContent = post && post.queued
+                    ? 'You\'re offline. Your post will be sent when you reconnect.'
+                    : 'Post created successfully!';
+                postSuccess.classList.remove('hidden');
+                
+                // Hide success message after 3 seconds
+                setTimeout(() => {
+                    postSuccess.classList.add('hidden');
+                }, 3000);
+                retryAt = new Date(Date.now() + RATE_LIMITS.post.cooldownSeconds * 1000);
+                
+            } catch (error) {
+                postError.textContent = error.message;
+                postError.classList.remove('hidden');
+                retryAt = error.retryAt || null;
+            } finally {
+                uploadProgress.classList.add('hidden');
+                postSubmitBtn.disabled = false;
+                postSubmitBtn.textContent = 'Post';
+                if (retryAt) {
+                    this.startPostCooldown(retryAt);
+                }
+            }
+        });
+
+        // Post card actions and opening a post's conversation (delegated, cards are re-rendered live)
+        postsContainer.addEventListener('click', (e) => {
+            const imageBtn = e.target.closest('[data-image-index]');
+            if (imageBtn) {
+                const postId = imageBtn.closest('[data-post-id]').getAttribute('data-post-id');
+                this.openPostImage(this.posts.find(post => post.id === postId), imageBtn);
+                return;
+            }
+
+            const actionBtn = e.target.closest('[data-post-action]');
+            if (actionBtn) {
+                const card = actionBtn.closest('[data-post-id]');
+                this.handlePostAction(
+                    actionBtn.getAttribute('data-post-action'),
+                    card.getAttribute('data-post-id'),
+                    actionBtn.getAttribute('data-reaction')
+                );
+                return;
+            }
+
+            const authorBtn = e.target.closest('[data-author-id]');
+            if (authorBtn) {
+                this.openProfile(authorBtn.getAttribute('data-author-id'));
+                return;
+            }
+
+            if (this.handleContentClick(e.target)) return;
+            if (e.target.closest('a, button, textarea')) return;
+
+            // Posts that were deleted or never reached the server have no thread
+            const card = e.target.closest('[data-post-id]');
+            if (card && !card.hasAttribute('data-deleted') && !card.hasAttribute('data-unsent')) {
+                this.openThread(card.getAttribute('data-post-id'));
+            }
+        });
+
+        // Keep the in-place edit draft so live re-renders don't lose it
+        postsContainer.addEventListener('input', (e) => {
+            if (e.target.id === 'edit-post-content') {
+                this.editDraft = e.target.value;
+            }
+        });
+    }
+
+    async handlePostAction(action, postId, reactionType = null) {
+        const post = this.posts.find(p => p.id === postId);
+
+        try {
+            switch (action) {
+                case 'edit':
+                    this.editingPostId = postId;
+                    this.editDraft = post ? post.content : '';
+                    this.renderFeed();
+                    break;
+                case 'cancel-edit':
+                    this.editingPostId = null;
+                    this.editDraft = '';
+                    this.renderFeed();
+                    break;
+                case 'save-edit':
+                    if (!this.editDraft.trim()) {
+                        alert('Post content cannot be empty');
+                        return;
+                    }
+                    await this.authManager.updatePost(postId, this.editDraft);
+                    this.editingPostId = null;
+                    this.editDraft = '';
+                    this.renderFeed();
+                    break;
+                case 'delete':
+                    if (this.editingPostId === postId) {
+                        this.editingPostId = null;
+                    }
+                    if (this.selectedPostId === postId) {
+                        this.closeDetails();
+                    }
+                    await this.authManager.softDeletePost(postId);
+                    break;
+                case 'undo-delete':
+                    await this.authManager.restorePost(postId);
+                    break;
+                case 'history':
+                    this.openRevisions(postId);
+                    break;
+                case 'follow':
+                case 'unfollow':
+                    if (post) await this.toggleFollow(post.userId);
+                    break;
+                case 'react':
+                    await this.authManager.toggleReaction(postId, reactionType);
+                    break;
+                case 'bookmark':
+                    await this.authManager.toggleBookmark(postId);
+                    break;
+                case 'pin':
+                    if (post) await this.authManager.setPostPinned(postId, !post.pinned);
+                    break;
+                case 'hide':
+                    if (post) await this.authManager.setPostHidden(postId, !post.hidden);
+                    break;
+                case 'remove':
+                    if (!confirm('Remove this post for everyone? This cannot be undone.')) return;
+                    if (this.selectedPostId === postId) {
+                        this.closeDetails();
+                    }
+                    await this.authManager.removePost(postId);
+                    break;
+                case 'retry-sync':
+                    await this.authManager.retryOutboxEntry(postId);
+                    break;
+                case 'discard-sync':
+                    this.authManager.dismissOutboxEntry(postId);
+                    break;
+            }
+        } catch (error) {
+            console.error('Error handling post action:', error);
+            alert(error.message);
+        }
+    }
+
+    initializeFeed() {
+        const postsContainer = document.getElementById('posts-container');
+        
+        try {
+            // Subscribe to real-time posts updates
+            this.subscribeToFeed();
+            this.observeFeedEnd();
+
+            // Finish any deletions whose undo window ran out while the app was closed
+            this.authManager.purgeExpiredDeletions();
+
+            // Keep the set of followed users current for follow buttons and the Following feed
+            this.followingUnsubscribe = this.authManager.subscribeToFollowing((followeeIds) => {
+                this.handleFollowingChange(followeeIds);
+            });
+
+            // The user's own reactions and bookmarks, to highlight them and for the Bookmarks view
+            this.reactionsUnsubscribe = this.authManager.subscribeToOwnReactions((keys) => {
+                this.ownReactions = keys;
+                this.renderFeed();
+            });
+            this.bookmarksUnsubscribe = this.authManager.subscribeToBookmarks((postIds) => {
+                this.handleBookmarksChange(postIds);
+            });
+
+            // Notifications for the bell's unread badge and the notification list
+            this.notificationsUnsubscribe = this.authManager.subscribeToNotifications((notifications) => {
+                this.handleNotificationsChange(notifications);
+            });
+
+            // Writes made offline, and the connection they're waiting for
+            this.outboxUnsubscribe = this.authManager.subscribeToOutbox((outbox) => {
+                this.handleOutboxChange(outbox);
+            });
+            this.connectionListener = () => this.renderConnectionStatus();
+            window.addEventListener('online', this.connectionListener);
+            window.addEventListener('offline', this.connectionListener);
+
+            // A long feed scrolls in its own column on wide screens and with the page otherwise
+            this.feedScrollListener = () => this.handleFeedScroll();
+            document.getElementById('feed-scroll').addEventListener('scroll', this.feedScrollListener, { passive: true });
+            window.addEventListener('scroll', this.feedScrollListener, { passive: true });
+
+            // Conversations for the Messages list and its unread counts
+            this.conversationsUnsubscribe = this.authManager.subscribeToConversations((conversations) => {
+                this.handleConversationsChange(conversations);
+            });
+
+            // Memberships decide which private categories are listed and where the user can post
+            this.membershipsUnsubscribe = this.authManager.subscribeToMemberships((memberships) => {
+                this.handleMembershipsChange(memberships);
+            });
+
+            // Subscribe to categories updates
+            this.categoriesUnsubscribe = this.authManager.subscribeToCategories((categories) => {
+                this.handleCategoriesChange(categories);
+            });
+        } catch (error) {
+            console.error('Error initializing feed:', error);
+            postsContainer.innerHTML = html`
+                <div class="text-center text-red-600 py-8">
+                    <div class="w-12 h-12 bg-red-100 mx-auto mb-4 flex items-center justify-center">
+                        <div class="w-6 h-6 bg-red-400"></div>
+                    </div>
+                    <p>Error loading posts. Please try refreshing the page.</p>
+                </div>
+            `;
+        }
+    }
+
+    // Category management methods
+    selectCategory(categoryName) {
+        this.selectedCategory = categoryName;
+        this.selectedHashtag = null;
+        this.activeFeed = 'category';
+        this.updatePostLabel();
+        this.updateCategorySelection();
+        this.refreshFeed();
+    }
+
+    // Following isn't a category, so posts written from it go to General like "All messages"
+    selectFollowingFeed() {
+        this.selectedCategory = 'All';
+        this.selectedHashtag = null;
+        this.activeFeed = 'following';
+        this.updatePostLabel();
+        this.updateCategorySelection();
+        this.refreshFeed();
+    }
+
+    selectBookmarksFeed() {
+        this.selectedCategory = 'All';
+        this.selectedHashtag = null;
+        this.activeFeed = 'bookmarks';
+        this.updatePostLabel();
+        this.updateCategorySelection();
+        this.refreshFeed();
+    }
+
+    // Hashtags filter the feed like a category does; posts written from it go to General too
+    selectHashtag(tag) {
+        this.selectedCategory = 'All';
+        this.selectedHashtag = tag;
+        this.activeFeed = 'hashtag';
+        this.updatePostLabel();
+        this.updateCategorySelection();
+        this.refreshFeed();
+    }
+
+    // What the category and hashtag feeds pass to the posts query
+    getFeedFilter() {
+        return this.activeFeed === 'hashtag' ? { hashtag: this.selectedHashtag } : this.selectedCategory;
+    }
+
+    updatePostLabel() {
+        const postLabel = document.getElementById('post-label');
+        if (postLabel) {
+            const category = this.getSelectedCategory();
+            if (this.selectedCategory === 'All') {
+                postLabel.textContent = "What's on your mind?";
+            } else if (category && !canPostInCategory(category, this.authManager.getCurrentUser().uid, this.memberships)) {
+                postLabel.textContent = `Only members can post in ${this.selectedCategory}`;
+            } else {
+                postLabel.textContent = `Share in ${this.selectedCategory}`;
+            }
+        }
+    }
+
+    // The category new posts go to; null for General
+    getSelectedCategory() {
+        if (this.selectedCategory === 'All') return null;
+        return this.categories.find(({ name }) => name === this.selectedCategory) || null;
+    }
+
+    updateCategorySelection() {
+        // Update visual selection of categories
+        const categoryAllBtn = document.getElementById('category-all');
+        const categoryFollowingBtn = document.getElementById('category-following');
+        const categoryBookmarksBtn = document.getElementById('category-bookmarks');
+        const categoryButtons = document.querySelectorAll('.category-btn');
+        const feedTitle = document.getElementById('feed-title');
+
+        if (feedTitle) {
+            if (this.activeFeed === 'hashtag') {
+                feedTitle.textContent = `Posts tagged #${this.selectedHashtag}`;
+            } else if (this.activeFeed === 'bookmarks') {
+                feedTitle.textContent = 'Bookmarks';
+            } else {
+                feedTitle.textContent = 'Recent Posts';
+            }
+        }
+        
+        // Reset all buttons
+        if (categoryAllBtn) {
+            categoryAllBtn.className = "w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity";
+        }
+        if (categoryFollowingBtn) {
+            categoryFollowingBtn.className = "w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity";
+        }
+        if (categoryBookmarksBtn) {
+            categoryBookmarksBtn.className = "w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity";
+        }
+        categoryButtons.forEach(btn => {
+            btn.className = "category-btn w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity";
+        });
+
+        // Highlight selected category; a hashtag feed has no button of its own
+        if (this.activeFeed === 'following') {
+            if (categoryFollowingBtn) {
+                categoryFollowingBtn.className = "w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-blue hover:opacity-80 transition-opacity";
+            }
+        } else if (this.activeFeed === 'bookmarks') {
+            if (categoryBookmarksBtn) {
+                categoryBookmarksBtn.className = "w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-blue hover:opacity-80 transition-opacity";
+            }
+        } else if (this.activeFeed === 'category' && this.selectedCategory === 'All') {
+            if (categoryAllBtn) {
+                categoryAllBtn.className = "w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-blue hover:opacity-80 transition-opacity";
+            }
+        } else if (this.activeFeed === 'category') {
+            // Compared as attributes rather than a selector, since names can hold any character
+            const selectedBtn = Array.from(categoryButtons)
+                .find(btn => btn.getAttribute('data-category') === this.selectedCategory);
+            if (selectedBtn) {
+                selectedBtn.className = "category-btn w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-blue hover:opacity-80 transition-opacity";
+            }
+        }
+    }
+
+    refreshFeed() {
+        // Unsubscribe from current posts subscription
+        if (this.postsUnsubscribe) {
+            this.postsUnsubscribe();
+        }
+
+        // Subscribe to posts with new category filter
+        try {
+            this.subscribeToFeed();
+        } catch (error) {
+            console.error('Error refreshing feed:', error);
+        }
+    }
+
+    // Feed pagination: the newest page and every older page loaded after it are live, each
+    // listening from the cursor it was loaded at. Posts newer ones push off the live page are
+    // followed by the gap page, which runs from the live page's end to gapEnd, where the live
+    // page ended before anything was pushed off.
+    resetFeedPages() {
+        if (this.olderPages) {
+            this.olderPages.forEach(page => page.unsubscribe && page.unsubscribe());
+        }
+        if (this.gapPage && this.gapPage.unsubscribe) {
+            this.gapPage.unsubscribe();
+        }
+        this.livePosts = [];
+        this.liveLoaded = false;
+        this.gapPage = null;
+        this.gapEnd = null;
+        this.olderPages = [];
+        this.liveCursor = null;
+        this.olderCursor = null;
+        this.liveHasMore = false;
+        this.olderHasMore = true;
+        this.loadingOlder = false;
+        this.feedGeneration = (this.feedGeneration || 0) + 1;
+    }
+
+    subscribeToFeed() {
+        this.resetFeedPages();
+        this.subscribeToPinnedPosts();
+
+        if (this.activeFeed === 'following') {
+            this.postsUnsubscribe = this.authManager.subscribeToFollowingPosts(Array.from(this.followingIds), (posts, page) => {
+                this.handleLivePage(posts, page);
+            }, this.pageSize);
+            return;
+        }
+
+        // Every bookmark is loaded at once, so there are no older pages
+        if (this.activeFeed === 'bookmarks') {
+            this.postsUnsubscribe = this.authManager.subscribeToBookmarkedPosts(this.bookmarkIds, (posts) => {
+                this.handleLivePage(posts, null);
+            });
+            return;
+        }
+
+        this.postsUnsubscribe = this.authManager.subscribeToPosts((posts, page) => {
+            this.handleLivePage(posts, page);
+        }, this.getFeedFilter(), this.pageSize);
+    }
+
+    // A category's pinned posts lead its feed
+    subscribeToPinnedPosts() {
+        if (this.pinnedUnsubscribe) {
+            this.pinnedUnsubscribe();
+            this.pinnedUnsubscribe = null;
+        }
+        this.pinnedPosts = [];
+
+        if (this.activeFeed !== 'category' || this.selectedCategory === 'All') return;
+        this.pinnedUnsubscribe = this.authManager.subscribeToPinnedPosts(this.selectedCategory, (posts) => {
+            this.pinnedPosts = posts;
+            this.renderFeed();
+        });
+    }
+
+    handleLivePage(posts, page) {
+        // Posts pushed off a full live page by newer ones move to the gap page, anything else
+        // that vanished from it was removed
+        const oldestLive = posts.length > 0 ? this.getPostTime(posts[posts.length - 1]) : Infinity;
+        const liveIds = new Set(posts.map(post => post.id));
+        const pushedOff = this.livePosts.filter(post =>
+            this.liveHasMore && !liveIds.has(post.id) && this.getPostTime(post) <= oldestLive);
+        if (pushedOff.length > 0 && !this.gapEnd) {
+            this.gapEnd = this.liveCursor;
+        }
+
+        // Only the posts the snapshot added, modified or removed, and those whose write just
+        // reached the server (or was just made), need their cards rebuilt. Without a list of
+        // changes, any of them may have.
+        const pendingIds = new Set(page && page.pendingIds ? page.pendingIds : []);
+        let changedIds = null;
+        if (page && page.changes) {
+            changedIds = new Set(page.changes.map(change => change.id));
+            pendingIds.forEach(id => { if (!this.pendingPostIds.has(id)) changedIds.add(id); });
+            this.pendingPostIds.forEach(id => { if (!pendingIds.has(id)) changedIds.add(id); });
+        }
+        const unchanged = this.liveLoaded && changedIds && changedIds.size === 0;
+
+        this.livePosts = posts;
+        this.liveLoaded = true;
+        this.liveCursor = page ? page.lastVisible : null;
+        this.liveHasMore = page ? page.hasMore : false;
+        this.pendingPostIds = pendingIds;
+        if (pushedOff.length > 0) {
+            this.subscribeToGap(pushedOff);
+        }
+        if (!unchanged) {
+            this.renderFeed(changedIds);
+        }
+    }
+
+    // Follow the posts between the live page's end and gapEnd, again each time the live page's
+    // end moves. Until the new page's first snapshot, the previous one's posts and those just
+    // pushed off stand in for it.
+    subscribeToGap(pushedOff) {
+        const generation = this.feedGeneration;
+        const previous = this.gapPage;
+        if (previous && previous.unsubscribe) {
+            previous.unsubscribe();
+        }
+        const gapPage = { posts: [...(previous ? previous.posts : []), ...pushedOff], unsubscribe: null };
+        this.gapPage = gapPage;
+
+        const handlePage = (posts, page) => {
+            if (generation !== this.feedGeneration || gapPage !== this.gapPage) return;
+
+            const unchanged = page.changes && page.changes.length === 0;
+            gapPage.posts = posts;
+            if (!unchanged) {
+                this.renderFeed(page.changes ? new Set(page.changes.map(change => change.id)) : null);
+            }
+        };
+
+        try {
+            gapPage.unsubscribe = this.activeFeed === 'following'
+                ? this.authManager.subscribeToFollowingPosts(Array.from(this.followingIds), handlePage, this.pageSize, this.liveCursor, this.gapEnd)
+                : this.authManager.subscribeToPosts(handlePage, this.getFeedFilter(), this.pageSize, this.liveCursor, this.gapEnd);
+        } catch (error) {
+            console.error('Error following posts pushed off the feed:', error);
+        }
+    }
+
+    loadOlderPosts() {
+        const cursor = this.olderCursor || this.gapEnd || this.liveCursor;
+        if (this.loadingOlder || !cursor || !this.hasOlderPosts()) return;
+
+        const generation = this.feedGeneration;
+        const olderPage = { posts: [], loaded: false, unsubscribe: null };
+        this.olderPages.push(olderPage);
+        this.loadingOlder = true;
+        this.updateFeedSentinel();
+
+        const handlePage = (posts, page) => {
+            // The category may have changed since the page was asked for
+            if (generation !== this.feedGeneration) return;
+
+            const unchanged = olderPage.loaded && page.changes && page.changes.length === 0;
+            olderPage.posts = posts;
+            // Only the oldest page says where the next one starts
+            if (olderPage === this.olderPages[this.olderPages.length - 1]) {
+                this.olderCursor = page.lastVisible;
+                this.olderHasMore = page.hasMore;
+            }
+            if (!olderPage.loaded) {
+                olderPage.loaded = true;
+                this.loadingOlder = false;
+                this.updateFeedSentinel();
+            }
+            if (!unchanged) {
+                this.renderFeed(page.changes ? new Set(page.changes.map(change => change.id)) : null);
+            }
+        };
+
+        try {
+            olderPage.unsubscribe = this.activeFeed === 'following'
+                ? this.authManager.subscribeToFollowingPosts(Array.from(this.followingIds), handlePage, this.pageSize, cursor)
+                : this.authManager.subscribeToPosts(handlePage, this.getFeedFilter(), this.pageSize, cursor);
+        } catch (error) {
+            console.error('Error loading older posts:', error);
+            this.olderPages.pop();
+            this.loadingOlder = false;
+            this.updateFeedSentinel();
+        }
+    }
+
+    hasOlderPosts() {
+        return this.olderCursor ? this.olderHasMore : this.liveHasMore;
+    }
+
+    // Merge the live page with older pages, newest first and without duplicates. A post
+    // deleted from an older page pulls the next one up into it, so pages can overlap.
+    //
+    // Snapshots pass the ids of the posts they changed, and only those cards are rebuilt.
+    // Everything else that calls this may have changed what any card shows (a profile, a
+    // category, a bookmark), so every card is.
+    renderFeed(changedIds = null) {
+        if (changedIds) {
+            changedIds.forEach(id => this.postCards.delete(id));
+        } else {
+            this.postCards.clear();
+        }
+
+        const merged = new Map();
+        if (this.gapPage) {
+            this.gapPage.posts.forEach(post => merged.set(post.id, post));
+        }
+        this.olderPages.forEach(page => page.posts.forEach(post => merged.set(post.id, post)));
+        this.livePosts.forEach(post => merged.set(post.id, post));
+        this.getUnsentOutboxPosts().forEach(post => {
+            if (!merged.has(post.id)) merged.set(post.id, post);
+        });
+
+        // Bookmarks are listed in the order they were saved
+        let posts = Array.from(merged.values());
+        if (this.activeFeed === 'bookmarks') {
+            posts.sort((a, b) => this.bookmarkIds.indexOf(a.id) - this.bookmarkIds.indexOf(b.id));
+        } else {
+            posts.sort((a, b) => this.getPostTime(b) - this.getPostTime(a));
+        }
+
+        if (this.pinnedPosts.length > 0) {
+            const pinnedIds = new Set(this.pinnedPosts.map(post => post.id));
+            const pinned = [...this.pinnedPosts].sort((a, b) => this.getPostTime(b) - this.getPostTime(a));
+            posts = [...pinned, ...posts.filter(post => !pinnedIds.has(post.id))];
+        }
+
+        this.preserveScrollPosition(() => this.renderPosts(posts));
+        this.updateFeedSentinel();
+    }
+
+    getPostTime(post) {
+        // Pending server timestamps are null until the write lands; treat them as "now"
+        return post.createdAt?.toMillis ? post.createdAt.toMillis() : Date.now();
+    }
+
+    // The feed scrolls in its own column when that overflows, and with the page otherwise
+    getFeedScroller() {
+        const feedScroll = document.getElementById('feed-scroll');
+        return feedScroll && feedScroll.scrollHeight > feedScroll.clientHeight
+            ? feedScroll
+            : document.scrollingElement;
+    }
+
+    // Keep the first visible post where it is on screen when the feed re-renders above it
+    preserveScrollPosition(render) {
+        const feedScroll = document.getElementById('feed-scroll');
+        const scroller = this.getFeedScroller();
+        const viewportTop = scroller === feedScroll ? feedScroll.getBoundingClientRect().top : 0;
+
+        let anchorId = null;
+        let anchorTop = 0;
+        if (scroller && scroller.scrollTop > 0) {
+            const anchor = Array.from(document.querySelectorAll('#posts-container [data-post-id]'))
+                .find(card => card.getBoundingClientRect().bottom > viewportTop);
+            if (anchor) {
+                anchorId = anchor.getAttribute('data-post-id');
+                anchorTop = anchor.getBoundingClientRect().top;
+            }
+        }
+
+        render();
+
+        if (anchorId) {
+            const anchor = Array.from(document.querySelectorAll('#posts-container [data-post-id]'))
+                .find(card => card.getAttribute('data-post-id') === anchorId);
+            if (anchor) {
+                scroller.scrollTop += anchor.getBoundingClientRect().top - anchorTop;
+            }
+        }
+    }
+
+    // Load the next page when the end of the feed scrolls into view
+    observeFeedEnd() {
+        const sentinel = document.getElementById('posts-sentinel');
+        const loadOlderBtn = document.getElementById('load-older-btn');
+        if (!sentinel) return;
+
+        loadOlderBtn.addEventListener('click', () => {
+            this.loadOlderPosts();
+        });
+
+        if (this.feedObserver) {
+            this.feedObserver.disconnect();
+        }
+
+        if ('IntersectionObserver' in window) {
+            this.feedObserver = new IntersectionObserver((entries) => {
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadOlderPosts();
+                }
+            }, { rootMargin: '400px' });
+            this.feedObserver.observe(sentinel);
+        }
+    }
+
+    updateFeedSentinel() {
+        const sentinel = document.getElementById('posts-sentinel');
+        const loadOlderBtn = document.getElementById('load-older-btn');
+        if (!sentinel) return;
+
+        sentinel.classList.toggle('hidden', !this.hasOlderPosts());
+        loadOlderBtn.disabled = this.loadingOlder;
+        loadOlderBtn.textContent = this.loadingOlder ? 'Loading...' : 'Load older posts';
+    }
+
+    handleCategoriesChange(categories) {
+        const uid = this.authManager.getCurrentUser().uid;
+        const selected = this.activeFeed === 'category'
+            ? this.categories.find(({ name }) => name === this.selectedCategory)
+            : null;
+        this.categories = sortCategories(categories);
+
+        // Follow the selected category through a rename, and leave it once it's archived, merged
+        // away or private to the user
+        if (selected) {
+            const current = this.categories.find(({ id }) => id === selected.id);
+            if (!current || current.archived || !canReadCategory(current, uid, this.memberships)) {
+                this.selectCategory('All');
+            } else if (current.name !== selected.name) {
+                this.selectCategory(current.name);
+            }
+        }
+
+        this.updatePostLabel();
+        this.renderCategories();
+        this.renderCategoryManager();
+        this.renderCategoryMembers();
+
+        // Post badges take their category's color, and who can read a post depends on its category
+        this.renderFeed();
+        if (this.currentThread && document.getElementById('thread-container')) {
+            this.renderThread(this.currentThread);
+        }
+        this.renderProfilePosts(this.profilePosts);
+    }
+
+    handleMembershipsChange(memberships) {
+        this.memberships = memberships;
+        this.handleCategoriesChange(this.categories);
+    }
+
+    // Private categories are only listed for their members
+    renderCategories() {
+        const categoriesList = document.getElementById('categories-list');
+        if (!categoriesList) return;
+
+        const uid = this.authManager.getCurrentUser().uid;
+        const categories = this.categories.filter(category =>
+            !category.archived && canReadCategory(category, uid, this.memberships)
+        );
+
+        // Only buttons whose category changed are rebuilt; clicks are handled on the list
+        reconcileKeyedList(categoriesList, categories.map(category => ({
+            key: category.id,
+            markup: html`
+                <button 
+                    class="category-btn w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity"
+                    data-category-id="${category.id}"
+                    data-category="${category.name}"
+                    title="${category.description || ''}"
+                >
+                    <span class="inline-block w-2 h-2 mr-2 ${getCategoryColorClasses(category.color)}"></span>${category.name}
+                </button>
+            `
+        })), this.renderedCategories, 'data-category-id');
+
+        // Update selection visuals
+        this.updateCategorySelection();
+    }
+
+    // Post badges take their category's color; General and unknown categories stay blue
+    renderCategoryBadge(categoryName) {
+        const category = this.categories.find(({ name }) => name === categoryName);
+        return html`<span class="px-2 py-1 ${getCategoryColorClasses(category && category.color)}">${categoryName}</span>`;
+    }
+
+    // The category manager: a form to create or edit a category, the user's invitations, and
+    // the list of categories. Only a category's creator can edit, reorder, archive or merge it,
+    // or appoint its moderators.
+    openCategoryManager() {
+        const detailsPanel = document.getElementById('details-panel');
+        if (!detailsPanel) return;
+
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = null;
+        this.currentThread = null;
+        this.editingCategoryId = null;
+        this.updatePostSelection();
+
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('Categories')}
+                <form id="category-form" class="space-y-3 pb-4 mb-4 border-b border-custom-grey">
+                    <h3 id="category-form-title" class="text-sm font-semibold text-custom-black uppercase tracking-wide">New category</h3>
+                    <div>
+                        <label for="category-name" class="block text-sm font-medium text-custom-black">Name</label>
+                        <input 
+                            id="category-name" 
+                            type="text" 
+                            required 
+                            maxlength="${MAX_CATEGORY_NAME_LENGTH}"
+                            autocomplete="off"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                        >
+                    </div>
+                    <div>
+                        <label for="category-description" class="block text-sm font-medium text-custom-black">Description</label>
+                        <textarea 
+                            id="category-description" 
+                            rows="2"
+                            maxlength="${MAX_CATEGORY_DESCRIPTION_LENGTH}"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm resize-none"
+                        ></textarea>
+                    </div>
+                    <div>
+                        <label for="category-color" class="block text-sm font-medium text-custom-black">Color</label>
+                        <select 
+                            id="category-color"
+                            class="mt-1 block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none sm:text-sm"
+                        >
+                            ${CATEGORY_COLORS.map(({ color, label }) => html`<option value="${color}">${label}</option>`)}
+                        </select>
+                    </div>
+                    <div>
+                        <label for="category-visibility" class="block text-sm font-medium text-custom-black">Who can read and post</label>
+                        <select 
+                            id="category-visibility"
+                            class="mt-1 block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none sm:text-sm"
+                        >
+                            ${CATEGORY_VISIBILITIES.map(({ visibility, label, description }) => html`<option value="${visibility}">${label}: ${description}</option>`)}
+                        </select>
+                    </div>
+                    <div id="category-moderators-field" class="hidden">
+                        <label for="category-moderators" class="block text-sm font-medium text-custom-black">Moderators</label>
+                        <input 
+                            id="category-moderators" 
+                            type="text" 
+                            autocomplete="off"
+                            placeholder="@handle, @handle"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                        >
+                        <p class="mt-1 text-xs text-custom-black">Up to ${MAX_CATEGORY_MODERATORS} people who can pin, hide and remove posts and manage members.</p>
+                    </div>
+                    <div id="category-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
+                    <div class="flex space-x-2">
+                        <button 
                             type="submit" 
-                            id="login-submit-btn"
-                            class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium text-white bg-black hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed"
+                            id="category-save-btn"
+                            class="px-6 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-green disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
                         >
-                            Sign in
+                            Create category
+                        </button>
+                        <button 
+                            type="button" 
+                            id="category-cancel-btn"
+                            class="hidden px-4 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80"
+                        >
+                            Cancel
+                        </button>
+                    </div>
+                    <div id="category-merge" class="hidden pt-3 border-t border-custom-grey">
+                        <label for="category-merge-target" class="block text-sm font-medium text-custom-black">Merge into</label>
+                        <div class="mt-1 flex space-x-2">
+                            <select 
+                                id="category-merge-target"
+                                class="flex-1 px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none sm:text-sm"
+                            ></select>
+                            <button 
+                                type="button" 
+                                id="category-merge-btn"
+                                class="px-4 py-2 text-sm text-custom-black border border-custom-grey bg-custom-pink hover:opacity-80 disabled:opacity-50"
+                            >
+                                Merge
+                            </button>
+                        </div>
+                        <p class="mt-1 text-xs text-custom-black">Moves every post to the chosen category and deletes this one.</p>
+                    </div>
+                </form>
+                <div id="category-invitations" class="hidden pb-4 mb-4 border-b border-custom-grey">
+                    <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide mb-2">Invitations</h3>
+                    <div id="category-invitations-list" class="space-y-2"></div>
+                </div>
+                <div id="category-manager-list" class="flex-1 overflow-y-auto space-y-2"></div>
+            </div>
+        `;
+
+        document.getElementById('close-details-btn').addEventListener('click', () => {
+            this.closeDetails();
+        });
+
+        const form = document.getElementById('category-form');
+        const nameInput = document.getElementById('category-name');
+        const descriptionInput = document.getElementById('category-description');
+        const colorSelect = document.getElementById('category-color');
+        const visibilitySelect = document.getElementById('category-visibility');
+        const moderatorsInput = document.getElementById('category-moderators');
+        const errorDiv = document.getElementById('category-error');
+        const saveBtn = document.getElementById('category-save-btn');
+        const mergeBtn = document.getElementById('category-merge-btn');
+
+        const showError = (message) => {
+            errorDiv.textContent = message;
+            errorDiv.classList.remove('hidden');
+        };
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            errorDiv.classList.add('hidden');
+
+            const editingId = this.editingCategoryId;
+            const details = {
+                description: descriptionInput.value,
+                color: colorSelect.value,
+                visibility: visibilitySelect.value
+            };
+
+            // Slug claims keep new names unique; this also catches categories from before slugs
+            const slug = getCategorySlug(nameInput.value);
+            if (this.categories.some(category => category.id !== editingId && getCategorySlug(category.name) === slug)) {
+                showError('A category with that name already exists');
+                return;
+            }
+
+            saveBtn.disabled = true;
+            saveBtn.textContent = 'Saving...';
+
+            try {
+                if (editingId) {
+                    // Moderators are only written when the list was changed, so a moderator
+                    // whose handle couldn't be shown isn't dropped
+                    const moderatorIds = moderatorsInput.value !== moderatorsInput.getAttribute('data-initial')
+                        ? await this.resolveHandles(moderatorsInput.value)
+                        : null;
+                    await this.authManager.updateCategory(editingId, { name: nameInput.value, ...details });
+                    if (moderatorIds) {
+                        await this.authManager.setCategoryModerators(editingId, moderatorIds);
+                    }
+                } else {
+                    await this.authManager.createCategory(nameInput.value, details);
+                }
+                this.setCategoryForm(null);
+            } catch (error) {
+                showError(error.message);
+            } finally {
+                saveBtn.disabled = false;
+                saveBtn.textContent = this.editingCategoryId ? 'Save' : 'Create category';
+            }
+        });
+
+        document.getElementById('category-cancel-btn').addEventListener('click', () => {
+            this.setCategoryForm(null);
+        });
+
+        mergeBtn.addEventListener('click', async () => {
+            const source = this.categories.find(({ id }) => id === this.editingCategoryId);
+            const target = this.categories.find(({ id }) => id === document.getElementById('category-merge-target').value);
+            if (!source || !target) return;
+            if (!confirm(`Move every post in ${source.name} to ${target.name} and delete ${source.name}?`)) return;
+
+            errorDiv.classList.add('hidden');
+            mergeBtn.disabled = true;
+
+            try {
+                await this.authManager.mergeCategories(source.id, target.id);
+                this.setCategoryForm(null);
+            } catch (error) {
+                showError(error.message);
+            } finally {
+                mergeBtn.disabled = false;
+            }
+        });
+
+        document.getElementById('category-manager-list').addEventListener('click', async (e) => {
+            const actionBtn = e.target.closest('[data-category-action]');
+            if (!actionBtn) return;
+
+            const categoryId = actionBtn.closest('[data-manage-category]').getAttribute('data-manage-category');
+            const category = this.categories.find(({ id }) => id === categoryId);
+            if (!category) return;
+
+            try {
+                switch (actionBtn.getAttribute('data-category-action')) {
+                    case 'edit':
+                        this.setCategoryForm(category);
+                        break;
+                    case 'up':
+                    case 'down': {
+                        const direction = actionBtn.getAttribute('data-category-action') === 'up' ? -1 : 1;
+                        const order = getMovedCategoryOrder(this.categories.filter(({ archived }) => !archived), categoryId, direction);
+                        if (order !== null) {
+                            await this.authManager.setCategoryOrder(categoryId, order);
+                        }
+                        break;
+                    }
+                    case 'archive':
+                        await this.authManager.setCategoryArchived(categoryId, !category.archived);
+                        break;
+                    case 'members':
+                        this.openCategoryMembers(categoryId);
+                        break;
+                }
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+
+        document.getElementById('category-invitations-list').addEventListener('click', async (e) => {
+            const actionBtn = e.target.closest('[data-invite-action]');
+            if (!actionBtn) return;
+
+            const categoryId = actionBtn.closest('[data-category-invite]').getAttribute('data-category-invite');
+            try {
+                if (actionBtn.getAttribute('data-invite-action') === 'accept') {
+                    await this.authManager.acceptCategoryInvite(categoryId);
+                } else {
+                    await this.authManager.removeCategoryMember(categoryId);
+                }
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+
+        this.renderCategoryManager();
+        nameInput.focus();
+    }
+
+    // Switch the category form between creating (null) and editing a category
+    setCategoryForm(category) {
+        if (!document.getElementById('category-form')) return;
+
+        this.editingCategoryId = category ? category.id : null;
+        document.getElementById('category-form-title').textContent = category ? `Edit ${category.name}` : 'New category';
+        document.getElementById('category-name').value = category ? category.name : '';
+        document.getElementById('category-description').value = category ? category.description || '' : '';
+        document.getElementById('category-color').value = category ? category.color || 'blue' : 'blue';
+        document.getElementById('category-save-btn').textContent = category ? 'Save' : 'Create category';
+        document.getElementById('category-cancel-btn').classList.toggle('hidden', !category);
+        document.getElementById('category-error').classList.add('hidden');
+
+        // A category can't become private, or stop being private, after it's created
+        const visibility = getCategoryVisibility(category);
+        const visibilitySelect = document.getElementById('category-visibility');
+        visibilitySelect.value = visibility;
+        Array.from(visibilitySelect.options).forEach(option => {
+            option.disabled = !!category && (option.value === 'private') !== (visibility === 'private');
+        });
+
+        const moderatorIds = category ? category.moderatorIds || [] : [];
+        const moderatorsInput = document.getElementById('category-moderators');
+        const fillModerators = () => {
+            const handles = moderatorIds
+                .map(uid => this.profileCache.get(uid))
+                .filter(profile => profile && profile.handle)
+                .map(profile => `@${profile.handle}`)
+                .join(', ');
+            moderatorsInput.value = handles;
+            moderatorsInput.setAttribute('data-initial', handles);
+        };
+        document.getElementById('category-moderators-field').classList.toggle('hidden', !category);
+        fillModerators();
+        if (category) {
+            this.ensureProfiles(moderatorIds).then(() => {
+                if (this.editingCategoryId === category.id) fillModerators();
+            });
+        }
+
+        // Posts can be merged into any other category that's still in the sidebar, as long as
+        // both or neither are private
+        const targets = category
+            ? this.categories.filter(target => target.id !== category.id && !target.archived &&
+                (getCategoryVisibility(target) === 'private') === (visibility === 'private'))
+            : [];
+        document.getElementById('category-merge').classList.toggle('hidden', targets.length === 0);
+        document.getElementById('category-merge-target').innerHTML = html`${targets.map(target => html`
+            <option value="${target.id}">${target.name}</option>
+        `)}`;
+    }
+
+    renderCategoryManager() {
+        const list = document.getElementById('category-manager-list');
+        if (!list) return;
+
+        const uid = this.authManager.getCurrentUser().uid;
+        if (this.editingCategoryId && !this.categories.some(({ id }) => id === this.editingCategoryId)) {
+            this.setCategoryForm(null);
+        }
+
+        // Open invitations, which the user accepts to become a member
+        const invitations = this.categories.filter(({ id }) => this.memberships.get(id) === 'invited');
+        document.getElementById('category-invitations').classList.toggle('hidden', invitations.length === 0);
+        document.getElementById('category-invitations-list').innerHTML = html`${invitations.map(category => html`
+            <div class="flex justify-between items-center p-3 border border-custom-grey bg-custom-white text-sm text-custom-black" data-category-invite="${category.id}">
+                ${this.renderCategoryBadge(category.name)}
+                <div class="flex items-center space-x-2 text-xs">
+                    <button class="px-3 py-1 bg-custom-green hover:opacity-80" data-invite-action="accept">Accept</button>
+                    <button class="underline hover:opacity-80" data-invite-action="decline">Decline</button>
+                </div>
+            </div>
+        `)}`;
+
+        // Archived categories are only listed for their creator, who can restore them, and
+        // private ones only for their members
+        const categories = this.categories.filter(category =>
+            (!category.archived || category.createdBy === uid) && canReadCategory(category, uid, this.memberships)
+        );
+        if (categories.length === 0) {
+            list.innerHTML = html`
+                <p class="text-sm text-custom-black py-4 text-center">No categories yet.</p>
+            `;
+            return;
+        }
+
+        list.innerHTML = html`${categories.map(category => html`
+            <div class="flex justify-between items-start p-3 border border-custom-grey bg-custom-white" data-manage-category="${category.id}">
+                <div class="min-w-0 flex-1 text-sm text-custom-black">
+                    ${this.renderCategoryBadge(category.name)}
+                    ${category.archived ? html`<span class="ml-2 text-xs opacity-75">Archived</span>` : ''}
+                    ${getCategoryVisibility(category) === 'public' ? '' : html`
+                        <span class="ml-2 text-xs opacity-75">${CATEGORY_VISIBILITIES.find(({ visibility }) => visibility === getCategoryVisibility(category)).label}</span>
+                    `}
+                    ${category.description ? html`<p class="mt-2 text-xs">${category.description}</p>` : ''}
+                </div>
+                <div class="flex items-center space-x-2 ml-3 text-xs text-custom-black">
+                    ${category.createdBy === uid ? html`
+                        ${category.archived ? '' : html`
+                            <button class="hover:opacity-80" data-category-action="up" aria-label="Move ${category.name} up">↑</button>
+                            <button class="hover:opacity-80" data-category-action="down" aria-label="Move ${category.name} down">↓</button>
+                        `}
+                        <button class="underline hover:opacity-80" data-category-action="edit">Edit</button>
+                        <button class="underline hover:opacity-80" data-category-action="archive">${category.archived ? 'Restore' : 'Archive'}</button>
+                    ` : ''}
+                    ${getCategoryVisibility(category) !== 'public' && isCategoryMember(category, uid, this.memberships) ? html`
+                        <button class="underline hover:opacity-80" data-category-action="members">Members</button>
+                    ` : ''}
+                </div>
+            </div>
+        `)}`;
+    }
+
+    // The uids behind a list of @handles, for the moderators field
+    async resolveHandles(value) {
+        const handles = Array.from(new Set(value.split(/[\s,]+/)
+            .map(handle => handle.replace(/^@/, '').toLowerCase())
+            .filter(Boolean)));
+        const profiles = await Promise.all(handles.map(handle => this.authManager.getProfileByHandle(handle)));
+        const missing = handles.filter((handle, index) => !profiles[index]);
+        if (missing.length > 0) {
+            throw new Error(`No one has the handle ${missing.map(handle => `@${handle}`).join(', ')}`);
+        }
+        profiles.forEach(profile => this.profileCache.set(profile.id, profile));
+        return profiles.map(profile => profile.id);
+    }
+
+    // Members and invitations of an invite-only or private category. Moderators invite people
+    // by handle and remove members; members can leave.
+    openCategoryMembers(categoryId) {
+        const detailsPanel = document.getElementById('details-panel');
+        const category = this.categories.find(({ id }) => id === categoryId);
+        if (!detailsPanel || !category) return;
+
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = null;
+        this.currentThread = null;
+        this.updatePostSelection();
+
+        const uid = this.authManager.getCurrentUser().uid;
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml(`${category.name} members`)}
+                <button type="button" id="category-members-back-btn" class="self-start mb-4 text-sm text-custom-black underline hover:opacity-80">Back to categories</button>
+                ${isCategoryModerator(category, uid) ? html`
+                    <form id="category-invite-form" class="space-y-2 pb-4 mb-4 border-b border-custom-grey">
+                        <label for="category-invite-handle" class="block text-sm font-medium text-custom-black">Invite by handle</label>
+                        <div class="flex space-x-2">
+                            <input 
+                                id="category-invite-handle" 
+                                type="text" 
+                                required 
+                                autocomplete="off"
+                                placeholder="@handle"
+                                class="flex-1 appearance-none px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                            >
+                            <button 
+                                type="submit" 
+                                id="category-invite-btn"
+                                class="px-4 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 disabled:opacity-50 transition-opacity"
+                            >
+                                Invite
+                            </button>
+                        </div>
+                        <div id="category-invite-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
+                    </form>
+                ` : ''}
+                <div id="category-members-list" class="flex-1 overflow-y-auto space-y-2">
+                    <div class="text-center text-custom-black py-8">
+                        <div class="animate-spin h-8 w-8 border-b-2 border-custom-blue mx-auto mb-4"></div>
+                        <p>Loading members...</p>
+                    </div>
+                </div>
+                ${category.createdBy === uid ? '' : html`
+                    <button type="button" id="category-leave-btn" class="mt-4 px-4 py-2 text-sm text-custom-black border border-custom-grey bg-custom-pink hover:opacity-80">Leave ${category.name}</button>
+                `}
+            </div>
+        `;
+
+        document.getElementById('close-details-btn').addEventListener('click', () => {
+            this.closeDetails();
+        });
+
+        document.getElementById('category-members-back-btn').addEventListener('click', () => {
+            this.openCategoryManager();
+        });
+
+        const inviteForm = document.getElementById('category-invite-form');
+        if (inviteForm) {
+            const handleInput = document.getElementById('category-invite-handle');
+            const inviteBtn = document.getElementById('category-invite-btn');
+            const errorDiv = document.getElementById('category-invite-error');
+
+            inviteForm.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                errorDiv.classList.add('hidden');
+                inviteBtn.disabled = true;
+
+                try {
+                    const [userId] = await this.resolveHandles(handleInput.value);
+                    if (!userId) {
+                        throw new Error('Enter a @handle');
+                    }
+                    await this.authManager.inviteToCategory(category.id, userId);
+                    handleInput.value = '';
+                } catch (error) {
+                    errorDiv.textContent = error.message;
+                    errorDiv.classList.remove('hidden');
+                } finally {
+                    inviteBtn.disabled = false;
+                }
+            });
+        }
+
+        document.getElementById('category-members-list').addEventListener('click', async (e) => {
+            if (e.target.closest('[data-author-id]')) {
+                this.openProfile(e.target.closest('[data-author-id]').getAttribute('data-author-id'));
+                return;
+            }
+
+            const removeBtn = e.target.closest('[data-remove-member]');
+            if (!removeBtn) return;
+
+            try {
+                await this.authManager.removeCategoryMember(category.id, removeBtn.getAttribute('data-remove-member'));
+            } catch (error) {
+                alert(error.message);
+            }
+        });
+
+        const leaveBtn = document.getElementById('category-leave-btn');
+        if (leaveBtn) {
+            leaveBtn.addEventListener('click', async () => {
+                if (!confirm(`Leave ${category.name}?`)) return;
+
+                try {
+                    await this.authManager.removeCategoryMember(category.id);
+                    this.openCategoryManager();
+                } catch (error) {
+                    alert(error.message);
+                }
+            });
+        }
+
+        this.categoryMembers = { categoryId: category.id, members: null };
+        try {
+            this.detailsUnsubscribe = this.authManager.subscribeToCategoryMembers(category.id, (members) => {
+                this.categoryMembers = { categoryId: category.id, members };
+                this.renderCategoryMembers();
+            });
+        } catch (error) {
+            console.error('Error opening members:', error);
+            this.categoryMembers = { categoryId: category.id, members: [] };
+            this.renderCategoryMembers();
+        }
+    }
+
+    renderCategoryMembers() {
+        const list = document.getElementById('category-members-list');
+        if (!list || !this.categoryMembers || !this.categoryMembers.members) return;
+
+        const { categoryId, members } = this.categoryMembers;
+        const category = this.categories.find(({ id }) => id === categoryId);
+        const uid = this.authManager.getCurrentUser().uid;
+        const canRemove = isCategoryModerator(category, uid);
+
+        if (members.length === 0) {
+            list.innerHTML = html`
+                <p class="text-sm text-custom-black py-4 text-center">No members yet.</p>
+            `;
+            return;
+        }
+
+        list.innerHTML = html`${members.map(member => html`
+            <div class="flex justify-between items-center p-3 border border-custom-grey bg-custom-white" data-member-id="${member.userId}">
+                ${this.renderAuthor(member.userId)}
+                <div class="flex items-center space-x-2 ml-3 text-xs text-custom-black">
+                    ${member.status === 'invited' ? html`<span class="opacity-75">Invited</span>` : ''}
+                    ${canRemove && member.userId !== uid ? html`
+                        <button class="text-red-600 underline hover:opacity-80" data-remove-member="${member.userId}">${member.status === 'invited' ? 'Cancel' : 'Remove'}</button>
+                    ` : ''}
+                </div>
+            </div>
+        `)}`;
+
+        this.ensureProfiles(members.map(member => member.userId));
+    }
+
+    // Each post is a keyed card: only cards whose markup changed are rebuilt, so the others
+    // keep their scroll position, focus, selection and loaded previews. Long feeds only render
+    // the cards near the viewport (see feed.js).
+    renderPosts(posts) {
+        const postsContainer = document.getElementById('posts-container');
+        const currentUser = this.authManager.getCurrentUser();
+        this.posts = this.getReadablePosts(posts || []);
+
+        // Soft-deleted posts stay visible to their author only, as an undo row
+        posts = this.posts.filter(post => !post.deletedAt || (currentUser && post.userId === currentUser.uid));
+        this.feedPosts = posts;
+        
+        if (!posts || posts.length === 0) {
+            this.renderedPosts.clear();
+            this.feedWindow = null;
+            this.setFeedSpacers(0, 0);
+            postsContainer.innerHTML = html`
+                <div class="text-center text-custom-black py-8">
+                    <div class="w-12 h-12 bg-custom-blue mx-auto mb-4 flex items-center justify-center">
+                        <div class="w-6 h-6 bg-custom-white"></div>
+                    </div>
+                    <p>${this.getEmptyFeedMessage()}</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.feedWindow = this.getFeedWindow(posts);
+        const { start, end, before, after } = this.feedWindow;
+        const shown = posts.slice(start, end);
+
+        this.setFeedSpacers(before, after);
+        const built = reconcileKeyedList(
+            postsContainer,
+            shown.map(post => ({ key: post.id, markup: this.getPostCardMarkup(post, currentUser) })),
+            this.renderedPosts,
+            'data-post-id'
+        );
+        this.measurePostHeights();
+
+        // The editor's markup holds the saved text, so typing doesn't rebuild its card. When the
+        // card is rebuilt anyway, put the draft back with the cursor at its end.
+        const editor = document.getElementById('edit-post-content');
+        if (editor && built.has(this.editingPostId)) {
+            editor.value = this.editDraft;
+            editor.focus();
+            editor.setSelectionRange(editor.value.length, editor.value.length);
+        }
+
+        this.ensureProfiles(shown.map(post => post.userId));
+        this.ensureLinkPreviews(shown.flatMap(post => post.deletedAt ? [] : this.extractUrls(post.content)));
+    }
+
+    // Which of the feed's posts to render: all of a short feed, and the ones near the
+    // viewport of a long one
+    getFeedWindow(posts) {
+        if (posts.length <= FEED_VIRTUALIZE_THRESHOLD) {
+            return { start: 0, end: posts.length, before: 0, after: 0 };
+        }
+
+        const scroller = this.getFeedScroller();
+        const feedScroll = document.getElementById('feed-scroll');
+        const inFeed = scroller === feedScroll;
+        const viewportTop = inFeed ? feedScroll.getBoundingClientRect().top : 0;
+        const viewportHeight = inFeed ? feedScroll.clientHeight : window.innerHeight;
+        const listTop = document.getElementById('posts-spacer-before').getBoundingClientRect().top;
+
+        const heights = posts.map(post => this.postHeights.get(post.id) || FEED_ESTIMATED_POST_HEIGHT);
+        return getVirtualWindow(heights, viewportTop - listTop, viewportTop - listTop + viewportHeight);
+    }
+
+    setFeedSpacers(before, after) {
+        const spacerBefore = document.getElementById('posts-spacer-before');
+        const spacerAfter = document.getElementById('posts-spacer-after');
+        if (!spacerBefore || !spacerAfter) return;
+
+        spacerBefore.style.height = `${before}px`;
+        spacerAfter.style.height = `${after}px`;
+    }
+
+    // Remember how tall each rendered card is, with the gap above it, to size the spacers
+    // once it's scrolled away. Cards that aren't laid out (height 0) keep the estimate.
+    measurePostHeights() {
+        document.querySelectorAll('#posts-container [data-post-id]').forEach(card => {
+            if (card.offsetHeight > 0) {
+                const gap = parseFloat(window.getComputedStyle(card).marginTop) || 0;
+                this.postHeights.set(card.getAttribute('data-post-id'), card.offsetHeight + gap);
+            }
+        });
+    }
+
+    // Scrolling a long feed moves the window of rendered cards, once per frame at most
+    handleFeedScroll() {
+        if (this.feedScrollFrame || !this.feedPosts || this.feedPosts.length <= FEED_VIRTUALIZE_THRESHOLD) return;
+
+        const schedule = window.requestAnimationFrame
+            ? window.requestAnimationFrame.bind(window)
+            : (callback) => setTimeout(callback, 16);
+        this.feedScrollFrame = schedule(() => {
+            this.feedScrollFrame = null;
+            if (!document.getElementById('posts-container')) return;
+            const next = this.getFeedWindow(this.feedPosts);
+            if (this.feedWindow && next.start === this.feedWindow.start && next.end === this.feedWindow.end) return;
+            this.renderPosts(this.feedPosts);
+        });
+    }
+
+    // A card's markup, built again only after renderFeed was told its post changed
+    getPostCardMarkup(post, currentUser) {
+        let markup = this.postCards.get(post.id);
+        if (markup === undefined) {
+            markup = String(this.renderPostCard(post, currentUser));
+            this.postCards.set(post.id, markup);
+        }
+        return markup;
+    }
+
+    renderPostCard(post, currentUser) {
+        if (post.deletedAt) {
+            return html`
+                <div class="border border-dashed border-custom-grey px-5 py-3 bg-custom-white flex justify-between items-center" data-post-id="${post.id}" data-deleted>
+                    <span class="text-sm text-custom-black">Post deleted.</span>
+                    <button class="text-sm text-custom-black underline hover:opacity-80" data-post-action="undo-delete">Undo</button>
+                </div>
+            `;
+        }
+
+        // Failed and held posts exist only in the outbox
+        const syncStatus = this.getPostSyncStatus(post);
+        if (syncStatus === 'failed' || this.isHeldPost(post)) {
+            const failed = syncStatus === 'failed';
+            return html`
+                <div class="border border-dashed ${failed ? 'border-custom-pink' : 'border-custom-grey'} p-5 bg-custom-white" data-post-id="${post.id}" data-sync-status="${syncStatus}" data-unsent>
+                    <div class="flex justify-between items-start mb-3">
+                        ${this.renderPostAuthor(post)}
+                        <div class="flex items-center space-x-3 text-xs text-custom-black">
+                            ${this.renderCategoryBadge(post.category || 'General')}
+                            ${this.renderSyncBadge(syncStatus)}
+                        </div>
+                    </div>
+                    <div class="text-sm text-custom-black whitespace-pre-wrap leading-relaxed">${this.renderContent(post.content)}</div>
+                    ${failed ? html`
+                        <div class="mt-3 flex justify-between items-center text-xs text-custom-black">
+                            <span class="text-red-600">This post couldn't be saved.</span>
+                            <div class="flex items-center space-x-3">
+                                <button class="underline hover:opacity-80" data-post-action="retry-sync">Retry</button>
+                                <button class="text-red-600 underline hover:opacity-80" data-post-action="discard-sync">Discard</button>
+                            </div>
+                        </div>
+                    ` : html`
+                        <p class="mt-3 text-xs text-custom-black">Waiting for your earlier posts to send.</p>
+                    `}
+                </div>
+            `;
+        }
+
+        const createdAt = post.createdAt?.toDate ? post.createdAt.toDate() : new Date();
+        const timeAgo = this.getTimeAgo(createdAt);
+        const categoryName = post.category || 'General';
+        const isOwn = currentUser && post.userId === currentUser.uid;
+        const isEditing = isOwn && post.id === this.editingPostId;
+        const isModerator = isCategoryModerator(this.getPostCategory(post), currentUser && currentUser.uid);
+        
+        // Format the content and find its links
+        const formattedContent = this.renderContent(post.content);
+        const urls = this.extractUrls(post.content);
+        
+        // Generate link previews
+        const linkPreviews = urls.map(url => this.generateLinkPreview(url));
+        
+        const replyCount = post.replyCount || 0;
+        const isSelected = post.id === this.selectedPostId;
+
+        const body = isEditing ? html`
+            <div class="space-y-3">
+                <textarea 
+                    id="edit-post-content" 
+                    rows="3" 
+                    maxlength="${MAX_POST_LENGTH}"
+                    class="w-full px-4 py-3 border border-custom-grey bg-custom-white focus:outline-none focus:ring-2 focus:ring-custom-grey focus:border-custom-grey resize-none text-custom-black"
+                >${post.content}</textarea>
+                <div class="flex justify-end space-x-3">
+                    <button class="px-4 py-1 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80" data-post-action="cancel-edit">Cancel</button>
+                    <button class="px-4 py-1 text-sm text-custom-black bg-custom-green hover:opacity-80" data-post-action="save-edit">Save</button>
+                </div>
+            </div>
+        ` : html`
+            <div class="text-sm text-custom-black whitespace-pre-wrap leading-relaxed">${formattedContent}</div>
+            ${this.renderAttachments(post)}
+            ${linkPreviews}
+        `;
+        
+        return html`
+            <div class="border ${isSelected ? 'border-custom-black' : 'border-custom-grey'} p-5 bg-custom-white ${isEditing ? '' : 'hover:opacity-80 cursor-pointer'} transition-opacity" data-post-id="${post.id}">
+                <div class="flex justify-between items-start mb-3">
+                    ${this.renderPostAuthor(post)}
+                    <div class="flex items-center space-x-3 text-xs text-custom-black">
+                        ${post.pinned ? html`<span data-pinned>Pinned</span>` : ''}
+                        ${post.hidden ? html`<span class="px-2 py-1 bg-custom-grey text-custom-white" data-hidden>Hidden</span>` : ''}
+                        ${this.renderCategoryBadge(categoryName)}
+                        ${syncStatus ? this.renderSyncBadge(syncStatus) : ''}
+                        ${post.editedAt ? html`<button class="underline hover:opacity-80" data-post-action="history">edited</button>` : ''}
+                        <span>${timeAgo}</span>
+                    </div>
+                </div>
+                ${body}
+                ${this.renderReactionBar(post)}
+                <div class="mt-3 flex justify-between items-center text-xs text-custom-black">
+                    <div class="flex items-center space-x-3">
+                        <span>${replyCount === 1 ? '1 reply' : `${replyCount} replies`}</span>
+                        ${this.getRemoteCountsHtml(post)}
+                    </div>
+                    <div class="flex items-center space-x-3">
+                        ${isModerator && !isEditing ? html`
+                            <button class="underline hover:opacity-80" data-post-action="pin">${post.pinned ? 'Unpin' : 'Pin'}</button>
+                            <button class="underline hover:opacity-80" data-post-action="hide">${post.hidden ? 'Unhide' : 'Hide'}</button>
+                            ${isOwn ? '' : html`<button class="text-red-600 underline hover:opacity-80" data-post-action="remove">Remove</button>`}
+                        ` : ''}
+                        ${isOwn && !isEditing ? html`
+                            <button class="underline hover:opacity-80" data-post-action="edit">Edit</button>
+                            <button class="text-red-600 underline hover:opacity-80" data-post-action="delete">Delete</button>
+                        ` : ''}
+                        ${!isOwn && post.userId ? this.getFollowButtonHtml(post.userId, 'data-post-action') : ''}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    // Whether a post is waiting to reach the server, has just reached it, or was refused
+    getPostSyncStatus(post) {
+        const entry = this.outbox.find(({ id }) => id === post.id);
+        if (entry) return entry.status;
+        return this.pendingPostIds.has(post.id) ? 'pending' : null;
+    }
+
+    // Held until the posts queued before it have reached the server (see drainOutbox())
+    isHeldPost(post) {
+        return this.outbox.some(entry => entry.id === post.id && entry.held);
+    }
+
+    renderSyncBadge(status) {
+        const badges = {
+            pending: { label: 'Pending', classes: 'bg-custom-grey text-custom-white' },
+            synced: { label: 'Synced', classes: 'bg-custom-green text-custom-black' },
+            failed: { label: 'Failed', classes: 'bg-custom-pink text-custom-black' }
+        };
+        return html`<span class="px-2 py-1 ${badges[status].classes}" data-sync-badge="${status}">${badges[status].label}</span>`;
+    }
+
+    // Posts the server refused are gone from the feed's queries, and held posts haven't been
+    // written yet, so they're shown from the outbox until they're written, retried or discarded
+    getUnsentOutboxPosts() {
+        if (this.activeFeed !== 'category') return [];
+        return this.outbox
+            .filter(entry => entry.kind === 'post' && (entry.status === 'failed' || entry.held))
+            .map(entry => entry.post)
+            .filter(post => this.selectedCategory === 'All' || post.category === this.selectedCategory)
+            .filter(post => !this.selectedHashtag || (post.hashtags || []).includes(this.selectedHashtag));
+    }
+
+    // Until the rate limits let the user post again, the post button is disabled and counts
+    // down. The cooldown message under the form goes when the wait is over.
+    startPostCooldown(retryAt) {
+        clearTimeout(this.postCooldownTimer);
+        this.postCooldownTimer = null;
+
+        const button = document.getElementById('post-submit-btn');
+        if (!button) return;
+
+        const seconds = Math.ceil((retryAt.getTime() - Date.now()) / 1000);
+        if (seconds <= 0) {
+            button.disabled = false;
+            button.textContent = 'Post';
+            document.getElementById('post-error').classList.add('hidden');
+            return;
+        }
+
+        button.disabled = true;
+        button.textContent = seconds < 60 ? `Post in ${seconds}s` : `Post in ${Math.ceil(seconds / 60)}m`;
+        this.postCooldownTimer = setTimeout(() => this.startPostCooldown(retryAt), 1000);
+    }
+
+    handleOutboxChange(outbox) {
+        this.outbox = outbox;
+        this.renderOutbox();
+        this.renderConnectionStatus();
+        this.renderFeed();
+    }
+
+    renderOutbox() {
+        const outboxDiv = document.getElementById('outbox');
+        const list = document.getElementById('outbox-list');
+        if (!outboxDiv || !list) return;
+
+        outboxDiv.classList.toggle('hidden', this.outbox.length === 0);
+        list.innerHTML = html`${this.outbox.map(entry => html`
+            <div class="p-2 border border-custom-grey bg-custom-white text-xs text-custom-black" data-outbox-id="${entry.id}" data-sync-status="${entry.status}">
+                <div class="flex items-center justify-between space-x-2">
+                    <span class="truncate">${entry.kind === 'category' ? `Category: ${entry.name}` : entry.post.content || 'Post'}</span>
+                    ${this.renderSyncBadge(entry.status)}
+                </div>
+                ${entry.status === 'failed' ? html`
+                    <p class="mt-1 text-red-600">${entry.error}</p>
+                    <div class="mt-1 flex space-x-3">
+                        <button class="underline hover:opacity-80" data-outbox-action="retry">Retry</button>
+                        <button class="underline hover:opacity-80" data-outbox-action="discard">Discard</button>
+                    </div>
+                ` : ''}
+            </div>
+        `)}`;
+    }
+
+    async handleOutboxAction(action, id) {
+        try {
+            if (action === 'retry') {
+                await this.authManager.retryOutboxEntry(id);
+            } else {
+                this.authManager.dismissOutboxEntry(id);
+            }
+        } catch (error) {
+            console.error('Error handling outbox action:', error);
+            alert(error.message);
+        }
+    }
+
+    renderConnectionStatus() {
+        const status = document.getElementById('connection-status');
+        if (!status) return;
+
+        const online = this.authManager.isOnline();
+        const waiting = this.outbox.filter(entry => entry.status === 'pending').length;
+        status.setAttribute('data-online', String(online));
+        status.innerHTML = html`
+            <span class="flex items-center">
+                <span class="inline-block w-2 h-2 mr-2 ${online ? 'bg-custom-green' : 'bg-custom-pink'}"></span>
+                ${online ? 'Online' : 'Offline'}
+            </span>
+            ${waiting > 0 ? html`<span>${waiting} waiting to sync</span>` : ''}
+        `;
+    }
+
+    // Moderation and privacy go by the category id a post was filed under; posts from before
+    // categories had moderators carry only its name
+    getPostCategory(post) {
+        return post.categoryId ? this.categories.find(({ id }) => id === post.categoryId) || null : null;
+    }
+
+    // Posts as the current user may see them. Hidden posts are shown to their author and the
+    // category's moderators only, and private posts to the category's members once their
+    // body has loaded.
+    getReadablePosts(posts) {
+        const uid = this.authManager.getCurrentUser().uid;
+        const readable = posts.filter(post => {
+            const category = this.getPostCategory(post);
+            if (post.hidden && post.userId !== uid && !isCategoryModerator(category, uid)) return false;
+            return !post.private || post.userId === uid || (!!category && isCategoryMember(category, uid, this.memberships));
+        });
+
+        this.ensurePostBodies(readable.filter(post => post.private));
+        return readable
+            .filter(post => !post.private || this.postBodies.get(this.getPostBodyKey(post)))
+            .map(post => post.private ? { ...post, ...this.postBodies.get(this.getPostBodyKey(post)) } : post);
+    }
+
+    // Bodies are cached per version of the post, so an edit loads the new one
+    getPostBodyKey(post) {
+        return `${post.id}@${this.getTimestampMillis(post.editedAt)}`;
+    }
+
+    async ensurePostBodies(posts) {
+        const missing = new Map();
+        posts.forEach(post => {
+            const key = this.getPostBodyKey(post);
+            if (!this.postBodies.has(key) && !this.pendingPostBodies.has(key)) {
+                missing.set(key, post.id);
+            }
+        });
+        if (missing.size === 0) return;
+
+        const keys = Array.from(missing.keys());
+        keys.forEach(key => this.pendingPostBodies.add(key));
+        const bodies = await Promise.all(keys.map(key => this.authManager.getPostBody(missing.get(key))));
+        keys.forEach((key, index) => {
+            this.postBodies.set(key, bodies[index]);
+            this.pendingPostBodies.delete(key);
+        });
+
+        this.renderFeed();
+        if (this.currentThread && document.getElementById('thread-container')) {
+            this.renderThread(this.currentThread);
+        }
+        this.renderProfilePosts(this.profilePosts);
+    }
+
+    // Files picked for the next post, each with a button to take it off again
+    renderAttachmentList() {
+        const attachmentList = document.getElementById('attachment-list');
+        if (!attachmentList) return;
+
+        attachmentList.classList.toggle('hidden', this.pendingAttachments.length === 0);
+        attachmentList.innerHTML = html`${this.pendingAttachments.map((file, index) => html`
+            <span class="flex items-center px-2 py-1 text-xs text-custom-black border border-custom-grey">
+                ${file.name} · ${formatFileSize(file.size)}
+                <button type="button" class="ml-2 hover:opacity-80" data-remove-attachment="${index}" aria-label="Remove ${file.name}">×</button>
+            </span>
+        `)}`;
+    }
+
+    // Attachments with a usable https URL; anything else in a post document is ignored
+    getAttachments(post, kind) {
+        const attachments = Array.isArray(post.attachments) ? post.attachments : [];
+        return attachments.filter(attachment =>
+            attachment && attachment.kind === kind && safeUrl(attachment.url, { httpsOnly: true })
+        );
+    }
+
+    // Image thumbnails that open the lightbox, or a card for a file
+    renderAttachments(post) {
+        const images = this.getAttachments(post, 'image');
+        const [file] = this.getAttachments(post, 'file');
+
+        if (images.length > 0) {
+            return html`
+                <div class="mt-3 grid ${images.length === 1 ? 'grid-cols-1' : 'grid-cols-2'} gap-2">
+                    ${images.map((image, index) => html`
+                        <button type="button" class="block border border-custom-grey hover:opacity-80 transition-opacity" data-image-index="${index}" aria-label="View image ${index + 1} of ${images.length}">
+                            <img 
+                                src="${safeUrl(image.url, { httpsOnly: true })}" 
+                                alt="" 
+                                loading="lazy" 
+                                class="w-full ${images.length === 1 ? 'max-h-80 object-contain' : 'h-32 object-cover'}"
+                            >
                         </button>
-                        
+                    `)}
+                </div>
+            `;
+        }
+
+        if (file) {
+            return html`
+                <a href="${safeUrl(file.url, { httpsOnly: true })}" target="_blank" rel="noopener noreferrer" class="mt-3 flex justify-between items-center border border-custom-grey px-4 py-3 text-sm text-custom-black hover:opacity-80 transition-opacity">
+                    <span class="truncate">${file.name || 'Attachment'}</span>
+                    <span class="ml-3 text-xs whitespace-nowrap">${formatFileSize(Number(file.size) || 0)}</span>
+                </a>
+            `;
+        }
+
+        return '';
+    }
+
+    openPostImage(post, imageBtn) {
+        if (!post) return;
+        this.openLightbox(this.getAttachments(post, 'image'), Number(imageBtn.getAttribute('data-image-index')));
+    }
+
+    // Full-size view of a post's images. Arrow keys step through them; Escape or a click closes it.
+    openLightbox(images, index) {
+        if (images.length === 0) return;
+        this.closeLightbox();
+
+        const lightbox = document.createElement('div');
+        lightbox.id = 'lightbox';
+        lightbox.className = 'fixed inset-0 z-50 flex items-center justify-center p-8 bg-custom-black bg-opacity-90 cursor-pointer';
+        lightbox.setAttribute('role', 'dialog');
+        lightbox.setAttribute('aria-modal', 'true');
+
+        const show = (position) => {
+            index = (position + images.length) % images.length;
+            lightbox.innerHTML = html`
+                <img src="${safeUrl(images[index].url, { httpsOnly: true })}" alt="" class="max-w-full max-h-full object-contain">
+                ${images.length > 1 ? html`<span class="absolute bottom-4 text-sm text-custom-white">${index + 1} / ${images.length}</span>` : ''}
+                <button type="button" class="absolute top-4 right-6 text-2xl text-custom-white hover:opacity-80" aria-label="Close">×</button>
+            `;
+        };
+
+        this.lightboxKeyListener = (e) => {
+            if (e.key === 'Escape') {
+                this.closeLightbox();
+            } else if (e.key === 'ArrowRight') {
+                show(index + 1);
+            } else if (e.key === 'ArrowLeft') {
+                show(index - 1);
+            }
+        };
+
+        lightbox.addEventListener('click', () => this.closeLightbox());
+        document.addEventListener('keydown', this.lightboxKeyListener);
+        document.body.appendChild(lightbox);
+        show(index);
+    }
+
+    closeLightbox() {
+        const lightbox = document.getElementById('lightbox');
+        if (lightbox) {
+            lightbox.remove();
+        }
+        if (this.lightboxKeyListener) {
+            document.removeEventListener('keydown', this.lightboxKeyListener);
+            this.lightboxKeyListener = null;
+        }
+    }
+
+    getEmptyFeedMessage() {
+        switch (this.activeFeed) {
+            case 'following':
+                return this.followingIds.size === 0 ? 'Follow people to see their posts here.' : 'No posts from people you follow yet.';
+            case 'hashtag':
+                return `No posts tagged #${this.selectedHashtag} yet.`;
+            case 'bookmarks':
+                return 'No bookmarks yet. Save a post to find it here later.';
+            default:
+                return 'No posts yet. Be the first to share something!';
+        }
+    }
+
+    // Details panel
+    getDetailsPlaceholderHtml() {
+        return html`
+            <div class="h-full flex items-center justify-center">
+                <div class="text-center text-custom-black">
+                    <div class="w-16 h-16 bg-custom-blue mx-auto mb-4 flex items-center justify-center">
+                        <div class="w-8 h-8 bg-custom-white"></div>
+                    </div>
+                    <h2 class="text-lg font-semibold mb-2 text-custom-black">Details</h2>
+                    <p class="text-sm text-custom-black">Additional information will appear here</p>
+                </div>
+            </div>
+        `;
+    }
+
+    closeDetails() {
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = null;
+        this.replyTarget = null;
+        this.currentThread = null;
+        this.updatePostSelection();
+
+        const detailsPanel = document.getElementById('details-panel');
+        if (detailsPanel) {
+            detailsPanel.innerHTML = this.getDetailsPlaceholderHtml();
+        }
+    }
+
+    getDetailsHeaderHtml(title) {
+        return html`
+            <div class="flex justify-between items-center mb-4">
+                <h2 class="text-lg font-semibold text-custom-black">${title}</h2>
+                <button 
+                    id="close-details-btn"
+                    class="px-3 py-1 text-xs text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity"
+                >
+                    Close
+                </button>
+            </div>
+        `;
+    }
+
+    // Show a post and its replies live in the Details panel
+    openThread(postId) {
+        const detailsPanel = document.getElementById('details-panel');
+        if (!detailsPanel) return;
+
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = postId;
+        this.replyTarget = null;
+        this.updatePostSelection();
+
+        // The shell is rendered once so the reply draft survives live updates
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('Conversation')}
+                
+                <div id="thread-container" class="flex-1 overflow-y-auto space-y-3">
+                    <div class="text-center text-custom-black py-8">
+                        <div class="animate-spin h-8 w-8 border-b-2 border-custom-blue mx-auto mb-4"></div>
+                        <p>Loading conversation...</p>
+                    </div>
+                </div>
+                
+                <form id="reply-form" class="mt-4 pt-4 border-t border-custom-grey space-y-3">
+                    <div class="flex justify-between items-center">
+                        <span id="reply-target" class="text-xs text-custom-black">Replying to post</span>
+                        <button type="button" id="reply-target-reset" class="text-xs text-custom-black underline hidden">Cancel</button>
+                    </div>
+                    <textarea 
+                        id="reply-content" 
+                        name="reply" 
+                        rows="2" 
+                        class="w-full px-4 py-3 border border-custom-grey bg-custom-white focus:outline-none focus:ring-2 focus:ring-custom-grey focus:border-custom-grey resize-none placeholder-custom-grey text-custom-black transition-colors"
+                        placeholder="Write a reply..."
+                        maxlength="500"
+                    ></textarea>
+                    <div class="flex justify-between items-center">
+                        <span id="reply-char-count" class="text-xs text-custom-black">0/500</span>
                         <button 
-                            type="button" 
-                            id="go-to-signup"
-                            class="w-full flex justify-center py-2 px-4 border border-black text-sm font-medium text-black bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black"
+                            type="submit" 
+                            id="reply-submit-btn"
+                            class="px-6 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-green disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
                         >
-                            Create new account
+                            Reply
+                        </button>
+                    </div>
+                    <div id="reply-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
+                </form>
+            </div>
+        `;
+
+        this.attachThreadEventListeners(postId);
+
+        try {
+            this.detailsUnsubscribe = this.authManager.subscribeToThread(postId, (thread) => {
+                this.renderThread(thread);
+            });
+        } catch (error) {
+            console.error('Error opening thread:', error);
+            this.renderThread({ post: null, replies: [] });
+        }
+    }
+
+    attachThreadEventListeners(postId) {
+        const closeBtn = document.getElementById('close-details-btn');
+        const threadContainer = document.getElementById('thread-container');
+        const replyForm = document.getElementById('reply-form');
+        const replyContent = document.getElementById('reply-content');
+        const replyCharCount = document.getElementById('reply-char-count');
+        const replySubmitBtn = document.getElementById('reply-submit-btn');
+        const replyError = document.getElementById('reply-error');
+        const replyTargetReset = document.getElementById('reply-target-reset');
+
+        closeBtn.addEventListener('click', () => {
+            this.closeDetails();
+        });
+
+        replyTargetReset.addEventListener('click', () => {
+            this.setReplyTarget(null);
+        });
+
+        // Authors, mentions and hashtags, and reply and delete buttons on individual replies
+        threadContainer.addEventListener('click', async (e) => {
+            const authorBtn = e.target.closest('[data-author-id]');
+            if (authorBtn) {
+                this.openProfile(authorBtn.getAttribute('data-author-id'));
+                return;
+            }
+
+            if (this.handleContentClick(e.target)) return;
+
+            const imageBtn = e.target.closest('[data-image-index]');
+            if (imageBtn) {
+                this.openPostImage(this.currentThread && this.currentThread.post, imageBtn);
+                return;
+            }
+
+            const replyBtn = e.target.closest('[data-reply-to]');
+            if (replyBtn) {
+                this.setReplyTarget(replyBtn.getAttribute('data-reply-to'));
+                replyContent.focus();
+                return;
+            }
+
+            const deleteBtn = e.target.closest('[data-delete-reply]');
+            if (deleteBtn && confirm('Delete this reply?')) {
+                try {
+                    await this.authManager.deleteReply(postId, deleteBtn.getAttribute('data-delete-reply'));
+                    if (this.replyTarget === deleteBtn.getAttribute('data-delete-reply')) {
+                        this.setReplyTarget(null);
+                    }
+                } catch (error) {
+                    alert(error.message);
+                }
+            }
+        });
+
+        replyContent.addEventListener('input', () => {
+            replyCharCount.textContent = `${replyContent.value.length}/500`;
+        });
+
+        replyForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const content = replyContent.value.trim();
+            replyError.classList.add('hidden');
+
+            if (!content) {
+                replyError.textContent = 'Please enter some content to reply';
+                replyError.classList.remove('hidden');
+                return;
+            }
+
+            replySubmitBtn.disabled = true;
+            replySubmitBtn.textContent = 'Replying...';
+
+            try {
+                await this.authManager.createReply(postId, this.replyTarget, content);
+                replyContent.value = '';
+                replyCharCount.textContent = '0/500';
+                this.setReplyTarget(null);
+            } catch (error) {
+                replyError.textContent = error.message;
+                replyError.classList.remove('hidden');
+            } finally {
+                replySubmitBtn.disabled = false;
+                replySubmitBtn.textContent = 'Reply';
+            }
+        });
+    }
+
+    // Choose which reply the composer answers (null means the root post)
+    setReplyTarget(replyId) {
+        this.replyTarget = replyId;
+
+        const targetLabel = document.getElementById('reply-target');
+        const targetReset = document.getElementById('reply-target-reset');
+        if (!targetLabel || !targetReset) return;
+
+        if (replyId) {
+            targetLabel.textContent = 'Replying to a reply';
+            targetReset.classList.remove('hidden');
+        } else {
+            targetLabel.textContent = 'Replying to post';
+            targetReset.classList.add('hidden');
+        }
+
+        document.querySelectorAll('[data-reply-id]').forEach(replyEl => {
+            const isTarget = replyEl.getAttribute('data-reply-id') === replyId;
+            replyEl.classList.toggle('border-custom-black', isTarget);
+            replyEl.classList.toggle('border-custom-grey', !isTarget);
+        });
+    }
+
+    renderThread({ post, replies }) {
+        const threadContainer = document.getElementById('thread-container');
+        if (!threadContainer) return;
+
+        this.currentThread = { post, replies };
+
+        if (!post || post.deletedAt) {
+            threadContainer.innerHTML = html`
+                <div class="text-center text-custom-black py-8">
+                    <p>This post is no longer available.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const readable = this.getReadablePosts([post])[0];
+        if (!readable) {
+            const uid = this.authManager.getCurrentUser().uid;
+            const loading = post.private && this.pendingPostBodies.has(this.getPostBodyKey(post));
+            const visible = !post.hidden || post.userId === uid || isCategoryModerator(this.getPostCategory(post), uid);
+            threadContainer.innerHTML = html`
+                <div class="text-center text-custom-black py-8">
+                    <p>${loading ? 'Loading conversation...' : visible ? 'Only members of this category can read this post.' : 'This post was hidden by a moderator.'}</p>
+                </div>
+            `;
+            return;
+        }
+        post = readable;
+
+        // Group replies by parent; replies whose parent was deleted hang off the root
+        const replyIds = new Set(replies.map(reply => reply.id));
+        const childrenByParent = new Map();
+        replies.forEach(reply => {
+            const parentId = replyIds.has(reply.parentId) ? reply.parentId : post.id;
+            if (!childrenByParent.has(parentId)) {
+                childrenByParent.set(parentId, []);
+            }
+            childrenByParent.get(parentId).push(reply);
+        });
+
+        const renderBranch = (parentId, depth) => (childrenByParent.get(parentId) || [])
+            .map(reply => [this.renderReply(reply, depth), renderBranch(reply.id, depth + 1)]);
+
+        const createdAt = post.createdAt?.toDate ? post.createdAt.toDate() : new Date();
+
+        threadContainer.innerHTML = html`
+            <div class="border border-custom-black p-5 bg-custom-white">
+                <div class="flex justify-between items-start mb-3">
+                    ${this.renderPostAuthor(post)}
+                    <div class="flex items-center space-x-3 text-xs text-custom-black">
+                        ${this.renderCategoryBadge(post.category || 'General')}
+                        <span>${this.getTimeAgo(createdAt)}</span>
+                    </div>
+                </div>
+                <div class="text-sm text-custom-black whitespace-pre-wrap leading-relaxed">${this.renderContent(post.content)}</div>
+                ${this.renderAttachments(post)}
+            </div>
+            ${replies.length === 0 ? html`
+                <p class="text-sm text-custom-black py-4 text-center">No replies yet. Start the conversation!</p>
+            ` : renderBranch(post.id, 0)}
+        `;
+
+        this.ensureProfiles([post.userId, ...replies.map(reply => reply.userId)]);
+    }
+
+    renderReply(reply, depth) {
+        // Indent nested replies, capped so deep threads stay readable
+        const indentClasses = ['ml-0', 'ml-4', 'ml-8', 'ml-12', 'ml-16'];
+        const indent = indentClasses[Math.min(depth, indentClasses.length - 1)];
+        const createdAt = reply.createdAt?.toDate ? reply.createdAt.toDate() : new Date();
+        const currentUser = this.authManager.getCurrentUser();
+        const isOwn = currentUser && reply.userId === currentUser.uid;
+        const isTarget = reply.id === this.replyTarget;
+
+        return html`
+            <div class="${indent} border-l-2 ${isTarget ? 'border-custom-black' : 'border-custom-grey'} pl-4 py-2" data-reply-id="${reply.id}">
+                <div class="flex justify-between items-start mb-2">
+                    ${this.renderPostAuthor(reply)}
+                    <div class="flex items-center space-x-3">
+                        <span class="text-xs text-custom-black">${this.getTimeAgo(createdAt)}</span>
+                        <button class="text-xs text-custom-black underline hover:opacity-80" data-reply-to="${reply.id}">Reply</button>
+                        ${isOwn ? html`<button class="text-xs text-red-600 underline hover:opacity-80" data-delete-reply="${reply.id}">Delete</button>` : ''}
+                    </div>
+                </div>
+                <div class="text-sm text-custom-black whitespace-pre-wrap leading-relaxed">${this.renderContent(reply.content)}</div>
+            </div>
+        `;
+    }
+
+    // Show every version of a post with word-level changes between them
+    async openRevisions(postId) {
+        const detailsPanel = document.getElementById('details-panel');
+        if (!detailsPanel) return;
+
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = postId;
+        this.updatePostSelection();
+
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('Edit history')}
+                <div id="revisions-container" class="flex-1 overflow-y-auto space-y-4">
+                    <div class="text-center text-custom-black py-8">
+                        <div class="animate-spin h-8 w-8 border-b-2 border-custom-blue mx-auto mb-4"></div>
+                        <p>Loading history...</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('close-details-btn').addEventListener('click', () => {
+            this.closeDetails();
+        });
+
+        const revisionsContainer = document.getElementById('revisions-container');
+
+        try {
+            const revisions = await this.authManager.getPostRevisions(postId);
+            const post = this.posts.find(p => p.id === postId);
+
+            // Oldest first, ending with the current content
+            const versions = revisions.map(revision => ({
+                content: revision.content,
+                date: revision.versionCreatedAt?.toDate ? revision.versionCreatedAt.toDate() : null
+            }));
+            if (post) {
+                versions.push({
+                    content: post.content,
+                    date: post.editedAt?.toDate ? post.editedAt.toDate() : null,
+                    isCurrent: true
+                });
+            }
+
+            if (this.selectedPostId !== postId || !document.getElementById('revisions-container')) return;
+
+            revisionsContainer.innerHTML = html`${versions.map((version, index) => {
+                const body = index === 0
+                    ? version.content
+                    : this.renderDiff(this.diffWords(versions[index - 1].content, version.content));
+
+                return html`
+                    <div class="border ${version.isCurrent ? 'border-custom-black' : 'border-custom-grey'} p-4 bg-custom-white">
+                        <div class="flex justify-between items-center mb-2 text-xs text-custom-black">
+                            <span class="font-semibold">${version.isCurrent ? 'Current version' : index === 0 ? 'Original' : `Version ${index + 1}`}</span>
+                            <span>${version.date ? version.date.toLocaleString() : ''}</span>
+                        </div>
+                        <div class="text-sm text-custom-black whitespace-pre-wrap leading-relaxed">${body}</div>
+                    </div>
+                `;
+            }).reverse()}`;
+        } catch (error) {
+            revisionsContainer.innerHTML = html`
+                <div class="text-center text-red-600 py-8">
+                    <p>${error.message}</p>
+                </div>
+            `;
+        }
+    }
+
+    // Word-level diff (longest common subsequence) between two versions of a post
+    diffWords(oldText, newText) {
+        const oldWords = oldText.split(/(\s+)/);
+        const newWords = newText.split(/(\s+)/);
+        const rows = oldWords.length;
+        const cols = newWords.length;
+
+        // lengths[i][j] = LCS length of oldWords[i..] and newWords[j..]
+        const lengths = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i][j] = oldWords[i] === newWords[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const parts = [];
+        const push = (type, text) => {
+            const last = parts[parts.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                parts.push({ type, text });
+            }
+        };
+
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < cols) {
+            if (oldWords[i] === newWords[j]) {
+                push('equal', oldWords[i]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                push('delete', oldWords[i++]);
+            } else {
+                push('insert', newWords[j++]);
+            }
+        }
+        while (i < rows) push('delete', oldWords[i++]);
+        while (j < cols) push('insert', newWords[j++]);
+
+        return parts;
+    }
+
+    renderDiff(parts) {
+        return parts.map(part => {
+            if (part.type === 'insert') return html`<ins class="bg-custom-green no-underline">${part.text}</ins>`;
+            if (part.type === 'delete') return html`<del class="bg-custom-pink">${part.text}</del>`;
+            return part.text;
+        });
+    }
+
+    // Public profiles
+    async loadOwnProfile() {
+        const user = this.authManager.getCurrentUser();
+        if (!user) return;
+
+        const profile = await this.authManager.getPublicProfile(user.uid);
+        this.profileCache.set(user.uid, profile);
+        this.renderAccountProfile();
+    }
+
+    renderAccountProfile() {
+        const accountProfile = document.getElementById('account-profile');
+        const user = this.authManager.getCurrentUser();
+        if (!accountProfile || !user) return;
+
+        const profile = this.profileCache.get(user.uid);
+
+        accountProfile.innerHTML = html`
+            ${profile ? this.renderAuthor(user.uid) : html`
+                <p class="text-xs text-custom-black">Choose a handle so others can see who wrote your posts.</p>
+            `}
+            <button 
+                id="edit-profile-btn"
+                class="w-full flex justify-center py-2 px-3 border border-custom-grey text-xs font-medium text-custom-black ${profile ? 'bg-custom-white' : 'bg-custom-green'} hover:opacity-80 focus:outline-none transition-opacity"
+            >
+                ${profile ? 'Edit public profile' : 'Set up public profile'}
+            </button>
+        `;
+
+        document.getElementById('edit-profile-btn').addEventListener('click', () => {
+            this.openProfileEditor();
+        });
+
+        const ownAuthorBtn = accountProfile.querySelector('[data-author-id]');
+        if (ownAuthorBtn) {
+            ownAuthorBtn.addEventListener('click', () => {
+                this.openProfile(user.uid);
+            });
+        }
+    }
+
+    // Author line for cards: avatar, display name and @handle from the public profile
+    renderAuthor(userId) {
+        const profile = this.profileCache.get(userId);
+        const name = this.getProfileName(userId);
+
+        return html`
+            <button class="flex items-center space-x-2 text-left hover:opacity-80 min-w-0" data-author-id="${userId}">
+                ${this.renderAvatar(profile)}
+                <span class="text-sm font-medium text-custom-black truncate">${name}</span>
+                ${profile && profile.displayName ? html`<span class="text-xs text-custom-black opacity-75 truncate">@${profile.handle}</span>` : ''}
+            </button>
+        `;
+    }
+
+    // Posts and replies that came in over ActivityPub carry their author with them instead of a profile
+    renderPostAuthor(post) {
+        return post.remote ? this.renderRemoteAuthor(post.remote) : this.renderAuthor(post.userId);
+    }
+
+    renderRemoteAuthor(remote) {
+        const name = remote.name || remote.acct;
+        const avatar = this.renderAvatar({ displayName: name, handle: remote.acct, avatarUrl: remote.avatarUrl });
+        const profileUrl = safeUrl(remote.url, { httpsOnly: true });
+
+        return html`
+            <div class="flex items-center space-x-2 min-w-0">
+                ${avatar}
+                ${profileUrl
+                    ? html`<a href="${profileUrl}" target="_blank" rel="noopener noreferrer" class="text-sm font-medium text-custom-black truncate hover:opacity-80">${name}</a>`
+                    : html`<span class="text-sm font-medium text-custom-black truncate">${name}</span>`}
+                <span class="text-xs text-custom-black opacity-75 truncate">@${remote.acct}</span>
+                <span class="text-xs px-2 py-0.5 border border-custom-grey text-custom-black flex-shrink-0">Remote</span>
+            </div>
+        `;
+    }
+
+    // Reactions and the bookmark button, with the current user's own choices highlighted
+    renderReactionBar(post) {
+        const counts = post.reactionCounts || {};
+        const bookmarkCount = Number(post.bookmarkCount) || 0;
+        const isBookmarked = this.bookmarkIds.includes(post.id);
+        const buttonClasses = (selected) => `px-2 py-1 border ${selected ? 'border-custom-black bg-custom-blue' : 'border-custom-grey bg-custom-white'} hover:opacity-80 transition-opacity`;
+
+        return html`
+            <div class="mt-3 flex flex-wrap items-center gap-2 text-xs text-custom-black">
+                ${POST_REACTIONS.map(({ type, emoji, label }) => {
+                    const count = Number(counts[type]) || 0;
+                    const isOwn = this.ownReactions.has(`${post.id}/${type}`);
+                    return html`
+                        <button class="${buttonClasses(isOwn)}" data-post-action="react" data-reaction="${type}" aria-pressed="${isOwn ? 'true' : 'false'}" title="${label}">
+                            ${emoji}${count > 0 ? ` ${count}` : ''}
                         </button>
+                    `;
+                })}
+                <button class="ml-auto ${buttonClasses(isBookmarked)}" data-post-action="bookmark" aria-pressed="${isBookmarked ? 'true' : 'false'}">
+                    ${isBookmarked ? 'Saved' : 'Save'}${bookmarkCount > 0 ? ` · ${bookmarkCount}` : ''}
+                </button>
+            </div>
+        `;
+    }
+
+    // Bookmarks changed elsewhere (or from this tab): refresh the Bookmarks view, or just the buttons
+    handleBookmarksChange(postIds) {
+        const changed = postIds.length !== this.bookmarkIds.length ||
+            postIds.some((id, index) => id !== this.bookmarkIds[index]);
+        if (!changed) return;
+
+        this.bookmarkIds = postIds;
+
+        if (this.activeFeed === 'bookmarks') {
+            this.refreshFeed();
+        } else {
+            this.renderFeed();
+        }
+    }
+
+    // Likes and boosts from other servers
+    getRemoteCountsHtml(post) {
+        const likes = post.remoteLikeCount || 0;
+        const boosts = post.remoteAnnounceCount || 0;
+        const parts = [];
+
+        if (likes > 0) parts.push(likes === 1 ? '1 like' : `${likes} likes`);
+        if (boosts > 0) parts.push(boosts === 1 ? '1 boost' : `${boosts} boosts`);
+
+        return parts.map(part => html`<span>${part}</span>`);
+    }
+
+    renderAvatar(profile, size = 'sm') {
+        const sizeClasses = size === 'lg' ? 'w-16 h-16 text-xl' : 'w-8 h-8 text-xs';
+
+        const avatarUrl = profile ? safeUrl(profile.avatarUrl, { httpsOnly: true }) : null;
+        if (avatarUrl) {
+            return html`<img src="${avatarUrl}" alt="" class="${sizeClasses} object-cover border border-custom-grey flex-shrink-0">`;
+        }
+
+        const initial = profile ? (profile.displayName || profile.handle).charAt(0).toUpperCase() : '?';
+        return html`<div class="${sizeClasses} bg-custom-blue text-custom-white font-bold flex items-center justify-center flex-shrink-0">${initial}</div>`;
+    }
+
+    // Fetch profiles we haven't seen yet, then redraw whatever shows authors
+    async ensureProfiles(userIds) {
+        const missing = Array.from(new Set(userIds)).filter(uid =>
+            uid && !this.profileCache.has(uid) && !this.pendingProfileIds.has(uid)
+        );
+        if (missing.length === 0) return;
+
+        missing.forEach(uid => this.pendingProfileIds.add(uid));
+        const profiles = await Promise.all(missing.map(uid => this.authManager.getPublicProfile(uid)));
+        missing.forEach((uid, index) => {
+            this.profileCache.set(uid, profiles[index]);
+            this.pendingProfileIds.delete(uid);
+        });
+
+        this.refreshAuthors();
+    }
+
+    refreshAuthors() {
+        this.renderFeed();
+        if (this.currentThread && document.getElementById('thread-container')) {
+            this.renderThread(this.currentThread);
+        }
+        this.renderNotifications();
+        this.renderConversations();
+        this.renderMessages();
+        this.renderTypingIndicator();
+        this.renderCategoryMembers();
+        this.renderSearchResults();
+    }
+
+    // Show a user's profile and live post history in the Details panel
+    openProfile(userId) {
+        const detailsPanel = document.getElementById('details-panel');
+        if (!detailsPanel) return;
+
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = null;
+        this.currentThread = null;
+        this.currentProfileId = userId;
+        this.profilePosts = [];
+        this.updatePostSelection();
+
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('Profile')}
+                <div id="profile-header" class="pb-4 mb-4 border-b border-custom-grey"></div>
+                <div id="profile-posts" class="flex-1 overflow-y-auto space-y-3">
+                    <div class="text-center text-custom-black py-8">
+                        <div class="animate-spin h-8 w-8 border-b-2 border-custom-blue mx-auto mb-4"></div>
+                        <p>Loading posts...</p>
                     </div>
-                </form>
+                </div>
             </div>
         `;
 
-        this.attachLoginEventListeners();
+        document.getElementById('close-details-btn').addEventListener('click', () => {
+            this.closeDetails();
+        });
+
+        document.getElementById('profile-posts').addEventListener('click', (e) => {
+            if (this.handleContentClick(e.target)) return;
+
+            const postEl = e.target.closest('[data-profile-post-id]');
+            if (postEl && !e.target.closest('a')) {
+                this.openThread(postEl.getAttribute('data-profile-post-id'));
+            }
+        });
+
+        const renderHeader = () => this.renderProfileHeader(userId);
+        if (this.profileCache.has(userId)) {
+            renderHeader();
+        } else {
+            this.authManager.getPublicProfile(userId).then(profile => {
+                this.profileCache.set(userId, profile);
+                if (document.getElementById('profile-header')) renderHeader();
+            });
+        }
+
+        try {
+            this.detailsUnsubscribe = this.authManager.subscribeToUserPosts(userId, (posts) => {
+                this.renderProfilePosts(posts);
+            });
+        } catch (error) {
+            console.error('Error opening profile:', error);
+            this.renderProfilePosts([]);
+        }
     }
 
-    renderSignupPage() {
-        // Reset container style for auth pages
-        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
-        
-        this.container.innerHTML = `
-            <div class="max-w-md w-full space-y-8">
-                <div>
-                    <h2 class="mt-6 text-center text-3xl font-bold text-gray-900">
-                        Create your account
-                    </h2>
-                    <p class="mt-2 text-center text-sm text-gray-600">
-                        ActivityPub Authentication with Firebase
-                    </p>
-                </div>
-                
-                <form id="signup-form" class="mt-8 space-y-6">
-                    <div class="space-y-4">
-                        <div>
-                            <label for="email" class="block text-sm font-medium text-gray-700">
-                                Email address
-                            </label>
-                            <input 
-                                id="email" 
-                                name="email" 
-                                type="email" 
-                                required 
-                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
-                                placeholder="Enter your email"
-                            >
-                        </div>
-                        
-                        <div>
-                            <label for="password" class="block text-sm font-medium text-gray-700">
-                                Password
-                            </label>
-                            <input 
-                                id="password" 
-                                name="password" 
-                                type="password" 
-                                required 
-                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
-                                placeholder="Create a password (6+ characters)"
-                            >
-                        </div>
-                        
-                        <div>
-                            <label for="confirm-password" class="block text-sm font-medium text-gray-700">
-                                Confirm Password
-                            </label>
-                            <input 
-                                id="confirm-password" 
-                                name="confirm-password" 
-                                type="password" 
-                                required 
-                                class="mt-1 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-black focus:border-black focus:z-10 sm:text-sm"
-                                placeholder="Confirm your password"
-                            >
-                        </div>
-                    </div>
+    renderProfileHeader(userId) {
+        const profileHeader = document.getElementById('profile-header');
+        if (!profileHeader) return;
 
-                    <div id="signup-error" class="text-red-600 text-sm hidden"></div>
-                    <div id="signup-loading" class="text-blue-600 text-sm hidden">Creating account...</div>
+        const profile = this.profileCache.get(userId);
+        const currentUser = this.authManager.getCurrentUser();
+        const isOwn = currentUser && currentUser.uid === userId;
 
-                    <div class="space-y-4">
-                        <button 
-                            type="submit" 
-                            id="signup-submit-btn"
-                            class="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium text-white bg-black hover:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black disabled:opacity-50 disabled:cursor-not-allowed"
-                        >
-                            Create account
-                        </button>
-                        
-                        <button 
-                            type="button" 
-                            id="go-to-login"
-                            class="w-full flex justify-center py-2 px-4 border border-black text-sm font-medium text-black bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-black"
-                        >
-                            Already have an account? Sign in
-                        </button>
+        profileHeader.innerHTML = html`
+            <div class="flex items-center space-x-4">
+                ${this.renderAvatar(profile, 'lg')}
+                ${profile ? html`
+                    <div class="min-w-0 flex-1">
+                        <p class="text-lg font-semibold text-custom-black truncate">${profile.displayName || profile.handle}</p>
+                        <p class="text-sm text-custom-black opacity-75">@${profile.handle}</p>
                     </div>
-                </form>
+                ` : html`
+                    <p class="text-sm text-custom-black flex-1">This user hasn't set up a public profile yet.</p>
+                `}
+                ${isOwn ? '' : html`
+                    <div class="text-sm flex flex-col items-end space-y-1">
+                        <div id="profile-follow">${this.getFollowButtonHtml(userId, 'data-follow-action')}</div>
+                        <button class="underline hover:opacity-80" data-message-user>Message</button>
+                    </div>
+                `}
             </div>
+            ${profile && profile.bio ? html`<p class="mt-3 text-sm text-custom-black whitespace-pre-wrap">${this.linkifyText(profile.bio)}</p>` : ''}
+            <p id="profile-follow-counts" class="mt-3 text-xs text-custom-black">&nbsp;</p>
         `;
 
-        this.attachSignupEventListeners();
+        const followBtn = profileHeader.querySelector('[data-follow-action]');
+        if (followBtn) {
+            followBtn.addEventListener('click', async () => {
+                followBtn.disabled = true;
+                try {
+                    await this.toggleFollow(userId);
+                } catch (error) {
+                    alert(error.message);
+                    followBtn.disabled = false;
+                }
+            });
+        }
+
+        const messageBtn = profileHeader.querySelector('[data-message-user]');
+        if (messageBtn) {
+            messageBtn.addEventListener('click', () => {
+                this.messageUser(userId);
+            });
+        }
+
+        this.refreshFollowCounts(userId);
     }
 
-    renderDashboard() {
-        const user = this.authManager.getCurrentUser();
-        
-        if (!user) {
-            this.renderLoginPage();
+    // Follows
+    getFollowButtonHtml(userId, actionAttribute) {
+        const isFollowing = this.followingIds.has(userId);
+        return html`
+            <button class="underline hover:opacity-80 disabled:opacity-50" ${actionAttribute}="${isFollowing ? 'unfollow' : 'follow'}">
+                ${isFollowing ? 'Unfollow' : 'Follow'}
+            </button>
+        `;
+    }
+
+    async toggleFollow(userId) {
+        if (this.followingIds.has(userId)) {
+            await this.authManager.unfollowUser(userId);
+        } else {
+            await this.authManager.followUser(userId);
+        }
+        this.refreshFollowCounts(userId);
+    }
+
+    async refreshFollowCounts(userId) {
+        const counts = await this.authManager.getFollowCounts(userId);
+
+        // The panel may show someone else by the time the counts arrive
+        const countsEl = document.getElementById('profile-follow-counts');
+        if (!countsEl || this.currentProfileId !== userId) return;
+
+        countsEl.textContent = `${counts.followers} ${counts.followers === 1 ? 'follower' : 'followers'} · ${counts.following} following`;
+    }
+
+    handleFollowingChange(followeeIds) {
+        const changed = followeeIds.length !== this.followingIds.size ||
+            followeeIds.some(uid => !this.followingIds.has(uid));
+        if (!changed) return;
+
+        this.followingIds = new Set(followeeIds);
+
+        if (this.activeFeed === 'following') {
+            this.refreshFeed();
+        } else {
+            this.renderFeed();
+        }
+
+        // Only the follow button changes; counts are refreshed by whoever made the change
+        const profileFollow = document.getElementById('profile-follow');
+        if (profileFollow && this.currentProfileId) {
+            const isFollowing = this.followingIds.has(this.currentProfileId);
+            const followBtn = profileFollow.querySelector('[data-follow-action]');
+            followBtn.setAttribute('data-follow-action', isFollowing ? 'unfollow' : 'follow');
+            followBtn.textContent = isFollowing ? 'Unfollow' : 'Follow';
+            followBtn.disabled = false;
+        }
+    }
+
+    renderProfilePosts(posts) {
+        const profilePosts = document.getElementById('profile-posts');
+        if (!profilePosts) return;
+
+        this.profilePosts = posts;
+        posts = this.getReadablePosts(posts.filter(post => !post.deletedAt));
+
+        if (posts.length === 0) {
+            profilePosts.innerHTML = html`
+                <p class="text-sm text-custom-black py-4 text-center">No posts yet.</p>
+            `;
             return;
         }
 
-        // Update container to use full screen layout
-        this.container.className = "min-h-screen";
-        
-        this.container.innerHTML = `
-            <div class="min-h-screen grid grid-cols-7 gap-6 p-6">
-                <!-- Sidebar (1 column) -->
-                <div class="col-span-1 bg-custom-white border border-custom-grey p-6 h-fit">
-                    <div class="space-y-6">
-                        <div>
-                            <h1 class="text-2xl font-bold text-custom-blue">ssaavvee</h1>
-                        </div>
-                        
-                        <div class="space-y-3">
-                            <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Account</h3>
-                            <div class="bg-custom-white p-3 border border-custom-grey">
-                                <p class="text-sm text-custom-black break-words font-medium">${user.email}</p>
-                                <p class="text-xs text-custom-black mt-1">ID: ${user.uid.substring(0, 8)}...</p>
-                            </div>
-                        </div>
-                        
-                        <div class="space-y-3">
-                            <h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide">Categories</h3>
-                            <div class="space-y-2">
-                                <button 
-                                    id="category-all"
-                                    class="w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-blue hover:opacity-80 transition-opacity"
-                                >
-                                    All messages
-                                </button>
-                                <div id="categories-list" class="space-y-2">
-                                    <!-- Categories will be loaded here -->
-                                </div>
-                                <button 
-                                    id="add-category-btn"
-                                    class="w-full flex justify-center py-2 px-3 border border-custom-grey text-sm font-medium text-custom-black bg-custom-green hover:opacity-80 focus:outline-none transition-opacity"
-                                >
-                                    + Add Category
-                                </button>
-                            </div>
-                        </div>
-                        
-                        <div class="space-y-2">
-                            <div class="flex items-center justify-between">
-                                <span class="text-xs text-custom-black">Email Verified</span>
-                                <span class="text-xs px-2 py-1 ${user.emailVerified ? 'bg-custom-green text-custom-black' : 'bg-custom-pink text-custom-black'}">${user.emailVerified ? 'Yes' : 'No'}</span>
-                            </div>
-                            <div class="text-xs text-custom-black">
-                                <strong>Last Sign In:</strong><br>
-                                ${user.metadata.lastSignInTime ? new Date(user.metadata.lastSignInTime).toLocaleDateString() : 'N/A'}
-                            </div>
-                        </div>
-                        
-                        <button 
-                            id="logout-btn"
-                            class="w-full flex justify-center py-3 px-4 border border-custom-grey text-sm font-medium text-custom-black bg-custom-pink hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-pink disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
-                        >
-                            Logout
-                        </button>
+        profilePosts.innerHTML = html`${posts.map(post => {
+            const createdAt = post.createdAt?.toDate ? post.createdAt.toDate() : new Date();
+            return html`
+                <div class="border border-custom-grey p-4 bg-custom-white hover:opacity-80 transition-opacity cursor-pointer" data-profile-post-id="${post.id}">
+                    <div class="flex justify-between items-center mb-2 text-xs text-custom-black">
+                        ${this.renderCategoryBadge(post.category || 'General')}
+                        <span>${this.getTimeAgo(createdAt)}</span>
                     </div>
+                    <div class="text-sm text-custom-black whitespace-pre-wrap leading-relaxed">${this.renderContent(post.content)}</div>
                 </div>
+            `;
+        })}`;
+    }
 
-                <!-- Feed Panel (3 columns) -->
-                <div class="col-span-3 bg-custom-white border border-custom-grey">
-                    <div class="h-full flex flex-col">
-                        <!-- Post Input Section -->
-                        <div class="p-6 border-b border-custom-grey">
-                            <form id="post-form" class="space-y-4">
-                                <div>
-                                    <label for="post-content" id="post-label" class="block text-sm font-semibold text-custom-black mb-3">
-                                        What's on your mind?
-                                    </label>
-                                    <textarea 
-                                        id="post-content" 
-                                        name="content" 
-                                        rows="3" 
-                                        class="w-full px-4 py-3 border border-custom-grey bg-custom-white focus:outline-none focus:ring-2 focus:ring-custom-grey focus:border-custom-grey resize-none placeholder-custom-grey text-custom-black transition-colors"
-                                        placeholder="Share something wonderful..."
-                                        maxlength="500"
-                                    ></textarea>
-                                    <div class="flex justify-between items-center mt-3">
-                                        <span id="char-count" class="text-xs text-custom-black">0/500</span>
-                                        <button 
-                                            type="submit" 
-                                            id="post-submit-btn"
-                                            class="px-6 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-green disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
-                                        >
-                                            Post
-                                        </button>
-                                    </div>
-                                </div>
-                                <div id="post-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
-                                <div id="post-success" class="text-green-700 text-sm hidden p-3 bg-green-50 border border-green-200"></div>
-                            </form>
-                        </div>
-                        
-                        <!-- Feed Section -->
-                        <div class="flex-1 overflow-y-auto">
-                            <div class="p-6">
-                                <h2 class="text-lg font-semibold text-custom-black mb-6 flex items-center">
-                                    <span class="w-2 h-2 bg-custom-blue mr-3"></span>
-                                    Recent Posts
-                                </h2>
-                                <div id="posts-container" class="space-y-4">
-                                    <div class="text-center text-custom-black py-8">
-                                        <div class="animate-spin h-8 w-8 border-b-2 border-custom-blue mx-auto mb-4"></div>
-                                        <p>Loading posts...</p>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
+    // Edit the current user's public profile in the Details panel
+    openProfileEditor() {
+        const detailsPanel = document.getElementById('details-panel');
+        const user = this.authManager.getCurrentUser();
+        if (!detailsPanel || !user) return;
 
-                <!-- Details Panel (3 columns) -->
-                <div class="col-span-3 bg-custom-white border border-custom-grey p-6">
-                    <div class="h-full flex items-center justify-center">
-                        <div class="text-center text-custom-black">
-                            <div class="w-16 h-16 bg-custom-blue mx-auto mb-4 flex items-center justify-center">
-                                <div class="w-8 h-8 bg-custom-white"></div>
-                            </div>
-                            <h2 class="text-lg font-semibold mb-2 text-custom-black">Details</h2>
-                            <p class="text-sm text-custom-black">Additional information will appear here</p>
-                        </div>
-                    </div>
-                </div>
-            </div>
-        `;
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
 
-        this.attachDashboardEventListeners();
-        this.initializeFeed();
-        this.updatePostLabel();
-    }
+        this.selectedPostId = null;
+        this.currentThread = null;
+        this.updatePostSelection();
+
+        const profile = this.profileCache.get(user.uid) || {};
+        const inputClasses = 'mt-1 w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-2 focus:ring-custom-grey text-sm';
 
-    renderLoadingPage() {
-        this.container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
-        
-        this.container.innerHTML = `
-            <div class="max-w-md w-full space-y-8">
-                <div class="bg-custom-white p-8 border border-custom-grey">
-                    <div class="text-center">
-                        <div class="animate-spin h-12 w-12 border-b-2 border-custom-blue mx-auto"></div>
-                        <p class="mt-4 text-custom-black">Loading...</p>
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('Public profile')}
+                <form id="profile-form" class="space-y-4">
+                    <div>
+                        <label for="profile-handle" class="block text-sm font-medium text-custom-black">Handle</label>
+                        <input id="profile-handle" type="text" required maxlength="21" class="${inputClasses}" placeholder="your_handle">
+                        <p class="mt-1 text-xs text-custom-black">3-20 letters, numbers or underscores. Must be unique.</p>
                     </div>
-                </div>
+                    <div>
+                        <label for="profile-display-name" class="block text-sm font-medium text-custom-black">Display name</label>
+                        <input id="profile-display-name" type="text" maxlength="50" class="${inputClasses}">
+                    </div>
+                    <div>
+                        <label for="profile-bio" class="block text-sm font-medium text-custom-black">Bio</label>
+                        <textarea id="profile-bio" rows="3" maxlength="160" class="${inputClasses} resize-none"></textarea>
+                    </div>
+                    <div>
+                        <label for="profile-avatar" class="block text-sm font-medium text-custom-black">Avatar URL</label>
+                        <input id="profile-avatar" type="url" maxlength="500" class="${inputClasses}" placeholder="https://...">
+                    </div>
+                    <div id="profile-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
+                    <button 
+                        type="submit" 
+                        id="profile-submit-btn"
+                        class="px-6 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 focus:outline-none disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                    >
+                        Save profile
+                    </button>
+                </form>
             </div>
         `;
-    }
 
-    attachLoginEventListeners() {
-        const form = document.getElementById('login-form');
-        const goToSignup = document.getElementById('go-to-signup');
-        const errorDiv = document.getElementById('login-error');
-        const loadingDiv = document.getElementById('login-loading');
-        const submitBtn = document.getElementById('login-submit-btn');
+        // Values are set as properties so nothing user-provided is parsed as HTML
+        document.getElementById('profile-handle').value = profile.handle || '';
+        document.getElementById('profile-display-name').value = profile.displayName || '';
+        document.getElementById('profile-bio').value = profile.bio || '';
+        document.getElementById('profile-avatar').value = profile.avatarUrl || '';
+
+        document.getElementById('close-details-btn').addEventListener('click', () => {
+            this.closeDetails();
+        });
+
+        const form = document.getElementById('profile-form');
+        const errorDiv = document.getElementById('profile-error');
+        const submitBtn = document.getElementById('profile-submit-btn');
 
         form.addEventListener('submit', async (e) => {
             e.preventDefault();
-            
-            const email = document.getElementById('email').value.trim();
-            const password = document.getElementById('password').value;
-
-            // Reset states
             errorDiv.classList.add('hidden');
-            loadingDiv.classList.remove('hidden');
             submitBtn.disabled = true;
 
             try {
-                await this.authManager.authenticateUser(email, password);
-                // Auth state change will handle navigation
+                await this.authManager.savePublicProfile({
+                    handle: document.getElementById('profile-handle').value,
+                    displayName: document.getElementById('profile-display-name').value,
+                    bio: document.getElementById('profile-bio').value,
+                    avatarUrl: document.getElementById('profile-avatar').value
+                });
+
+                this.profileCache.set(user.uid, await this.authManager.getPublicProfile(user.uid));
+                this.renderAccountProfile();
+                this.refreshAuthors();
+                this.openProfile(user.uid);
             } catch (error) {
                 errorDiv.textContent = error.message;
                 errorDiv.classList.remove('hidden');
-                loadingDiv.classList.add('hidden');
                 submitBtn.disabled = false;
             }
         });
+    }
 
-        goToSignup.addEventListener('click', () => {
-            this.renderSignupPage();
-        });
+    // Notifications
+    handleNotificationsChange(notifications) {
+        this.notifications = notifications;
+        this.renderNotificationBadge();
+        this.renderNotifications();
+        this.ensureProfiles(notifications.map(notification => notification.actorId));
     }
 
-    attachSignupEventListeners() {
-        const form = document.getElementById('signup-form');
-        const goToLogin = document.getElementById('go-to-login');
-        const errorDiv = document.getElementById('signup-error');
-        const loadingDiv = document.getElementById('signup-loading');
-        const submitBtn = document.getElementById('signup-submit-btn');
+    // Known types the user hasn't muted
+    getVisibleNotifications() {
+        const muted = this.authManager.getMutedNotificationTypes();
+        return this.notifications.filter(notification =>
+            NOTIFICATION_TYPES.some(({ type }) => type === notification.type) && !muted.includes(notification.type)
+        );
+    }
 
-        form.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const email = document.getElementById('email').value.trim();
-            const password = document.getElementById('password').value;
-            const confirmPassword = document.getElementById('confirm-password').value;
+    renderNotificationBadge() {
+        const badge = document.getElementById('notifications-unread');
+        if (!badge) return;
 
-            // Reset states
-            errorDiv.classList.add('hidden');
+        const unread = this.getVisibleNotifications().filter(notification => !notification.read).length;
+        badge.textContent = this.formatUnreadCount(unread);
+        badge.classList.toggle('hidden', unread === 0);
+        document.getElementById('notifications-btn').setAttribute('aria-label', unread > 0 ? `Notifications, ${unread} unread` : 'Notifications');
+    }
 
-            // Client-side validation
-            if (!this.isValidEmail(email)) {
-                errorDiv.textContent = 'Please enter a valid email address';
-                errorDiv.classList.remove('hidden');
-                return;
+    getNotificationText(notification) {
+        switch (notification.type) {
+            case 'reply':
+                return 'replied to you';
+            case 'mention':
+                return 'mentioned you in a post';
+            case 'follow':
+                return 'started following you';
+            case 'reaction': {
+                const reaction = POST_REACTIONS.find(({ type }) => type === notification.reaction);
+                return reaction ? `reacted ${reaction.emoji} to your post` : 'reacted to your post';
             }
-
-            if (password.length < 6) {
-                errorDiv.textContent = 'Password must be at least 6 characters long';
-                errorDiv.classList.remove('hidden');
-                return;
+            case 'invite': {
+                const category = this.categories.find(({ id }) => id === notification.categoryId);
+                return category ? `invited you to ${category.name}` : 'invited you to a category';
             }
+            default:
+                return '';
+        }
+    }
 
-            if (password !== confirmPassword) {
-                errorDiv.textContent = 'Passwords do not match';
-                errorDiv.classList.remove('hidden');
-                return;
-            }
+    // The notification list in the Details panel, with "mark all read" and per-type mutes
+    openNotifications() {
+        const detailsPanel = document.getElementById('details-panel');
+        if (!detailsPanel) return;
 
-            // Show loading state
-            loadingDiv.classList.remove('hidden');
-            submitBtn.disabled = true;
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = null;
+        this.currentThread = null;
+        this.updatePostSelection();
+
+        const muted = this.authManager.getMutedNotificationTypes();
+
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('Notifications')}
+                <div class="flex justify-between items-center mb-3">
+                    <button id="mark-all-read-btn" class="text-xs text-custom-black underline hover:opacity-80 disabled:opacity-50">Mark all read</button>
+                    <button id="notification-settings-btn" class="text-xs text-custom-black underline hover:opacity-80" aria-expanded="false">Settings</button>
+                </div>
+                <fieldset id="notification-settings" class="hidden mb-3 p-3 border border-custom-grey space-y-2">
+                    <legend class="px-1 text-xs font-semibold text-custom-black uppercase tracking-wide">Notify me about</legend>
+                    ${NOTIFICATION_TYPES.map(({ type, label }) => html`
+                        <label class="flex items-center space-x-2 text-sm text-custom-black">
+                            <input type="checkbox" data-notification-type="${type}" ${muted.includes(type) ? '' : 'checked'}>
+                            <span>${label}</span>
+                        </label>
+                    `)}
+                </fieldset>
+                <div id="notifications-list" class="flex-1 overflow-y-auto space-y-2"></div>
+            </div>
+        `;
+
+        document.getElementById('close-details-btn').addEventListener('click', () => {
+            this.closeDetails();
+        });
 
+        const markAllReadBtn = document.getElementById('mark-all-read-btn');
+        markAllReadBtn.addEventListener('click', async () => {
+            markAllReadBtn.disabled = true;
             try {
-                await this.authManager.registerUser(email, password);
-                // Auth state change will handle navigation
+                await this.authManager.markAllNotificationsRead();
             } catch (error) {
-                errorDiv.textContent = error.message;
-                errorDiv.classList.remove('hidden');
-                loadingDiv.classList.add('hidden');
-                submitBtn.disabled = false;
+                alert(error.message);
+            } finally {
+                markAllReadBtn.disabled = false;
             }
         });
 
-        goToLogin.addEventListener('click', () => {
-            this.renderLoginPage();
+        const settingsBtn = document.getElementById('notification-settings-btn');
+        const settings = document.getElementById('notification-settings');
+        settingsBtn.addEventListener('click', () => {
+            const isOpen = settings.classList.toggle('hidden') === false;
+            settingsBtn.setAttribute('aria-expanded', isOpen ? 'true' : 'false');
+        });
+
+        settings.addEventListener('change', async () => {
+            const mutedTypes = Array.from(settings.querySelectorAll('[data-notification-type]'))
+                .filter(checkbox => !checkbox.checked)
+                .map(checkbox => checkbox.getAttribute('data-notification-type'));
+
+            await this.authManager.updateNotificationMutes(mutedTypes);
+            this.renderNotificationBadge();
+            this.renderNotifications();
         });
+
+        document.getElementById('notifications-list').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-notification-id]');
+            if (item) {
+                this.openNotification(this.notifications.find(({ id }) => id === item.getAttribute('data-notification-id')));
+            }
+        });
+
+        this.renderNotifications();
     }
 
-    attachDashboardEventListeners() {
-        const logoutBtn = document.getElementById('logout-btn');
-        const postForm = document.getElementById('post-form');
-        const postContent = document.getElementById('post-content');
-        const charCount = document.getElementById('char-count');
-        const postSubmitBtn = document.getElementById('post-submit-btn');
-        const postError = document.getElementById('post-error');
-        const postSuccess = document.getElementById('post-success');
-        const addCategoryBtn = document.getElementById('add-category-btn');
-        const categoryAllBtn = document.getElementById('category-all');
-        const postLabel = document.getElementById('post-label');
-        
-        // Logout functionality
-        logoutBtn.addEventListener('click', async () => {
-            try {
-                await this.authManager.logout();
-                // Auth state change will handle navigation
-            } catch (error) {
-                console.error('Logout error:', error);
-                // Force navigation even if logout fails
-                this.renderLoginPage();
+    renderNotifications() {
+        const notificationsList = document.getElementById('notifications-list');
+        if (!notificationsList) return;
+
+        const notifications = this.getVisibleNotifications();
+        if (notifications.length === 0) {
+            notificationsList.innerHTML = html`
+                <p class="text-sm text-custom-black py-4 text-center">No notifications yet.</p>
+            `;
+            return;
+        }
+
+        notificationsList.innerHTML = html`${notifications.map(notification => {
+            const createdAt = notification.createdAt?.toDate ? notification.createdAt.toDate() : new Date();
+            return html`
+                <button 
+                    class="w-full text-left flex items-start space-x-3 p-3 border ${notification.read ? 'border-custom-grey bg-custom-white' : 'border-custom-black bg-custom-blue'} hover:opacity-80 transition-opacity"
+                    data-notification-id="${notification.id}"
+                    data-unread="${notification.read ? 'false' : 'true'}"
+                >
+                    ${this.renderAvatar(this.profileCache.get(notification.actorId))}
+                    <span class="min-w-0 flex-1 text-sm text-custom-black">
+                        <span class="font-medium">${this.getProfileName(notification.actorId)}</span>
+                        ${this.getNotificationText(notification)}
+                        <span class="block text-xs opacity-75">${this.getTimeAgo(createdAt)}</span>
+                    </span>
+                </button>
+            `;
+        })}`;
+    }
+
+    // Mark a notification read and go to what it is about: the post (at the reply, for
+    // replies), or the profile of a new follower
+    openNotification(notification) {
+        if (!notification) return;
+
+        if (!notification.read) {
+            this.authManager.markNotificationRead(notification.id).catch(error => {
+                console.error('Error opening notification:', error);
+            });
+        }
+
+        if (notification.postId) {
+            this.openThread(notification.postId);
+            if (notification.replyId) {
+                this.setReplyTarget(notification.replyId);
             }
+        } else if (notification.categoryId) {
+            // Invitations are accepted from the category manager
+            this.openCategoryManager();
+        } else {
+            this.openProfile(notification.actorId);
+        }
+    }
+
+    // Search in the Details panel: posts and people from the searchPosts function, and the
+    // categories the user can see, with the matching words marked
+    openSearch(query = '') {
+        const detailsPanel = document.getElementById('details-panel');
+        if (!detailsPanel) return;
+
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = null;
+        this.currentThread = null;
+        this.searchResults = null;
+        this.updatePostSelection();
+
+        const uid = this.authManager.getCurrentUser().uid;
+        const categoryNames = ['General', ...this.categories
+            .filter(category => !category.archived && canReadCategory(category, uid, this.memberships))
+            .map(category => category.name)];
+
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('Search')}
+                <form id="search-panel-form" class="space-y-3 pb-4 mb-4 border-b border-custom-grey">
+                    <input 
+                        id="search-text" 
+                        type="search" 
+                        aria-label="Search for"
+                        maxlength="200"
+                        placeholder="Words, #hashtags or @handles"
+                        class="appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                    >
+                    <div class="grid grid-cols-2 gap-2">
+                        <div>
+                            <label for="search-author" class="block text-xs text-custom-black">Author</label>
+                            <input 
+                                id="search-author" 
+                                type="text" 
+                                autocomplete="off"
+                                placeholder="@handle"
+                                class="mt-1 block w-full px-2 py-1 border border-custom-grey bg-custom-white text-custom-black focus:outline-none sm:text-sm"
+                            >
+                        </div>
+                        <div>
+                            <label for="search-category" class="block text-xs text-custom-black">Category</label>
+                            <select 
+                                id="search-category"
+                                class="mt-1 block w-full px-2 py-1 border border-custom-grey bg-custom-white text-custom-black focus:outline-none sm:text-sm"
+                            >
+                                <option value="">Any</option>
+                                ${categoryNames.map(name => html`<option value="${name}">${name}</option>`)}
+                            </select>
+                        </div>
+                        <div>
+                            <label for="search-from" class="block text-xs text-custom-black">From</label>
+                            <input id="search-from" type="date" class="mt-1 block w-full px-2 py-1 border border-custom-grey bg-custom-white text-custom-black focus:outline-none sm:text-sm">
+                        </div>
+                        <div>
+                            <label for="search-to" class="block text-xs text-custom-black">To</label>
+                            <input id="search-to" type="date" class="mt-1 block w-full px-2 py-1 border border-custom-grey bg-custom-white text-custom-black focus:outline-none sm:text-sm">
+                        </div>
+                    </div>
+                    <button 
+                        type="submit" 
+                        id="search-submit-btn"
+                        class="px-6 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-green disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                    >
+                        Search
+                    </button>
+                    <div id="search-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
+                </form>
+                <div id="search-results" class="flex-1 overflow-y-auto space-y-4"></div>
+            </div>
+        `;
+
+        document.getElementById('close-details-btn').addEventListener('click', () => {
+            this.closeDetails();
         });
 
-        // Category selection - All messages
-        categoryAllBtn.addEventListener('click', () => {
-            this.selectCategory('All');
+        document.getElementById('search-panel-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runSearch();
         });
 
-        // Add category functionality
-        addCategoryBtn.addEventListener('click', () => {
-            const categoryName = prompt('Enter category name:');
-            if (categoryName && categoryName.trim()) {
-                this.createCategory(categoryName.trim());
+        document.getElementById('search-results').addEventListener('click', (e) => {
+            const authorBtn = e.target.closest('[data-author-id]');
+            if (authorBtn) {
+                this.openProfile(authorBtn.getAttribute('data-author-id'));
+                return;
+            }
+
+            const categoryBtn = e.target.closest('[data-search-category]');
+            if (categoryBtn) {
+                this.selectCategory(categoryBtn.getAttribute('data-search-category'));
+                return;
+            }
+
+            const postEl = e.target.closest('[data-search-post-id]');
+            if (postEl) {
+                this.openThread(postEl.getAttribute('data-search-post-id'));
+            }
+        });
+
+        const textInput = document.getElementById('search-text');
+        textInput.value = query;
+        if (getSearchTerms(query).length > 0) {
+            this.runSearch();
+        } else {
+            textInput.focus();
+        }
+    }
+
+    async runSearch() {
+        const errorDiv = document.getElementById('search-error');
+        const resultsDiv = document.getElementById('search-results');
+        const submitBtn = document.getElementById('search-submit-btn');
+        if (!errorDiv) return;
+
+        const showError = (message) => {
+            errorDiv.textContent = message;
+            errorDiv.classList.remove('hidden');
+        };
+
+        errorDiv.classList.add('hidden');
+        const text = document.getElementById('search-text').value;
+        const author = document.getElementById('search-author').value.trim();
+        const category = document.getElementById('search-category').value;
+        const fromValue = document.getElementById('search-from').value;
+        const toValue = document.getElementById('search-to').value;
+
+        const terms = getSearchTerms(text);
+        if (terms.length === 0) {
+            showError(`Search for a word of at least ${MIN_SEARCH_TERM_LENGTH} letters`);
+            return;
+        }
+
+        // Dates are whole days in the user's time zone, the last one included
+        const from = fromValue ? new Date(`${fromValue}T00:00`).getTime() : null;
+        let to = null;
+        if (toValue) {
+            const end = new Date(`${toValue}T00:00`);
+            end.setDate(end.getDate() + 1);
+            to = end.getTime();
+        }
+        if (from !== null && to !== null && from >= to) {
+            showError('The start date must be on or before the end date');
+            return;
+        }
+
+        // A slower earlier search mustn't overwrite a newer one
+        const generation = ++this.searchGeneration;
+        submitBtn.disabled = true;
+        resultsDiv.innerHTML = html`
+            <div class="text-center text-custom-black py-8">
+                <div class="animate-spin h-8 w-8 border-b-2 border-custom-blue mx-auto mb-4"></div>
+                <p>Searching...</p>
+            </div>
+        `;
+
+        try {
+            const results = await this.authManager.searchPosts({ text, author, category, from, to });
+            if (generation !== this.searchGeneration) return;
+
+            // People and categories are only listed for a search that isn't narrowed down
+            const filtered = !!(author || category || from !== null || to !== null);
+            this.searchResults = { terms, posts: results.posts, users: filtered ? [] : results.users, filtered };
+            results.users.forEach(profile => this.profileCache.set(profile.id, profile));
+            this.renderSearchResults();
+        } catch (error) {
+            if (generation !== this.searchGeneration) return;
+            showError(error.message);
+            resultsDiv.innerHTML = '';
+        } finally {
+            if (generation === this.searchGeneration) {
+                submitBtn.disabled = false;
+            }
+        }
+    }
+
+    renderSearchResults() {
+        const resultsDiv = document.getElementById('search-results');
+        if (!resultsDiv || !this.searchResults) return;
+
+        const { terms, posts, users, filtered } = this.searchResults;
+        const uid = this.authManager.getCurrentUser().uid;
+        const categories = filtered ? [] : this.categories.filter(category =>
+            !category.archived && canReadCategory(category, uid, this.memberships) && matchesSearch(category.name, terms)
+        );
+
+        if (posts.length === 0 && users.length === 0 && categories.length === 0) {
+            resultsDiv.innerHTML = html`
+                <p class="text-sm text-custom-black py-4 text-center">No results.</p>
+            `;
+            return;
+        }
+
+        const heading = (title) => html`<h3 class="text-sm font-semibold text-custom-black uppercase tracking-wide mb-2">${title}</h3>`;
+
+        resultsDiv.innerHTML = html`
+            ${users.length > 0 ? html`
+                <section>
+                    ${heading('People')}
+                    <div class="space-y-2">
+                        ${users.map(profile => html`
+                            <div class="p-3 border border-custom-grey bg-custom-white" data-search-user-id="${profile.id}">
+                                ${this.renderAuthor(profile.id)}
+                            </div>
+                        `)}
+                    </div>
+                </section>
+            ` : ''}
+            ${categories.length > 0 ? html`
+                <section>
+                    ${heading('Categories')}
+                    <div class="space-y-2">
+                        ${categories.map(category => html`
+                            <button class="w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80" data-search-category="${category.name}">
+                                <span class="inline-block w-2 h-2 mr-2 ${getCategoryColorClasses(category.color)}"></span>${this.renderSearchHighlights(category.name, terms)}
+                            </button>
+                        `)}
+                    </div>
+                </section>
+            ` : ''}
+            <section>
+                ${heading('Posts')}
+                ${posts.length === 0 ? html`
+                    <p class="text-sm text-custom-black py-2">No posts found.</p>
+                ` : html`
+                    <div class="space-y-3">
+                        ${posts.map(post => html`
+                            <div class="border border-custom-grey p-4 bg-custom-white hover:opacity-80 transition-opacity cursor-pointer" data-search-post-id="${post.id}">
+                                <div class="flex justify-between items-center mb-2 text-xs text-custom-black">
+                                    ${post.userId ? this.renderAuthor(post.userId) : ''}
+                                    <div class="flex items-center space-x-2">
+                                        ${this.renderCategoryBadge(post.category || 'General')}
+                                        <span>${this.getTimeAgo(new Date(post.createdAt || Date.now()))}</span>
+                                    </div>
+                                </div>
+                                <div class="text-sm text-custom-black whitespace-pre-wrap leading-relaxed">${this.renderSearchHighlights(post.content, terms)}</div>
+                            </div>
+                        `)}
+                    </div>
+                `}
+            </section>
+        `;
+
+        this.ensureProfiles(posts.map(post => post.userId));
+    }
+
+    renderSearchHighlights(text, terms) {
+        return getSearchHighlights(text, terms).map(part => part.match
+            ? html`<mark class="bg-custom-green text-custom-black">${part.text}</mark>`
+            : part.text);
+    }
+
+    // Direct messages
+    handleConversationsChange(conversations) {
+        this.conversations = conversations;
+        this.refreshUnreadCounts();
+        this.renderConversations();
+        this.ensureProfiles(conversations.flatMap(conversation => conversation.participantIds || []));
+
+        // Read receipts and the title of the open conversation come from its conversation document
+        if (this.currentConversationId) {
+            this.markConversationReadIfNeeded(this.currentConversationId);
+            this.renderMessages();
+        }
+    }
+
+    getTimestampMillis(value) {
+        return value && value.toMillis ? value.toMillis() : 0;
+    }
+
+    // Someone else wrote after the current user last read the conversation
+    hasUnreadMessages(conversation) {
+        const uid = this.authManager.getCurrentUser().uid;
+        const lastMessage = conversation.lastMessage;
+        if (!lastMessage || lastMessage.senderId === uid) return false;
+
+        const readAt = conversation.readAt && conversation.readAt[uid];
+        return this.getTimestampMillis(lastMessage.createdAt) > this.getTimestampMillis(readAt);
+    }
+
+    // Counts are only fetched for conversations with something new, once per new message
+    refreshUnreadCounts() {
+        const unreadCounts = new Map();
+
+        this.conversations.forEach(conversation => {
+            if (conversation.id === this.currentConversationId || !this.hasUnreadMessages(conversation)) return;
+
+            const known = this.unreadCounts.get(conversation.id);
+            if (known && known.messageId === conversation.lastMessage.id) {
+                unreadCounts.set(conversation.id, known);
+                return;
             }
+
+            const entry = { messageId: conversation.lastMessage.id, count: 1 };
+            unreadCounts.set(conversation.id, entry);
+            this.authManager.getUnreadMessageCount(conversation).then(count => {
+                entry.count = Math.max(count, 1);
+                this.renderConversations();
+            });
         });
 
-        // Character counter for post content
-        postContent.addEventListener('input', () => {
-            const currentLength = postContent.value.length;
-            charCount.textContent = `${currentLength}/500`;
-            
-            if (currentLength > 450) {
-                charCount.className = 'text-xs text-red-600 font-medium';
-            } else if (currentLength > 350) {
-                charCount.className = 'text-xs text-custom-pink';
-            } else {
-                charCount.className = 'text-xs text-custom-black';
-            }
+        this.unreadCounts = unreadCounts;
+    }
+
+    formatUnreadCount(count) {
+        return count > 99 ? '99+' : String(count);
+    }
+
+    getProfileName(userId) {
+        const profile = this.profileCache.get(userId);
+        return profile ? (profile.displayName || `@${profile.handle}`) : 'ssaavvee user';
+    }
+
+    // Everyone in the conversation except the current user
+    getConversationTitle(conversation) {
+        const uid = this.authManager.getCurrentUser().uid;
+        return (conversation.participantIds || [])
+            .filter(userId => userId !== uid)
+            .map(userId => this.getProfileName(userId))
+            .join(', ');
+    }
+
+    renderConversations() {
+        const conversationsList = document.getElementById('conversations-list');
+        if (!conversationsList) return;
+
+        const unreadTotal = Array.from(this.unreadCounts.values()).reduce((total, { count }) => total + count, 0);
+        const unreadBadge = document.getElementById('messages-unread');
+        unreadBadge.textContent = this.formatUnreadCount(unreadTotal);
+        unreadBadge.classList.toggle('hidden', unreadTotal === 0);
+
+        if (this.conversations.length === 0) {
+            conversationsList.innerHTML = html`<p class="text-xs text-custom-black">No conversations yet.</p>`;
+            return;
+        }
+
+        conversationsList.innerHTML = html`${this.conversations.map(conversation => {
+            const unread = this.unreadCounts.get(conversation.id);
+            const isOpen = conversation.id === this.currentConversationId;
+            return html`
+                <button 
+                    class="w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey ${isOpen ? 'bg-custom-blue' : 'bg-custom-white'} hover:opacity-80 transition-opacity"
+                    data-conversation-id="${conversation.id}"
+                >
+                    <span class="flex items-center justify-between space-x-2">
+                        <span class="truncate ${unread ? 'font-semibold' : ''}">${this.getConversationTitle(conversation)}</span>
+                        ${unread ? html`<span class="text-xs px-1 bg-custom-pink flex-shrink-0" data-unread-count>${this.formatUnreadCount(unread.count)}</span>` : ''}
+                    </span>
+                    <span class="block text-xs truncate opacity-75">${conversation.lastMessage ? conversation.lastMessage.text : 'No messages yet'}</span>
+                </button>
+            `;
+        })}`;
+    }
+
+    // Start a conversation with one or more people by their @handles
+    openNewConversation() {
+        const detailsPanel = document.getElementById('details-panel');
+        if (!detailsPanel) return;
+
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = null;
+        this.currentThread = null;
+        this.updatePostSelection();
+
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('New message')}
+                <form id="new-conversation-form" class="space-y-4">
+                    <div>
+                        <label for="conversation-handles" class="block text-sm font-medium text-custom-black">To</label>
+                        <input 
+                            id="conversation-handles" 
+                            type="text" 
+                            required 
+                            autocomplete="off"
+                            class="mt-1 appearance-none relative block w-full px-3 py-2 border border-custom-grey bg-custom-white text-custom-black focus:outline-none focus:ring-custom-grey focus:border-custom-grey sm:text-sm"
+                            placeholder="@handle, @another_handle"
+                        >
+                        <p class="mt-1 text-xs text-custom-black">One person for a private conversation, or up to ${MAX_CONVERSATION_PARTICIPANTS - 1} for a group.</p>
+                    </div>
+                    <div id="new-conversation-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
+                    <button 
+                        type="submit" 
+                        id="new-conversation-btn"
+                        class="px-6 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-green disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                    >
+                        Start conversation
+                    </button>
+                </form>
+            </div>
+        `;
+
+        document.getElementById('close-details-btn').addEventListener('click', () => {
+            this.closeDetails();
         });
 
-        // Post form submission
-        postForm.addEventListener('submit', async (e) => {
+        const form = document.getElementById('new-conversation-form');
+        const handlesInput = document.getElementById('conversation-handles');
+        const errorDiv = document.getElementById('new-conversation-error');
+        const submitBtn = document.getElementById('new-conversation-btn');
+
+        form.addEventListener('submit', async (e) => {
             e.preventDefault();
-            
-            const content = postContent.value.trim();
-            
-            // Reset states
-            postError.classList.add('hidden');
-            postSuccess.classList.add('hidden');
-            
-            if (!content) {
-                postError.textContent = 'Please enter some content to post';
-                postError.classList.remove('hidden');
+            errorDiv.classList.add('hidden');
+
+            const handles = Array.from(new Set(handlesInput.value.split(/[\s,]+/)
+                .map(handle => handle.replace(/^@/, '').toLowerCase())
+                .filter(Boolean)));
+            if (handles.length === 0) {
+                errorDiv.textContent = 'Enter at least one @handle';
+                errorDiv.classList.remove('hidden');
                 return;
             }
 
-            // Show loading state
-            postSubmitBtn.disabled = true;
-            postSubmitBtn.textContent = 'Posting...';
+            submitBtn.disabled = true;
 
             try {
-                const category = this.selectedCategory === 'All' ? 'General' : this.selectedCategory;
-                await this.authManager.createPost(content, category);
-                
-                // Success
-                postContent.value = '';
-                charCount.textContent = '0/500';
-                charCount.className = 'text-xs text-custom-black';
-                postSuccess.textContent = 'Post created successfully!';
-                postSuccess.classList.remove('hidden');
-                
-                // Hide success message after 3 seconds
-                setTimeout(() => {
-                    postSuccess.classList.add('hidden');
-                }, 3000);
-                
+                const profiles = await Promise.all(handles.map(handle => this.authManager.getProfileByHandle(handle)));
+                const missing = handles.filter((handle, index) => !profiles[index]);
+                if (missing.length > 0) {
+                    throw new Error(`No one has the handle ${missing.map(handle => `@${handle}`).join(', ')}`);
+                }
+
+                profiles.forEach(profile => this.profileCache.set(profile.id, profile));
+                const conversationId = await this.authManager.startConversation(profiles.map(profile => profile.id));
+                this.openConversation(conversationId);
             } catch (error) {
-                postError.textContent = error.message;
-                postError.classList.remove('hidden');
-            } finally {
-                postSubmitBtn.disabled = false;
-                postSubmitBtn.textContent = 'Post';
+                errorDiv.textContent = error.message;
+                errorDiv.classList.remove('hidden');
+                submitBtn.disabled = false;
             }
         });
+
+        handlesInput.focus();
     }
 
-    initializeFeed() {
-        const postsContainer = document.getElementById('posts-container');
-        
+    async messageUser(userId) {
         try {
-            // Subscribe to real-time posts updates
-            this.postsUnsubscribe = this.authManager.subscribeToPosts((posts) => {
-                this.renderPosts(posts);
-            }, this.selectedCategory);
-
-            // Subscribe to categories updates
-            this.categoriesUnsubscribe = this.authManager.subscribeToCategories((categories) => {
-                this.categories = categories;
-                this.renderCategories();
-            });
+            const conversationId = await this.authManager.startConversation([userId]);
+            this.openConversation(conversationId);
         } catch (error) {
-            console.error('Error initializing feed:', error);
-            postsContainer.innerHTML = `
-                <div class="text-center text-red-600 py-8">
-                    <div class="w-12 h-12 bg-red-100 mx-auto mb-4 flex items-center justify-center">
-                        <div class="w-6 h-6 bg-red-400"></div>
+            alert(error.message);
+        }
+    }
+
+    // Show a conversation live in the Details panel, with who is typing and who has read what
+    openConversation(conversationId) {
+        const detailsPanel = document.getElementById('details-panel');
+        if (!detailsPanel) return;
+
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+
+        this.selectedPostId = null;
+        this.currentThread = null;
+        this.currentConversationId = conversationId;
+        this.currentMessages = null;
+        this.typingUsers = [];
+        this.updatePostSelection();
+        this.refreshUnreadCounts();
+        this.renderConversations();
+
+        // The shell is rendered once so the message draft survives live updates
+        detailsPanel.innerHTML = html`
+            <div class="h-full flex flex-col">
+                ${this.getDetailsHeaderHtml('Messages')}
+                <p id="conversation-title" class="text-sm font-medium text-custom-black pb-3 mb-3 border-b border-custom-grey truncate">&nbsp;</p>
+                
+                <div id="messages-container" class="flex-1 overflow-y-auto space-y-3">
+                    <div class="text-center text-custom-black py-8">
+                        <div class="animate-spin h-8 w-8 border-b-2 border-custom-blue mx-auto mb-4"></div>
+                        <p>Loading messages...</p>
                     </div>
-                    <p>Error loading posts. Please try refreshing the page.</p>
                 </div>
-            `;
+                <p id="typing-indicator" class="text-xs text-custom-black h-4 mt-2"></p>
+                
+                <form id="message-form" class="mt-2 pt-4 border-t border-custom-grey space-y-3">
+                    <textarea 
+                        id="message-content" 
+                        name="message" 
+                        rows="2" 
+                        class="w-full px-4 py-3 border border-custom-grey bg-custom-white focus:outline-none focus:ring-2 focus:ring-custom-grey focus:border-custom-grey resize-none placeholder-custom-grey text-custom-black transition-colors"
+                        placeholder="Write a message..."
+                        maxlength="${MAX_MESSAGE_LENGTH}"
+                    ></textarea>
+                    <div class="flex justify-between items-center">
+                        <span id="message-char-count" class="text-xs text-custom-black">0/${MAX_MESSAGE_LENGTH}</span>
+                        <button 
+                            type="submit" 
+                            id="message-submit-btn"
+                            class="px-6 py-2 bg-custom-green text-custom-black text-sm font-medium hover:opacity-80 focus:outline-none focus:ring-2 focus:ring-custom-green disabled:opacity-50 disabled:cursor-not-allowed transition-opacity"
+                        >
+                            Send
+                        </button>
+                    </div>
+                    <div id="message-error" class="text-red-600 text-sm hidden p-3 bg-red-50 border border-red-200"></div>
+                </form>
+            </div>
+        `;
+
+        this.attachConversationEventListeners(conversationId);
+
+        let unsubscribes = [];
+        this.detailsUnsubscribe = () => {
+            unsubscribes.forEach(unsubscribe => unsubscribe());
+            this.leaveConversation(conversationId);
+        };
+
+        try {
+            unsubscribes = [
+                this.authManager.subscribeToMessages(conversationId, (messages) => {
+                    this.currentMessages = messages;
+                    this.renderMessages();
+                    this.markConversationReadIfNeeded(conversationId);
+                }),
+                this.authManager.subscribeToTyping(conversationId, (typing) => {
+                    this.typingUsers = typing;
+                    this.renderTypingIndicator();
+                })
+            ];
+        } catch (error) {
+            console.error('Error opening conversation:', error);
+            this.currentMessages = [];
+            this.renderMessages();
         }
     }
 
-    // Category management methods
-    selectCategory(categoryName) {
-        this.selectedCategory = categoryName;
-        this.updatePostLabel();
-        this.updateCategorySelection();
-        this.refreshFeed();
+    // Stop typing and forget the conversation once the Details panel moves on
+    leaveConversation(conversationId) {
+        this.stopTyping(conversationId);
+        clearTimeout(this.typingIndicatorTimer);
+        this.typingIndicatorTimer = null;
+        this.currentConversationId = null;
+        this.currentMessages = null;
+        this.typingUsers = [];
+        this.renderConversations();
     }
 
-    updatePostLabel() {
-        const postLabel = document.getElementById('post-label');
-        if (postLabel) {
-            if (this.selectedCategory === 'All') {
-                postLabel.textContent = "What's on your mind?";
-            } else {
-                postLabel.textContent = `Share in ${this.selectedCategory}`;
+    attachConversationEventListeners(conversationId) {
+        const closeBtn = document.getElementById('close-details-btn');
+        const messagesContainer = document.getElementById('messages-container');
+        const messageForm = document.getElementById('message-form');
+        const messageContent = document.getElementById('message-content');
+        const messageCharCount = document.getElementById('message-char-count');
+        const messageSubmitBtn = document.getElementById('message-submit-btn');
+        const messageError = document.getElementById('message-error');
+
+        closeBtn.addEventListener('click', () => {
+            this.closeDetails();
+        });
+
+        messagesContainer.addEventListener('click', (e) => {
+            this.handleContentClick(e.target);
+        });
+
+        // Typing is announced at most every few seconds, and withdrawn after a pause
+        messageContent.addEventListener('input', () => {
+            messageCharCount.textContent = `${messageContent.value.length}/${MAX_MESSAGE_LENGTH}`;
+
+            if (!messageContent.value.trim()) {
+                this.stopTyping(conversationId);
+                return;
             }
-        }
-    }
 
-    updateCategorySelection() {
-        // Update visual selection of categories
-        const categoryAllBtn = document.getElementById('category-all');
-        const categoryButtons = document.querySelectorAll('.category-btn');
-        
-        // Reset all buttons
-        if (categoryAllBtn) {
-            categoryAllBtn.className = "w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity";
-        }
-        categoryButtons.forEach(btn => {
-            btn.className = "category-btn w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity";
+            if (Date.now() - this.typingSentAt > TYPING_TIMEOUT_MS / 2) {
+                this.typingSentAt = Date.now();
+                this.authManager.setTyping(conversationId, true);
+            }
+            clearTimeout(this.typingStopTimer);
+            this.typingStopTimer = setTimeout(() => this.stopTyping(conversationId), TYPING_TIMEOUT_MS);
         });
 
-        // Highlight selected category
-        if (this.selectedCategory === 'All') {
-            if (categoryAllBtn) {
-                categoryAllBtn.className = "w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-blue hover:opacity-80 transition-opacity";
+        // Enter sends, Shift+Enter starts a new line
+        messageContent.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                messageForm.requestSubmit();
             }
-        } else {
-            const selectedBtn = document.querySelector(`[data-category="${this.selectedCategory}"]`);
-            if (selectedBtn) {
-                selectedBtn.className = "category-btn w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-blue hover:opacity-80 transition-opacity";
+        });
+
+        messageForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            const text = messageContent.value.trim();
+            messageError.classList.add('hidden');
+            if (!text) return;
+
+            messageSubmitBtn.disabled = true;
+
+            try {
+                await this.authManager.sendMessage(conversationId, text);
+                // Sending clears the typing indicator too
+                clearTimeout(this.typingStopTimer);
+                this.typingStopTimer = null;
+                this.typingSentAt = 0;
+                messageContent.value = '';
+                messageCharCount.textContent = `0/${MAX_MESSAGE_LENGTH}`;
+            } catch (error) {
+                messageError.textContent = error.message;
+                messageError.classList.remove('hidden');
+            } finally {
+                messageSubmitBtn.disabled = false;
             }
-        }
+        });
     }
 
-    refreshFeed() {
-        // Unsubscribe from current posts subscription
-        if (this.postsUnsubscribe) {
-            this.postsUnsubscribe();
-        }
+    stopTyping(conversationId) {
+        clearTimeout(this.typingStopTimer);
+        this.typingStopTimer = null;
 
-        // Subscribe to posts with new category filter
-        try {
-            this.postsUnsubscribe = this.authManager.subscribeToPosts((posts) => {
-                this.renderPosts(posts);
-            }, this.selectedCategory);
-        } catch (error) {
-            console.error('Error refreshing feed:', error);
+        if (this.typingSentAt) {
+            this.typingSentAt = 0;
+            this.authManager.setTyping(conversationId, false);
         }
     }
 
-    renderCategories() {
-        const categoriesList = document.getElementById('categories-list');
-        if (!categoriesList) return;
-
-        categoriesList.innerHTML = this.categories.map(category => `
-            <button 
-                class="category-btn w-full text-left px-3 py-2 text-sm text-custom-black border border-custom-grey bg-custom-white hover:opacity-80 transition-opacity"
-                data-category="${category.name}"
-            >
-                ${category.name}
-            </button>
-        `).join('');
-
-        // Add event listeners to category buttons
-        const categoryButtons = categoriesList.querySelectorAll('.category-btn');
-        categoryButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const categoryName = btn.getAttribute('data-category');
-                this.selectCategory(categoryName);
-            });
-        });
+    // Read receipt for the current user's latest message: who has read the conversation since
+    getReadReceipt(conversation, message) {
+        const uid = this.authManager.getCurrentUser().uid;
+        const sentAt = this.getTimestampMillis(message.createdAt);
+        const readAt = conversation.readAt || {};
+        const seenBy = conversation.participantIds.filter(userId =>
+            userId !== uid && this.getTimestampMillis(readAt[userId]) >= sentAt
+        );
 
-        // Update selection visuals
-        this.updateCategorySelection();
+        if (seenBy.length === 0) return 'Sent';
+        if (conversation.participantIds.length === 2) return 'Seen';
+        return `Seen by ${seenBy.map(userId => this.getProfileName(userId)).join(', ')}`;
     }
 
-    async createCategory(categoryName) {
-        try {
-            await this.authManager.createCategory(categoryName);
-            // Categories will be updated automatically via subscription
-        } catch (error) {
-            console.error('Error creating category:', error);
-            alert('Failed to create category: ' + error.message);
+    renderMessages() {
+        const messagesContainer = document.getElementById('messages-container');
+        if (!messagesContainer || !this.currentMessages) return;
+
+        const conversation = this.conversations.find(({ id }) => id === this.currentConversationId);
+        if (conversation) {
+            document.getElementById('conversation-title').textContent = this.getConversationTitle(conversation);
         }
-    }
 
-    renderPosts(posts) {
-        const postsContainer = document.getElementById('posts-container');
-        
-        if (!posts || posts.length === 0) {
-            postsContainer.innerHTML = `
-                <div class="text-center text-custom-black py-8">
-                    <div class="w-12 h-12 bg-custom-blue mx-auto mb-4 flex items-center justify-center">
-                        <div class="w-6 h-6 bg-custom-white"></div>
-                    </div>
-                    <p>No posts yet. Be the first to share something!</p>
-                </div>
+        const messages = this.currentMessages;
+        if (messages.length === 0) {
+            messagesContainer.innerHTML = html`
+                <p class="text-sm text-custom-black py-4 text-center">No messages yet. Say hello!</p>
             `;
             return;
         }
 
-        postsContainer.innerHTML = posts.map(post => {
-            const createdAt = post.createdAt?.toDate ? post.createdAt.toDate() : new Date();
-            const timeAgo = this.getTimeAgo(createdAt);
-            const categoryName = post.category || 'General';
-            
-            // Process content for links
-            const escapedContent = this.escapeHtml(post.content);
-            const linkedContent = this.linkifyText(escapedContent);
-            const urls = this.extractUrls(post.content);
-            
-            // Generate link previews
-            const linkPreviews = urls.map(url => this.generateLinkPreview(url)).join('');
-            
-            return `
-                <div class="border border-custom-grey p-5 bg-custom-white hover:opacity-80 transition-opacity">
-                    <div class="flex justify-between items-start mb-3">
-                        <div class="flex items-center space-x-3">
-                            <span class="text-xs px-2 py-1 bg-custom-blue text-custom-white">${categoryName}</span>
-                        </div>
-                        <div class="text-xs text-custom-black">${timeAgo}</div>
-                    </div>
-                    <div class="text-sm text-custom-black whitespace-pre-wrap leading-relaxed">${linkedContent}</div>
-                    ${linkPreviews}
+        const uid = this.authManager.getCurrentUser().uid;
+        const isGroup = conversation && conversation.participantIds.length > 2;
+        const ownMessages = messages.filter(message => message.senderId === uid);
+        const receiptMessage = ownMessages[ownMessages.length - 1];
+        const wasAtBottom = messagesContainer.scrollHeight - messagesContainer.scrollTop - messagesContainer.clientHeight < 40;
+
+        messagesContainer.innerHTML = html`${messages.map(message => {
+            const isOwn = message.senderId === uid;
+            const createdAt = message.createdAt?.toDate ? message.createdAt.toDate() : new Date();
+            const receipt = conversation && message === receiptMessage ? this.getReadReceipt(conversation, message) : null;
+
+            return html`
+                <div class="flex flex-col ${isOwn ? 'items-end' : 'items-start'}" data-message-id="${message.id}">
+                    ${isGroup && !isOwn ? html`<span class="text-xs text-custom-black opacity-75 mb-1">${this.getProfileName(message.senderId)}</span>` : ''}
+                    <div class="max-w-xs px-3 py-2 border ${isOwn ? 'border-custom-black bg-custom-blue' : 'border-custom-grey bg-custom-white'} text-sm text-custom-black whitespace-pre-wrap break-words">${this.renderContent(message.text)}</div>
+                    <span class="text-xs text-custom-black opacity-75 mt-1">
+                        ${this.getTimeAgo(createdAt)}${receipt ? html` · <span data-read-receipt>${receipt}</span>` : ''}
+                    </span>
                 </div>
             `;
-        }).join('');
+        })}`;
+
+        // Follow new messages unless the user has scrolled up to read older ones
+        if (wasAtBottom) {
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
+        }
+
+        this.ensureProfiles(messages.map(message => message.senderId));
+    }
+
+    // "Alice is typing…" for participants whose last keystroke was recent enough
+    renderTypingIndicator() {
+        const typingIndicator = document.getElementById('typing-indicator');
+        if (!typingIndicator) return;
+
+        clearTimeout(this.typingIndicatorTimer);
+        this.typingIndicatorTimer = null;
+
+        const now = Date.now();
+        const names = this.typingUsers
+            .filter(({ at }) => now - this.getTimestampMillis(at) < TYPING_TIMEOUT_MS)
+            .map(({ userId }) => this.getProfileName(userId));
+
+        if (names.length === 0) {
+            typingIndicator.textContent = '';
+            return;
+        }
+
+        typingIndicator.textContent = names.length === 1
+            ? `${names[0]} is typing…`
+            : `${names.join(', ')} are typing…`;
+
+        // Someone who stops typing without sending lapses on their own
+        this.typingIndicatorTimer = setTimeout(() => this.renderTypingIndicator(), 1000);
+    }
+
+    // Once per new message, so a slow round trip doesn't mark it again
+    markConversationReadIfNeeded(conversationId) {
+        const conversation = this.conversations.find(({ id }) => id === conversationId);
+        if (!conversation || !this.hasUnreadMessages(conversation)) return;
+        if (this.markedReadMessageId === conversation.lastMessage.id) return;
+
+        this.markedReadMessageId = conversation.lastMessage.id;
+        this.authManager.markConversationRead(conversationId);
+    }
+
+    // Highlight the card whose thread is open in the Details panel
+    updatePostSelection() {
+        document.querySelectorAll('[data-post-id]').forEach(card => {
+            const isSelected = card.getAttribute('data-post-id') === this.selectedPostId;
+            // A card's saved markup shows whether it was selected
+            if (card.classList.contains('border-custom-black') !== isSelected) {
+                this.postCards.delete(card.getAttribute('data-post-id'));
+            }
+            card.classList.toggle('border-custom-black', isSelected);
+            card.classList.toggle('border-custom-grey', !isSelected);
+        });
     }
 
     getTimeAgo(date) {
@@ -1050,16 +7976,77 @@ class PageRenderer {
         return date.toLocaleDateString();
     }
 
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    // Render post content with format.js. The parser only returns text, so every value it
+    // found goes through html`` like any other user input. Blocks are written without
+    // whitespace between them, since post bodies are whitespace-pre-wrap.
+    renderContent(text) {
+        return parsePostContent(text).map(block => {
+            switch (block.type) {
+                case 'codeblock':
+                    return html`<pre class="my-2 p-3 border border-custom-grey overflow-x-auto text-xs font-mono"><code>${block.text}</code></pre>`;
+                case 'quote':
+                    return html`<blockquote class="my-2 pl-3 border-l-2 border-custom-grey opacity-80">${this.renderInline(block.children)}</blockquote>`;
+                default:
+                    return html`<div>${this.renderInline(block.children)}</div>`;
+            }
+        });
+    }
+
+    renderInline(nodes) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'bold':
+                    return html`<strong>${this.renderInline(node.children)}</strong>`;
+                case 'italic':
+                    return html`<em>${this.renderInline(node.children)}</em>`;
+                case 'code':
+                    return html`<code class="px-1 border border-custom-grey text-xs font-mono">${node.text}</code>`;
+                case 'link':
+                    return html`<a href="${node.url}" target="_blank" rel="noopener noreferrer" class="text-custom-blue underline hover:opacity-80 font-medium">${node.url}</a>`;
+                case 'mention':
+                    return html`<button class="text-custom-blue font-medium hover:underline" data-mention="${node.handle}">${node.text}</button>`;
+                case 'hashtag':
+                    return html`<button class="text-custom-blue font-medium hover:underline" data-hashtag="${node.tag}">${node.text}</button>`;
+                default:
+                    return node.text;
+            }
+        });
+    }
+
+    // Mentions open the user's profile and hashtags filter the feed; true if the click was one of them
+    handleContentClick(target) {
+        const hashtagBtn = target.closest('[data-hashtag]');
+        if (hashtagBtn) {
+            this.selectHashtag(hashtagBtn.getAttribute('data-hashtag'));
+            return true;
+        }
+
+        const mentionBtn = target.closest('[data-mention]');
+        if (mentionBtn) {
+            this.openProfileByHandle(mentionBtn.getAttribute('data-mention'));
+            return true;
+        }
+
+        return false;
     }
 
-    // Detect and convert URLs to clickable links
+    async openProfileByHandle(handle) {
+        const profile = await this.authManager.getProfileByHandle(handle);
+        if (profile) {
+            this.profileCache.set(profile.id, profile);
+            this.openProfile(profile.id);
+        } else {
+            alert(`No one has the handle @${handle}`);
+        }
+    }
+
+    // Detect and convert URLs to clickable links; everything else stays text
     linkifyText(text) {
-        const urlRegex = /(https?:\/\/[^\s<>"']+[^\s<>"'.,!?;:])/g;
-        return text.replace(urlRegex, '<a href="$1" target="_blank" rel="noopener noreferrer" class="text-custom-blue underline hover:opacity-80 font-medium">$1</a>');
+        const urlRegex = /(https?:\/\/[^\s<>"']+[^\s<>"'.,!?;:])/;
+        // Splitting on a capturing pattern puts the URLs at the odd indexes
+        return text.split(urlRegex).map((part, index) => index % 2 === 1
+            ? html`<a href="${part}" target="_blank" rel="noopener noreferrer" class="text-custom-blue underline hover:opacity-80 font-medium">${part}</a>`
+            : part);
     }
 
     // Extract URLs from text
@@ -1068,66 +8055,147 @@ class PageRenderer {
         return text.match(urlRegex) || [];
     }
 
+    // Load previews we haven't asked for yet, then redraw the feed once they're in
+    async ensureLinkPreviews(urls) {
+        const missing = Array.from(new Set(urls)).filter(url =>
+            !this.linkPreviews.has(url) && !this.pendingLinkPreviews.has(url)
+        );
+        if (missing.length === 0) return;
+
+        missing.forEach(url => this.pendingLinkPreviews.add(url));
+        const previews = await Promise.all(missing.map(url => this.authManager.getLinkPreview(url)));
+        missing.forEach((url, index) => {
+            this.linkPreviews.set(url, previews[index]);
+            this.pendingLinkPreviews.delete(url);
+        });
+
+        if (previews.some(preview => preview && preview.status === 'ok')) {
+            this.renderFeed();
+        }
+    }
+
     // Generate link preview HTML
     generateLinkPreview(url) {
+        let domain;
         try {
-            const urlObj = new URL(url);
-            const domain = urlObj.hostname.replace('www.', '');
-            
-            // Try to extract page title from URL path for better preview
-            let title = domain;
-            const path = urlObj.pathname;
-            if (path && path !== '/') {
-                const pathParts = path.split('/').filter(part => part);
-                if (pathParts.length > 0) {
-                    title = pathParts[pathParts.length - 1]
-                        .replace(/[-_]/g, ' ')
-                        .replace(/\.[^/.]+$/, '') // Remove file extension
-                        .split(' ')
-                        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-                        .join(' ');
-                }
-            }
-            
-            return `
-                <div class="mt-3 border border-custom-grey bg-custom-white p-3 hover:opacity-80 transition-opacity cursor-pointer" onclick="window.open('${url}', '_blank', 'noopener,noreferrer')">
+            domain = new URL(url).hostname.replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+
+        const preview = this.linkPreviews.get(url);
+
+        // Still loading, or unfurling failed: a plain card with the domain and the link
+        if (!preview || preview.status !== 'ok') {
+            return html`
+                <a href="${url}" target="_blank" rel="noopener noreferrer" class="mt-3 block border border-custom-grey bg-custom-white p-3 hover:opacity-80 transition-opacity">
                     <div class="flex items-start space-x-3">
                         <div class="w-12 h-12 bg-custom-blue flex items-center justify-center text-custom-white text-xs font-bold flex-shrink-0">
                             ${domain.charAt(0).toUpperCase()}
                         </div>
                         <div class="flex-1 min-w-0">
-                            <div class="text-sm font-medium text-custom-black mb-1">${title}</div>
-                            <div class="text-xs text-custom-black opacity-75 mb-2">${domain}</div>
+                            <div class="text-sm font-medium text-custom-black mb-1">${domain}</div>
                             <div class="text-xs text-custom-blue truncate">${url}</div>
                         </div>
-                        <div class="flex-shrink-0">
-                            <svg class="w-4 h-4 text-custom-blue" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"></path>
-                            </svg>
-                        </div>
                     </div>
-                </div>
+                </a>
             `;
-        } catch (error) {
-            return `
-                <div class="mt-3 border border-custom-grey bg-custom-white p-3">
-                    <div class="text-sm text-custom-black">
-                        <a href="${url}" target="_blank" rel="noopener noreferrer" class="text-custom-blue underline hover:opacity-80">
-                            ${url}
-                        </a>
+        }
+
+        const imageUrl = safeUrl(preview.imageUrl, { httpsOnly: true });
+        const image = imageUrl
+            ? html`<img src="${imageUrl}" alt="" loading="lazy" class="w-20 h-20 object-cover border border-custom-grey flex-shrink-0">`
+            : html`<div class="w-12 h-12 bg-custom-blue flex items-center justify-center text-custom-white text-xs font-bold flex-shrink-0">${domain.charAt(0).toUpperCase()}</div>`;
+
+        return html`
+            <a href="${url}" target="_blank" rel="noopener noreferrer" class="mt-3 block border border-custom-grey bg-custom-white p-3 hover:opacity-80 transition-opacity">
+                <div class="flex items-start space-x-3">
+                    ${image}
+                    <div class="flex-1 min-w-0">
+                        <div class="text-sm font-medium text-custom-black mb-1">${preview.title}</div>
+                        ${preview.description ? html`<div class="text-xs text-custom-black mb-2 line-clamp-2">${preview.description}</div>` : ''}
+                        <div class="text-xs text-custom-black opacity-75">${preview.siteName || domain}</div>
                     </div>
                 </div>
-            `;
-        }
+            </a>
+        `;
     }
 
     // Cleanup method for unsubscribing from real-time updates
     cleanup() {
         if (this.postsUnsubscribe) {
             this.postsUnsubscribe();
+            this.postsUnsubscribe = null;
         }
+        this.resetFeedPages();
+        if (this.pinnedUnsubscribe) {
+            this.pinnedUnsubscribe();
+            this.pinnedUnsubscribe = null;
+        }
+        this.pinnedPosts = [];
         if (this.categoriesUnsubscribe) {
             this.categoriesUnsubscribe();
+            this.categoriesUnsubscribe = null;
+        }
+        if (this.membershipsUnsubscribe) {
+            this.membershipsUnsubscribe();
+            this.membershipsUnsubscribe = null;
+        }
+        this.memberships = new Map();
+        this.postBodies = new Map();
+        if (this.followingUnsubscribe) {
+            this.followingUnsubscribe();
+            this.followingUnsubscribe = null;
+        }
+        this.followingIds = new Set();
+        if (this.reactionsUnsubscribe) {
+            this.reactionsUnsubscribe();
+            this.reactionsUnsubscribe = null;
+        }
+        this.ownReactions = new Set();
+        if (this.bookmarksUnsubscribe) {
+            this.bookmarksUnsubscribe();
+            this.bookmarksUnsubscribe = null;
+        }
+        this.bookmarkIds = [];
+        if (this.detailsUnsubscribe) {
+            this.detailsUnsubscribe();
+            this.detailsUnsubscribe = null;
+        }
+        if (this.conversationsUnsubscribe) {
+            this.conversationsUnsubscribe();
+            this.conversationsUnsubscribe = null;
+        }
+        this.conversations = [];
+        this.unreadCounts = new Map();
+        if (this.notificationsUnsubscribe) {
+            this.notificationsUnsubscribe();
+            this.notificationsUnsubscribe = null;
+        }
+        this.notifications = [];
+        if (this.outboxUnsubscribe) {
+            this.outboxUnsubscribe();
+            this.outboxUnsubscribe = null;
+        }
+        this.outbox = [];
+        this.pendingPostIds = new Set();
+        if (this.connectionListener) {
+            window.removeEventListener('online', this.connectionListener);
+            window.removeEventListener('offline', this.connectionListener);
+            this.connectionListener = null;
+        }
+        if (this.feedScrollListener) {
+            window.removeEventListener('scroll', this.feedScrollListener);
+            this.feedScrollListener = null;
+        }
+        this.renderedPosts = new Map();
+        this.renderedCategories = new Map();
+        this.postCards = new Map();
+        this.feedPosts = [];
+        this.feedWindow = null;
+        if (this.feedObserver) {
+            this.feedObserver.disconnect();
+            this.feedObserver = null;
         }
     }
 
@@ -1140,7 +8208,7 @@ class PageRenderer {
 // Application initialization
 function initializeAuthApp() {
     try {
-        const authManager = new FirebaseAuthManager();
+        const authManager = new FirebaseAuthManager({ session: window.sessionConfig });
         const pageRenderer = new PageRenderer(authManager);
         
         // Make pageRenderer globally available for auth state changes
@@ -1159,7 +8227,7 @@ function initializeAuthApp() {
         // Show error page if Firebase fails to initialize
         const container = document.getElementById('app-container');
         container.className = "min-h-screen flex items-center justify-center py-12 px-4 sm:px-6 lg:px-8";
-        container.innerHTML = `
+        container.innerHTML = html`
             <div class="max-w-md w-full space-y-8">
                 <div class="bg-custom-white p-8 border border-custom-grey">
                     <div class="text-center">
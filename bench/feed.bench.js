@@ -0,0 +1,105 @@
+// Feed rendering benchmark: how long the feed takes to show a change to one post, rebuilding
+// every card the way the feed used to, diffing keyed cards built from scratch, diffing keyed
+// cards where only the snapshot's changed post is built again, and doing that for only the
+// cards near the viewport. Runs in jsdom, which has no layout or paint, so a browser gains more.
+//
+//   npm run bench
+
+const { performance } = require('perf_hooks');
+const { renderDashboard, timestamp } = require('../test/load-app');
+
+const SIZES = [1000, 2000];
+const RUNS = 5;
+
+function createPosts(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        id: `p${index}`,
+        userId: `user-${index % 20}`,
+        content: `Post number ${index} with a #tag, **bold** text and https://example.com/${index}`,
+        category: 'General',
+        reactionCounts: { like: index % 7 },
+        createdAt: timestamp(new Date(Date.now() - index * 60000))
+    }));
+}
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
+
+function time(run) {
+    const times = [];
+    for (let i = 0; i < RUNS; i++) {
+        const start = performance.now();
+        run(i);
+        times.push(performance.now() - start);
+    }
+    return median(times);
+}
+
+async function benchmark(count) {
+    const posts = createPosts(count);
+    const { window, document, renderer } = await renderDashboard({ posts });
+    const user = renderer.authManager.getCurrentUser();
+    const container = document.getElementById('posts-container');
+    const reconcileKeyedList = window.eval('reconcileKeyedList');
+
+    // One post's like count changes, as in a typical live snapshot
+    const changed = (run) => posts.map((post, index) => index === 0 ? { ...post, reactionCounts: { like: run + 100 } } : post);
+
+    const fullRebuild = time((run) => {
+        container.innerHTML = changed(run).map(post => renderer.renderPostCard(post, user)).join('');
+    });
+
+    container.innerHTML = '';
+    const rendered = new Map();
+    const keyed = time((run) => {
+        reconcileKeyedList(container, changed(run).map(post => ({
+            key: post.id,
+            markup: renderer.renderPostCard(post, user)
+        })), rendered, 'data-post-id');
+    });
+
+    // Cards are saved once built, so prime them before timing
+    container.innerHTML = '';
+    const cardsRendered = new Map();
+    const rebuildChanged = (run) => {
+        renderer.postCards.delete('p0');
+        reconcileKeyedList(container, changed(run).map(post => ({
+            key: post.id,
+            markup: renderer.getPostCardMarkup(post, user)
+        })), cardsRendered, 'data-post-id');
+    };
+    renderer.postCards.clear();
+    rebuildChanged(-1);
+    const docChanges = time(rebuildChanged);
+
+    container.innerHTML = '';
+    renderer.renderedPosts.clear();
+    renderer.handleLivePage(changed(-1), null);
+    const page = { lastVisible: null, hasMore: false, pendingIds: [], changes: [{ type: 'modified', id: 'p0' }] };
+    const virtualized = time((run) => {
+        renderer.handleLivePage(changed(run), page);
+    });
+    const cards = container.querySelectorAll('[data-post-id]').length;
+
+    window.close();
+    return { count, fullRebuild, keyed, docChanges, virtualized, cards };
+}
+
+async function main() {
+    console.log(`Median of ${RUNS} updates that change one post, in milliseconds\n`);
+    console.log('posts   full rebuild   keyed   keyed + docChanges   + virtualized (cards in the DOM)');
+    for (const count of SIZES) {
+        const { fullRebuild, keyed, docChanges, virtualized, cards } = await benchmark(count);
+        console.log(
+            `${String(count).padEnd(8)}${fullRebuild.toFixed(1).padStart(12)}${keyed.toFixed(1).padStart(8)}` +
+            `${docChanges.toFixed(1).padStart(21)}${virtualized.toFixed(1).padStart(15)} (${cards})`
+        );
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
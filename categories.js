@@ -0,0 +1,136 @@
+// Categories: names, slugs, colors, the sidebar order, and who may read and post
+//
+// Posts store their category by name. Each category also has a slug, claimed in
+// /categorySlugs so that "Café", "cafe" and " CAFE " can't exist side by side. Categories
+// created before slugs existed have none until their creator next edits them.
+//
+// A category's creator owns it and appoints its moderators. Invite-only and private
+// categories have members, who join by accepting a moderator's invitation.
+
+const MAX_CATEGORY_NAME_LENGTH = 30;
+const MAX_CATEGORY_DESCRIPTION_LENGTH = 200;
+
+// Posts moved per batched write when a category is renamed or merged, leaving room for the
+// move ticket written alongside them (a batch holds at most 500 writes)
+const CATEGORY_MOVE_BATCH_SIZE = 400;
+
+const MAX_CATEGORY_MODERATORS = 10;
+
+// Who can read and post in a category, as listed in categoryVisibilities() in firestore.rules.
+// Whether a category is private is fixed when it's created, since its posts are stored differently.
+const CATEGORY_VISIBILITIES = [
+    { visibility: 'public', label: 'Public', description: 'Anyone can read and post' },
+    { visibility: 'invite', label: 'Invite only', description: 'Anyone can read, members can post' },
+    { visibility: 'private', label: 'Private', description: 'Only members can see the category, read and post' }
+];
+
+// Badge colors, as listed in categoryColors() in firestore.rules
+const CATEGORY_COLORS = [
+    { color: 'blue', label: 'Blue', classes: 'bg-custom-blue text-custom-white' },
+    { color: 'green', label: 'Green', classes: 'bg-custom-green text-custom-black' },
+    { color: 'pink', label: 'Pink', classes: 'bg-custom-pink text-custom-black' },
+    { color: 'grey', label: 'Grey', classes: 'bg-custom-grey text-custom-white' },
+    { color: 'black', label: 'Black', classes: 'bg-custom-black text-custom-white' }
+];
+
+function getCategoryColorClasses(color) {
+    return (CATEGORY_COLORS.find(entry => entry.color === color) || CATEGORY_COLORS[0]).classes;
+}
+
+// Lowercase letters and numbers joined by dashes: "Café & Bars" is "café-bars". categorySlug()
+// in firestore.rules does the same, so accents are kept; the rules can't strip them.
+function getCategorySlug(name) {
+    return String(name || '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Throws with a message for the category form; returns the trimmed name
+function validateCategoryName(name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) {
+        throw new Error('Category name cannot be empty');
+    }
+    if (trimmed.length > MAX_CATEGORY_NAME_LENGTH) {
+        throw new Error(`Category names must be ${MAX_CATEGORY_NAME_LENGTH} characters or fewer`);
+    }
+    if (!getCategorySlug(trimmed)) {
+        throw new Error('Category names need at least one letter or number');
+    }
+    // Posts without a category are filed under General
+    if (getCategorySlug(trimmed) === 'general') {
+        throw new Error('General is already the name for posts without a category');
+    }
+    return trimmed;
+}
+
+function getCategoryVisibility(category) {
+    return (category && category.visibility) || 'public';
+}
+
+// Owners and moderators pin, hide and remove posts and manage members
+function isCategoryModerator(category, uid) {
+    return !!category && !!uid &&
+        (category.createdBy === uid || (category.moderatorIds || []).includes(uid));
+}
+
+// memberships maps category ids to the user's membership status ('invited' or 'member')
+function isCategoryMember(category, uid, memberships) {
+    return isCategoryModerator(category, uid) || memberships.get(category.id) === 'member';
+}
+
+function canReadCategory(category, uid, memberships) {
+    return getCategoryVisibility(category) !== 'private' || isCategoryMember(category, uid, memberships);
+}
+
+function canPostInCategory(category, uid, memberships) {
+    return getCategoryVisibility(category) === 'public' || isCategoryMember(category, uid, memberships);
+}
+
+// New categories are ordered by creation time, so older ones without an order keep their place
+function getCategoryOrder(category) {
+    if (typeof category.order === 'number') return category.order;
+    return category.createdAt && category.createdAt.toMillis ? category.createdAt.toMillis() : 0;
+}
+
+function sortCategories(categories) {
+    return [...categories].sort((a, b) => getCategoryOrder(a) - getCategoryOrder(b));
+}
+
+// The order that moves a category one place up (-1) or down (1) among the others: halfway
+// between its new neighbours, so only the moved category is written. Null if it can't move.
+function getMovedCategoryOrder(categories, categoryId, direction) {
+    const sorted = sortCategories(categories);
+    const index = sorted.findIndex(category => category.id === categoryId);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= sorted.length) return null;
+
+    const passed = getCategoryOrder(sorted[target]);
+    const beyond = sorted[target + direction];
+    if (!beyond) return passed + direction;
+    return (passed + getCategoryOrder(beyond)) / 2;
+}
+
+// Export for potential future use with modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_CATEGORY_NAME_LENGTH,
+        MAX_CATEGORY_DESCRIPTION_LENGTH,
+        CATEGORY_MOVE_BATCH_SIZE,
+        MAX_CATEGORY_MODERATORS,
+        CATEGORY_COLORS,
+        CATEGORY_VISIBILITIES,
+        getCategoryColorClasses,
+        getCategorySlug,
+        validateCategoryName,
+        getCategoryVisibility,
+        isCategoryModerator,
+        isCategoryMember,
+        canReadCategory,
+        canPostInCategory,
+        getCategoryOrder,
+        sortCategories,
+        getMovedCategoryOrder
+    };
+}
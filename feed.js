@@ -0,0 +1,111 @@
+// Keyed rendering and virtualization for long lists such as the feed
+//
+// Each item is rendered to markup with a key. reconcileKeyedList() keeps the element of every
+// item whose markup hasn't changed since it was built, so only added, changed and removed
+// items touch the DOM, and the others keep their focus, selection and loaded images.
+//
+// Long lists only render the items near the viewport. Spacers above and below stand in for
+// the rest, sized from the heights items had when they were last on screen.
+
+// Feeds longer than this are virtualized
+const FEED_VIRTUALIZE_THRESHOLD = 100;
+// Height assumed for a post that hasn't been on screen yet, including the gap after it
+const FEED_ESTIMATED_POST_HEIGHT = 240;
+// Pixels rendered beyond each edge of the viewport, so scrolling doesn't show blank space
+const FEED_OVERSCAN_PX = 1000;
+
+// Bring container's children in line with items ([{ key, markup }]), where each markup is
+// one element carrying its key in keyAttribute. rendered maps keys to the markup their
+// element was built from, and is kept up to date. Returns the keys whose elements were built.
+function reconcileKeyedList(container, items, rendered, keyAttribute) {
+    // Walked by sibling rather than through container.children, which is slow to list in
+    // long feeds
+    const existing = new Map();
+    let next;
+    for (let element = container.firstElementChild; element; element = next) {
+        next = element.nextElementSibling;
+        const key = element.getAttribute(keyAttribute);
+        if (key !== null && rendered.has(key) && !existing.has(key)) {
+            existing.set(key, element);
+        } else {
+            element.remove();
+        }
+    }
+
+    const keys = new Set(items.map(item => item.key));
+    existing.forEach((element, key) => {
+        if (!keys.has(key)) {
+            element.remove();
+            existing.delete(key);
+        }
+    });
+    Array.from(rendered.keys()).forEach(key => {
+        if (!existing.has(key)) rendered.delete(key);
+    });
+
+    const built = new Set();
+    let previous = null;
+    items.forEach(({ key, markup }) => {
+        let element = existing.get(key);
+        const source = String(markup);
+        if (!element || rendered.get(key) !== source) {
+            const template = container.ownerDocument.createElement('template');
+            template.innerHTML = source.trim();
+            const fresh = template.content.firstElementChild;
+            if (element) {
+                element.replaceWith(fresh);
+            }
+            element = fresh;
+            rendered.set(key, source);
+            built.add(key);
+        }
+
+        const expected = previous ? previous.nextElementSibling : container.firstElementChild;
+        if (element !== expected) {
+            container.insertBefore(element, expected);
+        }
+        previous = element;
+    });
+
+    return built;
+}
+
+// Which items to render for a viewport, given every item's height and the viewport's top and
+// bottom measured from the top of the list: items start (inclusive) to end (exclusive), with
+// spacers of before and after pixels for the others. At least one item is always rendered.
+function getVirtualWindow(heights, viewportTop, viewportBottom, overscan = FEED_OVERSCAN_PX) {
+    const top = viewportTop - overscan;
+    const bottom = viewportBottom + overscan;
+
+    let start = 0;
+    let before = 0;
+    while (start < heights.length - 1 && before + heights[start] <= top) {
+        before += heights[start];
+        start++;
+    }
+
+    let end = start;
+    let offset = before;
+    while (end < heights.length && (end === start || offset < bottom)) {
+        offset += heights[end];
+        end++;
+    }
+
+    let after = 0;
+    for (let index = end; index < heights.length; index++) {
+        after += heights[index];
+    }
+
+    return { start, end, before, after };
+}
+
+// Export for potential future use with modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        FEED_VIRTUALIZE_THRESHOLD,
+        FEED_ESTIMATED_POST_HEIGHT,
+        FEED_OVERSCAN_PX,
+        reconcileKeyedList,
+        getVirtualWindow
+    };
+}
@@ -10,6 +10,20 @@ export const firebaseConfig = {
     appId: "your-app-id"
 };
 
+// Optional session limits (defaults shown). Users can change their own idle timeout in the dashboard.
+// window.sessionConfig = {
+//     maxSessionAgeMs: 7 * 24 * 60 * 60 * 1000,
+//     idleTimeoutMinutes: 30
+// };
+
+// Optional App Check with reCAPTCHA v3. Register the site under App Check in the console and
+// paste its site key here. Set debugToken to true on localhost or against the emulators: a
+// debug token is printed to the console, to register under App Check > Manage debug tokens.
+// window.appCheckConfig = {
+//     siteKey: "your-recaptcha-v3-site-key",
+//     debugToken: false
+// };
+
 // To get your Firebase config:
 // 1. Go to https://console.firebase.google.com/
 // 2. Create a new project or select existing project
@@ -18,6 +32,8 @@ export const firebaseConfig = {
 // 5. Click "Add app" and select Web (</>) 
 // 6. Register app and copy the config object
 // 7. Replace the values above with your actual config
-// 8. Enable Authentication > Sign-in method > Email/Password
+// 8. Enable Authentication > Sign-in method > Email/Password, GitHub and Google
+//    (GitHub needs an OAuth app whose callback URL is shown in the console)
 // 9. Create Firestore database in production mode  
-// 10. Deploy the firestore.rules file 
\ No newline at end of file
+// 10. Create a Cloud Storage bucket (post attachments go there)
+// 11. Deploy the firestore.rules and storage.rules files 
\ No newline at end of file
@@ -0,0 +1,159 @@
+// Firebase SDK setup, loaded as a module from index.html
+import { initializeApp } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js';
+import {
+    initializeAppCheck,
+    ReCaptchaV3Provider
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app-check.js';
+import { 
+    getAuth, 
+    createUserWithEmailAndPassword,
+    signInWithEmailAndPassword,
+    signInWithCustomToken,
+    signOut,
+    onAuthStateChanged,
+    sendPasswordResetEmail,
+    sendEmailVerification,
+    EmailAuthProvider,
+    reauthenticateWithCredential,
+    updatePassword,
+    verifyBeforeUpdateEmail,
+    GoogleAuthProvider,
+    GithubAuthProvider,
+    signInWithPopup,
+    linkWithPopup,
+    linkWithCredential,
+    unlink,
+    fetchSignInMethodsForEmail
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { 
+    initializeFirestore,
+    persistentLocalCache,
+    persistentMultipleTabManager,
+    doc,
+    setDoc,
+    getDoc,
+    addDoc,
+    updateDoc,
+    deleteDoc,
+    collection,
+    collectionGroup,
+    documentId,
+    query,
+    where,
+    orderBy,
+    limit,
+    startAfter,
+    endAt,
+    getDocs,
+    getCountFromServer,
+    serverTimestamp,
+    onSnapshot,
+    writeBatch,
+    runTransaction,
+    increment
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js';
+import { 
+    getFunctions,
+    httpsCallable
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-functions.js';
+import { 
+    getStorage,
+    ref as storageRef,
+    uploadBytesResumable,
+    getDownloadURL,
+    deleteObject
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-storage.js';
+
+// Firebase configuration is loaded from firebase-config.js
+// This file is not committed to version control for security
+const firebaseConfig = window.firebaseConfig;
+
+// Initialize Firebase
+const app = initializeApp(firebaseConfig);
+
+// App Check, when configured (see firebase-config.example.js), attests that requests come
+// from this site, so they can be refused otherwise. Started before the other services so
+// their first requests carry a token. A debug token stands in for reCAPTCHA on localhost
+// and against the emulators.
+const appCheckConfig = window.appCheckConfig;
+if (appCheckConfig && appCheckConfig.siteKey) {
+    if (appCheckConfig.debugToken) {
+        self.FIREBASE_APPCHECK_DEBUG_TOKEN = appCheckConfig.debugToken;
+    }
+    initializeAppCheck(app, {
+        provider: new ReCaptchaV3Provider(appCheckConfig.siteKey),
+        isTokenAutoRefreshEnabled: true
+    });
+}
+
+const auth = getAuth(app);
+// Documents are cached in IndexedDB, shared by every open tab, so the dashboard loads offline
+// and writes made offline are kept until they can be sent
+const db = initializeFirestore(app, {
+    localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
+const functions = getFunctions(app);
+const storage = getStorage(app);
+
+// Make Firebase services and functions globally available
+window.firebaseAuth = auth;
+window.firebaseDb = db;
+window.firebaseFunctions = functions;
+window.firebaseStorage = storage;
+window.httpsCallable = httpsCallable;
+window.createUserWithEmailAndPassword = createUserWithEmailAndPassword;
+window.signInWithEmailAndPassword = signInWithEmailAndPassword;
+window.signInWithCustomToken = signInWithCustomToken;
+window.signOut = signOut;
+window.onAuthStateChanged = onAuthStateChanged;
+window.sendPasswordResetEmail = sendPasswordResetEmail;
+window.sendEmailVerification = sendEmailVerification;
+window.EmailAuthProvider = EmailAuthProvider;
+window.reauthenticateWithCredential = reauthenticateWithCredential;
+window.updatePassword = updatePassword;
+window.verifyBeforeUpdateEmail = verifyBeforeUpdateEmail;
+window.GoogleAuthProvider = GoogleAuthProvider;
+window.GithubAuthProvider = GithubAuthProvider;
+window.signInWithPopup = signInWithPopup;
+window.linkWithPopup = linkWithPopup;
+window.linkWithCredential = linkWithCredential;
+window.unlink = unlink;
+window.fetchSignInMethodsForEmail = fetchSignInMethodsForEmail;
+window.doc = doc;
+window.setDoc = setDoc;
+window.getDoc = getDoc;
+window.addDoc = addDoc;
+window.updateDoc = updateDoc;
+window.deleteDoc = deleteDoc;
+window.collection = collection;
+window.collectionGroup = collectionGroup;
+window.documentId = documentId;
+window.query = query;
+window.where = where;
+window.orderBy = orderBy;
+window.limit = limit;
+window.startAfter = startAfter;
+window.endAt = endAt;
+window.getDocs = getDocs;
+window.getCountFromServer = getCountFromServer;
+window.serverTimestamp = serverTimestamp;
+window.onSnapshot = onSnapshot;
+window.writeBatch = writeBatch;
+window.runTransaction = runTransaction;
+window.increment = increment;
+window.storageRef = storageRef;
+window.uploadBytesResumable = uploadBytesResumable;
+window.getDownloadURL = getDownloadURL;
+window.deleteObject = deleteObject;
+
+// Initialize the app after Firebase is ready
+window.addEventListener('load', () => {
+    initializeAuthApp();
+
+    // The service worker caches the app shell so the page itself loads offline
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.register('sw.js').catch(error => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+});
@@ -0,0 +1,164 @@
+// Post formatting: a small markdown-like grammar, parsed into plain data
+//
+//   **bold**   *italic* or _italic_   `code`   > quote   ``` code block ```
+//   @handle mentions, #hashtags and http(s) links
+//
+// The parser never produces markup. The renderer turns its nodes into HTML with
+// html``, so anything the user typed is escaped on the way out.
+
+const MAX_HASHTAGS = 10;
+const MAX_MENTIONS = 10;
+const MAX_HASHTAG_LENGTH = 50;
+
+// Earliest match wins; at the same position, earlier alternatives win
+const INLINE_PATTERN = new RegExp([
+    // 1: `code`
+    '`([^`\\n]+)`',
+    // 2: links, matched the same way as PageRenderer.extractUrls
+    '(https?:\\/\\/[^\\s<>"\']+[^\\s<>"\'.,!?;:])',
+    // 3: **bold**, closing on the last of a run of stars so "**a *b***" nests
+    '\\*\\*(?=\\S)([^\\n]*?\\S)\\*\\*(?!\\*)',
+    // 4 and 5: *italic* and _italic_, not inside words (snake_case, 2*3*4)
+    '(?<![\\p{L}\\p{N}_*])\\*(?=[^\\s*])([^*\\n]*?[^\\s*])\\*(?![\\p{L}\\p{N}_*])',
+    '(?<![\\p{L}\\p{N}_])_(?=[^\\s_])([^_\\n]*?[^\\s_])_(?![\\p{L}\\p{N}_])',
+    // 6: @handle, but not email addresses or remote @user@server accounts
+    '(?<![\\p{L}\\p{N}_@/.])@([A-Za-z0-9_]{3,20})(?![\\p{L}\\p{N}_@])',
+    // 7: #hashtag with at least one letter, so "#1" stays text
+    '(?<![\\p{L}\\p{N}_&#/])#([\\p{L}\\p{N}_]*\\p{L}[\\p{L}\\p{N}_]*)'
+].join('|'), 'gu');
+
+function normalizeHashtag(tag) {
+    return String(tag).replace(/^#/, '').normalize('NFC').toLowerCase();
+}
+
+function createInlineNode([source, code, url, bold, starItalic, underscoreItalic, handle, tag]) {
+    if (code !== undefined) return { type: 'code', text: code };
+    if (url !== undefined) return { type: 'link', url };
+    if (bold !== undefined) return { type: 'bold', children: parseInlineContent(bold) };
+    if (starItalic !== undefined) return { type: 'italic', children: parseInlineContent(starItalic) };
+    if (underscoreItalic !== undefined) return { type: 'italic', children: parseInlineContent(underscoreItalic) };
+    if (handle !== undefined) return { type: 'mention', handle: handle.toLowerCase(), text: source };
+    if (tag !== undefined && tag.length <= MAX_HASHTAG_LENGTH) {
+        return { type: 'hashtag', tag: normalizeHashtag(tag), text: source };
+    }
+    return null;
+}
+
+// Text within a line or paragraph: text, code, link, bold, italic, mention and hashtag nodes
+function parseInlineContent(text) {
+    const nodes = [];
+    const pattern = new RegExp(INLINE_PATTERN.source, INLINE_PATTERN.flags);
+    let consumed = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const node = createInlineNode(match);
+        if (!node) continue;
+
+        if (match.index > consumed) {
+            nodes.push({ type: 'text', text: text.slice(consumed, match.index) });
+        }
+        nodes.push(node);
+        consumed = pattern.lastIndex;
+    }
+
+    if (consumed < text.length) {
+        nodes.push({ type: 'text', text: text.slice(consumed) });
+    }
+    return nodes;
+}
+
+// Whole posts: paragraph, quote and codeblock blocks. Paragraphs keep their line breaks.
+function parsePostContent(text) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let quote = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push({ type: 'paragraph', children: parseInlineContent(paragraph.join('\n')) });
+            paragraph = [];
+        }
+    };
+    const flushQuote = () => {
+        if (quote.length > 0) {
+            blocks.push({ type: 'quote', children: parseInlineContent(quote.join('\n')) });
+            quote = [];
+        }
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const oneLineFence = /^```(.+?)```\s*$/.exec(line);
+        if (oneLineFence || /^```/.test(line)) {
+            flushParagraph();
+            flushQuote();
+
+            if (oneLineFence) {
+                blocks.push({ type: 'codeblock', text: oneLineFence[1] });
+                continue;
+            }
+
+            // Anything after the opening fence (a language name) is ignored; an unclosed block runs to the end
+            const code = [];
+            while (i + 1 < lines.length && !/^```\s*$/.test(lines[i + 1])) {
+                code.push(lines[++i]);
+            }
+            i++;
+            blocks.push({ type: 'codeblock', text: code.join('\n') });
+            continue;
+        }
+
+        const quoted = /^>\s?(.*)$/.exec(line);
+        if (quoted) {
+            flushParagraph();
+            quote.push(quoted[1]);
+            continue;
+        }
+
+        flushQuote();
+        paragraph.push(line);
+    }
+
+    flushParagraph();
+    flushQuote();
+    return blocks;
+}
+
+// Every node of one type, outside code
+function collectNodes(nodes, type, found = []) {
+    nodes.forEach(node => {
+        if (node.type === type) found.push(node);
+        if (node.children) collectNodes(node.children, type, found);
+    });
+    return found;
+}
+
+function uniqueValues(nodes, key, max) {
+    return Array.from(new Set(nodes.map(node => node[key]))).slice(0, max);
+}
+
+// Normalized hashtags, as stored in a post's hashtags field
+function extractHashtags(text) {
+    return uniqueValues(collectNodes(parsePostContent(text), 'hashtag'), 'tag', MAX_HASHTAGS);
+}
+
+// Lowercase handles, without the @
+function extractMentions(text) {
+    return uniqueValues(collectNodes(parsePostContent(text), 'mention'), 'handle', MAX_MENTIONS);
+}
+
+// Export for potential future use with modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_HASHTAGS,
+        MAX_MENTIONS,
+        normalizeHashtag,
+        parseInlineContent,
+        parsePostContent,
+        extractHashtags,
+        extractMentions
+    };
+}
@@ -0,0 +1,131 @@
+// Cloud Functions for ssaavvee: ActivityPub federation (WebFinger, actors, outboxes, inbox,
+// delivery), link preview unfurling, search, signing out every device, and cleaning up after
+// deleted posts
+
+const { onRequest, onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onDocumentWritten, onDocumentDeleted } = require('firebase-functions/v2/firestore');
+const { defineString, defineBoolean } = require('firebase-functions/params');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const { createHandlers } = require('./src/handlers');
+const { createInbox } = require('./src/inbox');
+const { getLinkPreview, UnfurlError } = require('./src/unfurl');
+const search = require('./src/search');
+const { deletePostLeftovers } = require('./src/cleanup');
+const { revokeSessions } = require('./src/sessions');
+
+initializeApp();
+
+// Public origin the site is served from, e.g. https://ssaavvee.example. Set it in functions/.env.
+const publicBaseUrl = defineString('ACTIVITYPUB_BASE_URL');
+
+// Whether callables refuse requests without a valid App Check token. Turn it on in
+// functions/.env once the site has App Check set up; the emulators run without it.
+const requireAppCheck = defineBoolean('REQUIRE_APP_CHECK', { default: false });
+
+const db = getFirestore();
+const getBaseUrl = () => publicBaseUrl.value().replace(/\/+$/, '');
+const handlers = createHandlers({ db, getBaseUrl });
+const inbox = createInbox({ db, getBaseUrl });
+
+// Log and answer 500 instead of leaving the request hanging
+function withErrorHandling(name, handler) {
+    return async (req, res) => {
+        try {
+            await handler(req, res);
+        } catch (error) {
+            console.error(`Error in ${name}:`, error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Internal error' });
+            }
+        }
+    };
+}
+
+exports.webfinger = onRequest(withErrorHandling('webfinger', handlers.webfinger));
+
+exports.actor = onRequest(withErrorHandling('actor', handlers.actor));
+
+exports.inbox = onRequest(withErrorHandling('inbox', inbox.inbox));
+
+// Checked here rather than with the enforceAppCheck option, so REQUIRE_APP_CHECK decides
+function checkAppCheck(request) {
+    if (requireAppCheck.value() && !request.app) {
+        throw new HttpsError('failed-precondition', 'This request did not come from the app');
+    }
+}
+
+// Link preview for a URL in a post, from the linkPreviews cache or fetched now
+exports.unfurlLink = onCall(async (request) => {
+    checkAppCheck(request);
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in to load link previews');
+    }
+
+    try {
+        return await getLinkPreview(db, request.data && request.data.url);
+    } catch (error) {
+        if (error instanceof UnfurlError) {
+            throw new HttpsError('invalid-argument', error.message);
+        }
+        console.error('Error in unfurlLink:', error);
+        throw new HttpsError('internal', 'Failed to load link preview');
+    }
+});
+
+exports.federatePost = onDocumentWritten('posts/{postId}', async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+
+    await handlers.federatePost(event.params.postId, before, after);
+});
+
+// Search over public posts and profiles, from the index the triggers below keep
+exports.searchPosts = onCall(async (request) => {
+    checkAppCheck(request);
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in to search');
+    }
+
+    try {
+        return await search.search(db, request.data || {});
+    } catch (error) {
+        if (error instanceof search.SearchError) {
+            throw new HttpsError('invalid-argument', error.message);
+        }
+        console.error('Error in searchPosts:', error);
+        throw new HttpsError('internal', 'Search failed');
+    }
+});
+
+// End every session of the caller's account and sign the caller back in (see src/sessions.js)
+exports.revokeSessions = onCall(async (request) => {
+    checkAppCheck(request);
+    if (!request.auth) {
+        throw new HttpsError('unauthenticated', 'Sign in to sign out other devices');
+    }
+
+    try {
+        return await revokeSessions(getAuth(), db, request.auth.uid);
+    } catch (error) {
+        console.error('Error in revokeSessions:', error);
+        throw new HttpsError('internal', 'Failed to sign out other devices');
+    }
+});
+
+// Bookmarks of a purged or removed post, notifications about it and its remote reactions,
+// which its author can't delete
+exports.cleanUpPost = onDocumentDeleted('posts/{postId}', async (event) => {
+    await deletePostLeftovers(db, event.params.postId);
+});
+
+exports.indexPost = onDocumentWritten('posts/{postId}', async (event) => {
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    await search.indexPost(db, event.params.postId, after);
+});
+
+exports.indexProfile = onDocumentWritten('profiles/{uid}', async (event) => {
+    const after = event.data.after.exists ? event.data.after.data() : null;
+    await search.indexProfile(db, event.params.uid, after);
+});
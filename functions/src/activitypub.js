@@ -0,0 +1,227 @@
+// ActivityPub and WebFinger documents for ssaavvee users and their posts.
+// Everything here is pure so it can be tested without Firestore.
+
+const AS_CONTEXT = 'https://www.w3.org/ns/activitystreams';
+const SECURITY_CONTEXT = 'https://w3id.org/security/v1';
+const PUBLIC = 'https://www.w3.org/ns/activitystreams#Public';
+const ACTIVITY_JSON = 'application/activity+json';
+// The compacted forms other servers may use for PUBLIC
+const PUBLIC_ALIASES = [PUBLIC, 'as:Public', 'Public'];
+
+const HANDLE_PATTERN = /^[a-z0-9_]{3,20}$/;
+
+function actorUrl(baseUrl, handle) {
+    return `${baseUrl}/users/${handle}`;
+}
+
+function noteUrl(baseUrl, handle, postId) {
+    return `${actorUrl(baseUrl, handle)}/posts/${postId}`;
+}
+
+// Firestore Timestamps, Dates and millis all end up as ISO strings
+function toIsoString(value) {
+    if (!value) return null;
+    if (typeof value.toDate === 'function') return value.toDate().toISOString();
+    return new Date(value).toISOString();
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Posts are plain text; remote servers expect HTML, so escape it, link URLs and keep line breaks
+function plainTextToHtml(text) {
+    const linked = escapeHtml(text || '').replace(
+        /https?:\/\/[^\s<]+/g,
+        url => `<a href="${url}" rel="nofollow noopener noreferrer" target="_blank">${url}</a>`
+    );
+
+    return linked
+        .split(/\n{2,}/)
+        .map(paragraph => `<p>${paragraph.replace(/\n/g, '<br>')}</p>`)
+        .join('');
+}
+
+// Accepts "acct:handle@domain" (or "handle@domain") and returns the handle when the domain is ours
+function parseWebFingerResource(resource, domain) {
+    if (!resource) return null;
+
+    const match = /^(?:acct:)?@?([^@\s]+)@([^@\s]+)$/i.exec(resource.trim());
+    if (!match || match[2].toLowerCase() !== domain.toLowerCase()) return null;
+
+    const handle = match[1].toLowerCase();
+    return HANDLE_PATTERN.test(handle) ? handle : null;
+}
+
+function buildWebFinger(baseUrl, handle) {
+    const domain = new URL(baseUrl).host;
+    const actor = actorUrl(baseUrl, handle);
+
+    return {
+        subject: `acct:${handle}@${domain}`,
+        aliases: [actor],
+        links: [
+            { rel: 'self', type: ACTIVITY_JSON, href: actor },
+            { rel: 'http://webfinger.net/rel/profile-page', type: 'text/html', href: actor }
+        ]
+    };
+}
+
+function buildPerson(baseUrl, profile, publicKeyPem) {
+    const id = actorUrl(baseUrl, profile.handle);
+
+    const person = {
+        '@context': [AS_CONTEXT, SECURITY_CONTEXT],
+        id,
+        type: 'Person',
+        preferredUsername: profile.handle,
+        name: profile.displayName || profile.handle,
+        summary: profile.bio ? plainTextToHtml(profile.bio) : '',
+        url: id,
+        inbox: `${id}/inbox`,
+        outbox: `${id}/outbox`,
+        followers: `${id}/followers`,
+        following: `${id}/following`,
+        endpoints: { sharedInbox: `${baseUrl}/inbox` },
+        publicKey: {
+            id: `${id}#main-key`,
+            owner: id,
+            publicKeyPem
+        }
+    };
+
+    if (profile.avatarUrl) {
+        person.icon = { type: 'Image', url: profile.avatarUrl };
+    }
+
+    return person;
+}
+
+function buildNote(baseUrl, handle, post) {
+    const actor = actorUrl(baseUrl, handle);
+    const note = {
+        id: noteUrl(baseUrl, handle, post.id),
+        type: 'Note',
+        attributedTo: actor,
+        content: plainTextToHtml(post.content),
+        published: toIsoString(post.createdAt),
+        url: noteUrl(baseUrl, handle, post.id),
+        to: [PUBLIC],
+        cc: [`${actor}/followers`]
+    };
+
+    if (post.editedAt) {
+        note.updated = toIsoString(post.editedAt);
+    }
+
+    return note;
+}
+
+// Wrap a note in the activity that announces it: Create, Update, or Delete (with a Tombstone)
+function buildActivity(type, baseUrl, handle, post) {
+    const actor = actorUrl(baseUrl, handle);
+    const id = noteUrl(baseUrl, handle, post.id);
+
+    if (type === 'Delete') {
+        return {
+            '@context': AS_CONTEXT,
+            id: `${id}#delete`,
+            type: 'Delete',
+            actor,
+            to: [PUBLIC],
+            cc: [`${actor}/followers`],
+            object: { id, type: 'Tombstone' }
+        };
+    }
+
+    const note = buildNote(baseUrl, handle, post);
+    return {
+        '@context': AS_CONTEXT,
+        id: type === 'Create' ? `${id}/activity` : `${id}#update-${Date.parse(note.updated || note.published)}`,
+        type,
+        actor,
+        published: type === 'Create' ? note.published : (note.updated || note.published),
+        to: note.to,
+        cc: note.cc,
+        object: note
+    };
+}
+
+function buildOutbox(baseUrl, handle, totalItems) {
+    const id = `${actorUrl(baseUrl, handle)}/outbox`;
+
+    return {
+        '@context': AS_CONTEXT,
+        id,
+        type: 'OrderedCollection',
+        totalItems,
+        first: `${id}?page=true`
+    };
+}
+
+// One page of the outbox, newest first. "before" and "nextBefore" are createdAt millis cursors
+// for this page and the next one.
+function buildOutboxPage(baseUrl, handle, posts, { before = null, nextBefore = null } = {}) {
+    const outbox = `${actorUrl(baseUrl, handle)}/outbox`;
+    const page = {
+        '@context': AS_CONTEXT,
+        id: before ? `${outbox}?page=true&before=${before}` : `${outbox}?page=true`,
+        type: 'OrderedCollectionPage',
+        partOf: outbox,
+        orderedItems: posts.map(post => {
+            const activity = buildActivity('Create', baseUrl, handle, post);
+            delete activity['@context'];
+            return activity;
+        })
+    };
+
+    if (nextBefore) {
+        page.next = `${outbox}?page=true&before=${nextBefore}`;
+    }
+
+    return page;
+}
+
+// Whether an object is addressed to everyone. Direct messages and followers-only posts
+// name only their recipients or a followers collection.
+function isPublic(object) {
+    return ['to', 'cc'].some(field => {
+        const addressed = Array.isArray(object[field]) ? object[field] : [object[field]];
+        return addressed.some(value => PUBLIC_ALIASES.includes(typeof value === 'string' ? value : value && value.id));
+    });
+}
+
+function buildCollection(id, totalItems) {
+    return {
+        '@context': AS_CONTEXT,
+        id,
+        type: 'OrderedCollection',
+        totalItems
+    };
+}
+
+module.exports = {
+    AS_CONTEXT,
+    PUBLIC,
+    ACTIVITY_JSON,
+    HANDLE_PATTERN,
+    actorUrl,
+    noteUrl,
+    toIsoString,
+    escapeHtml,
+    plainTextToHtml,
+    parseWebFingerResource,
+    buildWebFinger,
+    buildPerson,
+    buildNote,
+    buildActivity,
+    buildOutbox,
+    buildOutboxPage,
+    buildCollection,
+    isPublic
+};
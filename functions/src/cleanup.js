@@ -0,0 +1,27 @@
+// What a deleted post leaves in other users' documents, which their rules keep its author
+// from deleting: bookmarks of it and notifications about it, and the likes and boosts from
+// remote servers, which no client can write. Replies are deleted with the post by the
+// client; any it missed go here too.
+
+// Bookmarks from before they stored their postId can't be found this way; their owners
+// can still remove them (see firestore.rules)
+async function deletePostLeftovers(db, postId) {
+    const snapshots = await Promise.all([
+        db.collectionGroup('bookmarks').where('postId', '==', postId).get(),
+        db.collectionGroup('notifications').where('postId', '==', postId).get(),
+        db.collection('posts').doc(postId).collection('replies').get(),
+        db.collection('posts').doc(postId).collection('remoteReactions').get()
+    ]);
+
+    const writer = db.bulkWriter();
+    snapshots.forEach((snapshot) => {
+        snapshot.docs.forEach(doc => writer.delete(doc.ref));
+    });
+    await writer.close();
+
+    return snapshots.reduce((count, snapshot) => count + snapshot.size, 0);
+}
+
+module.exports = {
+    deletePostLeftovers
+};
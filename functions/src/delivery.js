@@ -0,0 +1,95 @@
+// Signed delivery of activities to remote inboxes
+
+const http = require('http');
+const https = require('https');
+const { ACTIVITY_JSON } = require('./activitypub');
+const { signRequest } = require('./signatures');
+const { isPrivateHost, guardedLookup } = require('./unfurl');
+
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Inbox URLs come from remote servers, so like link previews (see unfurl.js) they may not
+// point at private addresses unless allowPrivateHosts is set (for local tests). Redirects
+// aren't followed. Resolves to the response status.
+function post(url, { headers, body, timeoutMs, allowPrivateHosts }) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (target.protocol !== 'https:' && target.protocol !== 'http:') {
+            reject(new Error(`Refusing to deliver to ${target.protocol} URL`));
+            return;
+        }
+        if (!allowPrivateHosts && isPrivateHost(target.hostname)) {
+            reject(new Error(`Refusing to connect to private address ${target.hostname}`));
+            return;
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+            lookup: allowPrivateHosts ? undefined : guardedLookup
+        }, (response) => {
+            response.resume();
+            response.on('end', () => resolve(response.statusCode));
+            response.on('error', reject);
+        });
+
+        const timer = setTimeout(() => request.destroy(new Error('Timed out')), timeoutMs);
+        request.on('close', () => clearTimeout(timer));
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// POST one activity to one inbox. Resolves to { inbox, ok, status } and never throws,
+// so one unreachable server can't stop delivery to the others.
+async function deliver(activity, inbox, { keyId, privateKeyPem, timeoutMs = DELIVERY_TIMEOUT_MS, allowPrivateHosts = false }) {
+    const body = JSON.stringify(activity);
+
+    try {
+        const headers = signRequest({ method: 'POST', url: inbox, body, keyId, privateKeyPem });
+        const status = await post(inbox, {
+            headers: {
+                ...headers,
+                'content-type': ACTIVITY_JSON,
+                accept: ACTIVITY_JSON
+            },
+            body,
+            timeoutMs,
+            allowPrivateHosts
+        });
+
+        return { inbox, ok: status >= 200 && status < 300, status };
+    } catch (error) {
+        return { inbox, ok: false, status: null, error: error.message };
+    }
+}
+
+// Servers that advertise a shared inbox get one copy for all their followers
+function collectInboxes(followers) {
+    const inboxes = new Set();
+    followers.forEach(follower => {
+        const inbox = follower.sharedInbox || follower.inbox;
+        if (inbox) inboxes.add(inbox);
+    });
+    return Array.from(inboxes);
+}
+
+async function deliverToFollowers(activity, followers, options) {
+    const results = await Promise.all(
+        collectInboxes(followers).map(inbox => deliver(activity, inbox, options))
+    );
+
+    results.filter(result => !result.ok).forEach(result => {
+        console.error('Delivery failed:', result.inbox, result.status || result.error);
+    });
+
+    return results;
+}
+
+module.exports = {
+    DELIVERY_TIMEOUT_MS,
+    deliver,
+    collectInboxes,
+    deliverToFollowers
+};
@@ -0,0 +1,144 @@
+// Request handlers and the post trigger, with Firestore and the public base URL injected
+// so the same code runs in Cloud Functions, the emulator and tests.
+
+const activitypub = require('./activitypub');
+const store = require('./store');
+const { deliverToFollowers } = require('./delivery');
+
+const OUTBOX_PAGE_SIZE = 20;
+
+const ACTOR_PATH = /^\/users\/([a-z0-9_]{3,20})(?:\/(outbox|followers|following)|\/posts\/([A-Za-z0-9_-]+))?\/?$/;
+
+function sendActivityJson(res, body) {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Content-Type', `${activitypub.ACTIVITY_JSON}; charset=utf-8`);
+    res.status(200).send(JSON.stringify(body));
+}
+
+function sendError(res, status, message) {
+    res.status(status).json({ error: message });
+}
+
+// Decide what, if anything, a post write means to remote followers
+function getPostActivityType(before, after) {
+    const wasPublic = store.isPublicPost(before);
+    const isPublic = store.isPublicPost(after);
+
+    if (!wasPublic && isPublic) return 'Create';
+    if (wasPublic && !isPublic) return 'Delete';
+    if (wasPublic && isPublic && before.content !== after.content) return 'Update';
+    return null;
+}
+
+function createHandlers({ db, getBaseUrl }) {
+    // GET /.well-known/webfinger?resource=acct:handle@domain
+    async function webfinger(req, res) {
+        if (req.method !== 'GET') {
+            return sendError(res, 405, 'Method not allowed');
+        }
+
+        const baseUrl = getBaseUrl();
+        const resource = req.query.resource;
+        if (!resource) {
+            return sendError(res, 400, 'Missing resource parameter');
+        }
+
+        const handle = activitypub.parseWebFingerResource(resource, new URL(baseUrl).host);
+        const actor = handle ? await store.getActorByHandle(db, handle) : null;
+        if (!actor) {
+            return sendError(res, 404, 'No such account');
+        }
+
+        res.set('Access-Control-Allow-Origin', '*');
+        res.set('Content-Type', 'application/jrd+json; charset=utf-8');
+        res.status(200).send(JSON.stringify(activitypub.buildWebFinger(baseUrl, handle)));
+    }
+
+    // GET /users/{handle}[/outbox|/followers|/following|/posts/{postId}]
+    async function actor(req, res) {
+        if (req.method !== 'GET') {
+            return sendError(res, 405, 'Method not allowed');
+        }
+
+        const match = ACTOR_PATH.exec(req.path);
+        if (!match) {
+            return sendError(res, 404, 'Not found');
+        }
+
+        const [, handle, collection, postId] = match;
+        const baseUrl = getBaseUrl();
+        const found = await store.getActorByHandle(db, handle);
+        if (!found) {
+            return sendError(res, 404, 'No such account');
+        }
+
+        const { uid, profile } = found;
+        const id = activitypub.actorUrl(baseUrl, handle);
+
+        if (postId) {
+            const post = await store.getPost(db, postId);
+            if (!post || post.userId !== uid || !store.isPublicPost(post)) {
+                return sendError(res, 404, 'No such post');
+            }
+            return sendActivityJson(res, {
+                '@context': activitypub.AS_CONTEXT,
+                ...activitypub.buildNote(baseUrl, handle, post)
+            });
+        }
+
+        switch (collection) {
+            case 'outbox': {
+                if (!req.query.page) {
+                    return sendActivityJson(res, activitypub.buildOutbox(baseUrl, handle, await store.countPosts(db, uid)));
+                }
+
+                const before = Number(req.query.before) || null;
+                const { posts, nextBefore } = await store.getOutboxPosts(db, uid, { before, limit: OUTBOX_PAGE_SIZE });
+                return sendActivityJson(res, activitypub.buildOutboxPage(baseUrl, handle, posts, { before, nextBefore }));
+            }
+            case 'followers':
+                return sendActivityJson(res, activitypub.buildCollection(`${id}/followers`, await store.countRemoteFollowers(db, uid)));
+            case 'following':
+                return sendActivityJson(res, activitypub.buildCollection(`${id}/following`, 0));
+            default: {
+                const key = await store.getActorKey(db, uid);
+                return sendActivityJson(res, activitypub.buildPerson(baseUrl, profile, key.publicKeyPem));
+            }
+        }
+    }
+
+    // Send Create, Update or Delete for a post to the author's remote followers
+    async function federatePost(postId, before, after, { allowPrivateHosts = false } = {}) {
+        const type = getPostActivityType(before, after);
+        if (!type) return [];
+
+        const post = { id: postId, ...(after || before) };
+
+        // Posts that arrived through the inbox belong to their remote author
+        if (!post.userId || post.remote) return [];
+
+        const profile = await store.getProfile(db, post.userId);
+        if (!profile || !profile.handle) return [];
+
+        const followers = await store.getRemoteFollowers(db, post.userId);
+        if (followers.length === 0) return [];
+
+        const baseUrl = getBaseUrl();
+        const key = await store.getActorKey(db, post.userId);
+        const activity = activitypub.buildActivity(type, baseUrl, profile.handle, post);
+
+        return deliverToFollowers(activity, followers, {
+            keyId: `${activitypub.actorUrl(baseUrl, profile.handle)}#main-key`,
+            privateKeyPem: key.privateKeyPem,
+            allowPrivateHosts
+        });
+    }
+
+    return { webfinger, actor, federatePost };
+}
+
+module.exports = {
+    OUTBOX_PAGE_SIZE,
+    getPostActivityType,
+    createHandlers
+};
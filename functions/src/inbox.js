@@ -0,0 +1,400 @@
+// The ActivityPub inbox: verifies HTTP signatures, then handles follows, remote notes
+// that reply to local posts or mention local users, and likes and boosts of local posts.
+
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const activitypub = require('./activitypub');
+const store = require('./store');
+const { verifyRequest, parseSignatureHeader } = require('./signatures');
+const { deliver } = require('./delivery');
+const { remoteDocId, getRemoteActor } = require('./remote');
+const { htmlToPlainText } = require('./sanitize');
+
+const LOCAL_PATH = /^\/users\/([a-z0-9_]{3,20})(?:\/posts\/([A-Za-z0-9_-]+))?$/;
+
+const REACTION_FIELDS = {
+    Like: 'remoteLikeCount',
+    Announce: 'remoteAnnounceCount'
+};
+
+class InboxError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function getId(value) {
+    if (!value) return null;
+    return typeof value === 'string' ? value : value.id || null;
+}
+
+function asArray(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function createInbox({ db, getBaseUrl, allowInsecure = false, allowPrivateHosts = false }) {
+    const fetchOptions = { allowInsecure, allowPrivateHosts };
+
+    // Map one of our own URLs back to the handle (and post id) it names
+    function parseLocalUrl(url) {
+        if (typeof url !== 'string' || !url.startsWith(`${getBaseUrl()}/`)) return null;
+
+        const match = LOCAL_PATH.exec(url.slice(getBaseUrl().length));
+        return match ? { handle: match[1], postId: match[2] || null } : null;
+    }
+
+    async function resolveLocalActor(url) {
+        const local = parseLocalUrl(url);
+        if (!local || local.postId) return null;
+
+        const found = await store.getActorByHandle(db, local.handle);
+        return found ? { ...found, handle: local.handle } : null;
+    }
+
+    async function resolveLocalPost(url) {
+        const local = parseLocalUrl(url);
+        if (!local || !local.postId) return null;
+
+        const found = await store.getActorByHandle(db, local.handle);
+        if (!found) return null;
+
+        const post = await store.getPost(db, local.postId);
+        if (!post || post.userId !== found.uid || !store.isPublicPost(post)) return null;
+
+        return { post, uid: found.uid, handle: local.handle };
+    }
+
+    async function sendSigned(activity, inbox, uid, handle) {
+        const key = await store.getActorKey(db, uid);
+        const result = await deliver(activity, inbox, {
+            keyId: `${activitypub.actorUrl(getBaseUrl(), handle)}#main-key`,
+            privateKeyPem: key.privateKeyPem,
+            allowPrivateHosts
+        });
+
+        if (!result.ok) {
+            console.error('Delivery failed:', result.inbox, result.status || result.error);
+        }
+        return result;
+    }
+
+    // Check the signature and that the signer is the activity's actor. Returns the remote actor.
+    async function verifyInboxRequest(req, body, activity) {
+        const signature = parseSignatureHeader(req.headers.signature);
+        if (!signature) {
+            throw new InboxError(401, 'Missing signature');
+        }
+
+        const actorId = getId(activity.actor);
+        if (!actorId) {
+            throw new InboxError(400, 'Activity has no actor');
+        }
+
+        // Behind Firebase Hosting the request arrives with the function's host; the sender signed ours
+        const headers = { ...req.headers, host: req.headers['x-forwarded-host'] || req.headers.host };
+        const path = req.originalUrl || req.url;
+
+        const check = async (refresh) => {
+            const actor = await getRemoteActor(db, actorId, { refresh, ...fetchOptions });
+            if (actor.publicKeyId !== signature.keyId || !actor.publicKeyPem) {
+                return { actor, valid: false, reason: 'key does not belong to the actor' };
+            }
+            return { actor, ...verifyRequest({ method: req.method, path, headers, body, publicKeyPem: actor.publicKeyPem }) };
+        };
+
+        let result = await check(false);
+        if (!result.valid && result.reason !== 'digest mismatch' && result.reason !== 'date out of range') {
+            // The actor may have rotated keys since we cached it (refetched at most every few minutes)
+            result = await check(true);
+        }
+
+        if (!result.valid) {
+            throw new InboxError(401, `Signature rejected: ${result.reason}`);
+        }
+        return result.actor;
+    }
+
+    async function handleFollow(activity, actor) {
+        const local = await resolveLocalActor(getId(activity.object));
+        if (!local || !actor.inbox) return;
+
+        await db.collection('federation').doc(local.uid).collection('followers').doc(remoteDocId(actor.id)).set({
+            actor: actor.id,
+            acct: actor.acct,
+            inbox: actor.inbox,
+            sharedInbox: actor.sharedInbox,
+            followId: getId(activity),
+            followedAt: Timestamp.now()
+        });
+
+        const localActorUrl = activitypub.actorUrl(getBaseUrl(), local.handle);
+        await sendSigned({
+            '@context': activitypub.AS_CONTEXT,
+            id: `${localActorUrl}#accepts/${remoteDocId(getId(activity) || actor.id)}`,
+            type: 'Accept',
+            actor: localActorUrl,
+            object: activity
+        }, actor.inbox, local.uid, local.handle);
+    }
+
+    // Accept of a follow sent by one of our users
+    async function handleAccept(activity, actor) {
+        const follow = activity.object;
+        if (!follow || typeof follow !== 'object' || follow.type !== 'Follow') return;
+        if (getId(follow.object) !== actor.id) return;
+
+        const local = await resolveLocalActor(getId(follow.actor));
+        if (!local) return;
+
+        const followingRef = db.collection('federation').doc(local.uid).collection('following').doc(remoteDocId(actor.id));
+        const following = await followingRef.get();
+        if (following.exists) {
+            await followingRef.update({ accepted: true, acceptedAt: Timestamp.now() });
+        }
+    }
+
+    // Likes and boosts are counted once per remote actor, so repeats and Undo stay consistent
+    async function handleReaction(activity, actor, delta) {
+        const field = REACTION_FIELDS[activity.type];
+        const target = await resolveLocalPost(getId(activity.object));
+        if (!field || !target) return;
+
+        const postRef = db.collection('posts').doc(target.post.id);
+        const reactionRef = postRef.collection('remoteReactions').doc(remoteDocId(`${activity.type} ${actor.id}`));
+
+        await db.runTransaction(async (transaction) => {
+            const reaction = await transaction.get(reactionRef);
+            if (delta > 0 && !reaction.exists) {
+                transaction.set(reactionRef, { type: activity.type, actor: actor.id, createdAt: Timestamp.now() });
+                transaction.update(postRef, { [field]: FieldValue.increment(1) });
+            } else if (delta < 0 && reaction.exists) {
+                transaction.delete(reactionRef);
+                transaction.update(postRef, { [field]: FieldValue.increment(-1) });
+            }
+        });
+    }
+
+    async function handleUndo(activity, actor) {
+        const inner = activity.object;
+        if (!inner || typeof inner !== 'object' || getId(inner.actor) !== actor.id) return;
+
+        if (inner.type === 'Follow') {
+            const local = await resolveLocalActor(getId(inner.object));
+            if (local) {
+                await db.collection('federation').doc(local.uid).collection('followers').doc(remoteDocId(actor.id)).delete();
+            }
+        } else if (REACTION_FIELDS[inner.type]) {
+            await handleReaction(inner, actor, -1);
+        }
+    }
+
+    function remoteAuthor(actor, note) {
+        return {
+            actorId: actor.id,
+            name: actor.name,
+            acct: actor.acct,
+            url: actor.url,
+            avatarUrl: actor.avatarUrl,
+            objectId: note.id,
+            objectUrl: typeof note.url === 'string' && note.url.startsWith('https://') ? note.url : null
+        };
+    }
+
+    // Replies join the local post's thread like any other reply, counted in its replyCount
+    async function storeReply(postId, note, actor, content, createdAt) {
+        const postRef = db.collection('posts').doc(postId);
+        const replyRef = postRef.collection('replies').doc(`remote_${remoteDocId(note.id)}`);
+
+        await db.runTransaction(async (transaction) => {
+            // Delivered twice (for example to a personal and a shared inbox)
+            const existing = await transaction.get(replyRef);
+            if (existing.exists) return;
+
+            transaction.create(replyRef, {
+                content,
+                parentId: postId,
+                rootId: postId,
+                userId: null,
+                remote: remoteAuthor(actor, note),
+                createdAt,
+                updatedAt: createdAt
+            });
+            transaction.update(postRef, { replyCount: FieldValue.increment(1), countedReplyId: replyRef.id });
+        });
+    }
+
+    // Remote notes that reply to a local post are stored as replies; others that address a local
+    // user are stored as posts. Every signed-in user can read both, so direct messages and
+    // followers-only notes are dropped.
+    async function handleCreate(activity, actor) {
+        const note = activity.object;
+        if (!note || typeof note !== 'object' || note.type !== 'Note' || !note.id) return;
+        if (getId(note.attributedTo) !== actor.id) return;
+        if (!activitypub.isPublic(note)) return;
+
+        const replyTarget = await resolveLocalPost(getId(note.inReplyTo));
+
+        const mentions = [];
+        if (!replyTarget) {
+            const addressed = new Set([
+                ...asArray(note.to).map(getId),
+                ...asArray(note.cc).map(getId),
+                ...asArray(note.tag).filter(tag => tag && tag.type === 'Mention').map(tag => tag.href)
+            ]);
+            for (const url of addressed) {
+                const local = await resolveLocalActor(url);
+                if (local) mentions.push(local.uid);
+            }
+            if (mentions.length === 0) return;
+        }
+
+        const content = htmlToPlainText(note.content);
+        if (!content) return;
+
+        // A note from the future would sit at the top of the feed forever
+        const published = Date.parse(note.published);
+        const createdAt = Timestamp.fromMillis(Number.isNaN(published) ? Date.now() : Math.min(published, Date.now()));
+
+        if (replyTarget) {
+            await storeReply(replyTarget.post.id, note, actor, content, createdAt);
+            return;
+        }
+
+        try {
+            await db.collection('posts').doc(`remote_${remoteDocId(note.id)}`).create({
+                content,
+                category: 'General',
+                userId: null,
+                remote: remoteAuthor(actor, note),
+                mentions,
+                replyCount: 0,
+                deletedAt: null,
+                createdAt
+            });
+        } catch (error) {
+            // Delivered twice
+            if (error.code !== 6) throw error;
+        }
+    }
+
+    // The stored post or reply for a remote note, if the actor wrote it
+    async function findRemoteNote(objectId, actor) {
+        const post = await db.collection('posts').doc(`remote_${remoteDocId(objectId)}`).get();
+        if (post.exists) {
+            return post.data().remote.actorId === actor.id ? post : null;
+        }
+
+        const replies = await db.collectionGroup('replies').where('remote.objectId', '==', objectId).limit(1).get();
+        const reply = replies.docs[0];
+        return reply && reply.data().remote.actorId === actor.id ? reply : null;
+    }
+
+    function isReply(snapshot) {
+        return snapshot.ref.parent.id === 'replies';
+    }
+
+    async function handleUpdate(activity, actor) {
+        const note = activity.object;
+        if (!note || typeof note !== 'object' || note.type !== 'Note' || !note.id) return;
+
+        const existing = await findRemoteNote(note.id, actor);
+        if (!existing) return;
+
+        const content = htmlToPlainText(note.content);
+        if (!content) return;
+
+        const now = Timestamp.now();
+        await existing.ref.update(isReply(existing) ? { content, updatedAt: now } : { content, editedAt: now });
+    }
+
+    async function handleDelete(activity, actor) {
+        const objectId = getId(activity.object);
+        if (!objectId || objectId === actor.id) return;
+
+        const existing = await findRemoteNote(objectId, actor);
+        if (!existing) return;
+
+        if (!isReply(existing)) {
+            await existing.ref.delete();
+            return;
+        }
+
+        const replyRef = existing.ref;
+        const postRef = replyRef.parent.parent;
+        await db.runTransaction(async (transaction) => {
+            const [reply, post] = await Promise.all([transaction.get(replyRef), transaction.get(postRef)]);
+            if (!reply.exists) return;
+
+            transaction.delete(replyRef);
+            if (post.exists) {
+                transaction.update(postRef, { replyCount: FieldValue.increment(-1), countedReplyId: replyRef.id });
+            }
+        });
+    }
+
+    async function processActivity(activity, actor) {
+        switch (activity.type) {
+            case 'Follow':
+                return handleFollow(activity, actor);
+            case 'Accept':
+                return handleAccept(activity, actor);
+            case 'Undo':
+                return handleUndo(activity, actor);
+            case 'Create':
+                return handleCreate(activity, actor);
+            case 'Update':
+                return handleUpdate(activity, actor);
+            case 'Delete':
+                return handleDelete(activity, actor);
+            case 'Like':
+            case 'Announce':
+                return handleReaction(activity, actor, 1);
+            default:
+                return undefined;
+        }
+    }
+
+    // POST /inbox and /users/{handle}/inbox
+    async function inbox(req, res) {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+        let activity;
+        try {
+            activity = JSON.parse(body);
+        } catch (error) {
+            return res.status(400).json({ error: 'Invalid JSON' });
+        }
+
+        if (!activity || typeof activity !== 'object' || typeof activity.type !== 'string') {
+            return res.status(400).json({ error: 'Not an activity' });
+        }
+
+        // Servers announce deleted accounts to everyone; the actor is gone, so there's no key to check
+        if (activity.type === 'Delete' && getId(activity.object) === getId(activity.actor)) {
+            return res.status(202).end();
+        }
+
+        let actor;
+        try {
+            actor = await verifyInboxRequest(req, body, activity);
+        } catch (error) {
+            const status = error instanceof InboxError ? error.status : 401;
+            console.error('Inbox request refused:', error.message);
+            return res.status(status).json({ error: error.message });
+        }
+
+        await processActivity(activity, actor);
+        return res.status(202).end();
+    }
+
+    return { inbox, processActivity, verifyInboxRequest, parseLocalUrl };
+}
+
+module.exports = {
+    InboxError,
+    createInbox
+};
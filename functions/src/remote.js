@@ -0,0 +1,136 @@
+// Fetching and caching remote actors, whose public keys we need to check signatures
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { Timestamp } = require('firebase-admin/firestore');
+const { ACTIVITY_JSON } = require('./activitypub');
+const { cleanText, safeHttpsUrl } = require('./sanitize');
+const { isPrivateHost, guardedLookup } = require('./unfurl');
+
+const ACTOR_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+// Anyone can ask for a refresh by sending a bad signature, so a cached actor is refetched at
+// most this often
+const ACTOR_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_DOCUMENT_BYTES = 1024 * 1024;
+
+// Document ids for remote objects, which are URLs and can't be used as ids directly
+function remoteDocId(url) {
+    return crypto.createHash('sha256').update(url).digest('hex').slice(0, 40);
+}
+
+// Fetch an ActivityPub document. The URL comes from whoever sent the activity, so like link
+// previews (see unfurl.js) it may not reach private addresses, and the body is read only up
+// to MAX_DOCUMENT_BYTES. Only https unless allowInsecure is set, and private addresses only
+// with allowPrivateHosts (both for local tests). Redirects are refused.
+function fetchActivityJson(url, { allowInsecure = false, allowPrivateHosts = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (target.protocol !== 'https:' && !(allowInsecure && target.protocol === 'http:')) {
+            reject(new Error(`Refusing to fetch ${target.protocol} URL`));
+            return;
+        }
+        if (!allowPrivateHosts && isPrivateHost(target.hostname)) {
+            reject(new Error(`Refusing to connect to private address ${target.hostname}`));
+            return;
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.get(target, {
+            headers: { accept: `${ACTIVITY_JSON}, application/ld+json; profile="https://www.w3.org/ns/activitystreams"` },
+            lookup: allowPrivateHosts ? undefined : guardedLookup
+        }, (response) => {
+            const { statusCode, headers } = response;
+            if (statusCode < 200 || statusCode >= 300) {
+                response.resume();
+                const error = new Error(`Fetching ${target.href} failed with ${statusCode}`);
+                error.status = statusCode;
+                reject(error);
+                return;
+            }
+
+            const tooLarge = () => {
+                response.destroy();
+                reject(new Error(`Document at ${target.href} is too large`));
+            };
+            if (Number(headers['content-length']) > MAX_DOCUMENT_BYTES) {
+                tooLarge();
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_DOCUMENT_BYTES) {
+                    tooLarge();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            response.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (error) {
+                    reject(new Error(`Document at ${target.href} is not JSON`));
+                }
+            });
+            response.on('error', reject);
+        });
+
+        const timer = setTimeout(() => request.destroy(new Error(`Fetching ${target.href} timed out`)), FETCH_TIMEOUT_MS);
+        request.on('close', () => clearTimeout(timer));
+        request.on('error', reject);
+    });
+}
+
+// Keep only what we use from an actor document, already sanitized
+function summarizeActor(document) {
+    const id = document.id;
+    const host = new URL(id).host;
+    const username = cleanText(document.preferredUsername, 64) || 'unknown';
+
+    return {
+        id,
+        inbox: document.inbox || null,
+        sharedInbox: (document.endpoints && document.endpoints.sharedInbox) || null,
+        name: cleanText(document.name) || username,
+        acct: `${username}@${host}`,
+        url: safeHttpsUrl(typeof document.url === 'string' ? document.url : id),
+        avatarUrl: safeHttpsUrl(document.icon && document.icon.url),
+        publicKeyId: document.publicKey ? document.publicKey.id : null,
+        publicKeyPem: document.publicKey ? document.publicKey.publicKeyPem : null
+    };
+}
+
+// Look up an actor by id, from the cache unless it's stale. With refresh, the cached copy is
+// only used if it was fetched in the last ACTOR_REFRESH_INTERVAL_MS.
+async function getRemoteActor(db, actorId, { refresh = false, ...fetchOptions } = {}) {
+    const cacheRef = db.collection('remoteActors').doc(remoteDocId(actorId));
+
+    const cached = await cacheRef.get();
+    const maxAge = refresh ? ACTOR_REFRESH_INTERVAL_MS : ACTOR_CACHE_TTL_MS;
+    if (cached.exists && Date.now() - cached.data().fetchedAt.toMillis() < maxAge) {
+        return cached.data();
+    }
+
+    const document = await fetchActivityJson(actorId, fetchOptions);
+    if (document.id !== actorId) {
+        throw new Error(`Actor document at ${actorId} claims to be ${document.id}`);
+    }
+
+    const actor = summarizeActor(document);
+    await cacheRef.set({ ...actor, fetchedAt: Timestamp.now() });
+    return actor;
+}
+
+module.exports = {
+    ACTOR_CACHE_TTL_MS,
+    ACTOR_REFRESH_INTERVAL_MS,
+    MAX_DOCUMENT_BYTES,
+    remoteDocId,
+    fetchActivityJson,
+    summarizeActor,
+    getRemoteActor
+};
@@ -0,0 +1,70 @@
+// Remote content is untrusted HTML. We keep none of it: notes and names are reduced to plain
+// text here, and the client escapes and links that text exactly like a local post.
+
+// The post and reply length limit, MAX_POST_LENGTH in schema.js
+const MAX_CONTENT_LENGTH = 500;
+const MAX_NAME_LENGTH = 100;
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+        }
+        const named = NAMED_ENTITIES[code.toLowerCase()];
+        return named !== undefined ? named : entity;
+    });
+}
+
+// Paragraphs and line breaks become newlines, everything else that looks like markup is dropped
+function htmlToPlainText(html, maxLength = MAX_CONTENT_LENGTH) {
+    if (typeof html !== 'string') return '';
+
+    const text = html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p\s*>\s*<p[^>]*>/gi, '\n\n')
+        .replace(/<[^>]*>/g, '');
+
+    return decodeEntities(text)
+        // Control characters other than newlines and tabs have no business in a post
+        .replace(/[\u0000-\u0008\u000b-\u001f\u007f]/g, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+        .slice(0, maxLength);
+}
+
+// Single-line text such as display names
+function cleanText(value, maxLength = MAX_NAME_LENGTH) {
+    return htmlToPlainText(typeof value === 'string' ? value : '', maxLength).replace(/\s+/g, ' ').trim();
+}
+
+// Only absolute https URLs are kept for links and images shown to users
+function safeHttpsUrl(value) {
+    if (typeof value !== 'string') return null;
+
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+module.exports = {
+    MAX_CONTENT_LENGTH,
+    MAX_NAME_LENGTH,
+    decodeEntities,
+    htmlToPlainText,
+    cleanText,
+    safeHttpsUrl
+};
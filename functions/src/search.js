@@ -0,0 +1,238 @@
+// Full-text search over public posts and profiles. Triggers keep one index document per post
+// (postSearch/{postId}) and per profile (userSearch/{uid}) holding the keys a query can match:
+// every prefix of every word, for search as you type, and each word with one letter dropped,
+// so a query one typo away from a word still shares a key with it.
+//
+// Words are split and compared the same way as in search.js in the site's root, which
+// highlights the matches. Keep the two in step.
+
+const { Timestamp } = require('firebase-admin/firestore');
+const { isPublicPost } = require('./store');
+
+const MIN_TERM_LENGTH = 2;
+const MAX_WORD_LENGTH = 20;
+// Shorter words match too much once a letter can be dropped
+const MIN_TYPO_LENGTH = 4;
+const MAX_QUERY_TERMS = 5;
+const MAX_QUERY_LENGTH = 200;
+// Candidates are read a page at a time until there are enough matches, up to a bound on reads
+const CANDIDATE_PAGE_SIZE = 200;
+const MAX_CANDIDATE_PAGES = 10;
+const POST_RESULT_LIMIT = 20;
+const USER_RESULT_LIMIT = 5;
+
+class SearchError extends Error {}
+
+// Lowercase words of letters, numbers and underscores, with accents dropped
+function getWords(text) {
+    const words = String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .match(/[\p{L}\p{N}_]+/gu) || [];
+    return Array.from(new Set(words.map(word => word.slice(0, MAX_WORD_LENGTH))));
+}
+
+function getDeletions(word) {
+    if (word.length < MIN_TYPO_LENGTH) return [];
+    return Array.from(word, (letter, index) => word.slice(0, index) + word.slice(index + 1));
+}
+
+// p: keys are prefixes; t: keys are whole words and their one-letter deletions
+function getIndexKeys(words) {
+    const keys = new Set();
+    words.forEach(word => {
+        for (let length = MIN_TERM_LENGTH; length <= word.length; length++) {
+            keys.add(`p:${word.slice(0, length)}`);
+        }
+        keys.add(`t:${word}`);
+        getDeletions(word).forEach(deletion => keys.add(`t:${deletion}`));
+    });
+    return Array.from(keys);
+}
+
+// At most 22 keys, within Firestore's 30 for array-contains-any
+function getQueryKeys(term) {
+    return [`p:${term}`, `t:${term}`, ...getDeletions(term).map(deletion => `t:${deletion}`)];
+}
+
+// 3 for the word itself, 2 for a prefix of it, 1 for a typo, 0 for no match
+function scoreTerm(word, term) {
+    if (word === term) return 3;
+    if (word.startsWith(term)) return 2;
+    const keys = new Set(getIndexKeys([word]));
+    return getQueryKeys(term).some(key => keys.has(key)) ? 1 : 0;
+}
+
+// Every term has to match one of the words; null if one doesn't
+function scoreWords(words, terms) {
+    let total = 0;
+    for (const term of terms) {
+        const best = Math.max(0, ...words.map(word => scoreTerm(word, term)));
+        if (best === 0) return null;
+        total += best;
+    }
+    return total;
+}
+
+function parseTerms(text) {
+    if (typeof text !== 'string' || text.length > MAX_QUERY_LENGTH) {
+        throw new SearchError(`Searches must be ${MAX_QUERY_LENGTH} characters or fewer`);
+    }
+
+    const terms = getWords(text).filter(word => word.length >= MIN_TERM_LENGTH).slice(0, MAX_QUERY_TERMS);
+    if (terms.length === 0) {
+        throw new SearchError(`Search for a word of at least ${MIN_TERM_LENGTH} letters`);
+    }
+    return terms;
+}
+
+// Dates arrive as milliseconds since the epoch; null when not set
+function parseDate(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new SearchError('Invalid date');
+    }
+    return Timestamp.fromMillis(value);
+}
+
+// Posts are indexed by their text, hashtags and category name, and only while they're public.
+// Renaming or merging a category rewrites its posts, which indexes them again.
+async function indexPost(db, postId, post) {
+    const entryRef = db.collection('postSearch').doc(postId);
+    if (!isPublicPost(post)) {
+        await entryRef.delete();
+        return;
+    }
+
+    const words = getWords(`${post.content || ''} ${(post.hashtags || []).join(' ')} ${post.category || 'General'}`);
+    await entryRef.set({
+        keys: getIndexKeys(words),
+        words,
+        userId: post.userId || null,
+        category: post.category || 'General',
+        createdAt: post.createdAt || Timestamp.now()
+    });
+}
+
+// Profiles are indexed by handle and display name
+async function indexProfile(db, uid, profile) {
+    const entryRef = db.collection('userSearch').doc(uid);
+    if (!profile || !profile.handle) {
+        await entryRef.delete();
+        return;
+    }
+
+    const words = getWords(`${profile.handle} ${profile.displayName || ''}`);
+    await entryRef.set({ keys: getIndexKeys(words), words });
+}
+
+// The best matches among the index entries the query's lead term turns up, best first and
+// then in query order. The lead term can match far more entries than the other terms do, so
+// candidates are paged through until there are enough that match every term.
+async function findMatches(query, terms, limit) {
+    const matches = [];
+    let candidateCount = 0;
+    let cursor = null;
+
+    for (let page = 0; page < MAX_CANDIDATE_PAGES && matches.length < limit; page++) {
+        const snapshot = await (cursor ? query.startAfter(cursor) : query).limit(CANDIDATE_PAGE_SIZE).get();
+        snapshot.docs.forEach((doc) => {
+            const score = scoreWords(doc.data().words || [], terms);
+            if (score !== null) {
+                matches.push({ id: doc.id, index: candidateCount, score });
+            }
+            candidateCount++;
+        });
+
+        if (snapshot.size < CANDIDATE_PAGE_SIZE) break;
+        cursor = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return matches
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, limit)
+        .map(match => match.id);
+}
+
+// Posts and people matching the text, with posts optionally narrowed to an author (by
+// handle), a category and a date range. The longest term picks the candidates, since it
+// matches the fewest words.
+async function search(db, { text, author = null, category = null, from = null, to = null } = {}) {
+    const terms = parseTerms(text);
+    const leadTerm = [...terms].sort((a, b) => b.length - a.length)[0];
+    const fromDate = parseDate(from);
+    const toDate = parseDate(to);
+
+    let postsQuery = db.collection('postSearch').where('keys', 'array-contains-any', getQueryKeys(leadTerm));
+    if (author) {
+        const handleDoc = await db.collection('handles').doc(String(author).replace(/^@/, '').toLowerCase()).get();
+        if (!handleDoc.exists) {
+            return { terms, posts: [], users: [] };
+        }
+        postsQuery = postsQuery.where('userId', '==', handleDoc.data().uid);
+    }
+    if (category) {
+        postsQuery = postsQuery.where('category', '==', String(category));
+    }
+    if (fromDate) {
+        postsQuery = postsQuery.where('createdAt', '>=', fromDate);
+    }
+    if (toDate) {
+        postsQuery = postsQuery.where('createdAt', '<', toDate);
+    }
+    postsQuery = postsQuery.orderBy('createdAt', 'desc');
+
+    const usersQuery = db.collection('userSearch').where('keys', 'array-contains-any', getQueryKeys(leadTerm));
+
+    const [postIds, userIds] = await Promise.all([
+        findMatches(postsQuery, terms, POST_RESULT_LIMIT),
+        findMatches(usersQuery, terms, USER_RESULT_LIMIT)
+    ]);
+
+    // The index can trail a post that was just deleted or hidden
+    const postDocs = postIds.length > 0 ? await db.getAll(...postIds.map(id => db.collection('posts').doc(id))) : [];
+    const posts = postDocs
+        .filter(doc => doc.exists && isPublicPost(doc.data()))
+        .map(doc => {
+            const post = doc.data();
+            return {
+                id: doc.id,
+                userId: post.userId || null,
+                category: post.category || 'General',
+                content: post.content || '',
+                hashtags: post.hashtags || [],
+                createdAt: post.createdAt ? post.createdAt.toMillis() : null
+            };
+        });
+
+    const profileDocs = userIds.length > 0 ? await db.getAll(...userIds.map(id => db.collection('profiles').doc(id))) : [];
+    const users = profileDocs
+        .filter(doc => doc.exists)
+        .map(doc => ({
+            id: doc.id,
+            handle: doc.data().handle,
+            displayName: doc.data().displayName || '',
+            avatarUrl: doc.data().avatarUrl || ''
+        }));
+
+    return { terms, posts, users };
+}
+
+module.exports = {
+    MIN_TERM_LENGTH,
+    MAX_QUERY_TERMS,
+    CANDIDATE_PAGE_SIZE,
+    MAX_CANDIDATE_PAGES,
+    SearchError,
+    getWords,
+    getIndexKeys,
+    getQueryKeys,
+    scoreTerm,
+    scoreWords,
+    parseTerms,
+    findMatches,
+    indexPost,
+    indexProfile,
+    search
+};
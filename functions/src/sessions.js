@@ -0,0 +1,24 @@
+// Signing out every device. Revoking the account's refresh tokens stops other devices from
+// renewing their ID tokens, so they lose access within the hour an ID token lasts even if their
+// tab never notices; open tabs see sessionsRevokedAt change and sign out right away.
+//
+// Revoking ends the caller's session too, so it is handed a custom token to sign back in with.
+// Its auth_time then postdates sessionsRevokedAt, which is how the client tells it apart from
+// the sessions that were ended.
+
+const { Timestamp } = require('firebase-admin/firestore');
+
+async function revokeSessions(auth, db, uid) {
+    await auth.revokeRefreshTokens(uid);
+
+    // tokensValidAfterTime is when the revocation took effect, to the second
+    const user = await auth.getUser(uid);
+    const revokedAt = Timestamp.fromDate(new Date(user.tokensValidAfterTime));
+    await db.collection('users').doc(uid).set({ sessionsRevokedAt: revokedAt }, { merge: true });
+
+    return { token: await auth.createCustomToken(uid) };
+}
+
+module.exports = {
+    revokeSessions
+};
@@ -0,0 +1,106 @@
+// Firestore reads and writes for federation. Remote followers and actor keys live under
+// federation/{uid}, which the security rules keep server-only.
+
+const { Timestamp } = require('firebase-admin/firestore');
+const { generateKeyPair } = require('./signatures');
+
+async function getUidByHandle(db, handle) {
+    const handleDoc = await db.collection('handles').doc(handle).get();
+    return handleDoc.exists ? handleDoc.data().uid : null;
+}
+
+async function getProfile(db, uid) {
+    const profileDoc = await db.collection('profiles').doc(uid).get();
+    return profileDoc.exists ? profileDoc.data() : null;
+}
+
+// Resolve a handle to the user and their profile, or null if either is missing
+async function getActorByHandle(db, handle) {
+    const uid = await getUidByHandle(db, handle);
+    if (!uid) return null;
+
+    const profile = await getProfile(db, uid);
+    if (!profile || profile.handle !== handle) return null;
+
+    return { uid, profile };
+}
+
+// Each actor gets an RSA key pair the first time it's needed
+async function getActorKey(db, uid) {
+    const keyRef = db.collection('federation').doc(uid);
+
+    return db.runTransaction(async (transaction) => {
+        const keyDoc = await transaction.get(keyRef);
+        if (keyDoc.exists && keyDoc.data().publicKeyPem) {
+            return keyDoc.data();
+        }
+
+        const keyPair = generateKeyPair();
+        transaction.set(keyRef, { ...keyPair, createdAt: Timestamp.now() }, { merge: true });
+        return keyPair;
+    });
+}
+
+async function getRemoteFollowers(db, uid) {
+    const snapshot = await db.collection('federation').doc(uid).collection('followers').get();
+    return snapshot.docs.map(doc => doc.data());
+}
+
+async function countRemoteFollowers(db, uid) {
+    const snapshot = await db.collection('federation').doc(uid).collection('followers').count().get();
+    return snapshot.data().count;
+}
+
+// Posts in private categories and posts hidden by a moderator are never federated
+function isPublicPost(post) {
+    return !!post && !post.deletedAt && !post.private && !post.hidden;
+}
+
+async function getPost(db, postId) {
+    const postDoc = await db.collection('posts').doc(postId).get();
+    return postDoc.exists ? { id: postDoc.id, ...postDoc.data() } : null;
+}
+
+// Total posts by a user. Soft-deleted posts are counted until they're purged, which is close enough
+// for a collection's totalItems.
+async function countPosts(db, uid) {
+    const snapshot = await db.collection('posts').where('userId', '==', uid).count().get();
+    return snapshot.data().count;
+}
+
+// A page of a user's posts, newest first, older than "before" (createdAt millis) when given
+async function getOutboxPosts(db, uid, { before = null, limit = 20 } = {}) {
+    let postsQuery = db.collection('posts')
+        .where('userId', '==', uid)
+        .orderBy('createdAt', 'desc');
+
+    if (before) {
+        postsQuery = postsQuery.startAfter(Timestamp.fromMillis(before));
+    }
+
+    const snapshot = await postsQuery.limit(limit).get();
+    const posts = snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(isPublicPost);
+
+    // The cursor comes from the last document read, so hidden posts can't end the paging early
+    const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    const nextBefore = snapshot.size === limit && lastDoc.data().createdAt
+        ? lastDoc.data().createdAt.toMillis()
+        : null;
+
+    return { posts, nextBefore };
+}
+
+module.exports = {
+    getUidByHandle,
+    getProfile,
+    getActorByHandle,
+    getActorKey,
+    getRemoteFollowers,
+    countRemoteFollowers,
+    isPublicPost,
+    getPost,
+    countPosts,
+    getOutboxPosts
+};
@@ -0,0 +1,334 @@
+// Link previews: fetch a page, read its Open Graph, Twitter Card and oEmbed metadata,
+// and cache the result in linkPreviews/{id}, keyed by the normalized URL.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { Timestamp } = require('firebase-admin/firestore');
+const { cleanText, decodeEntities, safeHttpsUrl } = require('./sanitize');
+
+const PREVIEW_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const FAILED_PREVIEW_TTL_MS = 60 * 60 * 1000;
+const FETCH_TIMEOUT_MS = 5000;
+const MAX_HTML_BYTES = 512 * 1024;
+const MAX_OEMBED_BYTES = 64 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_URL_LENGTH = 2048;
+
+const LIMITS = {
+    title: 200,
+    description: 500,
+    siteName: 100
+};
+
+// Query parameters that only track clicks and would split the cache
+const TRACKING_PARAMS = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid)$/i;
+
+class UnfurlError extends Error {}
+
+function normalizeUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) {
+        throw new UnfurlError('Invalid URL');
+    }
+
+    let url;
+    try {
+        url = new URL(value.trim());
+    } catch (error) {
+        throw new UnfurlError('Invalid URL');
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new UnfurlError('Only http and https links can be previewed');
+    }
+    if (url.username || url.password) {
+        throw new UnfurlError('Links with credentials are not previewed');
+    }
+
+    url.hash = '';
+    url.hostname = url.hostname.toLowerCase();
+    Array.from(url.searchParams.keys())
+        .filter(key => TRACKING_PARAMS.test(key))
+        .forEach(key => url.searchParams.delete(key));
+
+    return url.href;
+}
+
+function previewId(normalizedUrl) {
+    return crypto.createHash('sha256').update(normalizedUrl).digest('hex').slice(0, 40);
+}
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || a >= 224 ||
+            (a === 100 && b >= 64 && b <= 127) ||
+            (a === 169 && b === 254) ||
+            (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) ||
+            (a === 198 && (b === 18 || b === 19));
+    }
+
+    const lower = address.toLowerCase();
+    if (lower.startsWith('::ffff:')) {
+        return isPrivateAddress(lower.slice(7));
+    }
+    return lower === '::' || lower === '::1' ||
+        lower.startsWith('fc') || lower.startsWith('fd') ||
+        lower.startsWith('fe8') || lower.startsWith('fe9') || lower.startsWith('fea') || lower.startsWith('feb') ||
+        lower.startsWith('ff');
+}
+
+// An IP address written into a URL; host names are checked as they resolve, by guardedLookup
+function isPrivateHost(hostname) {
+    const address = hostname.replace(/^\[|\]$/g, '');
+    return net.isIP(address) !== 0 && isPrivateAddress(address);
+}
+
+// Checked at connection time, so a DNS answer can't change between the check and the request
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+        if (blocked) {
+            return callback(new UnfurlError(`Refusing to connect to private address ${blocked.address}`));
+        }
+
+        if (options && options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// GET a URL with redirects, a time limit and a size limit. Bodies over the limit are cut off,
+// which is fine for metadata in the <head>. The time limit covers the whole fetch, redirects
+// included, so a server sending a byte at a time can't hold it open.
+function fetchText(url, {
+    maxBytes = MAX_HTML_BYTES,
+    accept = 'text/html',
+    allowPrivateHosts = false,
+    redirects = 0,
+    timeoutMs = FETCH_TIMEOUT_MS,
+    deadline = Date.now() + timeoutMs
+} = {}) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        if (!allowPrivateHosts && isPrivateHost(target.hostname)) {
+            reject(new UnfurlError(`Refusing to connect to private address ${target.hostname}`));
+            return;
+        }
+
+        const client = target.protocol === 'https:' ? https : http;
+        const request = client.get(target, {
+            headers: {
+                accept,
+                'user-agent': 'ssaavvee-link-preview/1.0',
+                'accept-language': 'en'
+            },
+            lookup: allowPrivateHosts ? undefined : guardedLookup
+        }, (response) => {
+            const { statusCode, headers } = response;
+
+            if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                response.resume();
+                if (redirects >= MAX_REDIRECTS) {
+                    reject(new UnfurlError('Too many redirects'));
+                    return;
+                }
+
+                let next;
+                try {
+                    next = normalizeUrl(new URL(headers.location, target).href);
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+                resolve(fetchText(next, { maxBytes, accept, allowPrivateHosts, redirects: redirects + 1, deadline }));
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', (chunk) => {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size >= maxBytes) {
+                    response.destroy();
+                }
+            });
+            const finish = () => resolve({
+                url: target.href,
+                status: statusCode,
+                contentType: headers['content-type'] || '',
+                body: Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8')
+            });
+            response.on('end', finish);
+            response.on('close', finish);
+            response.on('error', reject);
+        });
+
+        // Rejected before the request is destroyed, since closing the response resolves with
+        // whatever arrived
+        const timer = setTimeout(() => {
+            const error = new UnfurlError('Timed out');
+            reject(error);
+            request.destroy(error);
+        }, Math.max(deadline - Date.now(), 0));
+        request.on('close', () => clearTimeout(timer));
+        request.on('error', reject);
+    });
+}
+
+// A tag, allowing ">" inside quoted attribute values
+function tagPattern(name) {
+    return new RegExp(`<${name}\\s(?:[^>"']|"[^"]*"|'[^']*')*>`, 'gi');
+}
+
+function parseAttributes(tag) {
+    const attributes = {};
+    const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g;
+    let match;
+    while ((match = pattern.exec(tag)) !== null) {
+        attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+    return attributes;
+}
+
+// Resolve against the page and keep https images only
+function resolveImageUrl(value, pageUrl) {
+    if (!value) return null;
+    try {
+        return safeHttpsUrl(new URL(value, pageUrl).href);
+    } catch (error) {
+        return null;
+    }
+}
+
+// Read metadata from the page's HTML. Open Graph wins over Twitter Cards, which win over plain HTML.
+function parseMetadata(html, pageUrl) {
+    const meta = {};
+    (html.match(tagPattern('meta')) || []).forEach(tag => {
+        const attributes = parseAttributes(tag);
+        const key = (attributes.property || attributes.name || '').toLowerCase();
+        if (key && attributes.content !== undefined && meta[key] === undefined) {
+            meta[key] = attributes.content;
+        }
+    });
+
+    let oembedUrl = null;
+    (html.match(tagPattern('link')) || []).forEach(tag => {
+        const attributes = parseAttributes(tag);
+        if (!oembedUrl && /alternate/i.test(attributes.rel || '') && /json\+oembed/i.test(attributes.type || '') && attributes.href) {
+            try {
+                oembedUrl = new URL(attributes.href, pageUrl).href;
+            } catch (error) {
+                oembedUrl = null;
+            }
+        }
+    });
+
+    const titleTag = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+
+    return {
+        title: cleanText(meta['og:title'] || meta['twitter:title'] || (titleTag ? titleTag[1] : ''), LIMITS.title),
+        description: cleanText(meta['og:description'] || meta['twitter:description'] || meta.description || '', LIMITS.description),
+        imageUrl: resolveImageUrl(meta['og:image:secure_url'] || meta['og:image'] || meta['twitter:image'] || meta['twitter:image:src'], pageUrl),
+        siteName: cleanText(meta['og:site_name'] || meta['twitter:site'] || '', LIMITS.siteName),
+        oembedUrl
+    };
+}
+
+// Fill gaps from the page's oEmbed endpoint (used by video and social sites)
+async function applyOEmbed(metadata, fetchOptions) {
+    if (!metadata.oembedUrl || (metadata.title && metadata.imageUrl && metadata.siteName)) {
+        return metadata;
+    }
+
+    try {
+        const response = await fetchText(metadata.oembedUrl, { ...fetchOptions, maxBytes: MAX_OEMBED_BYTES, accept: 'application/json' });
+        if (response.status !== 200) return metadata;
+
+        const oembed = JSON.parse(response.body);
+        return {
+            ...metadata,
+            title: metadata.title || cleanText(oembed.title || '', LIMITS.title),
+            description: metadata.description || cleanText(oembed.author_name ? `by ${oembed.author_name}` : '', LIMITS.description),
+            imageUrl: metadata.imageUrl || resolveImageUrl(oembed.thumbnail_url, metadata.oembedUrl),
+            siteName: metadata.siteName || cleanText(oembed.provider_name || '', LIMITS.siteName)
+        };
+    } catch (error) {
+        return metadata;
+    }
+}
+
+// Fetch and parse one URL. Always resolves; failures come back with status 'failed'.
+async function unfurl(normalizedUrl, fetchOptions = {}) {
+    const domain = new URL(normalizedUrl).hostname.replace(/^www\./, '');
+    const failed = { url: normalizedUrl, status: 'failed', title: '', description: '', imageUrl: null, siteName: domain };
+
+    try {
+        const response = await fetchText(normalizedUrl, fetchOptions);
+        if (response.status !== 200 || !/html/i.test(response.contentType)) {
+            return failed;
+        }
+
+        const metadata = await applyOEmbed(parseMetadata(response.body, response.url), fetchOptions);
+        if (!metadata.title && !metadata.description && !metadata.imageUrl) {
+            return failed;
+        }
+
+        return {
+            url: normalizedUrl,
+            status: 'ok',
+            title: metadata.title || domain,
+            description: metadata.description,
+            imageUrl: metadata.imageUrl,
+            siteName: metadata.siteName || domain
+        };
+    } catch (error) {
+        console.error('Error unfurling link:', normalizedUrl, error.message);
+        return failed;
+    }
+}
+
+// Serve from linkPreviews when fresh, otherwise fetch and store. Failures are cached briefly
+// so a broken link isn't fetched on every render.
+async function getLinkPreview(db, url, fetchOptions = {}) {
+    const normalizedUrl = normalizeUrl(url);
+    const previewRef = db.collection('linkPreviews').doc(previewId(normalizedUrl));
+
+    const cached = await previewRef.get();
+    if (cached.exists && cached.data().expiresAt.toMillis() > Date.now()) {
+        const { fetchedAt, expiresAt, ...preview } = cached.data();
+        return preview;
+    }
+
+    const preview = await unfurl(normalizedUrl, fetchOptions);
+    const ttl = preview.status === 'ok' ? PREVIEW_TTL_MS : FAILED_PREVIEW_TTL_MS;
+    await previewRef.set({
+        ...preview,
+        fetchedAt: Timestamp.now(),
+        expiresAt: Timestamp.fromMillis(Date.now() + ttl)
+    });
+
+    return preview;
+}
+
+module.exports = {
+    PREVIEW_TTL_MS,
+    FAILED_PREVIEW_TTL_MS,
+    MAX_HTML_BYTES,
+    UnfurlError,
+    normalizeUrl,
+    previewId,
+    isPrivateAddress,
+    isPrivateHost,
+    guardedLookup,
+    fetchText,
+    parseMetadata,
+    unfurl,
+    getLinkPreview
+};
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const activitypub = require('../src/activitypub');
+const { getPostActivityType } = require('../src/handlers');
+
+const baseUrl = 'https://ssaavvee.example';
+const post = {
+    id: 'post1',
+    userId: 'uid1',
+    content: 'Hello <world>\nhttps://example.com/a?b=1&c=2',
+    createdAt: new Date('2024-05-01T12:00:00Z')
+};
+
+test('parseWebFingerResource accepts our own accounts only', () => {
+    assert.strictEqual(activitypub.parseWebFingerResource('acct:Alice_1@ssaavvee.example', 'ssaavvee.example'), 'alice_1');
+    assert.strictEqual(activitypub.parseWebFingerResource('alice_1@ssaavvee.example', 'ssaavvee.example'), 'alice_1');
+    assert.strictEqual(activitypub.parseWebFingerResource('acct:alice@elsewhere.example', 'ssaavvee.example'), null);
+    assert.strictEqual(activitypub.parseWebFingerResource('acct:a@ssaavvee.example', 'ssaavvee.example'), null);
+    assert.strictEqual(activitypub.parseWebFingerResource('https://ssaavvee.example/users/alice', 'ssaavvee.example'), null);
+});
+
+test('buildWebFinger links the handle to its actor', () => {
+    const jrd = activitypub.buildWebFinger(baseUrl, 'alice');
+
+    assert.strictEqual(jrd.subject, 'acct:alice@ssaavvee.example');
+    assert.deepStrictEqual(jrd.links[0], {
+        rel: 'self',
+        type: 'application/activity+json',
+        href: 'https://ssaavvee.example/users/alice'
+    });
+});
+
+test('buildPerson describes the profile and its public key', () => {
+    const person = activitypub.buildPerson(baseUrl, {
+        handle: 'alice',
+        displayName: 'Alice',
+        bio: 'Hi <b>there</b>',
+        avatarUrl: 'https://img.example/a.png'
+    }, 'PEM');
+
+    assert.strictEqual(person.type, 'Person');
+    assert.strictEqual(person.preferredUsername, 'alice');
+    assert.strictEqual(person.inbox, 'https://ssaavvee.example/users/alice/inbox');
+    assert.strictEqual(person.outbox, 'https://ssaavvee.example/users/alice/outbox');
+    assert.strictEqual(person.summary, '<p>Hi &lt;b&gt;there&lt;/b&gt;</p>');
+    assert.deepStrictEqual(person.publicKey, {
+        id: 'https://ssaavvee.example/users/alice#main-key',
+        owner: 'https://ssaavvee.example/users/alice',
+        publicKeyPem: 'PEM'
+    });
+    assert.deepStrictEqual(person.icon, { type: 'Image', url: 'https://img.example/a.png' });
+});
+
+test('buildNote escapes content and links URLs', () => {
+    const note = activitypub.buildNote(baseUrl, 'alice', post);
+
+    assert.strictEqual(note.id, 'https://ssaavvee.example/users/alice/posts/post1');
+    assert.strictEqual(note.attributedTo, 'https://ssaavvee.example/users/alice');
+    assert.strictEqual(note.published, '2024-05-01T12:00:00.000Z');
+    assert.strictEqual(
+        note.content,
+        '<p>Hello &lt;world&gt;<br><a href="https://example.com/a?b=1&amp;c=2" rel="nofollow noopener noreferrer" target="_blank">https://example.com/a?b=1&amp;c=2</a></p>'
+    );
+    assert.deepStrictEqual(note.to, [activitypub.PUBLIC]);
+});
+
+test('buildActivity wraps notes in Create, Update and Delete', () => {
+    const create = activitypub.buildActivity('Create', baseUrl, 'alice', post);
+    assert.strictEqual(create.type, 'Create');
+    assert.strictEqual(create.object.type, 'Note');
+    assert.strictEqual(create.actor, 'https://ssaavvee.example/users/alice');
+
+    const edited = { ...post, editedAt: new Date('2024-05-02T00:00:00Z') };
+    const update = activitypub.buildActivity('Update', baseUrl, 'alice', edited);
+    assert.strictEqual(update.object.updated, '2024-05-02T00:00:00.000Z');
+    assert.notStrictEqual(update.id, create.id);
+
+    const remove = activitypub.buildActivity('Delete', baseUrl, 'alice', post);
+    assert.deepStrictEqual(remove.object, { id: create.object.id, type: 'Tombstone' });
+});
+
+test('buildOutboxPage links to the next page only when there is one', () => {
+    const page = activitypub.buildOutboxPage(baseUrl, 'alice', [post], { nextBefore: 1714564800000 });
+    assert.strictEqual(page.type, 'OrderedCollectionPage');
+    assert.strictEqual(page.orderedItems[0].type, 'Create');
+    assert.strictEqual(page.orderedItems[0]['@context'], undefined);
+    assert.strictEqual(page.next, 'https://ssaavvee.example/users/alice/outbox?page=true&before=1714564800000');
+
+    assert.strictEqual(activitypub.buildOutboxPage(baseUrl, 'alice', []).next, undefined);
+});
+
+test('isPublic finds the public collection in to or cc, in any of its forms', () => {
+    const recipient = 'https://remote.example/users/carol';
+    assert.strictEqual(activitypub.isPublic({ to: [activitypub.PUBLIC] }), true);
+    assert.strictEqual(activitypub.isPublic({ to: recipient, cc: 'as:Public' }), true);
+    assert.strictEqual(activitypub.isPublic({ cc: [{ id: 'Public' }] }), true);
+
+    // A direct message, and a followers-only note
+    assert.strictEqual(activitypub.isPublic({ to: [recipient], cc: [] }), false);
+    assert.strictEqual(activitypub.isPublic({ to: ['https://remote.example/users/bob/followers'], cc: [recipient] }), false);
+    assert.strictEqual(activitypub.isPublic({}), false);
+});
+
+test('getPostActivityType follows soft deletes, restores, edits and moderation', () => {
+    assert.strictEqual(getPostActivityType(null, post), 'Create');
+    assert.strictEqual(getPostActivityType(post, { ...post, deletedAt: new Date() }), 'Delete');
+    assert.strictEqual(getPostActivityType({ ...post, deletedAt: new Date() }, post), 'Create');
+    assert.strictEqual(getPostActivityType(post, { ...post, content: 'changed' }), 'Update');
+    assert.strictEqual(getPostActivityType(post, { ...post, replyCount: 3 }), null);
+    assert.strictEqual(getPostActivityType(post, null), 'Delete');
+    assert.strictEqual(getPostActivityType({ ...post, deletedAt: new Date() }, null), null);
+    assert.strictEqual(getPostActivityType(post, { ...post, hidden: true }), 'Delete');
+    assert.strictEqual(getPostActivityType({ ...post, hidden: true }, post), 'Create');
+    assert.strictEqual(getPostActivityType(null, { ...post, private: true }), null);
+});
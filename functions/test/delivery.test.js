@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateKeyPair } = require('../src/signatures');
+const { deliver, collectInboxes, deliverToFollowers } = require('../src/delivery');
+const { startMockRemote } = require('./mock-remote');
+
+const { publicKeyPem, privateKeyPem } = generateKeyPair();
+const keyId = 'https://ssaavvee.example/users/alice#main-key';
+const activity = { type: 'Create', actor: 'https://ssaavvee.example/users/alice', object: { type: 'Note' } };
+
+test('collectInboxes prefers shared inboxes and removes duplicates', () => {
+    assert.deepStrictEqual(collectInboxes([
+        { inbox: 'https://a.example/users/1/inbox', sharedInbox: 'https://a.example/inbox' },
+        { inbox: 'https://a.example/users/2/inbox', sharedInbox: 'https://a.example/inbox' },
+        { inbox: 'https://b.example/users/3/inbox' },
+        {}
+    ]), ['https://a.example/inbox', 'https://b.example/users/3/inbox']);
+});
+
+test('deliver sends a signed activity the remote server can verify', async () => {
+    const remote = await startMockRemote({ resolveKey: id => (id === keyId ? publicKeyPem : null) });
+
+    try {
+        const result = await deliver(activity, `${remote.url}/users/bob/inbox`, { keyId, privateKeyPem, allowPrivateHosts: true });
+
+        assert.strictEqual(result.ok, true);
+        assert.strictEqual(result.status, 202);
+        assert.strictEqual(remote.received.length, 1);
+        assert.strictEqual(remote.received[0].verified, true);
+        assert.strictEqual(remote.received[0].headers['content-type'], 'application/activity+json');
+        assert.deepStrictEqual(remote.received[0].activity, activity);
+    } finally {
+        await remote.close();
+    }
+});
+
+test('deliverToFollowers reports failures without throwing', async () => {
+    const remote = await startMockRemote({ resolveKey: () => null });
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+        const results = await deliverToFollowers(activity, [
+            { inbox: `${remote.url}/users/bob/inbox` },
+            { inbox: 'http://127.0.0.1:1/inbox' }
+        ], { keyId, privateKeyPem, timeoutMs: 2000, allowPrivateHosts: true });
+
+        assert.strictEqual(results.length, 2);
+        assert.strictEqual(results[0].status, 401);
+        assert.strictEqual(results[1].ok, false);
+        assert.strictEqual(remote.received[0].reason, 'unknown key');
+    } finally {
+        console.error = originalError;
+        await remote.close();
+    }
+});
+
+test('deliver refuses inboxes on private addresses', async () => {
+    const remote = await startMockRemote({ resolveKey: () => publicKeyPem });
+
+    try {
+        const byAddress = await deliver(activity, `${remote.url}/inbox`, { keyId, privateKeyPem });
+        const byName = await deliver(activity, `${remote.url.replace('127.0.0.1', 'localhost')}/inbox`, { keyId, privateKeyPem });
+        const otherScheme = await deliver(activity, 'ftp://files.example/inbox', { keyId, privateKeyPem });
+
+        assert.match(byAddress.error, /private address 127\.0\.0\.1/);
+        assert.match(byName.error, /private address/);
+        assert.match(otherScheme.error, /ftp:/);
+        assert.strictEqual(remote.received.length, 0);
+    } finally {
+        await remote.close();
+    }
+});
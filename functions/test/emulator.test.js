@@ -0,0 +1,401 @@
+// End-to-end checks against the Firestore emulator. Skipped unless FIRESTORE_EMULATOR_HOST
+// is set; run them with `npm run test:emulator`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMockRemote } = require('./mock-remote');
+
+const skip = process.env.FIRESTORE_EMULATOR_HOST ? false : 'FIRESTORE_EMULATOR_HOST is not set';
+const baseUrl = 'https://ssaavvee.example';
+
+// Just enough of Express's request and response for the handlers
+function request(path, query = {}) {
+    return { method: 'GET', path, query };
+}
+
+function response() {
+    const res = { statusCode: null, headers: {}, body: null, headersSent: false };
+    res.set = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.send = (body) => { res.body = JSON.parse(body); res.headersSent = true; return res; };
+    res.json = (body) => { res.body = body; res.headersSent = true; return res; };
+    res.end = () => { res.headersSent = true; return res; };
+    return res;
+}
+
+let firestore = null;
+function getDb() {
+    if (!firestore) {
+        const { initializeApp } = require('firebase-admin/app');
+        const { getFirestore } = require('firebase-admin/firestore');
+        initializeApp({ projectId: process.env.GCLOUD_PROJECT || 'demo-ssaavvee' });
+        firestore = getFirestore();
+    }
+    return firestore;
+}
+
+// Seed a user with a public profile and one post
+async function seedUser(db, prefix) {
+    const { Timestamp } = require('firebase-admin/firestore');
+    const uid = `${prefix}-${Date.now()}`;
+    const handle = `${prefix}_${Date.now() % 100000}`;
+
+    await db.collection('handles').doc(handle).set({ uid });
+    await db.collection('profiles').doc(uid).set({ handle, displayName: 'Alice', bio: '', avatarUrl: '' });
+    await db.collection('posts').doc(`${uid}-1`).set({
+        userId: uid,
+        content: 'First post',
+        category: 'General',
+        createdAt: Timestamp.fromMillis(Date.now() - 1000)
+    });
+
+    return { uid, handle };
+}
+
+test('federation against the emulator', { skip }, async (t) => {
+    const { Timestamp } = require('firebase-admin/firestore');
+    const { createHandlers } = require('../src/handlers');
+
+    const db = getDb();
+    const handlers = createHandlers({ db, getBaseUrl: () => baseUrl });
+    const { uid, handle } = await seedUser(db, 'alice');
+
+    await t.test('webfinger resolves the handle', async () => {
+        const res = response();
+        await handlers.webfinger(request('/.well-known/webfinger', { resource: `acct:${handle}@ssaavvee.example` }), res);
+
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.body.links[0].href, `${baseUrl}/users/${handle}`);
+
+        const missing = response();
+        await handlers.webfinger(request('/.well-known/webfinger', { resource: 'acct:nobody_here@ssaavvee.example' }), missing);
+        assert.strictEqual(missing.statusCode, 404);
+    });
+
+    await t.test('the actor has a stable public key', async () => {
+        const first = response();
+        const second = response();
+        await handlers.actor(request(`/users/${handle}`), first);
+        await handlers.actor(request(`/users/${handle}`), second);
+
+        assert.strictEqual(first.body.type, 'Person');
+        assert.match(first.body.publicKey.publicKeyPem, /BEGIN PUBLIC KEY/);
+        assert.strictEqual(first.body.publicKey.publicKeyPem, second.body.publicKey.publicKeyPem);
+    });
+
+    await t.test('the outbox lists posts as Create activities', async () => {
+        const outbox = response();
+        await handlers.actor(request(`/users/${handle}/outbox`), outbox);
+        assert.strictEqual(outbox.body.totalItems, 1);
+
+        const page = response();
+        await handlers.actor(request(`/users/${handle}/outbox`, { page: 'true' }), page);
+        assert.strictEqual(page.body.orderedItems.length, 1);
+        assert.strictEqual(page.body.orderedItems[0].object.content, '<p>First post</p>');
+
+        const note = response();
+        await handlers.actor(request(`/users/${handle}/posts/${uid}-1`), note);
+        assert.strictEqual(note.body.type, 'Note');
+    });
+
+    await t.test('new posts are delivered to remote followers, signed', async () => {
+        const remote = await startMockRemote({
+            // Like a real server: dereference the keyId's actor and read its key
+            resolveKey: async (keyId) => {
+                const res = response();
+                await handlers.actor(request(new URL(keyId).pathname), res);
+                return res.body.publicKey.publicKeyPem;
+            }
+        });
+
+        try {
+            await db.collection('federation').doc(uid).collection('followers').doc('bob').set({
+                actor: `${remote.url}/users/bob`,
+                inbox: `${remote.url}/users/bob/inbox`,
+                sharedInbox: `${remote.url}/inbox`
+            });
+
+            const post = { userId: uid, content: 'Hello fediverse', createdAt: Timestamp.now() };
+            const results = await handlers.federatePost(`${uid}-2`, null, post, { allowPrivateHosts: true });
+
+            assert.deepStrictEqual(results.map(result => result.status), [202]);
+            assert.strictEqual(remote.received[0].path, '/inbox');
+            assert.strictEqual(remote.received[0].verified, true);
+            assert.strictEqual(remote.received[0].activity.type, 'Create');
+            assert.strictEqual(remote.received[0].activity.object.content, '<p>Hello fediverse</p>');
+        } finally {
+            await remote.close();
+        }
+    });
+});
+
+test('inbox against the emulator', { skip }, async (t) => {
+    const { createHandlers } = require('../src/handlers');
+    const { createInbox } = require('../src/inbox');
+    const { PUBLIC } = require('../src/activitypub');
+    const { generateKeyPair, signRequest } = require('../src/signatures');
+    const { remoteDocId } = require('../src/remote');
+
+    const db = getDb();
+    const handlers = createHandlers({ db, getBaseUrl: () => baseUrl });
+    const inbox = createInbox({ db, getBaseUrl: () => baseUrl, allowInsecure: true, allowPrivateHosts: true });
+    const { uid, handle } = await seedUser(db, 'carol');
+    const localActor = `${baseUrl}/users/${handle}`;
+
+    const bobKeys = generateKeyPair();
+    const documents = {};
+    const remote = await startMockRemote({
+        documents,
+        resolveKey: async (keyId) => {
+            const res = response();
+            await handlers.actor(request(new URL(keyId).pathname), res);
+            return res.body.publicKey.publicKeyPem;
+        }
+    });
+    const bob = `${remote.url}/users/bob`;
+    documents['/users/bob'] = {
+        id: bob,
+        type: 'Person',
+        preferredUsername: 'bob',
+        name: 'Bob <b>B</b>',
+        inbox: `${bob}/inbox`,
+        publicKey: { id: `${bob}#main-key`, owner: bob, publicKeyPem: bobKeys.publicKeyPem }
+    };
+
+    // Sign an activity from Bob to Carol's inbox the way a remote server would
+    async function post(activity, { privateKeyPem = bobKeys.privateKeyPem, tamper = false } = {}) {
+        const body = JSON.stringify(activity);
+        const path = `/users/${handle}/inbox`;
+        const headers = signRequest({ url: `${baseUrl}${path}`, body, keyId: `${bob}#main-key`, privateKeyPem });
+        const res = response();
+        await inbox.inbox({
+            method: 'POST',
+            originalUrl: path,
+            headers: { ...headers, 'content-type': 'application/activity+json' },
+            rawBody: Buffer.from(tamper ? body.replace('bob', 'eve') : body)
+        }, res);
+        return res;
+    }
+
+    try {
+        await t.test('unsigned or badly signed activities are refused', async () => {
+            const other = generateKeyPair();
+            assert.strictEqual((await post({ type: 'Follow', actor: bob, object: localActor }, { privateKeyPem: other.privateKeyPem })).statusCode, 401);
+            assert.strictEqual((await post({ type: 'Follow', actor: bob, object: localActor }, { tamper: true })).statusCode, 401);
+        });
+
+        await t.test('Follow stores the follower and sends a signed Accept', async () => {
+            const follow = { id: `${bob}#follows/1`, type: 'Follow', actor: bob, object: localActor };
+            const res = await post(follow);
+
+            assert.strictEqual(res.statusCode, 202);
+            const follower = await db.collection('federation').doc(uid).collection('followers').doc(remoteDocId(bob)).get();
+            assert.strictEqual(follower.data().inbox, `${bob}/inbox`);
+
+            const accept = remote.received.find(item => item.activity.type === 'Accept');
+            assert.strictEqual(accept.verified, true);
+            assert.strictEqual(accept.activity.object.id, follow.id);
+        });
+
+        await t.test('a remote reply joins the thread as a sanitized reply, counted once', async () => {
+            const noteId = `${bob}/statuses/1`;
+            const note = {
+                id: noteId,
+                type: 'Note',
+                attributedTo: bob,
+                to: [PUBLIC],
+                cc: [localActor],
+                inReplyTo: `${localActor}/posts/${uid}-1`,
+                content: '<p>Nice! <script>alert(1)</script><a href="javascript:x">link</a></p>',
+                published: new Date().toISOString()
+            };
+            const res = await post({ type: 'Create', actor: bob, object: note });
+            await post({ type: 'Create', actor: bob, object: note });
+
+            assert.strictEqual(res.statusCode, 202);
+            const postRef = db.collection('posts').doc(`${uid}-1`);
+            const replyRef = postRef.collection('replies').doc(`remote_${remoteDocId(noteId)}`);
+            const stored = await replyRef.get();
+            assert.strictEqual(stored.data().content, 'Nice! link');
+            assert.strictEqual(stored.data().rootId, `${uid}-1`);
+            assert.strictEqual(stored.data().parentId, `${uid}-1`);
+            assert.strictEqual(stored.data().remote.name, 'Bob B');
+            assert.strictEqual(stored.data().userId, null);
+            assert.strictEqual((await postRef.get()).data().replyCount, 1);
+            assert.strictEqual((await db.collection('posts').doc(`remote_${remoteDocId(noteId)}`).get()).exists, false);
+
+            await post({ type: 'Update', actor: bob, object: { ...note, content: '<p>Nicer!</p>' } });
+            assert.strictEqual((await replyRef.get()).data().content, 'Nicer!');
+
+            await post({ type: 'Delete', actor: bob, object: { id: noteId, type: 'Tombstone' } });
+            await post({ type: 'Delete', actor: bob, object: noteId });
+            assert.strictEqual((await replyRef.get()).exists, false);
+            assert.strictEqual((await postRef.get()).data().replyCount, 0);
+        });
+
+        await t.test('a note that only mentions a local user is stored as a post', async () => {
+            const noteId = `${bob}/statuses/2`;
+            await post({
+                type: 'Create',
+                actor: bob,
+                object: { id: noteId, type: 'Note', attributedTo: bob, to: [PUBLIC], cc: [localActor], content: `<p>Hi there ${'!'.repeat(600)}</p>` }
+            });
+
+            const stored = await db.collection('posts').doc(`remote_${remoteDocId(noteId)}`).get();
+            assert.strictEqual(stored.data().content, `Hi there ${'!'.repeat(491)}`);
+            assert.deepStrictEqual(stored.data().mentions, [uid]);
+        });
+
+        await t.test('direct messages and followers-only notes are not stored', async () => {
+            const direct = `${bob}/statuses/3`;
+            const followersOnly = `${bob}/statuses/4`;
+            const reply = `${bob}/statuses/5`;
+            await post({
+                type: 'Create',
+                actor: bob,
+                object: { id: direct, type: 'Note', attributedTo: bob, to: [localActor], content: '<p>Just between us</p>' }
+            });
+            await post({
+                type: 'Create',
+                actor: bob,
+                object: { id: followersOnly, type: 'Note', attributedTo: bob, to: [`${bob}/followers`], cc: [localActor], content: '<p>Followers only</p>' }
+            });
+            await post({
+                type: 'Create',
+                actor: bob,
+                object: { id: reply, type: 'Note', attributedTo: bob, to: [localActor], inReplyTo: `${localActor}/posts/${uid}-1`, content: '<p>Quietly</p>' }
+            });
+
+            for (const noteId of [direct, followersOnly, reply]) {
+                assert.strictEqual((await db.collection('posts').doc(`remote_${remoteDocId(noteId)}`).get()).exists, false);
+            }
+            const replyRef = db.collection('posts').doc(`${uid}-1`).collection('replies').doc(`remote_${remoteDocId(reply)}`);
+            assert.strictEqual((await replyRef.get()).exists, false);
+        });
+
+        await t.test('likes are counted once and can be undone', async () => {
+            const like = { id: `${bob}#likes/1`, type: 'Like', actor: bob, object: `${localActor}/posts/${uid}-1` };
+            await post(like);
+            await post(like);
+
+            const postRef = db.collection('posts').doc(`${uid}-1`);
+            assert.strictEqual((await postRef.get()).data().remoteLikeCount, 1);
+
+            await post({ type: 'Undo', actor: bob, object: like });
+            assert.strictEqual((await postRef.get()).data().remoteLikeCount, 0);
+        });
+
+        await t.test('Undo Follow removes the follower', async () => {
+            await post({ type: 'Undo', actor: bob, object: { type: 'Follow', actor: bob, object: localActor } });
+            const follower = await db.collection('federation').doc(uid).collection('followers').doc(remoteDocId(bob)).get();
+            assert.strictEqual(follower.exists, false);
+        });
+    } finally {
+        await remote.close();
+    }
+});
+
+test('link preview cache against the emulator', { skip }, async () => {
+    const http = require('http');
+    const { getLinkPreview, normalizeUrl, previewId } = require('../src/unfurl');
+
+    const db = getDb();
+    let requests = 0;
+    const server = http.createServer((req, res) => {
+        requests += 1;
+        res.writeHead(200, { 'content-type': 'text/html' });
+        res.end('<meta property="og:title" content="Cached">');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+        const url = `http://127.0.0.1:${server.address().port}/page?utm_source=test&n=${Date.now()}`;
+        const first = await getLinkPreview(db, url, { allowPrivateHosts: true });
+        const second = await getLinkPreview(db, url, { allowPrivateHosts: true });
+
+        assert.strictEqual(first.title, 'Cached');
+        assert.deepStrictEqual(second, first);
+        assert.strictEqual(requests, 1);
+
+        const stored = await db.collection('linkPreviews').doc(previewId(normalizeUrl(url))).get();
+        assert.strictEqual(stored.data().url, normalizeUrl(url));
+        assert.ok(stored.data().expiresAt.toMillis() > Date.now());
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('search index against the emulator', { skip }, async () => {
+    const { Timestamp } = require('firebase-admin/firestore');
+    const search = require('../src/search');
+
+    const db = getDb();
+    const { uid, handle } = await seedUser(db, 'searcher');
+    const word = `zebra${Date.now() % 100000}`;
+    const posts = {
+        [`${uid}-music`]: { userId: uid, content: `Live ${word} tonight`, category: 'Music', createdAt: Timestamp.now() },
+        [`${uid}-hidden`]: { userId: uid, content: `Hidden ${word}`, category: 'Music', hidden: true, createdAt: Timestamp.now() },
+        [`${uid}-filed`]: { userId: uid, content: 'Filed away', category: `Zoo${word}`, categoryId: 'zoo', createdAt: Timestamp.now() }
+    };
+    for (const [postId, post] of Object.entries(posts)) {
+        await db.collection('posts').doc(postId).set(post);
+        await search.indexPost(db, postId, post);
+    }
+    await search.indexProfile(db, uid, { handle, displayName: 'Alice' });
+
+    const found = await search.search(db, { text: word.slice(0, -1) });
+    assert.deepStrictEqual(found.posts.map(post => post.id), [`${uid}-music`]);
+
+    const typo = await search.search(db, { text: `${word.slice(0, 2)}${word.slice(3)}`, author: `@${handle}`, category: 'Music' });
+    assert.deepStrictEqual(typo.posts.map(post => post.id), [`${uid}-music`]);
+
+    const elsewhere = await search.search(db, { text: word, category: 'General' });
+    assert.deepStrictEqual(elsewhere.posts, []);
+
+    const byCategory = await search.search(db, { text: `zoo${word} filed` });
+    assert.deepStrictEqual(byCategory.posts.map(post => post.id), [`${uid}-filed`]);
+
+    const people = await search.search(db, { text: handle });
+    assert.ok(people.users.some(user => user.id === uid));
+
+    await db.collection('posts').doc(`${uid}-music`).delete();
+    await search.indexPost(db, `${uid}-music`, null);
+    assert.strictEqual((await db.collection('postSearch').doc(`${uid}-music`).get()).exists, false);
+});
+
+test('a deleted post\'s bookmarks, notifications, replies and remote reactions go with it', { skip }, async () => {
+    const { deletePostLeftovers } = require('../src/cleanup');
+
+    const db = getDb();
+    const postId = `cleanup-${Date.now()}`;
+    await db.doc(`users/bob/bookmarks/${postId}`).set({ postId });
+    await db.doc(`users/carol/notifications/mention-${postId}`).set({ type: 'mention', actorId: 'alice', postId });
+    await db.doc(`users/carol/notifications/follow-${postId}`).set({ type: 'follow', actorId: 'alice' });
+    await db.doc(`posts/${postId}/replies/r1`).set({ userId: 'carol', rootId: postId, parentId: postId });
+    await db.doc(`posts/${postId}/remoteReactions/like-1`).set({ type: 'Like', actor: 'https://remote.example/users/dana' });
+
+    assert.strictEqual(await deletePostLeftovers(db, postId), 4);
+    assert.strictEqual((await db.doc(`users/bob/bookmarks/${postId}`).get()).exists, false);
+    assert.strictEqual((await db.doc(`users/carol/notifications/mention-${postId}`).get()).exists, false);
+    assert.strictEqual((await db.doc(`posts/${postId}/replies/r1`).get()).exists, false);
+    assert.strictEqual((await db.doc(`posts/${postId}/remoteReactions/like-1`).get()).exists, false);
+    assert.strictEqual((await db.doc(`users/carol/notifications/follow-${postId}`).get()).exists, true);
+});
+
+test('revoking sessions records when, and hands back a token to sign in again', {
+    skip: skip || (process.env.FIREBASE_AUTH_EMULATOR_HOST ? false : 'FIREBASE_AUTH_EMULATOR_HOST is not set')
+}, async () => {
+    const { getAuth } = require('firebase-admin/auth');
+    const { revokeSessions } = require('../src/sessions');
+
+    const db = getDb();
+    const auth = getAuth();
+    const { uid } = await auth.createUser({ email: `revoke-${Date.now()}@example.com`, password: 'correct horse' });
+
+    const { token } = await revokeSessions(auth, db, uid);
+    assert.ok(typeof token === 'string' && token.length > 0);
+
+    const user = await auth.getUser(uid);
+    const revokedAt = (await db.doc(`users/${uid}`).get()).get('sessionsRevokedAt');
+    assert.strictEqual(revokedAt.toMillis(), new Date(user.tokensValidAfterTime).getTime());
+});
@@ -0,0 +1,57 @@
+// A tiny stand-in for a remote fediverse server: it accepts POSTs to /inbox and
+// /users/{name}/inbox, checks their HTTP signatures and records what arrived.
+// GETs are answered from "documents", keyed by path, so it can also publish actors.
+
+const http = require('http');
+const { verifyRequest } = require('../src/signatures');
+
+// resolveKey(keyId) returns the sender's public key PEM, as a real server would fetch it
+function startMockRemote({ resolveKey, status = 202, documents = {} }) {
+    const received = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            if (req.method === 'GET' && documents[req.url]) {
+                res.writeHead(200, { 'content-type': 'application/activity+json' });
+                res.end(JSON.stringify(documents[req.url]));
+                return;
+            }
+
+            if (req.method !== 'POST' || !/^\/(users\/[^/]+\/)?inbox$/.test(req.url)) {
+                res.writeHead(404).end();
+                return;
+            }
+
+            const keyId = /keyId="([^"]+)"/.exec(req.headers.signature || '');
+            const publicKeyPem = keyId ? await resolveKey(keyId[1]) : null;
+            const result = publicKeyPem
+                ? verifyRequest({ method: req.method, path: req.url, headers: req.headers, body, publicKeyPem })
+                : { valid: false, reason: 'unknown key' };
+
+            received.push({
+                path: req.url,
+                headers: req.headers,
+                activity: JSON.parse(body),
+                verified: result.valid,
+                reason: result.reason
+            });
+
+            res.writeHead(result.valid ? status : 401).end();
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                received,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+module.exports = { startMockRemote };
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const remote = require('../src/remote');
+
+const actor = { id: 'https://remote.example/users/bob', type: 'Person', preferredUsername: 'bob' };
+
+// Local stand-in for a remote server's actor documents, good and bad
+function startDocumentServer() {
+    const server = http.createServer((req, res) => {
+        if (req.url === '/actor') {
+            res.writeHead(200, { 'content-type': 'application/activity+json' });
+            res.end(JSON.stringify(actor));
+        } else if (req.url === '/redirect') {
+            res.writeHead(302, { location: '/actor' });
+            res.end();
+        } else if (req.url === '/huge') {
+            // Streamed without a content-length, so only counting the bytes catches it
+            res.writeHead(200, { 'content-type': 'application/activity+json' });
+            res.write('{"padding":"');
+            const chunk = 'x'.repeat(64 * 1024);
+            let sent = 0;
+            const more = () => {
+                while (sent <= remote.MAX_DOCUMENT_BYTES && !res.destroyed) {
+                    sent += chunk.length;
+                    if (!res.write(chunk)) return res.once('drain', more);
+                }
+                res.end('"}');
+            };
+            more();
+        } else if (req.url === '/declared-huge') {
+            res.writeHead(200, { 'content-type': 'application/activity+json', 'content-length': remote.MAX_DOCUMENT_BYTES + 1 });
+            res.end();
+        } else if (req.url === '/html') {
+            res.writeHead(200, { 'content-type': 'text/html' });
+            res.end('<html></html>');
+        } else {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    server.on('clientError', () => {});
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => {
+                    server.closeAllConnections();
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+const options = { allowInsecure: true, allowPrivateHosts: true };
+
+test('fetchActivityJson reads a document and refuses anything else', async (t) => {
+    const server = await startDocumentServer();
+    t.after(() => server.close());
+
+    await t.test('a document', async () => {
+        assert.deepStrictEqual(await remote.fetchActivityJson(`${server.url}/actor`, options), actor);
+    });
+
+    await t.test('private hosts, unless allowed', async () => {
+        await assert.rejects(remote.fetchActivityJson(`${server.url}/actor`, { allowInsecure: true }), /private address 127\.0\.0\.1/);
+        await assert.rejects(
+            remote.fetchActivityJson(`${server.url.replace('127.0.0.1', 'localhost')}/actor`, { allowInsecure: true }),
+            /private address/
+        );
+        await assert.rejects(remote.fetchActivityJson('https://[::1]/actor'), /private address/);
+    });
+
+    await t.test('http, unless allowed', async () => {
+        await assert.rejects(remote.fetchActivityJson(`${server.url}/actor`, { allowPrivateHosts: true }), /http: URL/);
+    });
+
+    await t.test('redirects, errors and non-JSON', async () => {
+        await assert.rejects(remote.fetchActivityJson(`${server.url}/redirect`, options), (error) => error.status === 302);
+        await assert.rejects(remote.fetchActivityJson(`${server.url}/missing`, options), (error) => error.status === 404);
+        await assert.rejects(remote.fetchActivityJson(`${server.url}/html`, options), /not JSON/);
+    });
+
+    await t.test('documents over the size limit, declared or not', async () => {
+        await assert.rejects(remote.fetchActivityJson(`${server.url}/declared-huge`, options), /too large/);
+        await assert.rejects(remote.fetchActivityJson(`${server.url}/huge`, options), /too large/);
+    });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { htmlToPlainText, cleanText, safeHttpsUrl } = require('../src/sanitize');
+const { summarizeActor } = require('../src/remote');
+
+test('htmlToPlainText keeps the words and drops the markup', () => {
+    assert.strictEqual(
+        htmlToPlainText('<p>Hi <span class="h-card"><a href="https://ssaavvee.example/users/alice">@<span>alice</span></a></span>!</p><p>Line one<br>line two</p>'),
+        'Hi @alice!\n\nLine one\nline two'
+    );
+});
+
+test('htmlToPlainText removes scripts and decodes entities into plain text', () => {
+    assert.strictEqual(htmlToPlainText('<script>alert(1)</script><p>a &lt;b&gt; &amp; &#39;c&#x27;</p>'), "a <b> & 'c'");
+    assert.strictEqual(htmlToPlainText('<img src=x onerror=alert(1)>safe'), 'safe');
+    assert.strictEqual(htmlToPlainText('&lt;img src=x onerror=alert(1)&gt;'), '<img src=x onerror=alert(1)>');
+    assert.strictEqual(htmlToPlainText(null), '');
+    assert.strictEqual(htmlToPlainText('x'.repeat(10), 4), 'xxxx');
+});
+
+test('htmlToPlainText keeps remote notes within the post length limit', () => {
+    assert.strictEqual(htmlToPlainText(`<p>${'x'.repeat(600)}</p>`).length, 500);
+});
+
+test('cleanText flattens names to one line', () => {
+    assert.strictEqual(cleanText('  Bob\n<b>Builder</b> '), 'Bob Builder');
+    assert.strictEqual(cleanText(undefined), '');
+});
+
+test('safeHttpsUrl only allows https', () => {
+    assert.strictEqual(safeHttpsUrl('https://img.example/a.png'), 'https://img.example/a.png');
+    assert.strictEqual(safeHttpsUrl('javascript:alert(1)'), null);
+    assert.strictEqual(safeHttpsUrl('http://img.example/a.png'), null);
+    assert.strictEqual(safeHttpsUrl('not a url'), null);
+});
+
+test('summarizeActor keeps sanitized display fields and the key', () => {
+    const actor = summarizeActor({
+        id: 'https://remote.example/users/bob',
+        preferredUsername: 'bob',
+        name: '<script>x</script>Bob :verified:',
+        inbox: 'https://remote.example/users/bob/inbox',
+        endpoints: { sharedInbox: 'https://remote.example/inbox' },
+        icon: { url: 'javascript:alert(1)' },
+        publicKey: { id: 'https://remote.example/users/bob#main-key', publicKeyPem: 'PEM' }
+    });
+
+    assert.strictEqual(actor.name, 'Bob :verified:');
+    assert.strictEqual(actor.acct, 'bob@remote.example');
+    assert.strictEqual(actor.sharedInbox, 'https://remote.example/inbox');
+    assert.strictEqual(actor.avatarUrl, null);
+    assert.strictEqual(actor.url, 'https://remote.example/users/bob');
+    assert.strictEqual(actor.publicKeyPem, 'PEM');
+});
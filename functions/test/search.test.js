@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const search = require('../src/search');
+
+test('words are lowercased, unaccented, unique and capped in length', () => {
+    assert.deepStrictEqual(search.getWords('Café cafe #Jazz @alice_b'), ['cafe', 'jazz', 'alice_b']);
+    assert.deepStrictEqual(search.getWords('x'.repeat(30)), ['x'.repeat(20)]);
+    assert.deepStrictEqual(search.getWords(null), []);
+});
+
+test('index keys hold prefixes, the word and its one-letter deletions', () => {
+    const keys = search.getIndexKeys(['jazz']);
+    assert.deepStrictEqual(keys.filter(key => key.startsWith('p:')), ['p:ja', 'p:jaz', 'p:jazz']);
+    assert.deepStrictEqual(keys.filter(key => key.startsWith('t:')), ['t:jazz', 't:azz', 't:jzz', 't:jaz']);
+    // No deletions for short words
+    assert.deepStrictEqual(search.getIndexKeys(['cat']), ['p:ca', 'p:cat', 't:cat']);
+});
+
+test('query keys fit in one array-contains-any', () => {
+    assert.ok(search.getQueryKeys('x'.repeat(20)).length <= 30);
+});
+
+test('exact words score above prefixes and prefixes above typos', () => {
+    assert.strictEqual(search.scoreTerm('concert', 'concert'), 3);
+    assert.strictEqual(search.scoreTerm('concert', 'conc'), 2);
+    assert.strictEqual(search.scoreTerm('concert', 'concret'), 1);
+    assert.strictEqual(search.scoreTerm('concert', 'cancel'), 0);
+
+    assert.strictEqual(search.scoreWords(['jazz', 'night'], ['jazz', 'nigth']), 4);
+    assert.strictEqual(search.scoreWords(['jazz', 'night'], ['jazz', 'days']), null);
+});
+
+test('queries need a word of two letters and stay short', () => {
+    assert.deepStrictEqual(search.parseTerms('a Jazz b'), ['jazz']);
+    assert.strictEqual(search.parseTerms('one two three four five six').length, search.MAX_QUERY_TERMS);
+    assert.throws(() => search.parseTerms('a b'), search.SearchError);
+    assert.throws(() => search.parseTerms('x'.repeat(201)), /200 characters/);
+    assert.throws(() => search.parseTerms(42), search.SearchError);
+});
+
+// Index entries in query order, read a page at a time the way Firestore would
+function pagedQuery(entries, reads = []) {
+    const query = (start) => ({
+        startAfter: (doc) => query(entries.findIndex(entry => entry.id === doc.id) + 1),
+        limit: (size) => ({
+            get: async () => {
+                reads.push(start);
+                const docs = entries.slice(start, start + size).map(entry => ({ id: entry.id, data: () => entry }));
+                return { docs, size: docs.length };
+            }
+        })
+    });
+    return query(0);
+}
+
+test('candidates are paged through until enough of them match every term', async () => {
+    const entries = Array.from({ length: search.CANDIDATE_PAGE_SIZE * 2 + 10 }, (value, index) => ({
+        id: `p${index}`,
+        words: index % 100 === 99 ? ['jazz', 'night'] : ['jazz']
+    }));
+    const reads = [];
+
+    const found = await search.findMatches(pagedQuery(entries, reads), ['jazz', 'night'], 3);
+
+    assert.deepStrictEqual(found, ['p99', 'p199', 'p299']);
+    assert.deepStrictEqual(reads, [0, search.CANDIDATE_PAGE_SIZE]);
+});
+
+test('paging stops at the last candidate, or after the most pages it may read', async () => {
+    const few = [{ id: 'a', words: ['jazz'] }, { id: 'b', words: ['jazzy', 'night'] }];
+    assert.deepStrictEqual(await search.findMatches(pagedQuery(few), ['jazz'], 5), ['a', 'b']);
+
+    const many = Array.from({ length: search.CANDIDATE_PAGE_SIZE * (search.MAX_CANDIDATE_PAGES + 1) }, (value, index) => ({
+        id: `p${index}`,
+        words: ['jazz']
+    }));
+    const reads = [];
+    assert.deepStrictEqual(await search.findMatches(pagedQuery(many, reads), ['jazz', 'night'], 5), []);
+    assert.strictEqual(reads.length, search.MAX_CANDIDATE_PAGES);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const signatures = require('../src/signatures');
+
+const { publicKeyPem, privateKeyPem } = signatures.generateKeyPair();
+const body = JSON.stringify({ type: 'Create' });
+const keyId = 'https://ssaavvee.example/users/alice#main-key';
+
+function signed(options = {}) {
+    return signatures.signRequest({
+        url: 'https://remote.example/users/bob/inbox',
+        body,
+        keyId,
+        privateKeyPem,
+        ...options
+    });
+}
+
+test('signed requests verify against the public key', () => {
+    const headers = signed();
+    const result = signatures.verifyRequest({ method: 'POST', path: '/users/bob/inbox', headers, body, publicKeyPem });
+
+    assert.deepStrictEqual(result, { valid: true, keyId, reason: null });
+    assert.strictEqual(headers.host, 'remote.example');
+    assert.strictEqual(headers.digest, signatures.createDigest(body));
+});
+
+test('a changed body fails the digest check', () => {
+    const headers = signed();
+    const result = signatures.verifyRequest({ method: 'POST', path: '/users/bob/inbox', headers, body: '{}', publicKeyPem });
+
+    assert.strictEqual(result.valid, false);
+    assert.strictEqual(result.reason, 'digest mismatch');
+});
+
+test('a different path or key fails the signature check', () => {
+    const headers = signed();
+    const other = signatures.generateKeyPair();
+
+    assert.strictEqual(signatures.verifyRequest({ method: 'POST', path: '/inbox', headers, body, publicKeyPem }).valid, false);
+    assert.strictEqual(
+        signatures.verifyRequest({ method: 'POST', path: '/users/bob/inbox', headers, body, publicKeyPem: other.publicKeyPem }).reason,
+        'bad signature'
+    );
+});
+
+test('stale requests are rejected', () => {
+    const headers = signed({ date: new Date(Date.now() - 24 * 60 * 60 * 1000) });
+    const result = signatures.verifyRequest({ method: 'POST', path: '/users/bob/inbox', headers, body, publicKeyPem });
+
+    assert.strictEqual(result.reason, 'date out of range');
+});
+
+test('parseSignatureHeader reads the signature parameters', () => {
+    const parsed = signatures.parseSignatureHeader(signed().signature);
+
+    assert.strictEqual(parsed.keyId, keyId);
+    assert.strictEqual(parsed.algorithm, 'rsa-sha256');
+    assert.deepStrictEqual(parsed.headers, ['(request-target)', 'host', 'date', 'digest']);
+    assert.strictEqual(signatures.parseSignatureHeader('nonsense'), null);
+});
@@ -0,0 +1,67 @@
+// Escaping-by-default HTML templates for the renderer
+//
+//   html`<p class="${classes}">${post.content}</p>`
+//
+// Every interpolated value is escaped unless it is itself the result of html``.
+// Arrays render item by item, so .map() needs no .join(''), and null, undefined
+// and false render as nothing, so conditionals can leave a branch empty.
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    // innerHTML assignments and string concatenation see the markup
+    toString() {
+        return this.value;
+    }
+}
+
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+// Quotes too, so the result is also safe inside attribute values
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"'`]/g, char => HTML_ESCAPES[char]);
+}
+
+function renderHtmlValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += renderHtmlValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+// Keep http(s) links only; anything else (javascript:, data:, relative paths) becomes null
+function safeUrl(value, { httpsOnly = false } = {}) {
+    if (typeof value !== 'string') return null;
+
+    try {
+        const url = new URL(value);
+        if (url.protocol === 'https:' || (!httpsOnly && url.protocol === 'http:')) {
+            return url.href;
+        }
+    } catch (error) {
+        // Not an absolute URL
+    }
+    return null;
+}
+
+// Export for potential future use with modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHtml, escapeHtml, html, safeUrl };
+}
@@ -0,0 +1,237 @@
+// Posts, replies and categories as firestore.rules accepts them
+//
+// The rules check every post, reply and category written: which fields it has, their types and
+// lengths, that its author is the signed-in user and that its times are the server's. The
+// checks here are the same ones, run before writing, so the user is told what is wrong
+// instead of getting "permission denied" back. The author and the times are left to the
+// rules, which know who is signed in and when the write arrives.
+//
+// The same goes for how often a user may post, reply and create categories: each new post,
+// reply and category is counted in the user's rateLimits document in the same write, which
+// the rules check too (see isRateStep() in firestore.rules).
+//
+// Uses the limits in format.js, attachments.js and categories.js, loaded before it.
+
+const MAX_POST_LENGTH = 500;
+
+// Fields a new post may have, as listed in isPostData() in firestore.rules. A post in a
+// private category keeps its POST_BODY_FIELDS in its private body document instead.
+const POST_FIELDS = [
+    'content', 'hashtags', 'attachments', 'category', 'categoryId', 'mentions',
+    'userId', 'private', 'createdAt', 'updatedAt'
+];
+const POST_BODY_FIELDS = ['content', 'hashtags', 'attachments'];
+
+// Fields a new reply may have, as listed in isReplyData() in firestore.rules
+const REPLY_FIELDS = ['content', 'parentId', 'rootId', 'userId', 'createdAt', 'updatedAt'];
+
+// Fields a category may have, as listed in isCategoryData() in firestore.rules
+const CATEGORY_FIELDS = [
+    'name', 'slug', 'description', 'color', 'visibility', 'moderatorIds', 'order', 'archived',
+    'previousName', 'createdBy', 'createdAt', 'updatedAt'
+];
+
+// How long to wait between one post, reply or category and the next, and how many of each a
+// user may create per window, as passed to isRateStep() in firestore.rules
+const RATE_LIMITS = {
+    post: { cooldownSeconds: 15, windowSeconds: 60 * 60, max: 30, action: 'posting', per: 'posts an hour' },
+    reply: { cooldownSeconds: 5, windowSeconds: 60 * 60, max: 60, action: 'replying', per: 'replies an hour' },
+    category: { cooldownSeconds: 60, windowSeconds: 24 * 60 * 60, max: 5, action: 'creating a category', per: 'categories a day' }
+};
+
+// Carries when the user may try again, for forms that count down to it
+function createRateLimitError(message, retryAt) {
+    const error = new Error(message);
+    error.retryAt = retryAt;
+    return error;
+}
+
+function checkFields(data, fields, kind) {
+    const unknown = Object.keys(data).filter(key => !fields.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown ${kind} fields: ${unknown.join(', ')}`);
+    }
+}
+
+// Throws with a message for the composer; returns the trimmed content
+function validatePostContent(content, attachmentCount = 0) {
+    const trimmed = String(content || '').trim();
+    if (!trimmed && attachmentCount === 0) {
+        throw new Error('Post content cannot be empty');
+    }
+    if (trimmed.length > MAX_POST_LENGTH) {
+        throw new Error(`Posts must be ${MAX_POST_LENGTH} characters or fewer`);
+    }
+    return trimmed;
+}
+
+// A post's text, hashtags and attachments, as isPostBody() in firestore.rules checks them
+function validatePostBody(body) {
+    if (typeof body.content !== 'string') {
+        throw new Error('Post content must be text');
+    }
+    const hashtags = body.hashtags || [];
+    const attachments = body.attachments || [];
+    validatePostContent(body.content, Array.isArray(attachments) ? attachments.length : 0);
+
+    if (!Array.isArray(hashtags) || hashtags.length > MAX_HASHTAGS) {
+        throw new Error(`Posts can have up to ${MAX_HASHTAGS} hashtags`);
+    }
+    if (!Array.isArray(attachments) || attachments.length > MAX_IMAGES) {
+        throw new Error(`Posts can have up to ${MAX_IMAGES} attachments`);
+    }
+}
+
+// A new post, as isPostData() in firestore.rules checks it. Whether its category exists and
+// takes posts from the user is checked against the category itself (isPostCategory()).
+function validatePostData(post) {
+    checkFields(post, POST_FIELDS, 'post');
+
+    if (typeof post.category !== 'string' || !post.category) {
+        throw new Error('Posts need a category');
+    }
+    const mentions = post.mentions || [];
+    if (!Array.isArray(mentions) || mentions.length > MAX_MENTIONS) {
+        throw new Error(`Posts can mention up to ${MAX_MENTIONS} people`);
+    }
+
+    if (!post.private) {
+        validatePostBody(post);
+    } else if (POST_BODY_FIELDS.some(key => key in post)) {
+        throw new Error('Private posts keep their text in their body document');
+    }
+}
+
+// Throws with a message for the reply composer; returns the trimmed content. Replies are
+// text only, with the same length limit as posts.
+function validateReplyContent(content) {
+    const trimmed = String(content || '').trim();
+    if (!trimmed) {
+        throw new Error('Reply content cannot be empty');
+    }
+    if (trimmed.length > MAX_POST_LENGTH) {
+        throw new Error(`Replies must be ${MAX_POST_LENGTH} characters or fewer`);
+    }
+    return trimmed;
+}
+
+// A new reply, as isReplyData() in firestore.rules checks it
+function validateReplyData(reply) {
+    checkFields(reply, REPLY_FIELDS, 'reply');
+
+    if (typeof reply.content !== 'string' || validateReplyContent(reply.content) !== reply.content) {
+        throw new Error('Reply content must be trimmed text');
+    }
+    if (typeof reply.parentId !== 'string' || !reply.parentId || typeof reply.rootId !== 'string' || !reply.rootId) {
+        throw new Error('Replies need a post to answer');
+    }
+}
+
+// When the kind's cooldown since the last one ends, or null if there was no last one.
+// previous is the kind's entry in the user's rateLimits document, with its times as Dates.
+function getCooldownEnd(kind, previous = {}) {
+    const { lastAt = null } = previous;
+    return lastAt ? new Date(lastAt.getTime() + RATE_LIMITS[kind].cooldownSeconds * 1000) : null;
+}
+
+// Throws while the user has to wait; otherwise returns the count to write and whether it
+// starts a new window
+function checkRateLimit(kind, previous = {}, now = new Date()) {
+    const { windowSeconds, max, action, per } = RATE_LIMITS[kind];
+    const { count = 0, windowStart = null } = previous;
+
+    const cooldownEnd = getCooldownEnd(kind, previous);
+    const readyAt = cooldownEnd ? cooldownEnd.getTime() : 0;
+    if (readyAt > now.getTime()) {
+        const seconds = Math.ceil((readyAt - now.getTime()) / 1000);
+        throw createRateLimitError(
+            `Please wait ${seconds === 1 ? '1 second' : `${seconds} seconds`} before ${action} again`,
+            new Date(readyAt)
+        );
+    }
+
+    const windowEnd = windowStart ? windowStart.getTime() + windowSeconds * 1000 : 0;
+    if (windowEnd > now.getTime()) {
+        if (count >= max) {
+            throw createRateLimitError(`You can create up to ${max} ${per}. Please try again later`, new Date(windowEnd));
+        }
+        return { count: count + 1, startsWindow: false };
+    }
+    return { count: 1, startsWindow: true };
+}
+
+// The lowercased text of the user's posts in the current window, as kept in the post entry
+// of their rateLimits document. A window that has run out starts again with none.
+function getRecentContent(previous = {}, now = new Date()) {
+    const { windowStart = null, recentContent = [] } = previous;
+    const windowEnd = windowStart ? windowStart.getTime() + RATE_LIMITS.post.windowSeconds * 1000 : 0;
+    return windowEnd > now.getTime() && Array.isArray(recentContent) ? recentContent : [];
+}
+
+// The rules refuse a post whose text is the same as any of recentContent, ignoring case.
+// Posts of attachments alone don't count.
+function checkDuplicatePost(recentContent, content) {
+    if (content && recentContent.includes(content.toLowerCase())) {
+        throw new Error('You already posted that in the last hour');
+    }
+}
+
+// Throws with a message for the category form
+function validateCategoryDetails({ description = '', color = 'blue', visibility = 'public' }) {
+    if (typeof description !== 'string' || description.trim().length > MAX_CATEGORY_DESCRIPTION_LENGTH) {
+        throw new Error(`Descriptions must be ${MAX_CATEGORY_DESCRIPTION_LENGTH} characters or fewer`);
+    }
+    if (!CATEGORY_COLORS.some(entry => entry.color === color)) {
+        throw new Error('Unknown category color');
+    }
+    if (!CATEGORY_VISIBILITIES.some(entry => entry.visibility === visibility)) {
+        throw new Error('Unknown category visibility');
+    }
+}
+
+// A new or edited category, as isCategoryData() in firestore.rules checks it
+function validateCategoryData(category) {
+    checkFields(category, CATEGORY_FIELDS, 'category');
+
+    if (typeof category.name !== 'string' || validateCategoryName(category.name) !== category.name) {
+        throw new Error('Category names cannot start or end with spaces');
+    }
+    if ('slug' in category && category.slug !== getCategorySlug(category.name)) {
+        throw new Error('Category slugs must be made from their name');
+    }
+    validateCategoryDetails(category);
+
+    const moderatorIds = category.moderatorIds || [];
+    if (!Array.isArray(moderatorIds) || moderatorIds.length > MAX_CATEGORY_MODERATORS) {
+        throw new Error(`A category can have up to ${MAX_CATEGORY_MODERATORS} moderators`);
+    }
+    if ('order' in category && typeof category.order !== 'number') {
+        throw new Error('Category order must be a number');
+    }
+    if ('archived' in category && typeof category.archived !== 'boolean') {
+        throw new Error('Category archived must be true or false');
+    }
+}
+
+// Export for potential future use with modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_POST_LENGTH,
+        POST_FIELDS,
+        POST_BODY_FIELDS,
+        REPLY_FIELDS,
+        CATEGORY_FIELDS,
+        RATE_LIMITS,
+        getCooldownEnd,
+        checkRateLimit,
+        getRecentContent,
+        checkDuplicatePost,
+        validatePostContent,
+        validatePostBody,
+        validatePostData,
+        validateReplyContent,
+        validateReplyData,
+        validateCategoryDetails,
+        validateCategoryData
+    };
+}
@@ -0,0 +1,87 @@
+// Search: splitting text into words, matching query terms against them, and marking the
+// matches in results
+//
+// A term matches a word that starts with it, or one that's a single typo away. The
+// searchPosts function (functions/src/search.js) finds posts and people by the same rules;
+// keep the two in step. Categories are all loaded already, so they're matched here.
+
+const MIN_SEARCH_TERM_LENGTH = 2;
+const MAX_SEARCH_TERMS = 5;
+const MAX_SEARCH_WORD_LENGTH = 20;
+// Shorter words match too much once a letter can be dropped
+const MIN_SEARCH_TYPO_LENGTH = 4;
+
+// Lowercase with accents dropped, so "Café" finds "cafe"
+function normalizeSearchText(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+function getSearchWords(text) {
+    const words = normalizeSearchText(text).match(/[\p{L}\p{N}_]+/gu) || [];
+    return Array.from(new Set(words.map(word => word.slice(0, MAX_SEARCH_WORD_LENGTH))));
+}
+
+// The words of a query that are long enough to search for; #tags and @handles count as words
+function getSearchTerms(query) {
+    return getSearchWords(query)
+        .filter(word => word.length >= MIN_SEARCH_TERM_LENGTH)
+        .slice(0, MAX_SEARCH_TERMS);
+}
+
+function getSearchDeletions(word) {
+    if (word.length < MIN_SEARCH_TYPO_LENGTH) return [];
+    return Array.from(word, (letter, index) => word.slice(0, index) + word.slice(index + 1));
+}
+
+// Two words are a typo apart when they're equal after dropping at most one letter from each
+function matchesSearchTerm(word, term) {
+    if (word.startsWith(term)) return true;
+    const variants = new Set([word, ...getSearchDeletions(word)]);
+    return [term, ...getSearchDeletions(term)].some(variant => variants.has(variant));
+}
+
+// Every term matches one of the text's words
+function matchesSearch(text, terms) {
+    const words = getSearchWords(text);
+    return terms.length > 0 && terms.every(term => words.some(word => matchesSearchTerm(word, term)));
+}
+
+// The text split into parts, with the words that match a term marked
+function getSearchHighlights(text, terms) {
+    const source = String(text || '');
+    const parts = [];
+    let last = 0;
+
+    for (const found of source.matchAll(/[\p{L}\p{M}\p{N}_]+/gu)) {
+        const [word] = getSearchWords(found[0]);
+        if (!word || !terms.some(term => matchesSearchTerm(word, term))) continue;
+
+        if (found.index > last) {
+            parts.push({ text: source.slice(last, found.index), match: false });
+        }
+        parts.push({ text: found[0], match: true });
+        last = found.index + found[0].length;
+    }
+
+    if (last < source.length) {
+        parts.push({ text: source.slice(last), match: false });
+    }
+    return parts;
+}
+
+// Export for potential future use with modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MIN_SEARCH_TERM_LENGTH,
+        MAX_SEARCH_TERMS,
+        normalizeSearchText,
+        getSearchWords,
+        getSearchTerms,
+        matchesSearchTerm,
+        matchesSearch,
+        getSearchHighlights
+    };
+}
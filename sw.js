@@ -0,0 +1,96 @@
+// Service worker: keeps the app shell (the page, its scripts, the Firebase SDK, Tailwind and
+// the fonts) in a cache so the dashboard loads offline. Posts and everything else Firestore
+// holds are cached by the SDK itself, in IndexedDB.
+//
+// Cached files are served at once and refreshed in the background, so a deploy shows on the
+// load after the one that fetched it. Bump CACHE_NAME when SHELL changes.
+
+const CACHE_NAME = 'ssaavvee-shell-v4';
+
+const SHELL = [
+    './',
+    'index.html',
+    'firebase-config.js',
+    'firebase-init.js',
+    'tailwind-theme.js',
+    'html.js',
+    'format.js',
+    'attachments.js',
+    'categories.js',
+    'schema.js',
+    'search.js',
+    'feed.js',
+    'auth.js'
+];
+
+// Fetched like the page fetches them: the SDK's modules with CORS, the Tailwind script and
+// the font stylesheet without
+const CDN_SHELL = [
+    { url: 'https://cdn.tailwindcss.com', mode: 'no-cors' },
+    { url: 'https://fonts.googleapis.com/css2?family=Fanwood+Text:ital,wght@0,400;0,700;1,400&display=swap', mode: 'no-cors' },
+    ...['app', 'app-check', 'auth', 'firestore', 'functions', 'storage'].map(name => ({
+        url: `https://www.gstatic.com/firebasejs/10.7.1/firebase-${name}.js`,
+        mode: 'cors'
+    }))
+];
+
+// Hosts whose responses are cached as they're fetched, such as the font files
+const CDN_HOSTS = ['cdn.tailwindcss.com', 'fonts.googleapis.com', 'fonts.gstatic.com', 'www.gstatic.com'];
+
+const shellPaths = new Set(SHELL.map(path => new URL(path, self.location).pathname));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.addAll(SHELL);
+        await Promise.all(CDN_SHELL.map(async ({ url, mode }) => {
+            const request = new Request(url, { mode });
+            await cache.put(request, await fetch(request));
+        }));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const sameOrigin = url.origin === self.location.origin;
+
+    // The page from the network while there is one; ActivityPub and other function routes
+    // are left alone
+    if (request.mode === 'navigate' && sameOrigin && shellPaths.has(url.pathname)) {
+        event.respondWith(fetch(request).catch(() => caches.match('index.html')));
+        return;
+    }
+
+    if ((sameOrigin && shellPaths.has(url.pathname)) || CDN_HOSTS.includes(url.host)) {
+        event.respondWith(fromCacheThenNetwork(event, request));
+    }
+});
+
+async function fromCacheThenNetwork(event, request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    const network = fetch(request).then((response) => {
+        if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
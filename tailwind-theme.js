@@ -0,0 +1,18 @@
+// Theme for the Tailwind Play CDN: the Fanwood serif font and the custom palette
+tailwind.config = {
+    theme: {
+        extend: {
+            fontFamily: {
+                'serif': ['Fanwood Text', 'serif'],
+            },
+            colors: {
+                'custom-blue': '#c4d0e7',
+                'custom-pink': '#f7e8e7', 
+                'custom-green': '#e2e5ce',
+                'custom-white': '#F0EEE9',
+                'custom-grey': '#A7A099',
+                'custom-black': '#282727'
+            }
+        }
+    }
+};
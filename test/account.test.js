@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderDashboard, settle } = require('./load-app');
+
+// Submit without the browser's own checks, so the page's validation is what runs
+function submit(window, form) {
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+}
+
+function isShown(element) {
+    return !element.classList.contains('hidden');
+}
+
+test('the reset page checks the address and answers the same either way', async () => {
+    const { window, document, renderer } = await renderDashboard({});
+    renderer.renderPasswordResetPage('reader@example');
+    const form = document.getElementById('reset-form');
+    const error = document.getElementById('reset-error');
+    const success = document.getElementById('reset-success');
+
+    assert.strictEqual(document.getElementById('email').value, 'reader@example');
+    submit(window, form);
+    await settle();
+    assert.strictEqual(error.textContent, 'Please enter a valid email address');
+    assert.deepStrictEqual(renderer.authManager.calls.account, []);
+
+    document.getElementById('email').value = ' reader@example.com ';
+    submit(window, form);
+    await settle();
+    assert.ok(!isShown(error));
+    assert.strictEqual(success.textContent, 'If an account exists for that email, a reset link is on its way.');
+    assert.strictEqual(document.getElementById('reset-submit-btn').disabled, false);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(renderer.authManager.calls.account)), [['reset', 'reader@example.com']]);
+});
+
+test('reset failures are shown', async () => {
+    const { window, document, renderer } = await renderDashboard({ accountError: 'Too many attempts. Please try again later' });
+    renderer.renderPasswordResetPage('reader@example.com');
+
+    submit(window, document.getElementById('reset-form'));
+    await settle();
+
+    assert.strictEqual(document.getElementById('reset-error').textContent, 'Too many attempts. Please try again later');
+    assert.ok(!isShown(document.getElementById('reset-success')));
+});
+
+test('a new password must be long enough and confirmed before it is changed', async () => {
+    const { window, document, renderer } = await renderDashboard({});
+    renderer.renderAccountSettings();
+    const form = document.getElementById('change-password-form');
+    const error = document.getElementById('password-error');
+    const fill = (current, next, confirm) => {
+        document.getElementById('password-current').value = current;
+        document.getElementById('password-new').value = next;
+        document.getElementById('password-confirm').value = confirm;
+    };
+
+    fill('old horse', 'short', 'short');
+    submit(window, form);
+    assert.strictEqual(error.textContent, 'Password must be at least 6 characters long');
+
+    fill('old horse', 'correct horse', 'correct hose');
+    submit(window, form);
+    assert.strictEqual(error.textContent, 'Passwords do not match');
+    assert.deepStrictEqual(renderer.authManager.calls.account, []);
+
+    fill('old horse', 'correct horse', 'correct horse');
+    submit(window, form);
+    await settle();
+    assert.ok(!isShown(error));
+    assert.strictEqual(document.getElementById('password-success').textContent, 'Your password has been updated.');
+    assert.strictEqual(document.getElementById('password-new').value, '');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(renderer.authManager.calls.account)), [['password', 'old horse', 'correct horse']]);
+});
+
+test('a refused password change keeps the form and says why', async () => {
+    const { window, document, renderer } = await renderDashboard({ accountError: 'Incorrect password' });
+    renderer.renderAccountSettings();
+    document.getElementById('password-current').value = 'wrong horse';
+    document.getElementById('password-new').value = 'correct horse';
+    document.getElementById('password-confirm').value = 'correct horse';
+
+    submit(window, document.getElementById('change-password-form'));
+    await settle();
+
+    assert.strictEqual(document.getElementById('password-error').textContent, 'Incorrect password');
+    assert.strictEqual(document.getElementById('password-new').value, 'correct horse');
+    assert.strictEqual(document.getElementById('password-submit-btn').disabled, false);
+});
+
+test('accounts without a password get no password form', async () => {
+    const { document, renderer } = await renderDashboard({ linkedProviders: ['google.com'] });
+    renderer.renderAccountSettings();
+
+    assert.strictEqual(document.getElementById('change-password-form'), null);
+});
+
+test('a provider sign-in for a taken email leads to linking the accounts', async () => {
+    const { window, document, renderer } = await renderDashboard({});
+    const linked = [];
+    renderer.authManager.signInWithProvider = async (providerId) => {
+        throw Object.assign(new Error('An account already exists with this email using a different sign-in method'), {
+            code: 'auth/account-exists-with-different-credential',
+            email: 'alice@example.com',
+            providerId,
+            existingMethods: ['password', 'google.com']
+        });
+    };
+    renderer.authManager.completeAccountLink = async (accountExistsError, method, password) => {
+        linked.push([accountExistsError.providerId, method, password]);
+        if (password === 'wrong horse') throw new Error('Incorrect password');
+    };
+
+    renderer.renderLoginPage();
+    document.querySelector('[data-oauth-provider="github.com"]').click();
+    await settle();
+
+    assert.strictEqual(
+        document.getElementById('link-explanation').textContent,
+        'alice@example.com already has an account. Sign in the way you did before and GitHub will be linked to it.'
+    );
+    assert.deepStrictEqual(Array.from(document.querySelectorAll('[data-oauth-provider]'), btn => btn.getAttribute('data-oauth-provider')), ['google.com']);
+
+    document.getElementById('password').value = 'wrong horse';
+    submit(window, document.getElementById('link-password-form'));
+    await settle();
+    assert.strictEqual(document.getElementById('link-error').textContent, 'Incorrect password');
+    assert.strictEqual(document.getElementById('link-submit-btn').disabled, false);
+
+    document.querySelector('[data-oauth-provider="google.com"]').click();
+    await settle();
+    assert.deepStrictEqual(linked, [['github.com', 'password', 'wrong horse'], ['github.com', 'google.com', undefined]]);
+});
+
+test('without known sign-in methods, every other way is offered', async () => {
+    const { document, renderer } = await renderDashboard({});
+
+    renderer.renderAccountLinkPage({ email: 'alice@example.com', providerId: 'google.com', existingMethods: [] });
+
+    assert.ok(document.getElementById('link-password-form'));
+    assert.deepStrictEqual(Array.from(document.querySelectorAll('[data-oauth-provider]'), btn => btn.getAttribute('data-oauth-provider')), ['github.com']);
+});
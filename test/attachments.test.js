@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    validateAttachments,
+    fitWithin,
+    getAttachmentPath,
+    formatFileSize,
+    MAX_FILE_BYTES
+} = require('../attachments');
+
+const file = (name, type, size = 1000) => ({ name, type, size });
+
+test('up to four images, or one file', () => {
+    const images = [1, 2, 3, 4].map(n => file(`${n}.jpg`, 'image/jpeg'));
+    assert.strictEqual(validateAttachments(images).length, 4);
+    assert.strictEqual(validateAttachments([file('notes.pdf', 'application/pdf')]).length, 1);
+
+    assert.throws(() => validateAttachments([...images, file('5.png', 'image/png')]), /up to 4 images/);
+    assert.throws(() => validateAttachments([file('a.jpg', 'image/jpeg'), file('b.pdf', 'application/pdf')]), /or one file/);
+    assert.throws(() => validateAttachments([file('a.pdf', 'application/pdf'), file('b.pdf', 'application/pdf')]), /or one file/);
+});
+
+test('file types and sizes are limited', () => {
+    assert.throws(() => validateAttachments([file('page.html', 'text/html')]), /Files must be/);
+    assert.throws(() => validateAttachments([file('tool.exe', '')]), /Files must be/);
+    assert.throws(() => validateAttachments([file('big.zip', 'application/zip', MAX_FILE_BYTES + 1)]), /10\.0 MB or smaller/);
+    assert.throws(() => validateAttachments([file('huge.png', 'image/png', 26 * 1024 * 1024)]), /Images must be/);
+});
+
+test('images are scaled down to fit, never up', () => {
+    assert.deepStrictEqual(fitWithin(4000, 3000, 2048), { width: 2048, height: 1536 });
+    assert.deepStrictEqual(fitWithin(1000, 5000, 2048), { width: 410, height: 2048 });
+    assert.deepStrictEqual(fitWithin(640, 480, 2048), { width: 640, height: 480 });
+    assert.deepStrictEqual(fitWithin(10000, 1, 2048), { width: 2048, height: 1 });
+});
+
+test('storage paths are owned by the uploader and safe to use as object names', () => {
+    assert.strictEqual(getAttachmentPath('u1', 'p1', 0, 'Holiday photo.jpg'), 'attachments/u1/p1/0-Holiday_photo.jpg');
+    assert.strictEqual(getAttachmentPath('u1', 'p1', 1, '../../u2/p2/x.jpg'), 'attachments/u1/p1/1-u2_p2_x.jpg');
+    assert.strictEqual(getAttachmentPath('u1', 'p1', 2, 'Café.png'), 'attachments/u1/p1/2-Cafe.png');
+    assert.strictEqual(getAttachmentPath('u1', 'p1', 3, '???'), 'attachments/u1/p1/3-file');
+});
+
+test('file sizes read naturally', () => {
+    assert.strictEqual(formatFileSize(512), '512 B');
+    assert.strictEqual(formatFileSize(2048), '2 KB');
+    assert.strictEqual(formatFileSize(5 * 1024 * 1024), '5.0 MB');
+});
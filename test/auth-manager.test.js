@@ -0,0 +1,466 @@
+// FirebaseAuthManager: its error messages here, and its accounts, posts and categories against
+// the Auth and Firestore emulators. Those are skipped unless FIREBASE_AUTH_EMULATOR_HOST and
+// FIRESTORE_EMULATOR_HOST are set; run them with `npm run test:emulator`.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp } = require('./load-app');
+
+const skip = process.env.FIREBASE_AUTH_EMULATOR_HOST && process.env.FIRESTORE_EMULATOR_HOST
+    ? false
+    : 'FIREBASE_AUTH_EMULATOR_HOST and FIRESTORE_EMULATOR_HOST are not set';
+
+const errorMessages = {
+    'auth/email-already-in-use': 'An account with this email already exists',
+    'auth/invalid-email': 'Please enter a valid email address',
+    'auth/operation-not-allowed': 'This sign-in method is not enabled',
+    'auth/weak-password': 'Password should be at least 6 characters',
+    'auth/user-disabled': 'This account has been disabled',
+    'auth/user-not-found': 'No account found with this email',
+    'auth/wrong-password': 'Incorrect password',
+    'auth/invalid-credential': 'Invalid email or password',
+    'auth/too-many-requests': 'Too many failed attempts. Please try again later',
+    'auth/missing-email': 'Please enter your email address',
+    'auth/missing-password': 'Please enter your password',
+    'auth/requires-recent-login': 'For your security, please sign in again before making this change',
+    'auth/user-mismatch': 'Those credentials belong to a different account',
+    'auth/user-token-expired': 'Your sign-in has expired. Please sign in again',
+    'auth/expired-action-code': 'This link has expired. Please request a new one',
+    'auth/invalid-action-code': 'This link is invalid or has already been used',
+    'auth/invalid-recipient-email': 'We could not send an email to that address',
+    'auth/email-change-needs-verification': 'Please verify your new email address before continuing',
+    'auth/network-request-failed': 'Network error. Please check your connection and try again',
+    'auth/account-exists-with-different-credential': 'An account already exists with this email using a different sign-in method',
+    'auth/credential-already-in-use': 'That account is already linked to a different user',
+    'auth/provider-already-linked': 'That sign-in method is already linked to your account',
+    'auth/no-such-provider': 'That sign-in method is not linked to your account',
+    'auth/popup-closed-by-user': 'The sign-in window was closed before finishing',
+    'auth/cancelled-popup-request': 'The sign-in window was closed before finishing',
+    'auth/popup-blocked': 'Your browser blocked the sign-in window. Allow pop-ups and try again',
+    'auth/unauthorized-domain': 'Sign-in is not allowed from this domain'
+};
+
+function createManager(window = loadApp()) {
+    const FirebaseAuthManager = window.eval('FirebaseAuthManager');
+    return new FirebaseAuthManager();
+}
+
+test('every Firebase error code has its own message', () => {
+    const manager = createManager();
+
+    Object.entries(errorMessages).forEach(([code, message]) => {
+        assert.strictEqual(manager.handleFirebaseError({ code }).message, message, code);
+    });
+});
+
+test('unknown errors get a general message', () => {
+    const manager = createManager();
+
+    assert.strictEqual(manager.handleFirebaseError({ code: 'auth/internal-error' }).message, 'Authentication failed. Please try again');
+    assert.strictEqual(manager.handleFirebaseError(new Error('offline')).message, 'Authentication failed. Please try again');
+});
+
+// Popups need a browser, so these stand in for the provider flows
+function createProviderManager(window) {
+    const manager = createManager(window);
+    const calls = [];
+    const profiles = new Map([['existing-user', { email: 'alice@example.com' }]]);
+
+    class FakeProvider {
+        static credentialFromError(error) {
+            return error.credential || null;
+        }
+    }
+    window.GoogleAuthProvider = class GoogleAuthProvider extends FakeProvider {
+        get providerId() { return 'google.com'; }
+    };
+    window.GithubAuthProvider = class GithubAuthProvider extends FakeProvider {
+        get providerId() { return 'github.com'; }
+    };
+    window.serverTimestamp = () => 'server-time';
+    window.linkWithCredential = async (user, credential) => {
+        calls.push(['link', user.uid, credential]);
+    };
+    manager.getUserProfile = async (uid) => profiles.get(uid) || null;
+    manager.createUserProfile = async (uid, data) => {
+        calls.push(['createProfile', uid, data.email]);
+        profiles.set(uid, data);
+    };
+    manager.updateUserProfile = async (uid) => {
+        calls.push(['updateProfile', uid]);
+    };
+
+    return { manager, calls };
+}
+
+function accountExists(email, credential) {
+    return Object.assign(new Error('exists'), {
+        code: 'auth/account-exists-with-different-credential',
+        customData: { email },
+        credential
+    });
+}
+
+test('a first provider sign-in creates the profile, later ones record the login', async () => {
+    const window = loadApp();
+    const { manager, calls } = createProviderManager(window);
+    window.signInWithPopup = async (auth, provider) => {
+        calls.push(['popup', provider.providerId]);
+        return { user: { uid: provider.providerId === 'github.com' ? 'new-user' : 'existing-user', email: 'new@example.com' } };
+    };
+
+    assert.strictEqual((await manager.signInWithProvider('github.com')).uid, 'new-user');
+    assert.strictEqual((await manager.signInWithProvider('google.com')).uid, 'existing-user');
+    assert.deepStrictEqual(calls, [
+        ['popup', 'github.com'], ['createProfile', 'new-user', 'new@example.com'],
+        ['popup', 'google.com'], ['updateProfile', 'existing-user']
+    ]);
+
+    await assert.rejects(manager.signInWithProvider('twitter.com'), { message: 'Authentication failed. Please try again' });
+    window.signInWithPopup = async () => {
+        throw Object.assign(new Error('closed'), { code: 'auth/popup-closed-by-user' });
+    };
+    await assert.rejects(manager.signInWithProvider('google.com'), { message: errorMessages['auth/popup-closed-by-user'] });
+});
+
+test('an email registered another way is reported with what is needed to link it', async () => {
+    const window = loadApp();
+    const { manager } = createProviderManager(window);
+    window.signInWithPopup = async () => {
+        throw accountExists('alice@example.com', 'github-credential');
+    };
+    window.fetchSignInMethodsForEmail = async () => ['password'];
+
+    await assert.rejects(manager.signInWithProvider('github.com'), (error) => {
+        assert.strictEqual(error.code, 'auth/account-exists-with-different-credential');
+        assert.strictEqual(error.email, 'alice@example.com');
+        assert.strictEqual(error.providerId, 'github.com');
+        assert.strictEqual(error.pendingCredential, 'github-credential');
+        assert.deepStrictEqual(Array.from(error.existingMethods), ['password']);
+        return true;
+    });
+
+    // With email enumeration protection on, the methods can't be looked up
+    window.fetchSignInMethodsForEmail = async () => {
+        throw new Error('operation-not-allowed');
+    };
+    await assert.rejects(manager.signInWithProvider('github.com'), (error) => {
+        assert.strictEqual(error.existingMethods.length, 0);
+        return true;
+    });
+});
+
+test('linking signs in the existing way and attaches the pending credential', async () => {
+    const window = loadApp();
+    const { manager, calls } = createProviderManager(window);
+    const accountExistsError = { email: 'alice@example.com', providerId: 'github.com', pendingCredential: 'github-credential' };
+    window.signInWithEmailAndPassword = async (auth, email, password) => {
+        calls.push(['password', email, password]);
+        return { user: { uid: 'existing-user' } };
+    };
+    window.signInWithPopup = async (auth, provider) => {
+        calls.push(['popup', provider.providerId]);
+        return { user: { uid: 'existing-user' } };
+    };
+
+    assert.strictEqual((await manager.completeAccountLink(accountExistsError, 'password', 'correct horse')).uid, 'existing-user');
+    await manager.completeAccountLink(accountExistsError, 'google.com');
+    assert.deepStrictEqual(calls, [
+        ['password', 'alice@example.com', 'correct horse'], ['updateProfile', 'existing-user'], ['link', 'existing-user', 'github-credential'],
+        ['popup', 'google.com'], ['updateProfile', 'existing-user'], ['link', 'existing-user', 'github-credential']
+    ]);
+
+    window.signInWithEmailAndPassword = async () => {
+        throw Object.assign(new Error('wrong'), { code: 'auth/wrong-password' });
+    };
+    await assert.rejects(manager.completeAccountLink(accountExistsError, 'password', 'wrong horse'), { message: errorMessages['auth/wrong-password'] });
+    assert.strictEqual(calls.filter(call => call[0] === 'link').length, 2);
+});
+
+test('followed users are queried in chunks and merged into one page', () => {
+    const manager = createManager();
+    const at = (id, seconds) => ({ id, createdAt: { toMillis: () => seconds * 1000 } });
+    const ids = Array.from({ length: 61 }, (_, index) => `user-${index}`);
+
+    assert.deepStrictEqual(Array.from(manager.chunkIds(ids), chunk => chunk.length), [30, 30, 1]);
+
+    const page = manager.mergeFollowingPages([[at('a', 9), at('c', 5)], [at('b', 7), at('d', 3)]], 3, false);
+    assert.deepStrictEqual(Array.from(page.posts, post => post.id), ['a', 'b', 'c']);
+    assert.strictEqual(page.lastVisible.toMillis(), 5000);
+    assert.strictEqual(page.hasMore, true);
+
+    const short = manager.mergeFollowingPages([[at('a', 9)], []], 3, false);
+    assert.deepStrictEqual(Array.from(short.posts, post => post.id), ['a']);
+    assert.strictEqual(short.hasMore, false);
+    assert.strictEqual(manager.mergeFollowingPages([[], []], 3, true).hasMore, true);
+    assert.strictEqual(manager.mergeFollowingPages([[], []], 3, false).lastVisible, null);
+});
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+test('a session lasts seven days from this device\'s sign-in', () => {
+    const manager = createManager();
+    manager.recordActivity(true);
+
+    manager.sessionStart = Date.now() - 6 * DAY;
+    assert.strictEqual(manager.checkSession(null), null);
+
+    manager.sessionStart = Date.now() - 8 * DAY;
+    assert.strictEqual(manager.checkSession(null), 'Your session expired after 7 days. Please sign in again.');
+});
+
+test('idle sessions end after the chosen number of minutes', () => {
+    const manager = createManager();
+    manager.sessionStart = Date.now();
+
+    manager.writeSessionValue('lastActivity', String(Date.now() - 31 * MINUTE));
+    assert.strictEqual(manager.checkSession(null), 'You were signed out after 30 minutes of inactivity.');
+
+    manager.idleTimeoutMinutes = 60;
+    assert.strictEqual(manager.checkSession(null), null);
+    manager.idleTimeoutMinutes = 0;
+    manager.writeSessionValue('lastActivity', String(Date.now() - 2 * DAY));
+    assert.strictEqual(manager.checkSession(null), null);
+
+    manager.idleTimeoutMinutes = 30;
+    manager.recordActivity(true);
+    assert.strictEqual(manager.checkSession(null), null);
+});
+
+test('sessions that began before a revocation end', () => {
+    const manager = createManager();
+    const signedInAt = Date.now() - DAY;
+    manager.sessionStart = signedInAt;
+    manager.deviceSessionStart = signedInAt;
+    manager.recordActivity(true);
+    const revokedAt = (time) => ({ sessionsRevokedAt: { toMillis: () => time } });
+
+    assert.strictEqual(manager.checkSession(revokedAt(signedInAt - MINUTE)), null);
+    assert.strictEqual(manager.checkSession(revokedAt(signedInAt)), null);
+    assert.strictEqual(manager.checkSession(revokedAt(signedInAt + MINUTE)), 'You were signed out because your account was signed out of all devices.');
+});
+
+test('signing out everywhere revokes on the server and keeps this device\'s lifetime', async () => {
+    const window = loadApp();
+    const manager = createManager(window);
+    const startedAt = Date.now() - 3 * DAY;
+    const renewedAt = Math.floor(Date.now() / 1000) * 1000;
+    const renewedUser = { uid: 'alice', getIdTokenResult: async () => ({ authTime: new Date(renewedAt).toUTCString() }) };
+    const calls = [];
+    window.httpsCallable = (functions, name) => async () => {
+        calls.push(name);
+        return { data: { token: 'custom-token' } };
+    };
+    window.signInWithCustomToken = async (auth, token) => {
+        calls.push(token);
+        return { user: renewedUser };
+    };
+    manager.currentUser = { uid: 'alice' };
+    manager.sessionStart = startedAt;
+    manager.deviceSessionStart = startedAt;
+
+    await manager.signOutEverywhere();
+    assert.deepStrictEqual(calls, ['revokeSessions', 'custom-token']);
+    assert.strictEqual(manager.currentUser, renewedUser);
+    assert.strictEqual(manager.sessionStart, startedAt);
+    assert.strictEqual(manager.deviceSessionStart, renewedAt);
+    assert.strictEqual(manager.checkSession({ sessionsRevokedAt: { toMillis: () => renewedAt } }), null);
+
+    // After a reload, the renewed sign-in still counts from when the session first began
+    const reloaded = createManager(window);
+    assert.strictEqual(reloaded.getSessionStart('alice', renewedAt), startedAt);
+    assert.strictEqual(reloaded.getSessionStart('alice', renewedAt + DAY), renewedAt + DAY);
+    assert.strictEqual(reloaded.getSessionStart('bob', renewedAt), renewedAt);
+
+    window.httpsCallable = () => async () => {
+        throw new Error('internal');
+    };
+    await assert.rejects(manager.signOutEverywhere(), { message: 'Failed to sign out other devices' });
+});
+
+// Wait for a snapshot from subscribeToPosts whose post ids are exactly ids, in any order
+function waitForPosts(manager, filter, ids) {
+    return new Promise((resolve, reject) => {
+        let seen = [];
+        let unsubscribe = null;
+        const timer = setTimeout(() => {
+            if (unsubscribe) unsubscribe();
+            reject(new Error(`Expected posts ${ids.join(', ')}, last saw ${seen.join(', ')}`));
+        }, 5000);
+
+        unsubscribe = manager.subscribeToPosts((posts) => {
+            seen = posts.map(post => post.id).sort();
+            if (seen.join() === [...ids].sort().join()) {
+                clearTimeout(timer);
+                // The first snapshot can arrive before onSnapshot returns
+                setTimeout(() => unsubscribe());
+                resolve(posts);
+            }
+        }, filter);
+    });
+}
+
+test('accounts, posts and categories against the emulators', { skip }, async (t) => {
+    const { clearEmulators, forgetRateLimits, loadEmulatorApp, signedIn } = require('./emulator-app');
+
+    await clearEmulators();
+    const { window, manager, close } = await loadEmulatorApp();
+    t.after(close);
+
+    let alice = null;
+
+    await t.test('registering creates the account and its profile', async () => {
+        alice = await manager.registerUser('alice@example.com', 'correct horse');
+        await signedIn(manager, alice);
+
+        const profile = await manager.getUserProfile(alice.uid);
+        assert.strictEqual(profile.email, 'alice@example.com');
+        assert.ok(profile.createdAt && profile.lastLogin);
+    });
+
+    await t.test('registration failures are explained', async () => {
+        await assert.rejects(manager.registerUser('alice@example.com', 'another horse'), { message: errorMessages['auth/email-already-in-use'] });
+        await assert.rejects(manager.registerUser('bob@example.com', '123'), { message: errorMessages['auth/weak-password'] });
+        await assert.rejects(manager.registerUser('not an email', 'correct horse'), { message: errorMessages['auth/invalid-email'] });
+    });
+
+    await t.test('signing in checks the password and records the login', async () => {
+        const before = (await manager.getUserProfile(alice.uid)).lastLogin.toMillis();
+        await manager.logout();
+
+        await assert.rejects(manager.authenticateUser('alice@example.com', 'wrong horse'), {
+            message: /^(Incorrect password|Invalid email or password)$/
+        });
+        await assert.rejects(manager.authenticateUser('nobody@example.com', 'correct horse'), {
+            message: /^(No account found with this email|Invalid email or password)$/
+        });
+
+        await signedIn(manager, null);
+        const user = await manager.authenticateUser('alice@example.com', 'correct horse');
+        assert.strictEqual(user.uid, alice.uid);
+        await signedIn(manager, user);
+
+        const after = (await manager.getUserProfile(alice.uid)).lastLogin.toMillis();
+        assert.ok(after >= before);
+    });
+
+    await t.test('changing the password needs the current one', async () => {
+        await assert.rejects(manager.changePassword('wrong horse', 'battery staple'), {
+            message: /^(Incorrect password|Invalid email or password)$/
+        });
+        await assert.rejects(manager.changePassword('correct horse', '123'), { message: errorMessages['auth/weak-password'] });
+        await manager.changePassword('correct horse', 'battery staple');
+
+        await manager.logout();
+        await signedIn(manager, null);
+        await assert.rejects(manager.authenticateUser('alice@example.com', 'correct horse'), {
+            message: /^(Incorrect password|Invalid email or password)$/
+        });
+        alice = await manager.authenticateUser('alice@example.com', 'battery staple');
+        await signedIn(manager, alice);
+
+        await manager.sendPasswordReset('alice@example.com');
+        await assert.rejects(manager.sendPasswordReset('not an email'), { message: errorMessages['auth/invalid-email'] });
+    });
+
+    let music = null;
+
+    await t.test('categories claim their name', async () => {
+        music = await manager.createCategory('Music', { color: 'pink' });
+        assert.strictEqual(music.createdBy, alice.uid);
+
+        await forgetRateLimits(alice.uid);
+        await assert.rejects(manager.createCategory('MUSIC'), { message: 'A category with that name already exists' });
+        await assert.rejects(manager.createCategory('  '), { message: 'Category name cannot be empty' });
+    });
+
+    let posts = [];
+
+    await t.test('posts are written as the signed-in user', async () => {
+        for (const [content, category] of [['Hello from the emulator'], ['Late night #Jazz', music], ['Early morning #jazz']]) {
+            await forgetRateLimits(alice.uid);
+            posts.push(await manager.createPost(content, category));
+        }
+
+        const snapshot = await window.getDoc(window.doc(manager.db, 'posts', posts[1].id));
+        assert.strictEqual(snapshot.get('userId'), alice.uid);
+        assert.strictEqual(snapshot.get('category'), 'Music');
+        assert.strictEqual(snapshot.get('categoryId'), music.id);
+        assert.deepStrictEqual(snapshot.get('hashtags'), ['jazz']);
+
+        await assert.rejects(manager.createPost('   '), { message: 'Post content cannot be empty' });
+    });
+
+    await t.test('posting again too soon is refused before writing', async () => {
+        await assert.rejects(manager.createPost('Right away'), (error) => {
+            assert.match(error.message, /^Please wait \d+ seconds? before posting again$/);
+            assert.ok(error.retryAt > new Date());
+            return true;
+        });
+
+        await manager.createCategory('Films');
+        await assert.rejects(manager.createCategory('Books'), { message: /^Please wait \d+ seconds? before creating a category again$/ });
+    });
+
+    await t.test('the feed filters by category and hashtag', async () => {
+        const [general, inMusic, tagged] = posts.map(post => post.id);
+
+        await waitForPosts(manager, null, [general, inMusic, tagged]);
+        await waitForPosts(manager, 'All', [general, inMusic, tagged]);
+        await waitForPosts(manager, 'General', [general, tagged]);
+        await waitForPosts(manager, 'Music', [inMusic]);
+        await waitForPosts(manager, { hashtag: '#JAZZ' }, [inMusic, tagged]);
+
+        const newestFirst = await waitForPosts(manager, null, [general, inMusic, tagged]);
+        assert.deepStrictEqual(newestFirst.map(post => post.id), [tagged, inMusic, general]);
+    });
+
+    await t.test('replies are counted on the post they belong to', async () => {
+        const rootId = posts[0].id;
+        const getReplyCount = async () => (await window.getDoc(window.doc(manager.db, 'posts', rootId))).get('replyCount');
+
+        const reply = await manager.createReply(rootId, null, 'Nice one');
+        await assert.rejects(manager.createReply(rootId, null, 'Right away'), { message: /^Please wait \d+ seconds? before replying again$/ });
+        await forgetRateLimits(alice.uid);
+        const nested = await manager.createReply(rootId, reply.id, 'Thanks');
+        assert.strictEqual(reply.parentId, rootId);
+        assert.strictEqual(nested.parentId, reply.id);
+        assert.strictEqual(await getReplyCount(), 2);
+
+        await manager.deleteReply(rootId, nested.id);
+        assert.strictEqual(await getReplyCount(), 1);
+
+        await assert.rejects(manager.createReply(rootId, null, '  '), { message: 'Reply content cannot be empty' });
+    });
+
+    await t.test('deleted posts can be restored until they are purged with their replies', async () => {
+        const rootId = posts[0].id;
+        const getPost = () => window.getDoc(window.doc(manager.db, 'posts', rootId));
+        manager.deleteUndoWindowMs = 60000;
+
+        await manager.softDeletePost(rootId);
+        assert.ok((await getPost()).get('deletedAt'));
+        assert.ok(manager.pendingPurges.has(rootId));
+
+        await manager.restorePost(rootId);
+        assert.strictEqual((await getPost()).get('deletedAt'), null);
+        assert.ok(!manager.pendingPurges.has(rootId));
+
+        await manager.softDeletePost(rootId);
+        await manager.purgePost(rootId);
+        assert.ok(!manager.pendingPurges.has(rootId));
+        assert.strictEqual((await getPost()).exists(), false);
+        const replies = await window.getDocs(window.collection(manager.db, 'posts', rootId, 'replies'));
+        assert.strictEqual(replies.size, 0);
+    });
+
+    await t.test('signed out, nothing can be written or watched', async () => {
+        await manager.logout();
+        await signedIn(manager, null);
+
+        await assert.rejects(manager.createPost('Anyone there?'), { message: 'User must be authenticated to create posts' });
+        await assert.rejects(manager.createCategory('Films'), { message: 'User must be authenticated to create categories' });
+        assert.throws(() => manager.subscribeToPosts(() => {}), { message: 'User must be authenticated to view posts' });
+    });
+});
@@ -0,0 +1,262 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    getCategorySlug,
+    validateCategoryName,
+    getCategoryColorClasses,
+    sortCategories,
+    getMovedCategoryOrder
+} = require('../categories');
+const { renderDashboard, settle, timestamp } = require('./load-app');
+
+test('slugs drop case and punctuation', () => {
+    assert.strictEqual(getCategorySlug('  Café & Bars! '), 'café-bars');
+    assert.strictEqual(getCategorySlug('CAFÉ_bars'), 'café-bars');
+    assert.strictEqual(getCategorySlug('日本 語'), '日本-語');
+    assert.strictEqual(getCategorySlug('!!!'), '');
+});
+
+test('names are trimmed and need a letter or number', () => {
+    assert.strictEqual(validateCategoryName('  Music '), 'Music');
+    assert.throws(() => validateCategoryName('   '), /cannot be empty/);
+    assert.throws(() => validateCategoryName('---'), /letter or number/);
+    assert.throws(() => validateCategoryName('a'.repeat(31)), /30 characters/);
+    assert.throws(() => validateCategoryName(' GENERAL! '), /General is already/);
+});
+
+test('unknown colors fall back to blue', () => {
+    assert.strictEqual(getCategoryColorClasses('pink'), 'bg-custom-pink text-custom-black');
+    assert.strictEqual(getCategoryColorClasses('" onclick="x'), 'bg-custom-blue text-custom-white');
+});
+
+test('categories without an order keep their creation order', () => {
+    const categories = [
+        { id: 'b', order: 3000 },
+        { id: 'legacy', createdAt: timestamp(new Date(2000)) },
+        { id: 'a', order: 1000 }
+    ];
+    assert.deepStrictEqual(sortCategories(categories).map(({ id }) => id), ['a', 'legacy', 'b']);
+});
+
+test('moving a category lands it halfway between its new neighbours', () => {
+    const categories = [{ id: 'a', order: 10 }, { id: 'b', order: 20 }, { id: 'c', order: 30 }];
+    assert.strictEqual(getMovedCategoryOrder(categories, 'c', -1), 15);
+    assert.strictEqual(getMovedCategoryOrder(categories, 'b', -1), 9);
+    assert.strictEqual(getMovedCategoryOrder(categories, 'b', 1), 31);
+    assert.strictEqual(getMovedCategoryOrder(categories, 'a', -1), null);
+    assert.strictEqual(getMovedCategoryOrder(categories, 'c', 1), null);
+});
+
+const categories = [
+    { id: 'music', name: 'Music', description: 'Songs and shows', color: 'pink', order: 2, createdBy: 'user-1' },
+    { id: 'news', name: 'News', order: 1, createdBy: 'user-2' },
+    { id: 'old', name: 'Old', order: 3, archived: true, createdBy: 'user-1' }
+];
+
+test('the sidebar lists active categories in order, with their colors', async () => {
+    const { document } = await renderDashboard({
+        categories,
+        posts: [{ id: 'p1', userId: 'user-2', content: 'Hi', category: 'Music', createdAt: timestamp() }]
+    });
+
+    const buttons = Array.from(document.querySelectorAll('.category-btn'));
+    assert.deepStrictEqual(buttons.map(btn => btn.getAttribute('data-category')), ['News', 'Music']);
+    assert.strictEqual(buttons[1].getAttribute('title'), 'Songs and shows');
+    assert.ok(document.querySelector('[data-post-id="p1"] span.bg-custom-pink'));
+});
+
+test('the category manager creates categories and only lets creators manage theirs', async () => {
+    const { document, renderer } = await renderDashboard({ categories });
+    const { calls } = renderer.authManager;
+
+    document.getElementById('add-category-btn').click();
+    const items = Array.from(document.querySelectorAll('#category-manager-list [data-manage-category]'));
+    assert.deepStrictEqual(items.map(item => item.getAttribute('data-manage-category')), ['news', 'music', 'old']);
+    assert.strictEqual(items[0].querySelector('[data-category-action]'), null);
+    assert.ok(items[2].textContent.includes('Restore'));
+
+    const form = document.getElementById('category-form');
+    document.getElementById('category-name').value = 'news!';
+    form.requestSubmit();
+    await settle();
+    assert.strictEqual(document.getElementById('category-error').textContent, 'A category with that name already exists');
+
+    document.getElementById('category-name').value = 'Books';
+    document.getElementById('category-description').value = 'Reading';
+    document.getElementById('category-color').value = 'green';
+    form.requestSubmit();
+    await settle();
+
+    assert.strictEqual(JSON.stringify(calls.categoryChanges), JSON.stringify([
+        ['create', 'Books', { description: 'Reading', color: 'green', visibility: 'public' }]
+    ]));
+    assert.strictEqual(document.getElementById('category-name').value, '');
+});
+
+test('editing, reordering, archiving and merging a category', async () => {
+    const { window, document, renderer } = await renderDashboard({ categories });
+    const { calls } = renderer.authManager;
+    window.confirm = () => true;
+
+    document.getElementById('add-category-btn').click();
+    const music = document.querySelector('[data-manage-category="music"]');
+
+    // Music is the last active category, so it can only move up
+    music.querySelector('[data-category-action="up"]').click();
+    music.querySelector('[data-category-action="down"]').click();
+    music.querySelector('[data-category-action="archive"]').click();
+    await settle();
+
+    music.querySelector('[data-category-action="edit"]').click();
+    assert.strictEqual(document.getElementById('category-form-title').textContent, 'Edit Music');
+    assert.strictEqual(document.getElementById('category-color').value, 'pink');
+
+    // Archived categories can't be merged into
+    const targets = Array.from(document.querySelectorAll('#category-merge-target option')).map(option => option.value);
+    assert.deepStrictEqual(targets, ['news']);
+
+    document.getElementById('category-name').value = 'Live Music';
+    document.getElementById('category-form').requestSubmit();
+    await settle();
+
+    music.querySelector('[data-category-action="edit"]').click();
+    document.getElementById('category-merge-btn').click();
+    await settle();
+
+    assert.strictEqual(JSON.stringify(calls.categoryChanges), JSON.stringify([
+        ['order', 'music', 0],
+        ['archive', 'music', true],
+        ['update', 'music', { name: 'Live Music', description: 'Songs and shows', color: 'pink', visibility: 'public' }],
+        ['merge', 'music', 'news']
+    ]));
+});
+
+test('the selected category follows a rename and is left when archived', async () => {
+    const { renderer } = await renderDashboard({ categories });
+
+    renderer.selectCategory('Music');
+    renderer.handleCategoriesChange([{ ...categories[0], name: 'Live Music' }, categories[1]]);
+    assert.strictEqual(renderer.selectedCategory, 'Live Music');
+
+    renderer.handleCategoriesChange([{ ...categories[0], name: 'Live Music', archived: true }, categories[1]]);
+    assert.strictEqual(renderer.selectedCategory, 'All');
+});
+
+const clubs = [
+    { id: 'open', name: 'Open', order: 1, createdBy: 'user-2' },
+    { id: 'club', name: 'Club', order: 2, visibility: 'invite', createdBy: 'user-2', moderatorIds: ['user-1'] },
+    { id: 'secret', name: 'Secret', order: 3, visibility: 'private', createdBy: 'user-2' },
+    { id: 'hidden-club', name: 'Hideout', order: 4, visibility: 'private', createdBy: 'user-3' }
+];
+
+test('private categories and their posts are only shown to members', async () => {
+    const { document } = await renderDashboard({
+        categories: clubs,
+        memberships: { secret: 'member', 'hidden-club': 'invited' },
+        posts: [
+            { id: 'p1', userId: 'user-2', category: 'Secret', categoryId: 'secret', private: true, createdAt: timestamp() },
+            { id: 'p2', userId: 'user-3', category: 'Hideout', categoryId: 'hidden-club', private: true, createdAt: timestamp() },
+            { id: 'p3', userId: 'user-3', content: 'Spam', category: 'Open', categoryId: 'open', hidden: true, createdAt: timestamp() }
+        ],
+        postBodies: { p1: { content: 'Members **only**', hashtags: [], attachments: [] } }
+    });
+
+    const buttons = Array.from(document.querySelectorAll('.category-btn'));
+    assert.deepStrictEqual(buttons.map(btn => btn.getAttribute('data-category')), ['Open', 'Club', 'Secret']);
+
+    // The body is fetched for the member's category only, and hidden posts are left out
+    const cards = Array.from(document.querySelectorAll('#posts-container [data-post-id]'));
+    assert.deepStrictEqual(cards.map(card => card.getAttribute('data-post-id')), ['p1']);
+    assert.strictEqual(cards[0].querySelector('strong').textContent, 'only');
+});
+
+test('moderators pin, hide and remove posts, and pinned posts lead the feed', async () => {
+    const posts = [
+        { id: 'new', userId: 'user-3', content: 'Newest', category: 'Club', categoryId: 'club', createdAt: timestamp() },
+        { id: 'old', userId: 'user-3', content: 'Rules', category: 'Club', categoryId: 'club', pinned: true, createdAt: timestamp(new Date(1000)) },
+        { id: 'spam', userId: 'user-3', content: 'Spam', category: 'Club', categoryId: 'club', hidden: true, createdAt: timestamp(new Date(500)) },
+        { id: 'open', userId: 'user-3', content: 'Elsewhere', category: 'Open', categoryId: 'open', createdAt: timestamp(new Date(2000)) }
+    ];
+    const { window, document, renderer } = await renderDashboard({ categories: clubs, posts, pinnedPosts: [posts[1]] });
+    const { calls } = renderer.authManager;
+    window.confirm = () => true;
+
+    renderer.selectCategory('Club');
+    const ids = () => Array.from(document.querySelectorAll('#posts-container [data-post-id]')).map(card => card.getAttribute('data-post-id'));
+    assert.deepStrictEqual(ids(), ['old', 'new', 'open', 'spam']);
+
+    const card = (id) => document.querySelector(`[data-post-id="${id}"]`);
+    assert.ok(card('old').querySelector('[data-pinned]'));
+    assert.ok(card('spam').querySelector('[data-hidden]'));
+    assert.strictEqual(card('open').querySelector('[data-post-action="pin"]'), null);
+
+    card('old').querySelector('[data-post-action="pin"]').click();
+    card('spam').querySelector('[data-post-action="hide"]').click();
+    card('new').querySelector('[data-post-action="remove"]').click();
+    await settle();
+
+    assert.strictEqual(JSON.stringify(calls.moderation), JSON.stringify([
+        ['pin', 'old', false],
+        ['hide', 'spam', false],
+        ['remove', 'new']
+    ]));
+});
+
+test('members only can post in invite-only categories', async () => {
+    const { document, renderer } = await renderDashboard({ categories: clubs, user: { uid: 'user-4' } });
+
+    renderer.selectCategory('Open');
+    assert.strictEqual(document.getElementById('post-label').textContent, 'Share in Open');
+
+    renderer.selectCategory('Club');
+    assert.strictEqual(document.getElementById('post-label').textContent, 'Only members can post in Club');
+
+    document.getElementById('post-content').value = 'Let me in';
+    document.getElementById('post-form').requestSubmit();
+    await settle();
+    assert.strictEqual(document.getElementById('post-error').textContent, 'Only members can post in Club');
+});
+
+test('invitations are accepted from the category manager, and moderators invite by handle', async () => {
+    const { window, document, renderer } = await renderDashboard({
+        categories: clubs,
+        memberships: { 'hidden-club': 'invited' },
+        profiles: { 'user-3': { handle: 'carol', displayName: 'Carol' } },
+        members: { club: [{ id: 'user-3', userId: 'user-3', status: 'invited', invitedBy: 'user-1' }] }
+    });
+    const { calls } = renderer.authManager;
+    window.confirm = () => true;
+
+    document.getElementById('add-category-btn').click();
+    const invitation = document.querySelector('[data-category-invite="hidden-club"]');
+    assert.ok(invitation.textContent.includes('Hideout'));
+    invitation.querySelector('[data-invite-action="accept"]').click();
+
+    // Hideout is private and the user isn't a member yet, so it isn't listed
+    const items = Array.from(document.querySelectorAll('#category-manager-list [data-manage-category]'));
+    assert.deepStrictEqual(items.map(item => item.getAttribute('data-manage-category')), ['open', 'club']);
+
+    document.querySelector('[data-manage-category="club"] [data-category-action="members"]').click();
+    await settle();
+    const member = document.querySelector('[data-member-id="user-3"]');
+    assert.ok(member.textContent.includes('Invited'));
+
+    document.getElementById('category-invite-handle').value = '@nobody';
+    document.getElementById('category-invite-form').requestSubmit();
+    await settle();
+    assert.strictEqual(document.getElementById('category-invite-error').textContent, 'No one has the handle @nobody');
+
+    document.getElementById('category-invite-handle').value = '@Carol';
+    document.getElementById('category-invite-form').requestSubmit();
+    await settle();
+    member.querySelector('[data-remove-member]').click();
+    document.getElementById('category-leave-btn').click();
+    await settle();
+
+    assert.strictEqual(JSON.stringify(calls.memberChanges), JSON.stringify([
+        ['accept', 'hidden-club'],
+        ['invite', 'club', 'user-3'],
+        ['remove', 'club', 'user-3'],
+        ['remove', 'club', null]
+    ]));
+});
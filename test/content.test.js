@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderDashboard, settle, timestamp } = require('./load-app');
+
+function post(id, content) {
+    return { id, userId: 'user-2', content, category: 'General', createdAt: timestamp() };
+}
+
+test('post bodies are formatted', async () => {
+    const { document } = await renderDashboard({
+        posts: [post('p1', 'Some **bold**, *italic* and `code`\n> a quote\n```\nlet x = 1;\n```')]
+    });
+
+    const body = document.querySelector('[data-post-id="p1"] .whitespace-pre-wrap');
+    assert.strictEqual(body.querySelector('strong').textContent, 'bold');
+    assert.strictEqual(body.querySelector('em').textContent, 'italic');
+    assert.strictEqual(body.querySelector('code').textContent, 'code');
+    assert.strictEqual(body.querySelector('blockquote').textContent, 'a quote');
+    assert.strictEqual(body.querySelector('pre').textContent, 'let x = 1;');
+});
+
+test('image attachments show as thumbnails that open a lightbox', async () => {
+    const images = ['a', 'b', 'c'].map(name => ({ kind: 'image', url: `https://cdn.example/${name}.jpg`, path: name }));
+    const { window, document, renderer } = await renderDashboard({
+        posts: [{ ...post('p1', ''), attachments: images }]
+    });
+
+    const thumbnails = document.querySelectorAll('[data-post-id="p1"] [data-image-index]');
+    assert.strictEqual(thumbnails.length, 3);
+
+    thumbnails[1].click();
+    const lightboxImage = () => document.querySelector('#lightbox img').getAttribute('src');
+    assert.strictEqual(lightboxImage(), 'https://cdn.example/b.jpg');
+    assert.strictEqual(renderer.selectedPostId, null);
+
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight' }));
+    assert.strictEqual(lightboxImage(), 'https://cdn.example/c.jpg');
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'ArrowRight' }));
+    assert.strictEqual(lightboxImage(), 'https://cdn.example/a.jpg');
+
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.strictEqual(document.getElementById('lightbox'), null);
+});
+
+test('picked files are listed in the post form and can be removed', async () => {
+    const { window, document } = await renderDashboard({});
+    const input = document.getElementById('post-attachments');
+    const pick = (...files) => {
+        Object.defineProperty(input, 'files', { value: files, configurable: true });
+        input.dispatchEvent(new window.Event('change'));
+    };
+
+    pick(new window.File(['x'], 'one.jpg', { type: 'image/jpeg' }), new window.File(['y'], 'two.png', { type: 'image/png' }));
+    const list = document.getElementById('attachment-list');
+    assert.strictEqual(list.querySelectorAll('[data-remove-attachment]').length, 2);
+
+    pick(new window.File(['z'], 'notes.pdf', { type: 'application/pdf' }));
+    assert.match(document.getElementById('post-error').textContent, /or one file/);
+    assert.strictEqual(list.querySelectorAll('[data-remove-attachment]').length, 2);
+
+    list.querySelector('[data-remove-attachment="0"]').click();
+    assert.ok(list.textContent.includes('two.png'));
+    assert.ok(!list.textContent.includes('one.jpg'));
+});
+
+test('reactions show their counts and the user\'s own choices', async () => {
+    const { document, renderer } = await renderDashboard({
+        posts: [{ ...post('p1', 'Hi'), reactionCounts: { like: 3, love: 0, wow: 1 }, bookmarkCount: 2 }],
+        reactions: ['p1/like'],
+        bookmarks: ['p1']
+    });
+
+    const button = (selector) => document.querySelector(`[data-post-id="p1"] ${selector}`);
+    assert.strictEqual(button('[data-reaction="like"]').textContent.trim(), '👍 3');
+    assert.strictEqual(button('[data-reaction="like"]').getAttribute('aria-pressed'), 'true');
+    assert.strictEqual(button('[data-reaction="love"]').textContent.trim(), '❤️');
+    assert.strictEqual(button('[data-reaction="wow"]').getAttribute('aria-pressed'), 'false');
+    assert.strictEqual(button('[data-post-action="bookmark"]').textContent.trim(), 'Saved · 2');
+
+    const calls = [];
+    renderer.authManager.toggleReaction = async (postId, type) => calls.push(['react', postId, type]);
+    renderer.authManager.toggleBookmark = async (postId) => calls.push(['bookmark', postId]);
+
+    button('[data-reaction="wow"]').click();
+    button('[data-post-action="bookmark"]').click();
+    await settle();
+
+    assert.deepStrictEqual(calls, [['react', 'p1', 'wow'], ['bookmark', 'p1']]);
+    // Reacting doesn't open the post
+    assert.strictEqual(renderer.selectedPostId, null);
+});
+
+test('the Bookmarks view lists saved posts, most recently saved first', async () => {
+    const { document, renderer } = await renderDashboard({
+        posts: [post('old', 'Older post'), post('new', 'Newer post'), post('other', 'Not saved')],
+        bookmarks: ['old', 'new']
+    });
+
+    document.getElementById('category-bookmarks').click();
+
+    const ids = Array.from(document.querySelectorAll('#posts-container [data-post-id]')).map(card => card.getAttribute('data-post-id'));
+    assert.deepStrictEqual(ids, ['old', 'new']);
+    assert.strictEqual(document.getElementById('feed-title').textContent, 'Bookmarks');
+    assert.ok(document.getElementById('category-bookmarks').classList.contains('bg-custom-blue'));
+
+    renderer.handleBookmarksChange([]);
+    assert.ok(document.getElementById('posts-container').textContent.includes('No bookmarks yet.'));
+});
+
+test('clicking a hashtag filters the feed by it', async () => {
+    const { document, renderer } = await renderDashboard({
+        posts: [post('p1', 'Sunsets #Photography')]
+    });
+
+    // Filters are built in the jsdom window, so they're compared as JSON
+    const filters = [];
+    renderer.authManager.subscribeToPosts = (callback, filter) => {
+        filters.push(JSON.stringify(filter));
+        callback([], { lastVisible: null, hasMore: false });
+        return () => {};
+    };
+
+    document.querySelector('[data-hashtag]').click();
+
+    assert.deepStrictEqual(filters, ['{"hashtag":"photography"}']);
+    assert.strictEqual(document.getElementById('feed-title').textContent, 'Posts tagged #photography');
+    assert.ok(document.getElementById('posts-container').textContent.includes('No posts tagged #photography yet.'));
+    assert.ok(!document.getElementById('category-all').classList.contains('bg-custom-blue'));
+    // Clicking the tag doesn't also open the post
+    assert.strictEqual(renderer.selectedPostId, null);
+
+    document.getElementById('category-all').click();
+    assert.strictEqual(filters[1], '"All"');
+    assert.strictEqual(document.getElementById('feed-title').textContent, 'Recent Posts');
+});
+
+test('clicking a mention opens that profile', async () => {
+    const { document } = await renderDashboard({
+        profiles: { 'user-3': { handle: 'carol', displayName: 'Carol' } },
+        posts: [post('p1', 'Thanks @Carol!')]
+    });
+
+    document.querySelector('[data-mention="carol"]').click();
+    await settle();
+
+    assert.ok(document.getElementById('profile-header').textContent.includes('Carol'));
+});
+
+test('revisions are compared word by word', async () => {
+    const { renderer } = await renderDashboard({});
+    const diffWords = (oldText, newText) => JSON.parse(JSON.stringify(renderer.diffWords(oldText, newText)));
+
+    assert.deepStrictEqual(diffWords('the quick brown fox', 'the slow brown dog'), [
+        { type: 'equal', text: 'the ' },
+        { type: 'delete', text: 'quick' },
+        { type: 'insert', text: 'slow' },
+        { type: 'equal', text: ' brown ' },
+        { type: 'delete', text: 'fox' },
+        { type: 'insert', text: 'dog' }
+    ]);
+    assert.deepStrictEqual(diffWords('same text', 'same text'), [{ type: 'equal', text: 'same text' }]);
+    assert.deepStrictEqual(diffWords('', 'new'), [{ type: 'delete', text: '' }, { type: 'insert', text: 'new' }]);
+});
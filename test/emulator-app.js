@@ -0,0 +1,137 @@
+// Loads the app into jsdom like load-app.js, but with the real Firebase SDK in place of
+// firebase-init.js, connected to the Auth and Firestore emulators. Only for tests run with
+// `npm run test:emulator`, which sets FIREBASE_AUTH_EMULATOR_HOST and FIRESTORE_EMULATOR_HOST.
+
+const { loadApp } = require('./load-app');
+
+// Kept apart from the rules tests' demo-ssaavvee, so clearing one doesn't disturb the other
+const PROJECT_ID = 'demo-ssaavvee-client';
+
+// Delete every account and document the emulators hold for PROJECT_ID
+async function clearEmulators() {
+    const authHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+    const firestoreHost = process.env.FIRESTORE_EMULATOR_HOST;
+    await fetch(`http://${authHost}/emulator/v1/projects/${PROJECT_ID}/accounts`, { method: 'DELETE' });
+    await fetch(`http://${firestoreHost}/emulator/v1/projects/${PROJECT_ID}/databases/(default)/documents`, { method: 'DELETE' });
+}
+
+// Forget a user's post, reply and category counts, so a test can write again without waiting out
+// the cooldown. The emulator lets the owner through the rules.
+async function forgetRateLimits(uid) {
+    const firestoreHost = process.env.FIRESTORE_EMULATOR_HOST;
+    await fetch(`http://${firestoreHost}/v1/projects/${PROJECT_ID}/databases/(default)/documents/rateLimits/${uid}`, {
+        method: 'DELETE',
+        headers: { Authorization: 'Bearer owner' }
+    });
+}
+
+// Firestore only takes plain objects from its own realm, and the page's objects come from
+// jsdom's, so data written from the page is copied across first
+function fromPage(window, value) {
+    if (Array.isArray(value)) {
+        return Array.from(value, item => fromPage(window, item));
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === window.Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fromPage(window, item)]));
+    }
+    return value;
+}
+
+// Wrap a batch's or transaction's set and update so they copy their data
+function copyingWrites(window, writer) {
+    return new Proxy(writer, {
+        get(target, property) {
+            const value = target[property];
+            if (property === 'set' || property === 'update') {
+                return (ref, ...args) => {
+                    value.call(target, ref, ...args.map(arg => fromPage(window, arg)));
+                    return copyingWrites(window, target);
+                };
+            }
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+}
+
+// Load the app, connect it to the emulators and install the globals firebase-init.js would.
+// Returns the window, a FirebaseAuthManager that has been initialized, and close(), which
+// signs out and shuts the SDK down so the test process can exit.
+async function loadEmulatorApp() {
+    const { initializeApp, deleteApp } = require('firebase/app');
+    const auth = require('firebase/auth');
+    const firestore = require('firebase/firestore');
+
+    const window = loadApp();
+    const app = initializeApp({ projectId: PROJECT_ID, apiKey: 'demo-api-key', authDomain: 'localhost' }, `app-${Date.now()}-${Math.random()}`);
+    const firebaseAuth = auth.getAuth(app);
+    auth.connectAuthEmulator(firebaseAuth, `http://${process.env.FIREBASE_AUTH_EMULATOR_HOST}`, { disableWarnings: true });
+    const db = firestore.getFirestore(app);
+    const [host, port] = process.env.FIRESTORE_EMULATOR_HOST.split(':');
+    firestore.connectFirestoreEmulator(db, host, Number(port));
+
+    Object.assign(window, {
+        firebaseAuth,
+        firebaseDb: db,
+        firebaseFunctions: null,
+        firebaseStorage: null
+    });
+    [
+        'createUserWithEmailAndPassword', 'signInWithEmailAndPassword', 'signOut', 'onAuthStateChanged',
+        'sendPasswordResetEmail', 'sendEmailVerification', 'EmailAuthProvider', 'reauthenticateWithCredential',
+        'updatePassword', 'verifyBeforeUpdateEmail', 'fetchSignInMethodsForEmail'
+    ].forEach(name => {
+        window[name] = auth[name];
+    });
+    [
+        'doc', 'getDoc', 'deleteDoc', 'collection', 'collectionGroup', 'documentId', 'query', 'where',
+        'orderBy', 'limit', 'startAfter', 'endAt', 'getDocs', 'getCountFromServer', 'serverTimestamp', 'onSnapshot',
+        'increment'
+    ].forEach(name => {
+        window[name] = firestore[name];
+    });
+    window.setDoc = (ref, data, options) => firestore.setDoc(ref, fromPage(window, data), fromPage(window, options));
+    window.addDoc = (ref, data) => firestore.addDoc(ref, fromPage(window, data));
+    window.updateDoc = (ref, ...args) => firestore.updateDoc(ref, ...args.map(arg => fromPage(window, arg)));
+    window.writeBatch = (database) => copyingWrites(window, firestore.writeBatch(database));
+    window.runTransaction = (database, update, options) => firestore.runTransaction(
+        database,
+        transaction => update(copyingWrites(window, transaction)),
+        options
+    );
+
+    const FirebaseAuthManager = window.eval('FirebaseAuthManager');
+    const manager = new FirebaseAuthManager();
+    manager.initialize();
+
+    const close = async () => {
+        manager.stopSessionMonitoring();
+        if (manager.authStateListener) manager.authStateListener();
+        await auth.signOut(firebaseAuth);
+        await firestore.terminate(db);
+        await deleteApp(app);
+        window.close();
+    };
+
+    return { window, manager, close };
+}
+
+// Resolve once the manager has seen the given user sign in, or with null sign out, as the
+// dashboard waits for it
+async function signedIn(manager, user) {
+    const started = Date.now();
+    const uid = user ? user.uid : null;
+    while ((manager.currentUser ? manager.currentUser.uid : null) !== uid) {
+        if (Date.now() - started > 5000) {
+            throw new Error(user ? `${user.email} never signed in` : 'Never signed out');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = {
+    PROJECT_ID,
+    clearEmulators,
+    forgetRateLimits,
+    loadEmulatorApp,
+    signedIn
+};
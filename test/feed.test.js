@@ -0,0 +1,309 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { JSDOM } = require('jsdom');
+const {
+    FEED_VIRTUALIZE_THRESHOLD,
+    reconcileKeyedList,
+    getVirtualWindow
+} = require('../feed');
+const { renderDashboard, settle, timestamp } = require('./load-app');
+
+function createList(markup = '') {
+    const { document } = new JSDOM(`<ul>${markup}</ul>`).window;
+    return document.querySelector('ul');
+}
+
+function item(key, text = key) {
+    return { key, markup: `<li data-key="${key}">${text}</li>` };
+}
+
+test('unchanged items keep their elements; changed ones are rebuilt', () => {
+    const list = createList();
+    const rendered = new Map();
+
+    const built = reconcileKeyedList(list, [item('a'), item('b'), item('c')], rendered, 'data-key');
+    assert.deepStrictEqual(Array.from(built), ['a', 'b', 'c']);
+    const [a, b, c] = list.children;
+
+    const rebuilt = reconcileKeyedList(list, [item('a'), item('b', 'B'), item('c')], rendered, 'data-key');
+    assert.deepStrictEqual(Array.from(rebuilt), ['b']);
+    assert.strictEqual(list.children[0], a);
+    assert.notStrictEqual(list.children[1], b);
+    assert.strictEqual(list.children[1].textContent, 'B');
+    assert.strictEqual(list.children[2], c);
+});
+
+test('items are added, moved and removed in place', () => {
+    const list = createList('<li>Loading...</li>');
+    const rendered = new Map();
+
+    reconcileKeyedList(list, [item('a'), item('b'), item('c')], rendered, 'data-key');
+    const [a, , c] = list.children;
+
+    const built = reconcileKeyedList(list, [item('d'), item('c'), item('a')], rendered, 'data-key');
+    assert.deepStrictEqual(Array.from(built), ['d']);
+    assert.deepStrictEqual(Array.from(list.children, child => child.textContent), ['d', 'c', 'a']);
+    assert.strictEqual(list.children[1], c);
+    assert.strictEqual(list.children[2], a);
+    assert.deepStrictEqual(Array.from(rendered.keys()).sort(), ['a', 'c', 'd']);
+});
+
+test('elements replaced from outside are rebuilt', () => {
+    const list = createList();
+    const rendered = new Map();
+    reconcileKeyedList(list, [item('a')], rendered, 'data-key');
+
+    list.innerHTML = '<p>Nothing here</p>';
+    const built = reconcileKeyedList(list, [item('a')], rendered, 'data-key');
+
+    assert.deepStrictEqual(Array.from(built), ['a']);
+    assert.strictEqual(list.innerHTML, '<li data-key="a">a</li>');
+});
+
+test('the virtual window covers the viewport and its overscan', () => {
+    const heights = new Array(100).fill(100);
+
+    assert.deepStrictEqual(getVirtualWindow(heights, 0, 500, 200), { start: 0, end: 7, before: 0, after: 9300 });
+    assert.deepStrictEqual(getVirtualWindow(heights, 2050, 2550, 200), { start: 18, end: 28, before: 1800, after: 7200 });
+    assert.deepStrictEqual(getVirtualWindow(heights, 50000, 50500, 200), { start: 99, end: 100, before: 9900, after: 0 });
+    assert.deepStrictEqual(getVirtualWindow([], 0, 500, 200), { start: 0, end: 0, before: 0, after: 0 });
+});
+
+const posts = [
+    { id: 'p1', userId: 'user-2', content: 'First', category: 'General', createdAt: timestamp(new Date(3000)) },
+    { id: 'p2', userId: 'user-2', content: 'Second https://example.com/page', category: 'General', createdAt: timestamp(new Date(2000)) },
+    { id: 'p3', userId: 'user-1', content: 'Mine', category: 'General', createdAt: timestamp(new Date(1000)) }
+];
+
+function getCard(document, postId) {
+    return document.querySelector(`#posts-container [data-post-id="${postId}"]`);
+}
+
+test('a changed post only rebuilds its own card', async () => {
+    const { document, renderer } = await renderDashboard({
+        posts,
+        previews: { 'https://example.com/page': { url: 'https://example.com/page', title: 'Page' } }
+    });
+    const [first, second, third] = ['p1', 'p2', 'p3'].map(id => getCard(document, id));
+    const preview = second.querySelector('a[href="https://example.com/page"]');
+
+    renderer.handleLivePage([{ ...posts[0], reactionCounts: { like: 3 } }, posts[1], posts[2]], null);
+
+    assert.notStrictEqual(getCard(document, 'p1'), first);
+    assert.strictEqual(getCard(document, 'p2'), second);
+    assert.strictEqual(getCard(document, 'p3'), third);
+    assert.strictEqual(second.querySelector('a[href="https://example.com/page"]'), preview);
+});
+
+test('the post being edited keeps its editor while others change', async () => {
+    const { window, document, renderer } = await renderDashboard({ posts });
+    getCard(document, 'p3').querySelector('[data-post-action="edit"]').click();
+    await settle();
+
+    const editor = document.getElementById('edit-post-content');
+    editor.value = 'Mine, edited';
+    editor.dispatchEvent(new window.Event('input', { bubbles: true }));
+    editor.setSelectionRange(2, 4);
+
+    renderer.handleLivePage([{ ...posts[0], reactionCounts: { like: 1 } }, posts[1], posts[2]], null);
+
+    assert.strictEqual(document.getElementById('edit-post-content'), editor);
+    assert.strictEqual(document.activeElement, editor);
+    assert.deepStrictEqual([editor.selectionStart, editor.selectionEnd], [2, 4]);
+});
+
+test('snapshots without document changes leave the feed alone', async () => {
+    const { document, renderer } = await renderDashboard({ posts });
+    let rendered = 0;
+    const renderFeed = renderer.renderFeed.bind(renderer);
+    renderer.renderFeed = (changedIds) => {
+        rendered += 1;
+        renderFeed(changedIds);
+    };
+
+    renderer.handleLivePage(posts, { lastVisible: null, hasMore: false, pendingIds: [], changes: [] });
+    assert.strictEqual(rendered, 0);
+
+    renderer.handleLivePage(posts, { lastVisible: null, hasMore: false, pendingIds: ['p3'], changes: [] });
+    assert.strictEqual(rendered, 1);
+    assert.ok(getCard(document, 'p3').querySelector('[data-sync-badge="pending"]'));
+});
+
+test('a snapshot only builds markup for the posts it changed', async () => {
+    const { document, renderer } = await renderDashboard({ posts });
+    const built = [];
+    const renderPostCard = renderer.renderPostCard.bind(renderer);
+    renderer.renderPostCard = (post, currentUser) => {
+        built.push(post.id);
+        return renderPostCard(post, currentUser);
+    };
+    const page = (changes, pendingIds = []) => ({ lastVisible: null, hasMore: false, pendingIds, changes });
+
+    const edited = { ...posts[1], content: 'Edited' };
+    renderer.handleLivePage([posts[0], edited, posts[2]], page([{ type: 'modified', id: 'p2' }]));
+    assert.deepStrictEqual(built, ['p2']);
+    assert.ok(getCard(document, 'p2').textContent.includes('Edited'));
+
+    // A new post, and one whose write reached the server
+    built.length = 0;
+    const added = { ...posts[0], id: 'p0', content: 'Newest' };
+    renderer.handleLivePage([added, posts[0], edited, posts[2]], page([{ type: 'added', id: 'p0' }], ['p3']));
+    assert.deepStrictEqual(built.sort(), ['p0', 'p3']);
+
+    built.length = 0;
+    renderer.handleLivePage([added, posts[0], posts[2]], page([{ type: 'removed', id: 'p2' }], ['p3']));
+    assert.deepStrictEqual(built, []);
+    assert.strictEqual(getCard(document, 'p2'), null);
+
+    // Anything else may change every card
+    renderer.renderFeed();
+    assert.deepStrictEqual(built.sort(), ['p0', 'p1', 'p3']);
+});
+
+test('a card rebuilt from its saved markup shows the current selection', async () => {
+    const { document, renderer } = await renderDashboard({ posts });
+    renderer.selectedPostId = 'p1';
+    renderer.updatePostSelection();
+
+    // As when the card is scrolled out of a long feed and back in
+    renderer.renderedPosts.delete('p1');
+    renderer.renderFeed(new Set());
+
+    assert.ok(getCard(document, 'p1').classList.contains('border-custom-black'));
+});
+
+test('an empty feed\'s first snapshot replaces the loading message', async () => {
+    const { document, renderer } = await renderDashboard({ posts: [] });
+    document.getElementById('posts-container').innerHTML = '<p>Loading posts...</p>';
+
+    renderer.resetFeedPages();
+    renderer.handleLivePage([], { lastVisible: null, hasMore: false, pendingIds: [], changes: [] });
+
+    assert.ok(!document.getElementById('posts-container').textContent.includes('Loading posts...'));
+});
+
+test('long feeds render only the posts near the viewport', async () => {
+    const count = FEED_VIRTUALIZE_THRESHOLD * 10;
+    const many = Array.from({ length: count }, (_, index) => ({
+        id: `p${index}`,
+        userId: 'user-2',
+        content: `Post ${index}`,
+        category: 'General',
+        createdAt: timestamp(new Date(count - index))
+    }));
+    const { document } = await renderDashboard({ posts: many });
+
+    const cards = document.querySelectorAll('#posts-container [data-post-id]');
+    assert.ok(cards.length > 0 && cards.length < 50);
+    assert.strictEqual(cards[0].getAttribute('data-post-id'), 'p0');
+    assert.strictEqual(document.getElementById('posts-spacer-before').style.height, '0px');
+    assert.ok(parseInt(document.getElementById('posts-spacer-after').style.height, 10) > 0);
+});
+
+test('category buttons survive updates to other categories and still select', async () => {
+    const categories = [
+        { id: 'c1', name: 'Music', color: 'pink' },
+        { id: 'c2', name: 'Books', color: 'green' }
+    ];
+    const { document, renderer } = await renderDashboard({ categories });
+    const music = document.querySelector('[data-category-id="c1"]');
+
+    renderer.handleCategoriesChange([categories[0], { ...categories[1], color: 'grey' }]);
+    assert.strictEqual(document.querySelector('[data-category-id="c1"]'), music);
+
+    music.click();
+    assert.strictEqual(renderer.selectedCategory, 'Music');
+});
+
+function feedIds(document) {
+    return Array.from(document.querySelectorAll('#posts-container [data-post-id]'), card => card.getAttribute('data-post-id'));
+}
+
+function postAt(id, seconds, content = id) {
+    return { id, userId: 'user-2', content, category: 'General', createdAt: timestamp(new Date(seconds * 1000)) };
+}
+
+test('older pages follow the live page and keep listening', async () => {
+    const { document, renderer } = await renderDashboard({});
+    const pages = [];
+    let unsubscribed = 0;
+    renderer.authManager.subscribeToPosts = (callback, filter, limitCount, cursor) => {
+        pages.push({ callback, cursor });
+        return () => unsubscribed++;
+    };
+
+    renderer.handleLivePage([postAt('p1', 10), postAt('p2', 9)], { lastVisible: 'after-p2', hasMore: true });
+    renderer.loadOlderPosts();
+    renderer.loadOlderPosts();
+    assert.deepStrictEqual(pages.map(page => page.cursor), ['after-p2']);
+
+    pages[0].callback([postAt('p3', 8), postAt('p4', 7)], { lastVisible: 'after-p4', hasMore: true });
+    assert.deepStrictEqual(feedIds(document), ['p1', 'p2', 'p3', 'p4']);
+
+    pages[0].callback([postAt('p3', 8, 'Edited later')], { lastVisible: 'after-p3', hasMore: true });
+    assert.deepStrictEqual(feedIds(document), ['p1', 'p2', 'p3']);
+    assert.ok(document.querySelector('[data-post-id="p3"]').textContent.includes('Edited later'));
+
+    renderer.loadOlderPosts();
+    assert.strictEqual(pages[1].cursor, 'after-p3');
+    pages[1].callback([postAt('p5', 6)], { lastVisible: 'after-p5', hasMore: false });
+    // An earlier page changing no longer moves the cursor of the oldest one
+    pages[0].callback([postAt('p3', 8), postAt('p5', 6)], { lastVisible: 'after-p5', hasMore: true });
+    assert.deepStrictEqual(feedIds(document), ['p1', 'p2', 'p3', 'p5']);
+    assert.strictEqual(renderer.hasOlderPosts(), false);
+
+    renderer.refreshFeed();
+    assert.strictEqual(unsubscribed, 2);
+});
+
+test('posts pushed off a full live page stay in the feed and keep listening, removed ones leave it', async () => {
+    const { document, renderer } = await renderDashboard({});
+    const pages = [];
+    let unsubscribed = 0;
+    renderer.authManager.subscribeToPosts = (callback, filter, limitCount, cursor, endCursor) => {
+        pages.push({ callback, cursor, endCursor });
+        return () => unsubscribed++;
+    };
+
+    renderer.handleLivePage([postAt('p3', 8), postAt('p4', 7)], { lastVisible: 'after-p4', hasMore: true });
+    renderer.handleLivePage([postAt('p2', 9), postAt('p3', 8)], { lastVisible: 'after-p3', hasMore: true });
+    assert.deepStrictEqual(pages.map(page => [page.cursor, page.endCursor]), [['after-p3', 'after-p4']]);
+    assert.deepStrictEqual(feedIds(document), ['p2', 'p3', 'p4']);
+
+    pages[0].callback([postAt('p4', 7, 'Edited later')], { lastVisible: 'after-p4', hasMore: false, changes: [{ type: 'modified', id: 'p4' }] });
+    assert.ok(document.querySelector('[data-post-id="p4"]').textContent.includes('Edited later'));
+
+    // The gap follows the live page's end; gapEnd stays where the older pages start
+    renderer.handleLivePage([postAt('p1', 10), postAt('p2', 9)], { lastVisible: 'after-p2', hasMore: true });
+    assert.deepStrictEqual(pages.map(page => [page.cursor, page.endCursor])[1], ['after-p2', 'after-p4']);
+    assert.strictEqual(unsubscribed, 1);
+    assert.deepStrictEqual(feedIds(document), ['p1', 'p2', 'p3', 'p4']);
+
+    pages[1].callback([postAt('p3', 8)], { lastVisible: 'after-p3', hasMore: false, changes: [{ type: 'removed', id: 'p4' }] });
+    assert.deepStrictEqual(feedIds(document), ['p1', 'p2', 'p3']);
+
+    renderer.handleLivePage([postAt('p1', 10), postAt('p5', 6)], { lastVisible: 'after-p5', hasMore: true });
+    assert.deepStrictEqual(feedIds(document), ['p1', 'p3', 'p5']);
+
+    renderer.loadOlderPosts();
+    assert.strictEqual(pages[2].cursor, 'after-p4');
+});
+
+test('the Following feed lists followed users\' posts and keeps up with follows', async () => {
+    const { document, renderer } = await renderDashboard({
+        posts: [postAt('p1', 10), { ...postAt('p2', 9), userId: 'user-3' }, { ...postAt('p3', 8), userId: 'user-1' }],
+        following: ['user-2']
+    });
+
+    renderer.selectFollowingFeed();
+    assert.deepStrictEqual(feedIds(document), ['p1']);
+
+    renderer.authManager.emitFollowing(['user-2', 'user-3']);
+    assert.deepStrictEqual(feedIds(document), ['p1', 'p2']);
+
+    renderer.authManager.emitFollowing([]);
+    assert.deepStrictEqual(feedIds(document), []);
+
+    renderer.selectCategory('All');
+    assert.deepStrictEqual(feedIds(document), ['p1', 'p2', 'p3']);
+});
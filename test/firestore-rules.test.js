@@ -0,0 +1,960 @@
+// firestore.rules against the Firestore emulator. Skipped unless FIRESTORE_EMULATOR_HOST is
+// set; run them with `npm run test:emulator`.
+
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+
+const skip = process.env.FIRESTORE_EMULATOR_HOST ? false : 'FIRESTORE_EMULATOR_HOST is not set';
+
+// New posts, replies and categories are counted in their author's rateLimits document in the same
+// write. Tests that aren't about the limits forget the count first, so each write is the
+// first of a new window and the cooldown doesn't hold them up.
+async function countedWrite(testEnv, db, uid, kind, id, addWrites, fields = {}) {
+    const { doc, deleteDoc, writeBatch, serverTimestamp } = require('firebase/firestore');
+
+    await testEnv.withSecurityRulesDisabled(context => deleteDoc(doc(context.firestore(), `rateLimits/${uid}`)));
+    const batch = writeBatch(db);
+    addWrites(batch);
+    batch.set(doc(db, `rateLimits/${uid}`), {
+        [kind]: { count: 1, windowStart: serverTimestamp(), lastAt: serverTimestamp(), lastId: id, ...fields }
+    });
+    return batch.commit();
+}
+
+// What createPost writes, with the text kept in body for private posts
+function createPost(testEnv, db, uid, id, data, body = null) {
+    const { doc } = require('firebase/firestore');
+    return countedWrite(testEnv, db, uid, 'post', id, (batch) => {
+        batch.set(doc(db, `posts/${id}`), data);
+        if (body) {
+            batch.set(doc(db, `posts/${id}/private/body`), body);
+        }
+    }, { recentContent: [(body || data).content.toLowerCase()] });
+}
+
+// What createCategory writes
+function createCategory(testEnv, db, uid, id, data) {
+    const { doc } = require('firebase/firestore');
+    return countedWrite(testEnv, db, uid, 'category', id, (batch) => {
+        batch.set(doc(db, `categories/${id}`), data);
+        batch.set(doc(db, `categorySlugs/${data.slug}`), { categoryId: id });
+    });
+}
+
+test('reaction and bookmark counters', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, getDoc, setDoc, deleteDoc, updateDoc, writeBatch, increment, serverTimestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'posts/p1'), { userId: 'bob', content: 'Hello', category: 'General' });
+        await setDoc(doc(db, 'posts/p2'), { userId: 'bob', content: 'Gone soon', category: 'General' });
+        await setDoc(doc(db, 'posts/p3'), { userId: 'bob', content: 'Deleted', category: 'General', deletedAt: new Date() });
+        await setDoc(doc(db, 'posts/p3/reactions/alice_like'), { userId: 'alice', type: 'like' });
+    });
+
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    // What toggleReaction writes, with the counter step and reaction id adjustable
+    const react = (db, { type = 'like', id = `alice_${type}`, step = 1, postId = 'p1' } = {}) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, `posts/${postId}/reactions/${id}`), { userId: 'alice', type, createdAt: serverTimestamp() });
+        batch.update(doc(db, `posts/${postId}`), { [`reactionCounts.${type}`]: increment(step) });
+        return batch.commit();
+    };
+    const unreact = (db, type = 'like', step = -1) => {
+        const batch = writeBatch(db);
+        batch.delete(doc(db, `posts/p1/reactions/alice_${type}`));
+        batch.update(doc(db, 'posts/p1'), { [`reactionCounts.${type}`]: increment(step) });
+        return batch.commit();
+    };
+
+    await t.test('a reaction and its counter step go together', async () => {
+        await assertSucceeds(react(alice));
+        await assertSucceeds(react(alice, { type: 'celebrate' }));
+    });
+
+    await t.test('reacting twice, or moving a counter alone, is refused', async () => {
+        await assertFails(react(alice));
+        await assertFails(updateDoc(doc(alice, 'posts/p1'), { 'reactionCounts.love': increment(1) }));
+        await assertFails(react(alice, { type: 'love', step: 2 }));
+        await assertFails(react(alice, { type: 'love', id: 'bob_love' }));
+        await assertFails(react(alice, { type: 'angry' }));
+    });
+
+    await t.test('taking a reaction back moves the counter down', async () => {
+        await assertFails(unreact(alice, 'like', 0));
+        await assertSucceeds(unreact(alice));
+        await assertFails(deleteDoc(doc(bob, 'posts/p1/reactions/alice_celebrate')));
+    });
+
+    await t.test('bookmarks are private and counted', async () => {
+        const bookmark = (db, step, postId = 'p1') => {
+            const batch = writeBatch(db);
+            batch.set(doc(db, 'users/alice/bookmarks/p1'), { postId, createdAt: serverTimestamp() });
+            batch.update(doc(db, 'posts/p1'), { bookmarkCount: increment(step) });
+            return batch.commit();
+        };
+
+        await assertFails(bookmark(alice, 2));
+        await assertFails(bookmark(alice, 1, 'p2'));
+        await assertSucceeds(bookmark(alice, 1));
+        await assertSucceeds(getDoc(doc(alice, 'users/alice/bookmarks/p1')));
+        await assertFails(getDoc(doc(bob, 'users/alice/bookmarks/p1')));
+
+        const remove = writeBatch(alice);
+        remove.delete(doc(alice, 'users/alice/bookmarks/p1'));
+        remove.update(doc(alice, 'posts/p1'), { bookmarkCount: increment(-1) });
+        await assertSucceeds(remove.commit());
+    });
+
+    await t.test('the author can purge a post with its reactions', async () => {
+        await assertSucceeds(react(alice, { postId: 'p2' }));
+
+        const purge = writeBatch(bob);
+        purge.delete(doc(bob, 'posts/p2/reactions/alice_like'));
+        purge.delete(doc(bob, 'posts/p2'));
+        await assertSucceeds(purge.commit());
+    });
+
+    await t.test('once deleted, a post\'s reactions can be purged before it', async () => {
+        await assertFails(deleteDoc(doc(bob, 'posts/p1/reactions/alice_celebrate')));
+        await assertSucceeds(deleteDoc(doc(bob, 'posts/p3/reactions/alice_like')));
+    });
+});
+
+test('replies and their counter', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, setDoc, deleteDoc, updateDoc, writeBatch, increment, serverTimestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'posts/p1'), { userId: 'bob', content: 'Hello', category: 'General', replyCount: 1 });
+        await setDoc(doc(db, 'posts/p1/replies/bob-reply'), { userId: 'bob', rootId: 'p1', parentId: 'p1', content: 'First' });
+        await setDoc(doc(db, 'posts/p2'), { userId: 'bob', content: 'Gone soon', category: 'General', replyCount: 1 });
+        await setDoc(doc(db, 'posts/p2/replies/alice-reply'), { userId: 'alice', rootId: 'p2', parentId: 'p2', content: 'Hi' });
+        await setDoc(doc(db, 'posts/p3'), { userId: 'bob', content: 'Deleted', category: 'General', replyCount: 1, deletedAt: new Date() });
+        await setDoc(doc(db, 'posts/p3/replies/alice-reply'), { userId: 'alice', rootId: 'p3', parentId: 'p3', content: 'Hi' });
+    });
+
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    // What createReply and deleteReply write, with the counter step, counted reply and reply
+    // fields adjustable
+    const reply = (db, id, { step = 1, countedReplyId = id, fields = {} } = {}) => countedWrite(testEnv, db, 'alice', 'reply', id, (batch) => {
+        batch.set(doc(db, `posts/p1/replies/${id}`), {
+            content: 'Hi', parentId: 'p1', rootId: 'p1', userId: 'alice', createdAt: serverTimestamp(), updatedAt: serverTimestamp(),
+            ...fields
+        });
+        batch.update(doc(db, 'posts/p1'), { replyCount: increment(step), countedReplyId });
+    }, { lastPostId: 'p1' });
+    const unreply = (db, id, { step = -1, countedReplyId = id } = {}) => {
+        const batch = writeBatch(db);
+        batch.delete(doc(db, `posts/p1/replies/${id}`));
+        batch.update(doc(db, 'posts/p1'), { replyCount: increment(step), countedReplyId });
+        return batch.commit();
+    };
+
+    await t.test('a reply and its counter step go together', async () => {
+        await assertFails(setDoc(doc(alice, 'posts/p1/replies/uncounted'), { content: 'Hi', parentId: 'p1', rootId: 'p1', userId: 'alice' }));
+        await assertFails(reply(alice, 'r1', { step: 2 }));
+        await assertSucceeds(reply(alice, 'r1'));
+    });
+
+    await t.test('replies keep to their schema', async () => {
+        await assertFails(reply(alice, 'r2', { fields: { likes: 100 } }));
+        await assertFails(reply(alice, 'r2', { fields: { content: '' } }));
+        await assertFails(reply(alice, 'r2', { fields: { content: 'x'.repeat(501) } }));
+        await assertFails(reply(alice, 'r2', { fields: { content: 42 } }));
+        await assertFails(reply(alice, 'r2', { fields: { parentId: null } }));
+        await assertFails(reply(alice, 'r2', { fields: { userEmail: 'alice@example.com' } }));
+        await assertFails(reply(alice, 'r2', { fields: { createdAt: new Date(0) } }));
+
+        await assertSucceeds(updateDoc(doc(alice, 'posts/p1/replies/r1'), { content: 'Edited', updatedAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(alice, 'posts/p1/replies/r1'), { content: 'x'.repeat(501), updatedAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(alice, 'posts/p1/replies/r1'), { content: 'Edited', updatedAt: new Date(0) }));
+        await assertFails(updateDoc(doc(alice, 'posts/p1/replies/r1'), { parentId: 'bob-reply' }));
+        await assertFails(updateDoc(doc(alice, 'posts/p1/replies/r1'), { likes: 100 }));
+        await assertFails(updateDoc(doc(bob, 'posts/p1/replies/r1'), { content: 'Mine now', updatedAt: serverTimestamp() }));
+    });
+
+    await t.test('the counter can\'t move without a reply', async () => {
+        await assertFails(updateDoc(doc(alice, 'posts/p1'), { replyCount: increment(1) }));
+        await assertFails(updateDoc(doc(alice, 'posts/p1'), { replyCount: increment(1), countedReplyId: 'r1' }));
+        await assertFails(updateDoc(doc(alice, 'posts/p1'), { replyCount: increment(-1), countedReplyId: 'bob-reply' }));
+        await assertFails(updateDoc(doc(alice, 'posts/p1'), { replyCount: increment(1), countedReplyId: 'made-up' }));
+    });
+
+    await t.test('deleting a reply moves the counter down', async () => {
+        await assertFails(unreply(alice, 'bob-reply'));
+        await assertFails(deleteDoc(doc(alice, 'posts/p1/replies/r1')));
+        await assertFails(unreply(alice, 'r1', { countedReplyId: 'bob-reply' }));
+        await assertSucceeds(unreply(alice, 'r1'));
+        await assertSucceeds(unreply(bob, 'bob-reply'));
+    });
+
+    await t.test('the author can purge a post with its replies', async () => {
+        const purge = (db) => {
+            const batch = writeBatch(db);
+            batch.delete(doc(db, 'posts/p2/replies/alice-reply'));
+            batch.delete(doc(db, 'posts/p2'));
+            return batch.commit();
+        };
+
+        await assertFails(deleteDoc(doc(bob, 'posts/p2/replies/alice-reply')));
+        await assertFails(purge(alice));
+        await assertSucceeds(purge(bob));
+    });
+
+    await t.test('once deleted, a post\'s replies can be purged a batch at a time before it', async () => {
+        await assertSucceeds(deleteDoc(doc(bob, 'posts/p3/replies/alice-reply')));
+        await assertSucceeds(deleteDoc(doc(bob, 'posts/p3')));
+    });
+});
+
+test('direct messages are private to their participants', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const {
+        doc, collection, getDoc, getDocs, setDoc, updateDoc, deleteDoc, query, where, writeBatch, serverTimestamp
+    } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+    const mallory = testEnv.authenticatedContext('mallory').firestore();
+
+    // What startConversation writes
+    const start = (db, id, participantIds, uid = 'alice') => setDoc(doc(db, `conversations/${id}`), {
+        participantIds,
+        createdBy: uid,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+        readAt: { [uid]: serverTimestamp() }
+    });
+
+    // What sendMessage writes, with the summary adjustable
+    const send = (db, uid, id, text, { summary = true, messageId = `${uid}-${Date.now()}` } = {}) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, `conversations/${id}/messages/${messageId}`), { senderId: uid, text, createdAt: serverTimestamp() });
+        if (summary) {
+            batch.update(doc(db, `conversations/${id}`), {
+                lastMessage: { id: messageId, senderId: uid, text: text.slice(0, 100), createdAt: serverTimestamp() },
+                updatedAt: serverTimestamp(),
+                [`readAt.${uid}`]: serverTimestamp()
+            });
+        }
+        return batch.commit();
+    };
+
+    await t.test('1:1 conversations use their fixed id', async () => {
+        await assertSucceeds(getDoc(doc(alice, 'conversations/dm_alice_bob')));
+        await assertFails(start(alice, 'dm_bob_alice', ['bob', 'alice']));
+        await assertFails(start(alice, 'dm_alice_mallory', ['alice', 'bob']));
+        await assertFails(start(alice, 'dm_bob_mallory', ['bob', 'mallory']));
+        await assertFails(start(alice, 'two-people', ['alice', 'bob']));
+        await assertSucceeds(start(alice, 'dm_alice_bob', ['alice', 'bob']));
+    });
+
+    await t.test('groups hold up to eight people, the creator among them', async () => {
+        const crowd = Array.from({ length: 9 }, (_, i) => (i === 0 ? 'alice' : `user${i}`));
+        await assertFails(start(alice, 'crowd', crowd));
+        await assertFails(start(alice, 'dm_group', ['alice', 'bob', 'carol']));
+        await assertFails(start(alice, 'not-mine', ['bob', 'carol', 'dave']));
+        await assertSucceeds(start(alice, 'group', ['alice', 'bob', 'carol']));
+    });
+
+    await t.test('only participants can read or write', async () => {
+        await assertSucceeds(send(alice, 'alice', 'dm_alice_bob', 'Hi Bob'));
+        await assertSucceeds(send(bob, 'bob', 'dm_alice_bob', 'Hi Alice'));
+
+        await assertFails(getDoc(doc(mallory, 'conversations/dm_alice_bob')));
+        await assertFails(getDocs(collection(mallory, 'conversations/dm_alice_bob/messages')));
+        await assertFails(send(mallory, 'mallory', 'dm_alice_bob', 'Let me in'));
+        await assertFails(getDocs(query(collection(mallory, 'conversations'), where('participantIds', 'array-contains', 'alice'))));
+
+        await assertSucceeds(getDocs(collection(bob, 'conversations/dm_alice_bob/messages')));
+        await assertSucceeds(getDocs(query(collection(bob, 'conversations'), where('participantIds', 'array-contains', 'bob'))));
+    });
+
+    await t.test('messages need their summary, their real sender, and can\'t change', async () => {
+        await assertFails(send(alice, 'alice', 'dm_alice_bob', 'No summary', { summary: false }));
+        await assertFails(send(alice, 'bob', 'dm_alice_bob', 'Pretending to be Bob'));
+        await assertFails(send(alice, 'alice', 'dm_alice_bob', 'x'.repeat(2001)));
+        await assertSucceeds(send(alice, 'alice', 'dm_alice_bob', 'Mine', { messageId: 'fixed' }));
+        await assertFails(updateDoc(doc(alice, 'conversations/dm_alice_bob/messages/fixed'), { text: 'Edited' }));
+        await assertFails(deleteDoc(doc(alice, 'conversations/dm_alice_bob/messages/fixed')));
+        await assertFails(updateDoc(doc(alice, 'conversations/dm_alice_bob'), { participantIds: ['alice', 'bob', 'mallory'] }));
+    });
+
+    await t.test('read receipts and typing belong to their user', async () => {
+        await assertSucceeds(updateDoc(doc(bob, 'conversations/dm_alice_bob'), { 'readAt.bob': serverTimestamp() }));
+        await assertFails(updateDoc(doc(bob, 'conversations/dm_alice_bob'), { 'readAt.alice': serverTimestamp() }));
+
+        await assertSucceeds(setDoc(doc(bob, 'conversations/dm_alice_bob/typing/bob'), { at: serverTimestamp() }));
+        await assertFails(setDoc(doc(bob, 'conversations/dm_alice_bob/typing/alice'), { at: serverTimestamp() }));
+        await assertFails(getDoc(doc(mallory, 'conversations/dm_alice_bob/typing/bob')));
+        await assertSucceeds(deleteDoc(doc(bob, 'conversations/dm_alice_bob/typing/bob')));
+    });
+});
+
+test('notifications follow the activity they report', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, collection, addDoc, getDocs, setDoc, updateDoc, serverTimestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'posts/bob-post'), { userId: 'bob', content: 'Hello @alice', category: 'General', mentions: ['alice'] });
+        await setDoc(doc(db, 'posts/alice-post'), { userId: 'alice', content: 'Hi', category: 'General' });
+        await setDoc(doc(db, 'posts/alice-post/replies/bob-reply'), { userId: 'bob', parentId: 'alice-post', rootId: 'alice-post' });
+        await setDoc(doc(db, 'posts/alice-post/replies/carol-reply'), { userId: 'carol', parentId: 'bob-reply', rootId: 'alice-post' });
+        await setDoc(doc(db, 'posts/alice-post/reactions/bob_love'), { userId: 'bob', type: 'love' });
+        await setDoc(doc(db, 'follows/bob_alice'), { followerId: 'bob', followeeId: 'alice' });
+    });
+
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+    const carol = testEnv.authenticatedContext('carol').firestore();
+
+    const notify = (db, uid, actorId, type, details = {}) => addDoc(collection(db, `users/${uid}/notifications`), {
+        type, actorId, ...details, read: false, createdAt: serverTimestamp()
+    });
+
+    await t.test('each type needs the activity behind it', async () => {
+        await assertSucceeds(notify(bob, 'alice', 'bob', 'mention', { postId: 'bob-post' }));
+        await assertSucceeds(notify(bob, 'alice', 'bob', 'reply', { postId: 'alice-post', replyId: 'bob-reply' }));
+        await assertSucceeds(notify(carol, 'bob', 'carol', 'reply', { postId: 'alice-post', replyId: 'carol-reply' }));
+        await assertSucceeds(notify(bob, 'alice', 'bob', 'reaction', { postId: 'alice-post', reaction: 'love' }));
+        await assertSucceeds(notify(bob, 'alice', 'bob', 'follow'));
+    });
+
+    await t.test('made-up activity is refused', async () => {
+        await assertFails(notify(carol, 'alice', 'carol', 'mention', { postId: 'bob-post' }));
+        await assertFails(notify(carol, 'alice', 'carol', 'reply', { postId: 'alice-post', replyId: 'bob-reply' }));
+        await assertFails(notify(carol, 'alice', 'carol', 'reaction', { postId: 'alice-post', reaction: 'love' }));
+        await assertFails(notify(carol, 'alice', 'carol', 'follow'));
+        await assertFails(notify(carol, 'alice', 'bob', 'follow'));
+        await assertFails(notify(bob, 'alice', 'bob', 'follow', { postId: 'bob-post' }));
+        await assertFails(notify(bob, 'bob', 'bob', 'reaction', { postId: 'alice-post', reaction: 'love' }));
+    });
+
+    await t.test('only the recipient reads them and marks them read', async () => {
+        const snapshot = await assertSucceeds(getDocs(collection(alice, 'users/alice/notifications')));
+        await assertFails(getDocs(collection(bob, 'users/alice/notifications')));
+
+        const ref = snapshot.docs[0].ref;
+        await assertFails(updateDoc(doc(bob, ref.path), { read: true }));
+        await assertFails(updateDoc(doc(alice, ref.path), { type: 'follow' }));
+        await assertSucceeds(updateDoc(doc(alice, ref.path), { read: true }));
+    });
+});
+
+test('follow edges belong to the follower', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, collection, getDocs, query, where, setDoc, deleteDoc, serverTimestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    // What followUser writes
+    const follow = (db, edgeId, followerId, followeeId, extra = {}) => setDoc(doc(db, `follows/${edgeId}`), {
+        followerId, followeeId, createdAt: serverTimestamp(), ...extra
+    });
+
+    await t.test('users follow others under their own edge id', async () => {
+        await assertSucceeds(follow(alice, 'alice_bob', 'alice', 'bob'));
+        await assertFails(follow(alice, 'bob_alice', 'bob', 'alice'));
+        await assertFails(follow(alice, 'alice_carol', 'alice', 'bob'));
+        await assertFails(follow(alice, 'alice_alice', 'alice', 'alice'));
+        await assertFails(follow(alice, 'alice_carol', 'alice', 'carol', { muted: true }));
+        await assertFails(follow(testEnv.unauthenticatedContext().firestore(), 'alice_carol', 'alice', 'carol'));
+    });
+
+    await t.test('anyone signed in can see who follows whom', async () => {
+        const edges = await assertSucceeds(getDocs(query(collection(bob, 'follows'), where('followeeId', '==', 'bob'))));
+        if (edges.size !== 1) throw new Error(`Expected one follower, saw ${edges.size}`);
+        await assertFails(getDocs(collection(testEnv.unauthenticatedContext().firestore(), 'follows')));
+    });
+
+    await t.test('only the follower unfollows, and edges can\'t be edited', async () => {
+        await assertFails(follow(alice, 'alice_bob', 'alice', 'bob'));
+        await assertFails(deleteDoc(doc(bob, 'follows/alice_bob')));
+        await assertSucceeds(deleteDoc(doc(alice, 'follows/alice_bob')));
+    });
+});
+
+test('category slugs, renames and merges', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, setDoc, updateDoc, writeBatch, serverTimestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'categories/news'), { name: 'News', slug: 'news', createdBy: 'bob', order: 1 });
+        await setDoc(doc(db, 'categorySlugs/news'), { categoryId: 'news' });
+        await setDoc(doc(db, 'posts/p1'), { userId: 'carol', content: 'Hello', category: 'Music', categoryId: 'music' });
+        await setDoc(doc(db, 'posts/p2'), { userId: 'carol', content: 'Breaking', category: 'News', categoryId: 'news' });
+        await setDoc(doc(db, 'posts/p3'), { userId: 'carol', content: 'Hi all', category: 'General' });
+        await setDoc(doc(db, 'posts/p4'), { userId: 'carol', content: 'Tunes', category: 'Music', categoryId: 'old-music' });
+    });
+
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    // What createCategory and updateCategory write
+    const create = (db, id, name, slug, createdBy = 'alice') => createCategory(testEnv, db, 'alice', id, {
+        name, slug, description: '', color: 'pink', order: 2, archived: false,
+        createdBy, createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+    });
+    const rename = (db, id, name, slug, previousSlug, previousName) => {
+        const batch = writeBatch(db);
+        batch.update(doc(db, `categories/${id}`), { name, slug, previousName });
+        batch.set(doc(db, `categorySlugs/${slug}`), { categoryId: id });
+        batch.delete(doc(db, `categorySlugs/${previousSlug}`));
+        return batch.commit();
+    };
+    const move = (db, ticket, postId, category = ticket.to) => {
+        const batch = writeBatch(db);
+        batch.set(doc(db, 'categoryMoves/alice'), ticket);
+        batch.update(doc(db, `posts/${postId}`), { category, categoryId: ticket.targetId });
+        return batch.commit();
+    };
+
+    await t.test('a new category claims its slug, once', async () => {
+        await assertSucceeds(create(alice, 'music', 'Music', 'music'));
+        await assertFails(create(alice, 'music2', 'MUSIC', 'music'));
+        await assertFails(create(alice, 'films', 'Films', 'films', 'bob'));
+        await assertFails(setDoc(doc(alice, 'categories/films'), { name: 'Films', createdBy: 'alice' }));
+        await assertFails(setDoc(doc(alice, 'categorySlugs/films'), { categoryId: 'news' }));
+        await assertFails(create(alice, 'general', 'General', 'general'));
+    });
+
+    await t.test('a category\'s slug is made from its name', async () => {
+        await assertFails(create(alice, 'general-2', 'General', 'general-2'));
+        await assertFails(create(alice, 'films', 'Films', 'movies'));
+        await assertSucceeds(create(alice, 'cafe', 'Café & Bars!', 'café-bars'));
+    });
+
+    await t.test('only the creator edits a category, within its fields', async () => {
+        await assertSucceeds(updateDoc(doc(alice, 'categories/music'), { description: 'Songs', color: 'green', order: 0.5 }));
+        await assertFails(updateDoc(doc(alice, 'categories/music'), { color: 'red' }));
+        await assertFails(updateDoc(doc(alice, 'categories/music'), { createdBy: 'bob' }));
+        await assertFails(updateDoc(doc(bob, 'categories/music'), { archived: true }));
+        await assertFails(updateDoc(doc(alice, 'categories/music'), { slug: 'news' }));
+    });
+
+    await t.test('a rename moves its posts under a ticket', async () => {
+        await assertFails(rename(alice, 'music', 'News', 'news', 'music', 'Music'));
+        await assertFails(rename(alice, 'music', 'News', 'news-2', 'music', 'Music'));
+        await assertSucceeds(rename(alice, 'music', 'Live Music', 'live-music', 'music', 'Music'));
+
+        await assertSucceeds(move(alice, { categoryId: 'music', targetId: 'music', from: 'Music', to: 'Live Music' }, 'p1'));
+        await assertFails(move(alice, { categoryId: 'music', targetId: 'music', from: 'News', to: 'Live Music' }, 'p2'));
+        await assertFails(move(alice, { categoryId: 'news', targetId: 'news', from: 'News', to: 'Live Music' }, 'p2'));
+        await assertFails(updateDoc(doc(bob, 'posts/p1'), { category: 'News' }));
+    });
+
+    await t.test('only the category\'s own posts move, whatever their category name', async () => {
+        await assertFails(move(alice, { categoryId: 'music', targetId: 'music', from: 'Music', to: 'Live Music' }, 'p4'));
+        await assertFails(rename(alice, 'music', 'General', 'general', 'live-music', 'Live Music'));
+        await assertFails(move(alice, { categoryId: 'music', targetId: 'music', from: 'General', to: 'Live Music' }, 'p3'));
+    });
+
+    await t.test('a merge moves posts into the target, then deletes the category and its slug', async () => {
+        const ticket = { categoryId: 'music', targetId: 'news', from: 'Live Music', to: 'News' };
+        await assertSucceeds(move(alice, ticket, 'p1'));
+        await assertFails(move(alice, ticket, 'p2', 'Live Music'));
+
+        const batch = writeBatch(alice);
+        batch.delete(doc(alice, 'categories/music'));
+        batch.delete(doc(alice, 'categorySlugs/live-music'));
+        batch.delete(doc(alice, 'categoryMoves/alice'));
+        await assertSucceeds(batch.commit());
+        await assertFails(writeBatch(bob).delete(doc(bob, 'categorySlugs/news')).commit());
+    });
+});
+
+test('category moderators, members and private posts', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, addDoc, collection, collectionGroup, query, where, serverTimestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    // alice owns every category and appointed bob; carol is a member of the private one
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        const category = { createdBy: 'alice', moderatorIds: ['bob'], order: 1 };
+        await setDoc(doc(db, 'categories/open'), { ...category, name: 'Open', visibility: 'public' });
+        await setDoc(doc(db, 'categories/club'), { ...category, name: 'Club', visibility: 'invite' });
+        await setDoc(doc(db, 'categories/secret'), { ...category, name: 'Secret', visibility: 'private' });
+        await setDoc(doc(db, 'categories/secret/members/carol'), { userId: 'carol', status: 'member', invitedBy: 'alice' });
+        await setDoc(doc(db, 'posts/open-post'), { userId: 'dave', content: 'Hi', category: 'Open', categoryId: 'open' });
+        await setDoc(doc(db, 'posts/open-post/replies/r1'), { userId: 'carol', rootId: 'open-post', parentId: 'open-post', content: 'Hey' });
+        await setDoc(doc(db, 'posts/secret-post'), { userId: 'carol', category: 'Secret', categoryId: 'secret', private: true });
+        await setDoc(doc(db, 'posts/secret-post/private/body'), { content: 'Members only', hashtags: [], attachments: [] });
+        await setDoc(doc(db, 'posts/secret-post/replies/r1'), { userId: 'carol', rootId: 'secret-post', parentId: 'secret-post', content: 'Shh' });
+    });
+
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+    const carol = testEnv.authenticatedContext('carol').firestore();
+    const dave = testEnv.authenticatedContext('dave').firestore();
+
+    // What createPost writes
+    const post = (db, uid, id, category, fields = { content: 'Hello' }) => createPost(testEnv, db, uid, id, {
+        userId: uid, category: category.name, categoryId: category.id, mentions: [],
+        createdAt: serverTimestamp(), updatedAt: serverTimestamp(), ...fields
+    });
+    const privatePost = (db, uid, id) => createPost(testEnv, db, uid, id, {
+        userId: uid, category: 'Secret', categoryId: 'secret', private: true, mentions: [],
+        createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+    }, { content: 'Hello', hashtags: [], attachments: [] });
+    const invite = (db, categoryId, uid, invitedBy) => setDoc(doc(db, `categories/${categoryId}/members/${uid}`), {
+        userId: uid, status: 'invited', invitedBy, createdAt: serverTimestamp()
+    });
+
+    await t.test('posts go to General or a category the author may post in', async () => {
+        const times = { createdAt: serverTimestamp(), updatedAt: serverTimestamp() };
+        await assertSucceeds(createPost(testEnv, dave, 'dave', 'general', { userId: 'dave', content: 'Hi', category: 'General', ...times }));
+        await assertFails(createPost(testEnv, dave, 'dave', 'sneaky', { userId: 'dave', content: 'Hi', category: 'Club', ...times }));
+        await assertSucceeds(post(dave, 'dave', 'open-2', { id: 'open', name: 'Open' }));
+        await assertFails(post(dave, 'dave', 'open-3', { id: 'open', name: 'Club' }));
+        await assertFails(post(dave, 'dave', 'open-4', { id: 'open', name: 'Open' }, { content: 'Hi', pinned: true }));
+        await assertFails(post(dave, 'dave', 'club-1', { id: 'club', name: 'Club' }));
+        await assertSucceeds(post(bob, 'bob', 'club-2', { id: 'club', name: 'Club' }));
+    });
+
+    await t.test('invitations are sent by moderators and accepted by the invitee', async () => {
+        await assertFails(invite(dave, 'club', 'dave', 'dave'));
+        await assertFails(invite(bob, 'open', 'dave', 'bob'));
+        await assertSucceeds(invite(bob, 'club', 'dave', 'bob'));
+        await assertFails(post(dave, 'dave', 'club-3', { id: 'club', name: 'Club' }));
+
+        await assertSucceeds(addDoc(collection(bob, 'users/dave/notifications'), {
+            type: 'invite', actorId: 'bob', categoryId: 'club', read: false, createdAt: serverTimestamp()
+        }));
+        await assertFails(addDoc(collection(carol, 'users/dave/notifications'), {
+            type: 'invite', actorId: 'carol', categoryId: 'club', read: false, createdAt: serverTimestamp()
+        }));
+
+        await assertFails(updateDoc(doc(carol, 'categories/club/members/dave'), { status: 'member', joinedAt: serverTimestamp() }));
+        await assertSucceeds(updateDoc(doc(dave, 'categories/club/members/dave'), { status: 'member', joinedAt: serverTimestamp() }));
+        await assertSucceeds(post(dave, 'dave', 'club-3', { id: 'club', name: 'Club' }));
+
+        await assertSucceeds(getDocs(query(collectionGroup(dave, 'members'), where('userId', '==', 'dave'))));
+        await assertFails(getDocs(query(collectionGroup(dave, 'members'), where('userId', '==', 'carol'))));
+    });
+
+    await t.test('private posts are read and written by members only', async () => {
+        await assertSucceeds(getDoc(doc(carol, 'posts/secret-post/private/body')));
+        await assertSucceeds(getDoc(doc(bob, 'posts/secret-post/private/body')));
+        await assertFails(getDoc(doc(dave, 'posts/secret-post/private/body')));
+        await assertFails(getDocs(collection(dave, 'posts/secret-post/replies')));
+        await assertFails(addDoc(collection(dave, 'posts/secret-post/replies'), {
+            userId: 'dave', rootId: 'secret-post', parentId: 'secret-post', content: 'Let me in'
+        }));
+
+        await assertSucceeds(privatePost(carol, 'carol', 'secret-2'));
+        await assertFails(privatePost(dave, 'dave', 'secret-3'));
+        await assertFails(post(carol, 'carol', 'secret-4', { id: 'secret', name: 'Secret' }));
+        await assertFails(post(carol, 'carol', 'secret-5', { id: 'secret', name: 'Secret' }, { private: true, content: 'Leaked' }));
+    });
+
+    await t.test('moderators pin, hide and remove posts in their categories', async () => {
+        await assertSucceeds(updateDoc(doc(bob, 'posts/open-post'), { pinned: true }));
+        await assertSucceeds(updateDoc(doc(bob, 'posts/open-post'), { hidden: true }));
+        await assertFails(updateDoc(doc(bob, 'posts/open-post'), { content: 'Edited' }));
+        await assertFails(updateDoc(doc(carol, 'posts/open-post'), { pinned: false }));
+        await assertFails(updateDoc(doc(dave, 'posts/open-post'), { hidden: false }));
+        await assertFails(updateDoc(doc(dave, 'posts/open-post'), { category: 'Club', categoryId: 'club' }));
+        await assertSucceeds(updateDoc(doc(dave, 'posts/open-post'), { content: 'Still here' }));
+
+        await assertFails(deleteDoc(doc(dave, 'posts/open-post/replies/r1')));
+        await assertSucceeds(deleteDoc(doc(bob, 'posts/open-post/replies/r1')));
+        await assertFails(deleteDoc(doc(carol, 'posts/open-post')));
+        await assertSucceeds(deleteDoc(doc(bob, 'posts/open-post')));
+    });
+
+    await t.test('only the owner appoints moderators, and private categories stay private', async () => {
+        await assertFails(updateDoc(doc(bob, 'categories/club'), { moderatorIds: ['bob', 'carol'] }));
+        await assertSucceeds(updateDoc(doc(alice, 'categories/club'), { moderatorIds: ['bob', 'carol'] }));
+        await assertFails(updateDoc(doc(alice, 'categories/club'), { moderatorIds: Array.from({ length: 11 }, (_, i) => `user-${i}`) }));
+        await assertSucceeds(updateDoc(doc(alice, 'categories/club'), { visibility: 'public' }));
+        await assertFails(updateDoc(doc(alice, 'categories/club'), { visibility: 'private' }));
+        await assertFails(updateDoc(doc(alice, 'categories/secret'), { visibility: 'invite' }));
+    });
+
+    await t.test('members leave, and moderators remove them', async () => {
+        await assertFails(deleteDoc(doc(dave, 'categories/secret/members/carol')));
+        await assertSucceeds(deleteDoc(doc(bob, 'categories/club/members/dave')));
+        await assertSucceeds(deleteDoc(doc(carol, 'categories/secret/members/carol')));
+        await assertFails(privatePost(carol, 'carol', 'secret-6'));
+
+        // Authors can still read what they wrote
+        await assertSucceeds(getDoc(doc(carol, 'posts/secret-post/private/body')));
+    });
+});
+
+test('posts, categories and profiles belong to whoever is signed in', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, getDoc, setDoc, updateDoc, serverTimestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'users/bob'), { email: 'bob@example.com', handle: 'bob' });
+        await setDoc(doc(db, 'posts/bob-owned'), { userId: 'bob', content: 'Mine', category: 'General' });
+    });
+
+    const alice = testEnv.authenticatedContext('alice', { email: 'alice@example.com' }).firestore();
+    const bob = testEnv.authenticatedContext('bob', { email: 'bob@example.com' }).firestore();
+    const nobody = testEnv.unauthenticatedContext().firestore();
+
+    // What createPost and createCategory write
+    const post = (userId) => ({
+        content: 'Hello', hashtags: [], attachments: [], mentions: [], category: 'General',
+        userId, createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+    });
+    const category = (db, id, createdBy) => createCategory(testEnv, db, 'alice', id, {
+        name: 'Poetry', slug: id, description: '', color: 'blue', visibility: 'public', moderatorIds: [],
+        order: 3, archived: false, createdBy, createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+    });
+
+    await t.test('posts are written under their author', async () => {
+        await assertFails(createPost(testEnv, alice, 'alice', 'forged', post('bob')));
+        await assertFails(createPost(testEnv, nobody, 'alice', 'anonymous', post('alice')));
+        await assertSucceeds(createPost(testEnv, alice, 'alice', 'honest', post('alice')));
+        await assertFails(updateDoc(doc(alice, 'posts/honest'), { userId: 'bob' }));
+        await assertFails(updateDoc(doc(alice, 'posts/bob-owned'), { content: 'Not yours' }));
+        await assertFails(getDoc(doc(nobody, 'posts/honest')));
+    });
+
+    await t.test('categories are created by their creator', async () => {
+        await assertFails(category(alice, 'poetry', 'bob'));
+        await assertSucceeds(category(alice, 'poetry', 'alice'));
+        await assertFails(updateDoc(doc(alice, 'categories/poetry'), { createdBy: 'bob' }));
+    });
+
+    await t.test('profiles are private to their user', async () => {
+        await assertSucceeds(getDoc(doc(bob, 'users/bob')));
+        await assertFails(getDoc(doc(alice, 'users/bob')));
+        await assertFails(getDoc(doc(nobody, 'users/bob')));
+        await assertFails(updateDoc(doc(alice, 'users/bob'), { handle: 'alice' }));
+        await assertFails(setDoc(doc(alice, 'users/carol'), { email: 'carol@example.com' }));
+        await assertSucceeds(setDoc(doc(alice, 'users/alice'), { email: 'alice@example.com' }));
+    });
+});
+
+test('posts and categories keep to their schema', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, setDoc, updateDoc, serverTimestamp, increment, Timestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'categories/jazz'), { name: 'Jazz', slug: 'jazz', createdBy: 'bob', order: 1 });
+        await setDoc(doc(db, 'categories/blues'), { name: 'Blues', slug: 'blues', createdBy: 'alice', order: 2 });
+        await setDoc(doc(db, 'posts/schema-post'), { userId: 'alice', content: 'Hello', category: 'General', revisionCount: 1 });
+        // From before the length limit
+        await setDoc(doc(db, 'posts/schema-long'), { userId: 'alice', content: 'x'.repeat(600), category: 'General' });
+    });
+
+    const alice = testEnv.authenticatedContext('alice', { email: 'alice@example.com' }).firestore();
+    const longAgo = Timestamp.fromDate(new Date('2020-01-01T00:00:00Z'));
+
+    // What createPost writes, with fields replaced or added
+    const post = (id, fields = {}) => createPost(testEnv, alice, 'alice', id, {
+        content: 'Hello', hashtags: [], attachments: [], mentions: [], category: 'General',
+        userId: 'alice', createdAt: serverTimestamp(), updatedAt: serverTimestamp(),
+        ...fields
+    });
+    const ids = (count) => Array.from({ length: count }, (_, i) => `id-${i}`);
+
+    await t.test('new posts have the fields, types and lengths createPost writes', async () => {
+        await assertSucceeds(post('schema-1'));
+        await assertSucceeds(post('schema-2', { content: 'x'.repeat(500), hashtags: ids(10), mentions: ids(10) }));
+        await assertSucceeds(post('schema-3', { content: '', attachments: [{ kind: 'file' }] }));
+
+        await assertFails(post('schema-4', { content: 'x'.repeat(501) }));
+        await assertFails(post('schema-5', { content: 42 }));
+        await assertFails(post('schema-6', { content: '' }));
+        await assertFails(post('schema-7', { hashtags: ids(11) }));
+        await assertFails(post('schema-8', { mentions: ids(11) }));
+        await assertFails(post('schema-9', { attachments: ids(5) }));
+        await assertFails(post('schema-10', { hashtags: 'jazz' }));
+        await assertFails(post('schema-11', { likes: 100 }));
+    });
+
+    await t.test('the author and times are not the client\'s to choose, and the email isn\'t kept', async () => {
+        await assertFails(post('schema-12', { userEmail: 'alice@example.com' }));
+        await assertFails(post('schema-13', { createdAt: longAgo }));
+        await assertFails(post('schema-14', { updatedAt: longAgo }));
+        await assertFails(createPost(testEnv, alice, 'alice', 'schema-15', {
+            content: 'Hello', category: 'General', userId: 'alice'
+        }));
+    });
+
+    await t.test('posts go to a category that exists', async () => {
+        await assertSucceeds(post('schema-16', { category: 'Jazz', categoryId: 'jazz' }));
+        await assertFails(post('schema-17', { category: 'Nowhere' }));
+        await assertFails(post('schema-18', { category: 'Nowhere', categoryId: 'nowhere' }));
+        await assertFails(post('schema-19', { category: 42 }));
+    });
+
+    await t.test('edits keep to the schema too', async () => {
+        await assertSucceeds(updateDoc(doc(alice, 'posts/schema-post'), {
+            content: 'Edited', hashtags: [], mentions: [],
+            updatedAt: serverTimestamp(), editedAt: serverTimestamp(), revisionCount: increment(1)
+        }));
+
+        await assertFails(updateDoc(doc(alice, 'posts/schema-post'), { content: 'x'.repeat(501) }));
+        await assertFails(updateDoc(doc(alice, 'posts/schema-post'), { content: '' }));
+        await assertFails(updateDoc(doc(alice, 'posts/schema-post'), { mentions: ids(11) }));
+        await assertFails(updateDoc(doc(alice, 'posts/schema-post'), { editedAt: longAgo }));
+        await assertFails(updateDoc(doc(alice, 'posts/schema-post'), { revisionCount: 10 }));
+        await assertFails(updateDoc(doc(alice, 'posts/schema-post'), { createdAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(alice, 'posts/schema-post'), { userEmail: 'bob@example.com' }));
+        await assertFails(updateDoc(doc(alice, 'posts/schema-post'), { likes: 100 }));
+    });
+
+    await t.test('older posts can still be deleted and restored', async () => {
+        await assertSucceeds(updateDoc(doc(alice, 'posts/schema-long'), { deletedAt: serverTimestamp() }));
+        await assertSucceeds(updateDoc(doc(alice, 'posts/schema-long'), { deletedAt: null }));
+        await assertFails(updateDoc(doc(alice, 'posts/schema-long'), { deletedAt: longAgo }));
+    });
+
+    await t.test('category times are the server\'s', async () => {
+        const create = (id, fields) => createCategory(testEnv, alice, 'alice', id, {
+            name: 'Soul', slug: 'soul', createdBy: 'alice', createdAt: serverTimestamp(), updatedAt: serverTimestamp(), ...fields
+        });
+
+        await assertFails(create('soul', { createdAt: longAgo }));
+        await assertFails(create('soul', { updatedAt: longAgo }));
+        await assertFails(create('soul', { description: 42 }));
+        await assertSucceeds(create('soul', {}));
+
+        await assertSucceeds(updateDoc(doc(alice, 'categories/blues'), { archived: true, updatedAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(alice, 'categories/blues'), { updatedAt: longAgo }));
+        await assertFails(updateDoc(doc(alice, 'categories/blues'), { createdAt: serverTimestamp() }));
+        await assertFails(updateDoc(doc(alice, 'categories/blues'), { previousName: 42 }));
+    });
+});
+
+test('posts, replies and categories are rate limited', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, getDoc, setDoc, deleteDoc, writeBatch, increment, serverTimestamp, Timestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    const erin = testEnv.authenticatedContext('erin', { email: 'erin@example.com' }).firestore();
+    const frank = testEnv.authenticatedContext('frank').firestore();
+    const ago = (seconds) => Timestamp.fromMillis(Date.now() - seconds * 1000);
+    const seed = (entries) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), 'rateLimits/erin'), entries));
+
+    // A post and its step in erin's rateLimits document, as createPost writes them
+    const post = (id, content, step = { count: 1, windowStart: serverTimestamp(), recentContent: [content.toLowerCase()] }) => {
+        const batch = writeBatch(erin);
+        batch.set(doc(erin, `posts/${id}`), {
+            content, hashtags: [], attachments: [], mentions: [], category: 'General',
+            userId: 'erin', createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+        });
+        batch.set(doc(erin, 'rateLimits/erin'), {
+            post: { lastAt: serverTimestamp(), lastId: id, ...step }
+        }, { merge: true });
+        return batch.commit();
+    };
+    // A reply to erin's own post, as createReply writes it
+    const reply = (id, step = { count: 1, windowStart: serverTimestamp() }) => {
+        const batch = writeBatch(erin);
+        batch.set(doc(erin, `posts/erin-post/replies/${id}`), {
+            content: 'Hi', parentId: 'erin-post', rootId: 'erin-post', userId: 'erin',
+            createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+        });
+        batch.update(doc(erin, 'posts/erin-post'), { replyCount: increment(1), countedReplyId: id });
+        batch.set(doc(erin, 'rateLimits/erin'), {
+            reply: { lastAt: serverTimestamp(), lastId: id, lastPostId: 'erin-post', ...step }
+        }, { merge: true });
+        return batch.commit();
+    };
+    const category = (id, step = { count: 1, windowStart: serverTimestamp() }) => {
+        const batch = writeBatch(erin);
+        batch.set(doc(erin, `categories/${id}`), {
+            name: id, slug: id, createdBy: 'erin', createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+        });
+        batch.set(doc(erin, `categorySlugs/${id}`), { categoryId: id });
+        batch.set(doc(erin, 'rateLimits/erin'), {
+            category: { lastAt: serverTimestamp(), lastId: id, ...step }
+        }, { merge: true });
+        return batch.commit();
+    };
+
+    await t.test('every new post is counted in the same write', async () => {
+        await assertFails(setDoc(doc(erin, 'posts/uncounted'), {
+            content: 'Hello', category: 'General', userId: 'erin',
+            createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+        }));
+        await assertSucceeds(post('rate-1', 'Hello'));
+        await assertFails(setDoc(doc(erin, 'rateLimits/erin'), {
+            post: { count: 1, windowStart: serverTimestamp(), lastAt: serverTimestamp(), lastId: 'nothing', recentContent: [''] }
+        }));
+    });
+
+    await t.test('posting again waits out the cooldown', async () => {
+        await assertFails(post('rate-2', 'Too soon', { count: 2, recentContent: ['hello', 'too soon'] }));
+
+        await seed({ post: { count: 1, windowStart: ago(60), lastAt: ago(60), lastId: 'rate-1', recentContent: ['hello'] } });
+        await assertFails(post('rate-3', 'Skipping ahead', { count: 3, recentContent: ['hello', 'skipping ahead'] }));
+        await assertFails(post('rate-3', 'A new window', { count: 1, windowStart: serverTimestamp(), recentContent: ['a new window'] }));
+        await assertSucceeds(post('rate-3', 'Hello again', { count: 2, recentContent: ['hello', 'hello again'] }));
+    });
+
+    await t.test('the same text can\'t be posted twice in an hour', async () => {
+        await seed({ post: { count: 2, windowStart: ago(60), lastAt: ago(30), lastId: 'rate-3', recentContent: ['hello', 'hello again'] } });
+        await assertFails(post('rate-4', 'HELLO AGAIN', { count: 3, recentContent: ['hello', 'hello again', 'hello again'] }));
+        await assertFails(post('rate-4', 'Hello', { count: 3, recentContent: ['hello', 'hello again', 'hello'] }));
+        await assertFails(post('rate-4', 'Something else', { count: 3, recentContent: ['something else'] }));
+        await assertFails(post('rate-4', 'Something else', { count: 3, recentContent: ['hello', 'hello again', 'Something else'] }));
+        await assertSucceeds(post('rate-4', 'Something else', { count: 3, recentContent: ['hello', 'hello again', 'something else'] }));
+    });
+
+    await t.test('an hour holds at most thirty posts', async () => {
+        await seed({ post: { count: 30, windowStart: ago(600), lastAt: ago(60), lastId: 'rate-4', recentContent: ['something else'] } });
+        await assertFails(post('rate-5', 'One too many', { count: 31, recentContent: ['something else', 'one too many'] }));
+
+        // A new hour forgets the texts posted in the last one
+        await seed({ post: { count: 30, windowStart: ago(3700), lastAt: ago(60), lastId: 'rate-4', recentContent: ['something else'] } });
+        await assertSucceeds(post('rate-5', 'Something else', { count: 1, windowStart: serverTimestamp(), recentContent: ['something else'] }));
+    });
+
+    await t.test('a deleted post can\'t be created again under its old count', async () => {
+        await deleteDoc(doc(erin, 'posts/rate-5'));
+        await assertFails(setDoc(doc(erin, 'posts/rate-5'), {
+            content: 'A new hour', hashtags: [], attachments: [], mentions: [], category: 'General',
+            userId: 'erin', createdAt: serverTimestamp(), updatedAt: serverTimestamp()
+        }));
+    });
+
+    await t.test('replies wait five seconds, and an hour holds at most sixty', async () => {
+        await testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), 'posts/erin-post'), {
+            userId: 'erin', content: 'Hello', category: 'General', replyCount: 0
+        }));
+        await assertFails(reply('rate-r1', { count: 1, windowStart: serverTimestamp(), lastId: 'made-up' }));
+        await assertSucceeds(reply('rate-r1'));
+        await assertFails(reply('rate-r2', { count: 2 }));
+
+        await seed({ reply: { count: 60, windowStart: ago(600), lastAt: ago(60), lastId: 'rate-r1', lastPostId: 'erin-post' } });
+        await assertFails(reply('rate-r2', { count: 61 }));
+
+        await seed({ reply: { count: 60, windowStart: ago(3700), lastAt: ago(60), lastId: 'rate-r1', lastPostId: 'erin-post' } });
+        await assertFails(reply('rate-r2', { count: 1, windowStart: serverTimestamp(), lastPostId: 'rate-1' }));
+        await assertSucceeds(reply('rate-r2', { count: 1, windowStart: serverTimestamp() }));
+    });
+
+    await t.test('categories wait a minute, and a day holds at most five', async () => {
+        await assertSucceeds(category('rate-a'));
+        await assertFails(category('rate-b', { count: 2 }));
+
+        await seed({ category: { count: 5, windowStart: ago(3600), lastAt: ago(3600), lastId: 'rate-a' } });
+        await assertFails(category('rate-b', { count: 6 }));
+
+        await seed({ category: { count: 5, windowStart: ago(90000), lastAt: ago(3600), lastId: 'rate-a' } });
+        await assertSucceeds(category('rate-b', { count: 1, windowStart: serverTimestamp() }));
+    });
+
+    await t.test('the counts are the user\'s own', async () => {
+        await assertSucceeds(getDoc(doc(erin, 'rateLimits/erin')));
+        await assertFails(getDoc(doc(frank, 'rateLimits/erin')));
+        await assertFails(deleteDoc(doc(erin, 'rateLimits/erin')));
+    });
+});
+
+test('ended sessions can\'t read or write', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, getDoc, setDoc, Timestamp } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    // auth_time is in seconds
+    const now = Math.floor(Date.now() / 1000);
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'posts/p1'), { userId: 'bob', content: 'Hello', category: 'General' });
+        await setDoc(doc(db, 'users/gina'), { sessionsRevokedAt: Timestamp.fromMillis((now - 60) * 1000) });
+    });
+
+    const signedIn = (uid, authTime) => testEnv.authenticatedContext(uid, { auth_time: authTime }).firestore();
+
+    await t.test('a sign-in lasts seven days', async () => {
+        await assertSucceeds(getDoc(doc(signedIn('frank', now - 6 * 24 * 60 * 60), 'posts/p1')));
+        const expired = signedIn('frank', now - 8 * 24 * 60 * 60);
+        await assertFails(getDoc(doc(expired, 'posts/p1')));
+        await assertFails(setDoc(doc(expired, 'users/frank'), { email: 'frank@example.com' }));
+    });
+
+    await t.test('signing out every device ends the sessions from before', async () => {
+        const revoked = signedIn('gina', now - 3600);
+        await assertFails(getDoc(doc(revoked, 'posts/p1')));
+        await assertFails(setDoc(doc(revoked, 'users/gina'), { email: 'gina@example.com' }));
+        await assertSucceeds(getDoc(doc(revoked, 'users/gina')));
+
+        await assertSucceeds(getDoc(doc(signedIn('gina', now), 'posts/p1')));
+    });
+});
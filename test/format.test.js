@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    parseInlineContent,
+    parsePostContent,
+    extractHashtags,
+    extractMentions,
+    normalizeHashtag,
+    MAX_HASHTAGS
+} = require('../format');
+
+const text = (value) => ({ type: 'text', text: value });
+
+test('inline formatting nests and leaves the rest as text', () => {
+    assert.deepStrictEqual(parseInlineContent('a **bold *and italic*** b `co*de*` c'), [
+        text('a '),
+        { type: 'bold', children: [text('bold '), { type: 'italic', children: [text('and italic')] }] },
+        text(' b '),
+        { type: 'code', text: 'co*de*' },
+        text(' c')
+    ]);
+});
+
+test('markers inside words, or without a partner, are text', () => {
+    ['snake_case_name', '2*3*4', 'a * b * c', '**unclosed', 'a ** b'].forEach(value => {
+        assert.deepStrictEqual(parseInlineContent(value), [text(value)], value);
+    });
+    assert.deepStrictEqual(parseInlineContent('_it_'), [{ type: 'italic', children: [text('it')] }]);
+});
+
+test('links keep their URL and drop trailing punctuation', () => {
+    assert.deepStrictEqual(parseInlineContent('see https://example.com/a_b_c?x=1.'), [
+        text('see '),
+        { type: 'link', url: 'https://example.com/a_b_c?x=1' },
+        text('.')
+    ]);
+    assert.deepStrictEqual(parseInlineContent('javascript:alert(1)'), [text('javascript:alert(1)')]);
+});
+
+test('mentions, but not emails or remote accounts', () => {
+    assert.deepStrictEqual(parseInlineContent('hi @Alice_1!'), [
+        text('hi '),
+        { type: 'mention', handle: 'alice_1', text: '@Alice_1' },
+        text('!')
+    ]);
+    ['me@example.com', '@bob@mastodon.social', '@ab', `@${'a'.repeat(21)}`].forEach(value => {
+        assert.deepStrictEqual(parseInlineContent(value), [text(value)], value);
+    });
+});
+
+test('hashtags need a letter and are normalized', () => {
+    assert.deepStrictEqual(parseInlineContent('#Café and #1 and #2024_Goals'), [
+        { type: 'hashtag', tag: 'café', text: '#Café' },
+        text(' and #1 and '),
+        { type: 'hashtag', tag: '2024_goals', text: '#2024_Goals' }
+    ]);
+    assert.deepStrictEqual(parseInlineContent('https://example.com/#top'), [{ type: 'link', url: 'https://example.com/#top' }]);
+    assert.deepStrictEqual(parseInlineContent(`#${'a'.repeat(51)}`), [text(`#${'a'.repeat(51)}`)]);
+    assert.strictEqual(normalizeHashtag('#ÉTÉ'), 'été');
+});
+
+test('blocks: paragraphs, quotes and code blocks', () => {
+    const blocks = parsePostContent('intro\nline two\n> quoted *text*\n>more\n```js\nconst a = **b**;\n<script>\n```\nafter');
+    assert.deepStrictEqual(blocks, [
+        { type: 'paragraph', children: [text('intro\nline two')] },
+        { type: 'quote', children: [text('quoted '), { type: 'italic', children: [text('text')] }, text('\nmore')] },
+        { type: 'codeblock', text: 'const a = **b**;\n<script>' },
+        { type: 'paragraph', children: [text('after')] }
+    ]);
+
+    assert.deepStrictEqual(parsePostContent('```one line```'), [{ type: 'codeblock', text: 'one line' }]);
+    assert.deepStrictEqual(parsePostContent('```\nnever closed'), [{ type: 'codeblock', text: 'never closed' }]);
+});
+
+test('the parser only ever returns known node types holding plain strings', () => {
+    const types = ['paragraph', 'quote', 'codeblock', 'text', 'code', 'link', 'bold', 'italic', 'mention', 'hashtag'];
+    const check = (node) => {
+        assert.ok(types.includes(node.type), node.type);
+        Object.entries(node).forEach(([key, value]) => {
+            if (key === 'children') value.forEach(check);
+            else assert.strictEqual(typeof value, 'string');
+        });
+    };
+
+    const blocks = parsePostContent('<b>**<i>x</i>**</b> `<script>`\n> <svg onload=x>\n```\n<iframe>');
+    blocks.forEach(check);
+    assert.deepStrictEqual(blocks[0].children[1], { type: 'bold', children: [text('<i>x</i>')] });
+});
+
+test('hashtags and mentions are extracted once each, outside code', () => {
+    const content = '#One #one @Bob @bob `#code @code`\n```\n#block @block\n```\n> #quoted @quoted';
+    assert.deepStrictEqual(extractHashtags(content), ['one', 'quoted']);
+    assert.deepStrictEqual(extractMentions(content), ['bob', 'quoted']);
+
+    const many = Array.from({ length: 15 }, (_, i) => `#tag${i}`).join(' ');
+    assert.strictEqual(extractHashtags(many).length, MAX_HASHTAGS);
+    assert.deepStrictEqual(extractHashtags(''), []);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { html, escapeHtml, safeUrl, SafeHtml } = require('../html');
+
+test('escapeHtml covers markup and both kinds of quotes', () => {
+    assert.strictEqual(
+        escapeHtml(`<a href="x" title='y'>&\`</a>`),
+        '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&#96;&lt;/a&gt;'
+    );
+    assert.strictEqual(escapeHtml(42), '42');
+});
+
+test('html escapes interpolated values but not the template itself', () => {
+    const result = html`<p class="${'a" onclick="x'}">${'<b>bold</b>'}</p>`;
+
+    assert.ok(result instanceof SafeHtml);
+    assert.strictEqual(String(result), '<p class="a&quot; onclick=&quot;x">&lt;b&gt;bold&lt;/b&gt;</p>');
+});
+
+test('nested html results are kept as markup', () => {
+    const inner = html`<em>${'<i>'}</em>`;
+    assert.strictEqual(String(html`<p>${inner}</p>`), '<p><em>&lt;i&gt;</em></p>');
+});
+
+test('arrays render item by item, and empty values render as nothing', () => {
+    const items = ['<a>', html`<b>ok</b>`, ['<c>']];
+    assert.strictEqual(String(html`${items}`), '&lt;a&gt;<b>ok</b>&lt;c&gt;');
+    assert.strictEqual(String(html`${null}${undefined}${false}${0}`), '0');
+});
+
+test('plain strings that look like markup are still escaped', () => {
+    // Only html`` results are trusted, not strings built some other way
+    assert.strictEqual(String(html`${'<b>' + html`<i></i>`}`), '&lt;b&gt;&lt;i&gt;&lt;/i&gt;');
+});
+
+test('safeUrl keeps http(s) links only', () => {
+    assert.strictEqual(safeUrl('https://example.com/a b'), 'https://example.com/a%20b');
+    assert.strictEqual(safeUrl('http://example.com/'), 'http://example.com/');
+    assert.strictEqual(safeUrl('http://example.com/', { httpsOnly: true }), null);
+    ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html,<p>', '/relative', '', null, 42]
+        .forEach(value => assert.strictEqual(safeUrl(value), null, String(value)));
+});
@@ -0,0 +1,293 @@
+// Loads the app's scripts into a jsdom window the way index.html does, with a stub in place
+// of FirebaseAuthManager so the renderer can be driven without Firebase.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+function timestamp(date = new Date()) {
+    return { toDate: () => date, toMillis: () => date.getTime() };
+}
+
+// Everything the dashboard asks of the auth manager, answered from plain data
+function createStubAuthManager({
+    user,
+    posts = [],
+    categories = [],
+    profiles = {},
+    previews = {},
+    thread = null,
+    revisions = [],
+    reactions = [],
+    bookmarks = [],
+    conversations = [],
+    messages = {},
+    typing = {},
+    notifications = [],
+    mutedNotifications = [],
+    memberships = {},
+    members = {},
+    pinnedPosts = [],
+    postBodies = {},
+    searchResults = { posts: [], users: [] },
+    outbox = [],
+    pendingIds = [],
+    online = true,
+    following = [],
+    linkedProviders = ['password'],
+    accountError = null
+} = {}) {
+    const currentUser = {
+        uid: 'user-1',
+        email: 'reader@example.com',
+        emailVerified: true,
+        metadata: { lastSignInTime: null },
+        ...user
+    };
+    const unsubscribe = () => {};
+    // What the renderer asked to write, for tests to check
+    const calls = {
+        sentMessages: [],
+        markedRead: [],
+        typing: [],
+        startedConversations: [],
+        readNotifications: [],
+        categoryChanges: [],
+        memberChanges: [],
+        moderation: [],
+        searches: [],
+        outbox: [],
+        account: []
+    };
+    let muted = mutedNotifications;
+    let outboxListener = null;
+    let followingListener = null;
+
+    return {
+        getCurrentUser: () => currentUser,
+        getIdleTimeoutMinutes: () => 30,
+        purgeExpiredDeletions: () => {},
+        subscribeToPosts: (callback) => {
+            callback(posts, { lastVisible: null, hasMore: false, pendingIds });
+            return unsubscribe;
+        },
+        subscribeToFollowing: (callback) => {
+            followingListener = callback;
+            callback(following);
+            return unsubscribe;
+        },
+        // Tests follow and unfollow the way another tab would
+        emitFollowing: (followeeIds) => {
+            if (followingListener) followingListener(followeeIds);
+        },
+        subscribeToFollowingPosts: (followeeIds, callback) => {
+            callback(posts.filter(post => followeeIds.includes(post.userId)), { lastVisible: null, hasMore: false });
+            return unsubscribe;
+        },
+        subscribeToOwnReactions: (callback) => {
+            callback(new Set(reactions));
+            return unsubscribe;
+        },
+        subscribeToBookmarks: (callback) => {
+            callback(bookmarks);
+            return unsubscribe;
+        },
+        subscribeToBookmarkedPosts: (postIds, callback) => {
+            callback(postIds.map(id => posts.find(post => post.id === id)).filter(Boolean));
+            return unsubscribe;
+        },
+        subscribeToCategories: (callback) => {
+            callback(categories);
+            return unsubscribe;
+        },
+        createCategory: async (name, details) => {
+            calls.categoryChanges.push(['create', name, details]);
+        },
+        updateCategory: async (categoryId, changes) => {
+            calls.categoryChanges.push(['update', categoryId, changes]);
+        },
+        setCategoryOrder: async (categoryId, order) => {
+            calls.categoryChanges.push(['order', categoryId, order]);
+        },
+        setCategoryArchived: async (categoryId, archived) => {
+            calls.categoryChanges.push(['archive', categoryId, archived]);
+        },
+        mergeCategories: async (sourceId, targetId) => {
+            calls.categoryChanges.push(['merge', sourceId, targetId]);
+        },
+        setCategoryModerators: async (categoryId, userIds) => {
+            calls.categoryChanges.push(['moderators', categoryId, userIds]);
+        },
+        subscribeToMemberships: (callback) => {
+            callback(new Map(Object.entries(memberships)));
+            return unsubscribe;
+        },
+        subscribeToCategoryMembers: (categoryId, callback) => {
+            callback(members[categoryId] || []);
+            return unsubscribe;
+        },
+        inviteToCategory: async (categoryId, userId) => {
+            calls.memberChanges.push(['invite', categoryId, userId]);
+        },
+        acceptCategoryInvite: async (categoryId) => {
+            calls.memberChanges.push(['accept', categoryId]);
+        },
+        removeCategoryMember: async (categoryId, userId = null) => {
+            calls.memberChanges.push(['remove', categoryId, userId]);
+        },
+        subscribeToPinnedPosts: (categoryName, callback) => {
+            callback(pinnedPosts.filter(post => post.category === categoryName));
+            return unsubscribe;
+        },
+        getPostBody: async (postId) => postBodies[postId] || null,
+        setPostPinned: async (postId, pinned) => {
+            calls.moderation.push(['pin', postId, pinned]);
+        },
+        setPostHidden: async (postId, hidden) => {
+            calls.moderation.push(['hide', postId, hidden]);
+        },
+        removePost: async (postId) => {
+            calls.moderation.push(['remove', postId]);
+        },
+        subscribeToThread: (postId, callback) => {
+            callback(thread || { post: null, replies: [] });
+            return unsubscribe;
+        },
+        subscribeToUserPosts: (userId, callback) => {
+            callback(posts.filter(post => post.userId === userId));
+            return unsubscribe;
+        },
+        getPublicProfile: async (userId) => profiles[userId] || null,
+        getProfileByHandle: async (handle) => {
+            const userId = Object.keys(profiles).find(uid => profiles[uid].handle === handle);
+            return userId ? { id: userId, ...profiles[userId] } : null;
+        },
+        getFollowCounts: async () => ({ followers: 0, following: 0 }),
+        getLinkPreview: async (url) => previews[url] || null,
+        searchPosts: async (options) => {
+            calls.searches.push(options);
+            return searchResults;
+        },
+        getPostRevisions: async () => revisions,
+        subscribeToConversations: (callback) => {
+            callback(conversations);
+            return unsubscribe;
+        },
+        getUnreadMessageCount: async (conversation) => (messages[conversation.id] || [])
+            .filter(message => message.senderId !== currentUser.uid).length,
+        subscribeToMessages: (conversationId, callback) => {
+            callback(messages[conversationId] || []);
+            return unsubscribe;
+        },
+        subscribeToTyping: (conversationId, callback) => {
+            callback(typing[conversationId] || []);
+            return unsubscribe;
+        },
+        startConversation: async (userIds) => {
+            calls.startedConversations.push(userIds);
+            return userIds.length === 1 ? `dm_${[currentUser.uid, userIds[0]].sort().join('_')}` : 'group-1';
+        },
+        sendMessage: async (conversationId, text) => {
+            calls.sentMessages.push({ conversationId, text });
+        },
+        markConversationRead: async (conversationId) => {
+            calls.markedRead.push(conversationId);
+        },
+        setTyping: async (conversationId, isTyping) => {
+            calls.typing.push({ conversationId, isTyping });
+        },
+        subscribeToNotifications: (callback) => {
+            callback(notifications);
+            return unsubscribe;
+        },
+        markNotificationRead: async (notificationId) => {
+            calls.readNotifications.push(notificationId);
+        },
+        markAllNotificationsRead: async () => {
+            calls.readNotifications.push('*');
+        },
+        isOnline: () => online,
+        // Tests change the connection and the outbox the way the real manager would
+        setOnline: (value) => {
+            online = value;
+        },
+        subscribeToOutbox: (callback) => {
+            outboxListener = callback;
+            callback(outbox);
+            return () => {
+                outboxListener = null;
+            };
+        },
+        emitOutbox: (entries) => {
+            if (outboxListener) outboxListener(entries);
+        },
+        retryOutboxEntry: async (id) => {
+            calls.outbox.push(['retry', id]);
+        },
+        dismissOutboxEntry: (id) => {
+            calls.outbox.push(['dismiss', id]);
+        },
+        clearSyncedOutbox: () => {
+            calls.outbox.push(['clear']);
+        },
+        getLinkedProviders: () => linkedProviders,
+        // Account changes fail with accountError when one is given
+        sendPasswordReset: async (email) => {
+            calls.account.push(['reset', email]);
+            if (accountError) throw new Error(accountError);
+        },
+        changePassword: async (currentPassword, newPassword) => {
+            calls.account.push(['password', currentPassword, newPassword]);
+            if (accountError) throw new Error(accountError);
+        },
+        changeEmail: async (currentPassword, newEmail) => {
+            calls.account.push(['email', currentPassword, newEmail]);
+            if (accountError) throw new Error(accountError);
+        },
+        getMutedNotificationTypes: () => muted,
+        updateNotificationMutes: async (types) => {
+            muted = types;
+        },
+        calls
+    };
+}
+
+function loadApp() {
+    const dom = new JSDOM('<!DOCTYPE html><body><div id="app-container"></div></body>', {
+        runScripts: 'dangerously',
+        url: 'https://ssaavvee.example/'
+    });
+    const { window } = dom;
+
+    ['html.js', 'format.js', 'attachments.js', 'categories.js', 'schema.js', 'search.js', 'feed.js', 'auth.js'].forEach(file => {
+        const script = window.document.createElement('script');
+        script.textContent = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        window.document.body.appendChild(script);
+    });
+
+    return window;
+}
+
+// Render the dashboard for the given data and wait for profiles and previews to load
+async function renderDashboard(data) {
+    const window = loadApp();
+    const PageRenderer = window.eval('PageRenderer');
+    const renderer = new PageRenderer(createStubAuthManager(data));
+
+    renderer.renderDashboard();
+    await settle();
+
+    return { window, document: window.document, renderer };
+}
+
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
+
+module.exports = {
+    timestamp,
+    createStubAuthManager,
+    loadApp,
+    renderDashboard,
+    settle
+};
@@ -0,0 +1,154 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderDashboard, settle, timestamp } = require('./load-app');
+
+const minutesAgo = (minutes) => timestamp(new Date(Date.now() - minutes * 60000));
+
+const profiles = {
+    'user-2': { handle: 'alice', displayName: 'Alice' },
+    'user-3': { handle: 'bob', displayName: '' }
+};
+
+function conversation(id, participantIds, fields = {}) {
+    return { id, participantIds, readAt: { 'user-1': minutesAgo(30) }, updatedAt: minutesAgo(1), ...fields };
+}
+
+function message(id, senderId, text, minutes) {
+    return { id, senderId, text, createdAt: minutesAgo(minutes) };
+}
+
+test('the inbox lists conversations with unread counts', async () => {
+    const { document } = await renderDashboard({
+        profiles,
+        conversations: [
+            conversation('dm_user-1_user-2', ['user-1', 'user-2'], {
+                lastMessage: { id: 'm2', senderId: 'user-2', text: 'Are you there?', createdAt: minutesAgo(1) }
+            }),
+            conversation('group-1', ['user-1', 'user-2', 'user-3'], {
+                lastMessage: { id: 'm3', senderId: 'user-1', text: 'See you all', createdAt: minutesAgo(2) }
+            })
+        ],
+        messages: {
+            'dm_user-1_user-2': [message('m1', 'user-2', 'Hi', 3), message('m2', 'user-2', 'Are you there?', 1)]
+        }
+    });
+
+    const buttons = Array.from(document.querySelectorAll('#conversations-list [data-conversation-id]'));
+    assert.deepStrictEqual(buttons.map(btn => btn.querySelector('.truncate').textContent), ['Alice', 'Alice, @bob']);
+    assert.ok(buttons[0].textContent.includes('Are you there?'));
+
+    // Only the conversation with someone else's new messages is unread
+    assert.strictEqual(buttons[0].querySelector('[data-unread-count]').textContent, '2');
+    assert.strictEqual(buttons[1].querySelector('[data-unread-count]'), null);
+    assert.strictEqual(document.getElementById('messages-unread').textContent, '2');
+});
+
+test('opening a conversation shows its messages, marks it read and shows receipts', async () => {
+    const conversationId = 'group-1';
+    const { document, renderer } = await renderDashboard({
+        profiles,
+        conversations: [
+            conversation(conversationId, ['user-1', 'user-2', 'user-3'], {
+                lastMessage: { id: 'm3', senderId: 'user-3', text: 'Yes', createdAt: minutesAgo(1) },
+                readAt: { 'user-1': minutesAgo(10), 'user-2': minutesAgo(2), 'user-3': minutesAgo(1) }
+            })
+        ],
+        messages: {
+            [conversationId]: [
+                message('m1', 'user-1', 'Lunch **today**?', 5),
+                message('m2', 'user-1', 'At noon', 4),
+                message('m3', 'user-3', 'Yes', 1)
+            ]
+        },
+        typing: {
+            [conversationId]: [{ userId: 'user-2', at: timestamp() }, { userId: 'user-3', at: minutesAgo(1) }]
+        }
+    });
+
+    document.querySelector(`[data-conversation-id="${conversationId}"]`).click();
+    await settle();
+
+    const messages = document.querySelectorAll('#messages-container [data-message-id]');
+    assert.strictEqual(messages.length, 3);
+    assert.strictEqual(messages[0].querySelector('strong').textContent, 'today');
+    assert.ok(messages[2].textContent.includes('@bob'));
+    assert.strictEqual(document.getElementById('conversation-title').textContent, 'Alice, @bob');
+
+    // The receipt sits under the user's latest message only
+    const receipts = document.querySelectorAll('[data-read-receipt]');
+    assert.strictEqual(receipts.length, 1);
+    assert.strictEqual(receipts[0].closest('[data-message-id]').getAttribute('data-message-id'), 'm2');
+    assert.strictEqual(receipts[0].textContent, 'Seen by Alice, @bob');
+
+    // Stale typing documents are ignored
+    assert.strictEqual(document.getElementById('typing-indicator').textContent, 'Alice is typing…');
+
+    assert.deepStrictEqual(renderer.authManager.calls.markedRead, [conversationId]);
+    assert.ok(document.querySelector(`[data-conversation-id="${conversationId}"]`).classList.contains('bg-custom-blue'));
+
+    renderer.closeDetails();
+    assert.strictEqual(renderer.currentConversationId, null);
+});
+
+test('typing and sending a message', async () => {
+    const conversationId = 'dm_user-1_user-2';
+    const { window, document, renderer } = await renderDashboard({
+        profiles,
+        conversations: [conversation(conversationId, ['user-1', 'user-2'])]
+    });
+    const { calls } = renderer.authManager;
+
+    renderer.openConversation(conversationId);
+    assert.ok(document.getElementById('messages-container').textContent.includes('No messages yet'));
+
+    const input = document.getElementById('message-content');
+    input.value = 'Hello there';
+    input.dispatchEvent(new window.Event('input'));
+    input.dispatchEvent(new window.Event('input'));
+    assert.deepStrictEqual(calls.typing, [{ conversationId, isTyping: true }]);
+
+    input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter' }));
+    await settle();
+
+    assert.deepStrictEqual(calls.sentMessages, [{ conversationId, text: 'Hello there' }]);
+    assert.strictEqual(input.value, '');
+
+    // Sending already cleared the typing indicator, so leaving doesn't write it again
+    renderer.closeDetails();
+    assert.strictEqual(calls.typing.length, 1);
+});
+
+test('a new message is addressed by handle', async () => {
+    const { document, renderer } = await renderDashboard({ profiles });
+    const { calls } = renderer.authManager;
+
+    document.getElementById('new-message-btn').click();
+    const input = document.getElementById('conversation-handles');
+    const form = document.getElementById('new-conversation-form');
+
+    input.value = '@alice, @nobody';
+    form.requestSubmit();
+    await settle();
+    assert.strictEqual(document.getElementById('new-conversation-error').textContent, 'No one has the handle @nobody');
+    assert.strictEqual(calls.startedConversations.length, 0);
+
+    input.value = '@Alice @bob';
+    form.requestSubmit();
+    await settle();
+    // The ids come from the page's realm, so compare them as JSON
+    assert.strictEqual(JSON.stringify(calls.startedConversations), JSON.stringify([['user-2', 'user-3']]));
+    assert.strictEqual(renderer.currentConversationId, 'group-1');
+    assert.ok(document.getElementById('message-form'));
+});
+
+test('profiles have a Message button', async () => {
+    const { document, renderer } = await renderDashboard({ profiles });
+
+    renderer.openProfile('user-2');
+    await settle();
+    document.querySelector('[data-message-user]').click();
+    await settle();
+
+    assert.strictEqual(JSON.stringify(renderer.authManager.calls.startedConversations), JSON.stringify([['user-2']]));
+    assert.strictEqual(renderer.currentConversationId, 'dm_user-1_user-2');
+});
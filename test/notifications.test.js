@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderDashboard, settle, timestamp } = require('./load-app');
+
+const profiles = {
+    'user-2': { handle: 'alice', displayName: 'Alice' },
+    'user-3': { handle: 'bob', displayName: '' }
+};
+
+const notifications = [
+    { id: 'n1', type: 'reply', actorId: 'user-2', postId: 'p1', replyId: 'r1', read: false, createdAt: timestamp() },
+    { id: 'n2', type: 'reaction', actorId: 'user-3', postId: 'p1', reaction: 'celebrate', read: false, createdAt: timestamp() },
+    { id: 'n3', type: 'follow', actorId: 'user-3', read: true, createdAt: timestamp() },
+    { id: 'n4', type: 'mention', actorId: 'user-2', postId: 'p1', read: false, createdAt: timestamp() },
+    { id: 'n5', type: 'unknown', actorId: 'user-2', read: false, createdAt: timestamp() }
+];
+
+const post = { id: 'p1', userId: 'user-1', content: 'Hello', category: 'General', createdAt: timestamp() };
+const thread = {
+    post,
+    replies: [{ id: 'r1', parentId: 'p1', userId: 'user-2', content: 'Hi!', createdAt: timestamp() }]
+};
+
+test('the bell counts unread notifications of known, unmuted types', async () => {
+    const { document } = await renderDashboard({ profiles, notifications, mutedNotifications: ['mention'] });
+
+    const badge = document.getElementById('notifications-unread');
+    assert.strictEqual(badge.textContent, '2');
+    assert.strictEqual(document.getElementById('notifications-btn').getAttribute('aria-label'), 'Notifications, 2 unread');
+});
+
+test('the notification list describes each one and hides muted types', async () => {
+    const { document } = await renderDashboard({ profiles, notifications, mutedNotifications: ['mention'] });
+
+    document.getElementById('notifications-btn').click();
+    await settle();
+
+    const items = Array.from(document.querySelectorAll('[data-notification-id]'));
+    assert.deepStrictEqual(items.map(item => item.getAttribute('data-notification-id')), ['n1', 'n2', 'n3']);
+    assert.deepStrictEqual(items.map(item => item.getAttribute('data-unread')), ['true', 'true', 'false']);
+    assert.match(items[0].textContent, /Alice\s+replied to you/);
+    assert.match(items[1].textContent, /@bob\s+reacted 🎉 to your post/);
+    assert.match(items[2].textContent, /@bob\s+started following you/);
+
+    const checkboxes = Array.from(document.querySelectorAll('[data-notification-type]'));
+    assert.deepStrictEqual(checkboxes.filter(box => !box.checked).map(box => box.getAttribute('data-notification-type')), ['mention']);
+});
+
+test('muting and unmuting a type updates the list and the badge', async () => {
+    const { window, document } = await renderDashboard({ profiles, notifications });
+
+    document.getElementById('notifications-btn').click();
+    assert.strictEqual(document.getElementById('notifications-unread').textContent, '3');
+
+    const reactions = document.querySelector('[data-notification-type="reaction"]');
+    reactions.checked = false;
+    reactions.dispatchEvent(new window.Event('change', { bubbles: true }));
+    await settle();
+
+    assert.strictEqual(document.getElementById('notifications-unread').textContent, '2');
+    assert.strictEqual(document.querySelector('[data-notification-id="n2"]'), null);
+});
+
+test('opening a notification marks it read and deep-links to the reply or profile', async () => {
+    const { document, renderer } = await renderDashboard({ profiles, notifications, thread, posts: [post] });
+    const { calls } = renderer.authManager;
+
+    document.getElementById('notifications-btn').click();
+    document.querySelector('[data-notification-id="n1"]').click();
+    await settle();
+
+    assert.deepStrictEqual(calls.readNotifications, ['n1']);
+    assert.strictEqual(renderer.selectedPostId, 'p1');
+    assert.strictEqual(renderer.replyTarget, 'r1');
+    assert.ok(document.querySelector('[data-reply-id="r1"]').classList.contains('border-custom-black'));
+
+    // Already read: just the profile
+    renderer.openNotifications();
+    document.querySelector('[data-notification-id="n3"]').click();
+    await settle();
+
+    assert.deepStrictEqual(calls.readNotifications, ['n1']);
+    assert.strictEqual(renderer.currentProfileId, 'user-3');
+
+    renderer.openNotifications();
+    document.getElementById('mark-all-read-btn').click();
+    await settle();
+    assert.deepStrictEqual(calls.readNotifications, ['n1', '*']);
+});
@@ -0,0 +1,198 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadApp, renderDashboard, settle, timestamp } = require('./load-app');
+
+const posts = [
+    { id: 'p1', userId: 'user-1', content: 'Written on the train', category: 'General', createdAt: null },
+    { id: 'p2', userId: 'user-1', content: 'Sent from a reload', category: 'General', createdAt: timestamp() },
+    { id: 'p3', userId: 'user-2', content: 'Already on the server', category: 'General', createdAt: timestamp() }
+];
+
+const failedPost = { id: 'p4', userId: 'user-1', content: 'Refused', category: 'General', createdAt: null };
+
+function getBadge(document, postId) {
+    const badge = document.querySelector(`#posts-container [data-post-id="${postId}"] [data-sync-badge]`);
+    return badge ? badge.getAttribute('data-sync-badge') : null;
+}
+
+test('cards show whether a post is pending, synced or failed', async () => {
+    const { document } = await renderDashboard({
+        posts,
+        pendingIds: ['p2'],
+        outbox: [
+            { id: 'p1', kind: 'post', post: posts[0], status: 'synced', error: null },
+            { id: 'p4', kind: 'post', post: failedPost, status: 'failed', error: 'Failed to create post' }
+        ]
+    });
+
+    assert.strictEqual(getBadge(document, 'p1'), 'synced');
+    assert.strictEqual(getBadge(document, 'p2'), 'pending');
+    assert.strictEqual(getBadge(document, 'p3'), null);
+
+    const failed = document.querySelector('#posts-container [data-post-id="p4"]');
+    assert.strictEqual(failed.getAttribute('data-sync-status'), 'failed');
+    assert.ok(failed.textContent.includes('Refused'));
+});
+
+test('a failed post can be retried or discarded but not opened', async () => {
+    const { document, renderer } = await renderDashboard({
+        outbox: [{ id: 'p4', kind: 'post', post: failedPost, status: 'failed', error: 'Failed to create post' }]
+    });
+    const opened = [];
+    renderer.openThread = (postId) => opened.push(postId);
+
+    const card = document.querySelector('#posts-container [data-post-id="p4"]');
+    card.querySelector('.whitespace-pre-wrap').click();
+    card.querySelector('[data-post-action="retry-sync"]').click();
+    card.querySelector('[data-post-action="discard-sync"]').click();
+    await settle();
+
+    assert.deepStrictEqual(opened, []);
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(renderer.authManager.calls.outbox)), [['retry', 'p4'], ['dismiss', 'p4']]);
+});
+
+test('the outbox lists queued posts and categories', async () => {
+    const { document, renderer } = await renderDashboard({});
+    const outbox = document.getElementById('outbox');
+    assert.ok(outbox.classList.contains('hidden'));
+
+    renderer.authManager.emitOutbox([
+        { id: 'p1', kind: 'post', post: posts[0], status: 'pending', error: null },
+        { id: 'c1', kind: 'category', name: 'Trains', status: 'failed', error: 'Failed to create category' }
+    ]);
+
+    assert.ok(!outbox.classList.contains('hidden'));
+    const entries = Array.from(document.querySelectorAll('[data-outbox-id]'));
+    assert.deepStrictEqual(entries.map(entry => entry.getAttribute('data-sync-status')), ['pending', 'failed']);
+    assert.ok(entries[0].textContent.includes('Written on the train'));
+    assert.ok(entries[1].textContent.includes('Category: Trains'));
+    assert.ok(entries[1].textContent.includes('Failed to create category'));
+    assert.strictEqual(entries[0].querySelector('[data-outbox-action]'), null);
+
+    entries[1].querySelector('[data-outbox-action="retry"]').click();
+    document.getElementById('outbox-clear-btn').click();
+    await settle();
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(renderer.authManager.calls.outbox)), [['retry', 'c1'], ['clear']]);
+});
+
+test('the sidebar shows the connection and what is waiting for it', async () => {
+    const { window, document, renderer } = await renderDashboard({
+        outbox: [{ id: 'p1', kind: 'post', post: posts[0], status: 'pending', error: null }]
+    });
+    const status = document.getElementById('connection-status');
+    assert.strictEqual(status.getAttribute('data-online'), 'true');
+    assert.match(status.textContent, /Online\s+1 waiting to sync/);
+
+    renderer.authManager.setOnline(false);
+    window.dispatchEvent(new window.Event('offline'));
+    assert.strictEqual(status.getAttribute('data-online'), 'false');
+    assert.match(status.textContent, /Offline/);
+
+    renderer.cleanup();
+    renderer.authManager.setOnline(true);
+    window.dispatchEvent(new window.Event('online'));
+    assert.strictEqual(status.getAttribute('data-online'), 'false');
+});
+
+test('queued writes move from pending to synced or failed', async () => {
+    const window = loadApp();
+    const FirebaseAuthManager = window.eval('FirebaseAuthManager');
+    const manager = new FirebaseAuthManager();
+    const seen = [];
+    manager.subscribeToOutbox(outbox => seen.push(outbox.map(entry => `${entry.id}:${entry.status}`).join(',')));
+
+    let accept;
+    let refuse;
+    manager.queueWrite({ id: 'p1', kind: 'post', post: {} }, new Promise(resolve => { accept = resolve; }));
+    manager.queueWrite({ id: 'c1', kind: 'category', name: 'Trains' }, new Promise((resolve, reject) => { refuse = reject; }));
+    accept();
+    refuse(Object.assign(new Error('denied'), { code: 'permission-denied' }));
+    await settle();
+
+    assert.deepStrictEqual(seen, ['', 'p1:pending', 'p1:pending,c1:pending', 'p1:synced,c1:pending', 'p1:synced,c1:failed']);
+    assert.strictEqual(manager.outbox.get('c1').error, 'Failed to create category');
+
+    manager.clearSyncedOutbox();
+    assert.strictEqual(JSON.stringify(manager.getOutbox().map(entry => entry.id)), '["c1"]');
+});
+
+test('offline posts after the first are held, then sent one at a time after the cooldown', async () => {
+    const window = loadApp();
+    const FirebaseAuthManager = window.eval('FirebaseAuthManager');
+    const manager = new FirebaseAuthManager();
+    manager.currentUser = { uid: 'user-1', email: 'reader@example.com' };
+    let online = false;
+    manager.isOnline = () => online;
+    const ids = ['p2', 'refused', 'p3'];
+    window.collection = () => ({});
+    window.doc = (db, ...path) => ({ id: path.length > 0 ? path[path.length - 1] : ids.shift() });
+
+    // The last post reached the server just under the cooldown before the connection returns
+    const cooldownEnd = Date.now() + 100;
+    manager.getRateLimit = async () => ({ lastAt: new Date(cooldownEnd - 15000) });
+    const written = [];
+    manager.writePost = async (postRef, content, category, attachments) => {
+        written.push({ id: postRef.id, content, category, attachments, at: Date.now() });
+        return { id: postRef.id, content };
+    };
+
+    let accept;
+    manager.queueWrite({ id: 'p1', kind: 'post', post: { content: 'First' } }, new Promise(resolve => { accept = resolve; }));
+    const held = await manager.createPost('Second #train', { id: 'c1', name: 'Trains' });
+    assert.strictEqual(held.queued, true);
+    assert.strictEqual(held.category, 'Trains');
+    assert.strictEqual(JSON.stringify(held.hashtags), '["train"]');
+    await assert.rejects(manager.createPost('SECOND #TRAIN'), { message: 'You already posted that in the last hour' });
+    await manager.createPost('Third');
+
+    const badges = () => manager.getOutbox().map(entry => `${entry.id}:${entry.status}${entry.held ? ':held' : ''}`).join(',');
+    assert.strictEqual(badges(), 'p1:pending,p2:pending:held,p3:pending:held');
+
+    online = true;
+    accept();
+    await new Promise(resolve => setTimeout(resolve, 250));
+
+    assert.deepStrictEqual(written.map(({ id, content }) => `${id}:${content}`), ['p2:Second #train', 'p3:Third']);
+    assert.strictEqual(written[0].category.name, 'Trains');
+    assert.ok(written[0].at >= cooldownEnd);
+    assert.strictEqual(badges(), 'p1:synced,p2:synced,p3:synced');
+});
+
+test('held posts are shown in the feed until they are sent', async () => {
+    const { document } = await renderDashboard({
+        outbox: [{ id: 'p5', kind: 'post', post: { ...failedPost, id: 'p5', content: 'Next in line' }, status: 'pending', held: true, error: null }]
+    });
+
+    const card = document.querySelector('#posts-container [data-post-id="p5"]');
+    assert.ok(card.hasAttribute('data-unsent'));
+    assert.strictEqual(getBadge(document, 'p5'), 'pending');
+    assert.ok(card.textContent.includes('Next in line'));
+    assert.strictEqual(card.querySelector('[data-post-action="retry-sync"]'), null);
+});
+
+test('retrying keeps the whole post, and the entry if it is refused again', async () => {
+    const window = loadApp();
+    const FirebaseAuthManager = window.eval('FirebaseAuthManager');
+    const manager = new FirebaseAuthManager();
+    const category = { id: 'c1', name: 'Trains', visibility: 'private' };
+    const attachments = [{ name: 'map.png' }];
+    manager.setOutboxEntry('p4', {
+        id: 'p4', kind: 'post', post: failedPost, category, attachments, status: 'failed', error: 'Failed to create post'
+    });
+
+    const calls = [];
+    let refusal = new Error('Please wait 5 seconds before posting again');
+    manager.createPost = async (...args) => {
+        calls.push(args);
+        if (refusal) throw refusal;
+        return { id: 'p6' };
+    };
+
+    await assert.rejects(manager.retryOutboxEntry('p4'), { message: 'Please wait 5 seconds before posting again' });
+    assert.strictEqual(manager.outbox.get('p4').error, 'Please wait 5 seconds before posting again');
+
+    refusal = null;
+    assert.strictEqual((await manager.retryOutboxEntry('p4')).id, 'p6');
+    assert.strictEqual(manager.outbox.has('p4'), false);
+    assert.deepStrictEqual(calls[1], ['Refused', category, attachments]);
+});
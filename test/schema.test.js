@@ -0,0 +1,221 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, renderDashboard, settle } = require('./load-app');
+
+// schema.js uses the limits from the scripts loaded before it, so it's tested in the page
+const window = loadApp();
+const schema = window.eval(`({
+    MAX_POST_LENGTH, POST_FIELDS, REPLY_FIELDS, CATEGORY_FIELDS, RATE_LIMITS,
+    validatePostContent, validatePostData, validateReplyContent, validateReplyData, validateCategoryData,
+    getCooldownEnd, checkRateLimit, getRecentContent, checkDuplicatePost
+})`);
+
+const rules = fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8');
+
+// The field list a rules function passes to hasOnly()
+function getRulesFields(functionName) {
+    const body = rules.slice(rules.indexOf(`function ${functionName}(`));
+    const list = body.match(/keys\(\)\.hasOnly\(\[([^\]]*)\]\)/)[1];
+    return Array.from(list.matchAll(/'([^']+)'/g), match => match[1]);
+}
+
+function post(fields = {}) {
+    return {
+        content: 'Hello #jazz', hashtags: ['jazz'], attachments: [], mentions: [], category: 'General',
+        userId: 'user-1', createdAt: {}, updatedAt: {},
+        ...fields
+    };
+}
+
+function reply(fields = {}) {
+    return {
+        content: 'Me too', parentId: 'post-1', rootId: 'post-1', userId: 'user-1',
+        createdAt: {}, updatedAt: {},
+        ...fields
+    };
+}
+
+function category(fields = {}) {
+    return {
+        name: 'Music', slug: 'music', description: '', color: 'blue', visibility: 'public', moderatorIds: [],
+        order: 1, archived: false, createdBy: 'user-1', createdAt: {}, updatedAt: {},
+        ...fields
+    };
+}
+
+test('the fields and limits match firestore.rules', () => {
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(schema.POST_FIELDS)), getRulesFields('isPostData'));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(schema.REPLY_FIELDS)), getRulesFields('isReplyData'));
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(schema.CATEGORY_FIELDS)), getRulesFields('isCategoryData'));
+    assert.ok(rules.includes(`body.content.size() <= ${schema.MAX_POST_LENGTH}`));
+    assert.ok(rules.includes(`reply.content.size() <= ${schema.MAX_POST_LENGTH}`));
+});
+
+test('post content is trimmed, required and limited in length', () => {
+    assert.strictEqual(schema.validatePostContent('  Hello  '), 'Hello');
+    assert.strictEqual(schema.validatePostContent('', 1), '');
+    assert.strictEqual(schema.validatePostContent(` ${'x'.repeat(500)} `).length, 500);
+
+    assert.throws(() => schema.validatePostContent('   '), { message: 'Post content cannot be empty' });
+    assert.throws(() => schema.validatePostContent('x'.repeat(501)), { message: 'Posts must be 500 characters or fewer' });
+});
+
+test('posts only have the fields createPost writes', () => {
+    schema.validatePostData(post());
+    schema.validatePostData(post({ category: 'Music', categoryId: 'c1' }));
+    const { content, hashtags, attachments, ...privatePost } = post({ category: 'Secret', categoryId: 'c2', private: true });
+    schema.validatePostData(privatePost);
+
+    assert.throws(() => schema.validatePostData(post({ likes: 100 })), { message: 'Unknown post fields: likes' });
+    assert.throws(() => schema.validatePostData(post({ userEmail: 'reader@example.com' })), { message: 'Unknown post fields: userEmail' });
+    assert.throws(() => schema.validatePostData(post({ category: '' })), { message: 'Posts need a category' });
+    assert.throws(() => schema.validatePostData(post({ content: 42 })), { message: 'Post content must be text' });
+    assert.throws(() => schema.validatePostData(post({ hashtags: new Array(11).fill('jazz') })), { message: 'Posts can have up to 10 hashtags' });
+    assert.throws(() => schema.validatePostData(post({ mentions: new Array(11).fill('user-2') })), { message: 'Posts can mention up to 10 people' });
+    assert.throws(() => schema.validatePostData(post({ attachments: new Array(5).fill({}) })), { message: 'Posts can have up to 4 attachments' });
+    assert.throws(() => schema.validatePostData(post({ private: true })), { message: 'Private posts keep their text in their body document' });
+});
+
+test('replies only have the fields createReply writes', () => {
+    schema.validateReplyData(reply());
+    schema.validateReplyData(reply({ parentId: 'reply-1' }));
+    assert.strictEqual(schema.validateReplyContent('  Me too  '), 'Me too');
+
+    assert.throws(() => schema.validateReplyContent('   '), { message: 'Reply content cannot be empty' });
+    assert.throws(() => schema.validateReplyContent('x'.repeat(501)), { message: 'Replies must be 500 characters or fewer' });
+    assert.throws(() => schema.validateReplyData(reply({ likes: 100 })), { message: 'Unknown reply fields: likes' });
+    assert.throws(() => schema.validateReplyData(reply({ userEmail: 'reader@example.com' })), { message: 'Unknown reply fields: userEmail' });
+    assert.throws(() => schema.validateReplyData(reply({ attachments: [] })), { message: 'Unknown reply fields: attachments' });
+    assert.throws(() => schema.validateReplyData(reply({ content: 42 })), { message: 'Reply content must be trimmed text' });
+    assert.throws(() => schema.validateReplyData(reply({ content: ' Me too ' })), { message: 'Reply content must be trimmed text' });
+    assert.throws(() => schema.validateReplyData(reply({ parentId: null })), { message: 'Replies need a post to answer' });
+});
+
+test('categories only have the fields the category manager writes', () => {
+    schema.validateCategoryData(category());
+    schema.validateCategoryData({ name: 'Old' });
+
+    assert.throws(() => schema.validateCategoryData(category({ icon: 'star' })), { message: 'Unknown category fields: icon' });
+    assert.throws(() => schema.validateCategoryData(category({ name: ' Music' })), { message: 'Category names cannot start or end with spaces' });
+    assert.throws(() => schema.validateCategoryData(category({ slug: 'music-2' })), { message: 'Category slugs must be made from their name' });
+    assert.throws(() => schema.validateCategoryData(category({ color: 'red' })), { message: 'Unknown category color' });
+    assert.throws(() => schema.validateCategoryData(category({ description: 'x'.repeat(201) })), { message: 'Descriptions must be 200 characters or fewer' });
+    assert.throws(() => schema.validateCategoryData(category({ moderatorIds: new Array(11).fill('user-2') })), { message: 'A category can have up to 10 moderators' });
+    assert.throws(() => schema.validateCategoryData(category({ order: '1' })), { message: 'Category order must be a number' });
+});
+
+test('the rate limits match firestore.rules', () => {
+    Object.entries(schema.RATE_LIMITS).forEach(([kind, { cooldownSeconds, windowSeconds, max }]) => {
+        assert.ok(rules.includes(`isRateStep('${kind}', ${cooldownSeconds}, ${windowSeconds}, ${max},`), kind);
+    });
+});
+
+test('posts, replies and categories wait out the cooldown, and a window holds a limited number', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    const ago = seconds => new Date(now.getTime() - seconds * 1000);
+
+    assert.deepStrictEqual({ ...schema.checkRateLimit('post', {}, now) }, { count: 1, startsWindow: true });
+    assert.deepStrictEqual(
+        { ...schema.checkRateLimit('post', { count: 3, windowStart: ago(600), lastAt: ago(20) }, now) },
+        { count: 4, startsWindow: false }
+    );
+    assert.deepStrictEqual(
+        { ...schema.checkRateLimit('post', { count: 30, windowStart: ago(3600), lastAt: ago(20) }, now) },
+        { count: 1, startsWindow: true }
+    );
+
+    assert.throws(() => schema.checkRateLimit('post', { count: 1, windowStart: ago(10), lastAt: ago(10) }, now), (error) => {
+        assert.strictEqual(error.message, 'Please wait 5 seconds before posting again');
+        assert.strictEqual(error.retryAt.getTime(), now.getTime() + 5000);
+        return true;
+    });
+    assert.throws(() => schema.checkRateLimit('post', { count: 1, windowStart: ago(14.5), lastAt: ago(14.5) }, now), {
+        message: 'Please wait 1 second before posting again'
+    });
+    assert.throws(() => schema.checkRateLimit('post', { count: 30, windowStart: ago(600), lastAt: ago(60) }, now), (error) => {
+        assert.strictEqual(error.message, 'You can create up to 30 posts an hour. Please try again later');
+        assert.strictEqual(error.retryAt.getTime(), ago(600).getTime() + 3600 * 1000);
+        return true;
+    });
+    assert.throws(() => schema.checkRateLimit('reply', { count: 1, windowStart: ago(2), lastAt: ago(2) }, now), {
+        message: 'Please wait 3 seconds before replying again'
+    });
+    assert.throws(() => schema.checkRateLimit('reply', { count: 60, windowStart: ago(600), lastAt: ago(60) }, now), {
+        message: 'You can create up to 60 replies an hour. Please try again later'
+    });
+    assert.throws(() => schema.checkRateLimit('category', { count: 1, windowStart: ago(30), lastAt: ago(30) }, now), {
+        message: 'Please wait 30 seconds before creating a category again'
+    });
+    assert.throws(() => schema.checkRateLimit('category', { count: 5, windowStart: ago(3600), lastAt: ago(3600) }, now), {
+        message: 'You can create up to 5 categories a day. Please try again later'
+    });
+});
+
+test('the cooldown ends a set time after the last one', () => {
+    const lastAt = new Date('2026-01-01T12:00:00Z');
+
+    assert.strictEqual(schema.getCooldownEnd('post', {}), null);
+    assert.strictEqual(schema.getCooldownEnd('post', { lastAt }).getTime(), lastAt.getTime() + 15000);
+    assert.strictEqual(schema.getCooldownEnd('reply', { lastAt }).getTime(), lastAt.getTime() + 5000);
+});
+
+test('the same text can\'t be posted twice in an hour', () => {
+    const now = new Date('2026-01-01T12:00:00Z');
+    const ago = seconds => new Date(now.getTime() - seconds * 1000);
+    const recentContent = ['hello #jazz', 'good morning'];
+
+    assert.deepStrictEqual(Array.from(schema.getRecentContent({ windowStart: ago(600), recentContent }, now)), recentContent);
+    assert.deepStrictEqual(Array.from(schema.getRecentContent({ windowStart: ago(3600), recentContent }, now)), []);
+    assert.deepStrictEqual(Array.from(schema.getRecentContent({}, now)), []);
+
+    schema.checkDuplicatePost([], 'Hello');
+    schema.checkDuplicatePost(recentContent, 'Hello there');
+    schema.checkDuplicatePost([''], '');
+
+    assert.throws(() => schema.checkDuplicatePost(recentContent, 'Hello #Jazz'), { message: 'You already posted that in the last hour' });
+    assert.throws(() => schema.checkDuplicatePost(recentContent, 'GOOD MORNING'), { message: 'You already posted that in the last hour' });
+});
+
+test('the manager refuses long posts and replies before writing', async () => {
+    const page = loadApp();
+    const FirebaseAuthManager = page.eval('FirebaseAuthManager');
+    const manager = new FirebaseAuthManager();
+    manager.currentUser = { uid: 'user-1', email: 'reader@example.com' };
+
+    await assert.rejects(manager.createPost('x'.repeat(501)), { message: 'Posts must be 500 characters or fewer' });
+    await assert.rejects(manager.updatePost('p1', '  '), { message: 'Post content cannot be empty' });
+    await assert.rejects(manager.createReply('p1', null, 'x'.repeat(501)), { message: 'Replies must be 500 characters or fewer' });
+});
+
+test('the composer is limited to the post length', async () => {
+    const { document } = await renderDashboard({});
+
+    assert.strictEqual(document.getElementById('post-content').getAttribute('maxlength'), '500');
+    assert.strictEqual(document.getElementById('char-count').textContent, '0/500');
+});
+
+test('the composer counts down until the user can post again', async () => {
+    const { document, renderer } = await renderDashboard({});
+    const button = document.getElementById('post-submit-btn');
+    const postError = document.getElementById('post-error');
+
+    renderer.authManager.createPost = async () => {
+        const error = new Error('Please wait 12 seconds before posting again');
+        error.retryAt = new Date(Date.now() + 11500);
+        throw error;
+    };
+    document.getElementById('post-content').value = 'Again';
+    document.getElementById('post-form').requestSubmit();
+    await settle();
+
+    assert.strictEqual(postError.textContent, 'Please wait 12 seconds before posting again');
+    assert.strictEqual(button.disabled, true);
+    assert.strictEqual(button.textContent, 'Post in 12s');
+
+    renderer.startPostCooldown(new Date(Date.now() - 1));
+    assert.strictEqual(button.disabled, false);
+    assert.strictEqual(button.textContent, 'Post');
+    assert.ok(postError.classList.contains('hidden'));
+});
@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    getSearchWords,
+    getSearchTerms,
+    matchesSearchTerm,
+    matchesSearch,
+    getSearchHighlights
+} = require('../search');
+const { renderDashboard, settle } = require('./load-app');
+
+test('words are lowercased with accents dropped, and short terms are ignored', () => {
+    assert.deepStrictEqual(getSearchWords('Café CAFÉ #Jazz @alice_b'), ['cafe', 'jazz', 'alice_b']);
+    assert.deepStrictEqual(getSearchTerms('a jazz b club x'), ['jazz', 'club']);
+    assert.deepStrictEqual(getSearchTerms('one two three four five six'), ['one', 'two', 'three', 'four', 'five']);
+    assert.deepStrictEqual(getSearchTerms('! ?'), []);
+});
+
+test('terms match prefixes and words one typo away', () => {
+    assert.ok(matchesSearchTerm('jazzy', 'jaz'));
+    assert.ok(matchesSearchTerm('concert', 'concret'));
+    assert.ok(matchesSearchTerm('concert', 'concerts'));
+    assert.ok(matchesSearchTerm('concert', 'conert'));
+    assert.ok(!matchesSearchTerm('concert', 'cancel'));
+    // Short words need an exact prefix
+    assert.ok(!matchesSearchTerm('cat', 'cut'));
+});
+
+test('every term has to match', () => {
+    assert.ok(matchesSearch('Jazz Club Night', ['jazz', 'nigth']));
+    assert.ok(!matchesSearch('Jazz Club Nights', ['jazz', 'days']));
+    assert.ok(!matchesSearch('Jazz Club Nights', []));
+});
+
+test('highlights keep the original text and mark matching words', () => {
+    const parts = getSearchHighlights('Café night: the CAFE is open', ['cafe']);
+    assert.strictEqual(parts.map(part => part.text).join(''), 'Café night: the CAFE is open');
+    assert.deepStrictEqual(parts.filter(part => part.match).map(part => part.text), ['Café', 'CAFE']);
+    assert.deepStrictEqual(getSearchHighlights('', ['cafe']), []);
+});
+
+const profiles = {
+    'user-2': { handle: 'alice', displayName: 'Alice' }
+};
+
+const searchResults = {
+    posts: [
+        { id: 'p1', userId: 'user-2', category: 'Music', content: 'Jazz night at the club', hashtags: [], createdAt: Date.now() }
+    ],
+    users: [{ id: 'user-2', handle: 'alice', displayName: 'Alice', avatarUrl: '' }]
+};
+
+const categories = [
+    { id: 'c1', name: 'Jazz Club' },
+    { id: 'c2', name: 'Secret Jazz', visibility: 'private', createdBy: 'user-3' },
+    { id: 'c3', name: 'Old Jazz', archived: true }
+];
+
+test('searching from the sidebar lists posts, people and readable categories', async () => {
+    const { document, renderer } = await renderDashboard({ profiles, categories, searchResults });
+
+    document.getElementById('search-input').value = 'jazz';
+    document.getElementById('search-form').requestSubmit();
+    await settle();
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(renderer.authManager.calls.searches)), [
+        { text: 'jazz', author: '', category: '', from: null, to: null }
+    ]);
+    assert.strictEqual(document.getElementById('search-text').value, 'jazz');
+
+    const posts = Array.from(document.querySelectorAll('[data-search-post-id]'));
+    assert.deepStrictEqual(posts.map(post => post.getAttribute('data-search-post-id')), ['p1']);
+    assert.deepStrictEqual(Array.from(posts[0].querySelectorAll('mark'), mark => mark.textContent), ['Jazz']);
+
+    assert.ok(document.querySelector('[data-search-user-id="user-2"]').textContent.includes('Alice'));
+    const found = Array.from(document.querySelectorAll('[data-search-category]'));
+    assert.deepStrictEqual(found.map(button => button.getAttribute('data-search-category')), ['Jazz Club']);
+});
+
+test('filters are sent along and leave out people and categories', async () => {
+    const { document, renderer } = await renderDashboard({ profiles, categories, searchResults });
+
+    renderer.openSearch();
+    document.getElementById('search-text').value = 'jazz';
+    document.getElementById('search-author').value = ' @alice ';
+    document.getElementById('search-category').value = 'Jazz Club';
+    document.getElementById('search-from').value = '2024-03-01';
+    document.getElementById('search-to').value = '2024-03-01';
+    document.getElementById('search-panel-form').requestSubmit();
+    await settle();
+
+    const [options] = renderer.authManager.calls.searches;
+    assert.strictEqual(options.author, '@alice');
+    assert.strictEqual(options.category, 'Jazz Club');
+    assert.strictEqual(options.from, new Date('2024-03-01T00:00').getTime());
+    assert.strictEqual(options.to, new Date('2024-03-02T00:00').getTime());
+
+    assert.strictEqual(document.querySelectorAll('[data-search-post-id]').length, 1);
+    assert.strictEqual(document.querySelector('[data-search-user-id]'), null);
+    assert.strictEqual(document.querySelector('[data-search-category]'), null);
+});
+
+test('the category filter only offers categories the user can read', async () => {
+    const { document, renderer } = await renderDashboard({ categories });
+
+    renderer.openSearch();
+    const options = Array.from(document.querySelectorAll('#search-category option'), option => option.value);
+    assert.deepStrictEqual(options, ['', 'General', 'Jazz Club']);
+});
+
+test('searches without a usable word or with dates out of order are not sent', async () => {
+    const { document, renderer } = await renderDashboard({});
+
+    renderer.openSearch('a');
+    document.getElementById('search-panel-form').requestSubmit();
+    await settle();
+    assert.match(document.getElementById('search-error').textContent, /at least 2 letters/);
+
+    document.getElementById('search-text').value = 'jazz';
+    document.getElementById('search-from').value = '2024-03-02';
+    document.getElementById('search-to').value = '2024-03-01';
+    document.getElementById('search-panel-form').requestSubmit();
+    await settle();
+    assert.match(document.getElementById('search-error').textContent, /start date/);
+
+    assert.strictEqual(renderer.authManager.calls.searches.length, 0);
+});
+
+test('clicking a result opens the post', async () => {
+    const { document, renderer } = await renderDashboard({ profiles, searchResults });
+    const opened = [];
+    renderer.openThread = (postId) => opened.push(postId);
+
+    renderer.openSearch('jazz');
+    await settle();
+    document.querySelector('[data-search-post-id="p1"] .whitespace-pre-wrap').click();
+
+    assert.deepStrictEqual(opened, ['p1']);
+});
@@ -0,0 +1,90 @@
+// storage.rules against the Storage emulator, with the posts and categories it looks up in the
+// Firestore emulator. Skipped unless FIREBASE_STORAGE_EMULATOR_HOST and FIRESTORE_EMULATOR_HOST
+// are set; run them with `npm run test:emulator`.
+
+const test = require('node:test');
+const fs = require('fs');
+const path = require('path');
+
+const skip = process.env.FIREBASE_STORAGE_EMULATOR_HOST && process.env.FIRESTORE_EMULATOR_HOST
+    ? false
+    : 'FIREBASE_STORAGE_EMULATOR_HOST and FIRESTORE_EMULATOR_HOST are not set';
+
+function bytes(size) {
+    return new Uint8Array(size);
+}
+
+test('storage rules for post attachments', { skip }, async (t) => {
+    const { initializeTestEnvironment, assertSucceeds, assertFails } = require('@firebase/rules-unit-testing');
+    const { doc, setDoc } = require('firebase/firestore');
+
+    const testEnv = await initializeTestEnvironment({
+        projectId: 'demo-ssaavvee',
+        firestore: { rules: fs.readFileSync(path.join(__dirname, '..', 'firestore.rules'), 'utf8') },
+        storage: { rules: fs.readFileSync(path.join(__dirname, '..', 'storage.rules'), 'utf8') }
+    });
+    t.after(() => testEnv.cleanup());
+
+    // alice posts in General and in a private category bob owns; carol is a member of it
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+        const db = context.firestore();
+        await setDoc(doc(db, 'posts/p1'), { userId: 'alice', category: 'General' });
+        await setDoc(doc(db, 'categories/secret'), { name: 'Secret', createdBy: 'bob', moderatorIds: [], visibility: 'private' });
+        await setDoc(doc(db, 'categories/secret/members/alice'), { userId: 'alice', status: 'member', invitedBy: 'bob' });
+        await setDoc(doc(db, 'categories/secret/members/carol'), { userId: 'carol', status: 'member', invitedBy: 'bob' });
+        await setDoc(doc(db, 'categories/secret/members/dave'), { userId: 'dave', status: 'invited', invitedBy: 'bob' });
+        await setDoc(doc(db, 'posts/p4'), { userId: 'alice', category: 'Secret', categoryId: 'secret', private: true });
+    });
+
+    const alice = testEnv.authenticatedContext('alice').storage();
+    const bob = testEnv.authenticatedContext('bob').storage();
+    const carol = testEnv.authenticatedContext('carol').storage();
+    const dave = testEnv.authenticatedContext('dave').storage();
+    const anonymous = testEnv.unauthenticatedContext().storage();
+    const upload = (storage, objectPath, size, contentType) =>
+        storage.ref(objectPath).put(bytes(size), { contentType }).then(snapshot => snapshot);
+
+    await t.test('owners can upload resized images and allowed files', async () => {
+        await assertSucceeds(upload(alice, 'attachments/alice/p1/0-photo.jpg', 1024, 'image/jpeg'));
+        await assertSucceeds(upload(alice, 'attachments/alice/p1/1-logo.png', 1024, 'image/png'));
+        await assertSucceeds(upload(alice, 'attachments/alice/p2/0-notes.pdf', 1024, 'application/pdf'));
+    });
+
+    await t.test('uploads into someone else\'s folder are refused', async () => {
+        await assertFails(upload(bob, 'attachments/alice/p1/2-mine.jpg', 1024, 'image/jpeg'));
+        await assertFails(upload(anonymous, 'attachments/alice/p1/2-mine.jpg', 1024, 'image/jpeg'));
+    });
+
+    await t.test('types and sizes are limited', async () => {
+        await assertFails(upload(alice, 'attachments/alice/p3/0-page.html', 1024, 'text/html'));
+        await assertFails(upload(alice, 'attachments/alice/p3/0-image.svg', 1024, 'image/svg+xml'));
+        await assertFails(upload(alice, 'attachments/alice/p3/0-big.jpg', 5 * 1024 * 1024 + 1, 'image/jpeg'));
+        await assertFails(upload(alice, 'attachments/alice/p3/0-big.zip', 10 * 1024 * 1024 + 1, 'application/zip'));
+    });
+
+    await t.test('files are never overwritten, only deleted by their owner', async () => {
+        await assertFails(upload(alice, 'attachments/alice/p1/0-photo.jpg', 2048, 'image/jpeg'));
+        await assertFails(bob.ref('attachments/alice/p1/0-photo.jpg').delete());
+        await assertSucceeds(alice.ref('attachments/alice/p1/0-photo.jpg').delete());
+    });
+
+    await t.test('signed-in users can read attachments, nothing else is reachable', async () => {
+        await assertSucceeds(bob.ref('attachments/alice/p1/1-logo.png').getMetadata());
+        await assertFails(anonymous.ref('attachments/alice/p1/1-logo.png').getMetadata());
+        await assertFails(upload(alice, 'uploads/anything.jpg', 1024, 'image/jpeg'));
+    });
+
+    await t.test('a private post\'s attachments are read by its category\'s members only', async () => {
+        await assertSucceeds(upload(alice, 'attachments/alice/p4/0-plan.png', 1024, 'image/png'));
+        await assertSucceeds(alice.ref('attachments/alice/p4/0-plan.png').getMetadata());
+        await assertSucceeds(bob.ref('attachments/alice/p4/0-plan.png').getMetadata());
+        await assertSucceeds(carol.ref('attachments/alice/p4/0-plan.png').getMetadata());
+        await assertFails(dave.ref('attachments/alice/p4/0-plan.png').getMetadata());
+    });
+
+    await t.test('files without a post are their owner\'s alone', async () => {
+        await assertSucceeds(upload(alice, 'attachments/alice/p5/0-draft.png', 1024, 'image/png'));
+        await assertSucceeds(alice.ref('attachments/alice/p5/0-draft.png').getMetadata());
+        await assertFails(bob.ref('attachments/alice/p5/0-draft.png').getMetadata());
+    });
+});
@@ -0,0 +1,389 @@
+// XSS payloads in everything the renderer shows from users, remote servers and link previews.
+// Each one must come out as text: no scripts, no event handler attributes and no links or
+// images that aren't http(s).
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { renderDashboard, settle, timestamp } = require('./load-app');
+
+const PAYLOADS = [
+    '<script>window.xss = 1</script>',
+    '<img src=x onerror="window.xss = 1">',
+    '"><svg onload="window.xss = 1">',
+    '\'><iframe src="javascript:window.xss = 1"></iframe>',
+    '<a href="javascript:window.xss = 1">click</a>',
+    '</textarea><script>window.xss = 1</script>',
+    '${window.xss = 1}',
+    '&lt;b&gt;already escaped&lt;/b&gt;'
+];
+
+const URL_PAYLOADS = [
+    'javascript:window.xss = 1',
+    'data:text/html,<script>window.xss = 1</script>',
+    'https://evil.example/"onmouseover="window.xss = 1',
+    'https://evil.example/\'><img src=x onerror=window.xss=1>',
+    'https://evil.example/<script>window.xss = 1</script>'
+];
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+function assertInert(root) {
+    assert.strictEqual(root.querySelectorAll('script, iframe, svg, object, embed').length, 0, 'unexpected active element');
+
+    root.querySelectorAll('*').forEach(element => {
+        Array.from(element.attributes).forEach(attribute => {
+            assert.ok(!/^on/i.test(attribute.name), `${element.tagName} has ${attribute.name}`);
+            if (URL_ATTRIBUTES.includes(attribute.name)) {
+                assert.match(attribute.value, /^https?:\/\//, `${element.tagName} ${attribute.name}="${attribute.value}"`);
+            }
+        });
+    });
+}
+
+function post(id, fields = {}) {
+    return { id, userId: 'user-2', content: 'Hello', category: 'General', createdAt: timestamp(), ...fields };
+}
+
+test('post content and URLs render as text', async () => {
+    const contents = [...PAYLOADS, ...URL_PAYLOADS.map(url => `look ${url} here`)];
+    const { window, document } = await renderDashboard({
+        posts: contents.map((content, index) => post(`p${index}`, { content }))
+    });
+
+    assertInert(document.getElementById('app-container'));
+    assert.strictEqual(window.xss, undefined);
+
+    contents.forEach((content, index) => {
+        const body = document.querySelector(`[data-post-id="p${index}"] .whitespace-pre-wrap`);
+        assert.strictEqual(body.textContent, content);
+    });
+});
+
+test('formatting, mentions and hashtags never turn payloads into markup', async () => {
+    const contents = [
+        `**${PAYLOADS[1]}** *${PAYLOADS[0]}* _${PAYLOADS[2]}_`,
+        `\`${PAYLOADS[3]}\``,
+        `\`\`\`\n</code></pre>${PAYLOADS[0]}\n\`\`\``,
+        `> ${PAYLOADS[2]}\n> ${PAYLOADS[4]}`,
+        '@a"onclick="x #tag"onclick="x **@mallory** *#evil<script>*',
+        `**[x](${URL_PAYLOADS[0]})** ${URL_PAYLOADS[2]}`
+    ];
+    const { window, document } = await renderDashboard({
+        posts: contents.map((content, index) => post(`p${index}`, { content }))
+    });
+
+    assertInert(document.getElementById('app-container'));
+    assert.strictEqual(window.xss, undefined);
+
+    const body = (index) => document.querySelector(`[data-post-id="p${index}"] .whitespace-pre-wrap`);
+    assert.strictEqual(body(0).querySelector('strong').textContent, PAYLOADS[1]);
+    assert.strictEqual(body(1).querySelector('code').textContent, PAYLOADS[3]);
+    assert.ok(body(2).querySelector('pre').textContent.includes(`</code></pre>${PAYLOADS[0]}`));
+    assert.ok(body(3).querySelector('blockquote').textContent.includes(PAYLOADS[4]));
+    assert.deepStrictEqual(
+        Array.from(body(4).querySelectorAll('[data-mention], [data-hashtag]')).map(btn => btn.textContent),
+        ['#tag', '@mallory', '#evil']
+    );
+});
+
+test('attachments with hostile names or URLs are dropped or shown as text', async () => {
+    const image = (url) => ({ kind: 'image', url, path: 'x' });
+    const { document } = await renderDashboard({
+        posts: [
+            post('images', { attachments: [...URL_PAYLOADS.map(image), image('https://cdn.example/ok.jpg')] }),
+            post('file', { attachments: [{ kind: 'file', url: 'https://cdn.example/f.pdf', name: PAYLOADS[1], size: PAYLOADS[0] }] }),
+            post('bad-file', { attachments: [{ kind: 'file', url: URL_PAYLOADS[0], name: 'x.pdf' }] }),
+            post('not-a-list', { attachments: PAYLOADS[0] })
+        ]
+    });
+
+    assertInert(document.getElementById('app-container'));
+
+    // Only the https URLs survive; the quote-breaking ones are escaped inside the attribute
+    const sources = Array.from(document.querySelectorAll('[data-post-id="images"] img')).map(img => img.getAttribute('src'));
+    assert.ok(sources.includes('https://cdn.example/ok.jpg'));
+    assert.ok(sources.every(src => src.startsWith('https://')));
+
+    const fileLink = document.querySelector('[data-post-id="file"] a[href="https://cdn.example/f.pdf"]');
+    assert.ok(fileLink.textContent.includes(PAYLOADS[1]));
+    assert.strictEqual(document.querySelector('[data-post-id="bad-file"] a'), null);
+
+    document.querySelector('[data-post-id="images"] [data-image-index]').click();
+    assertInert(document.getElementById('lightbox'));
+});
+
+test('category names and descriptions are escaped in the sidebar, on cards, when selected and in the manager', async () => {
+    const { document } = await renderDashboard({
+        categories: PAYLOADS.map(name => ({ id: name, name, description: name, color: name, createdBy: 'user-1' })),
+        posts: PAYLOADS.map((category, index) => post(`p${index}`, { category }))
+    });
+
+    assertInert(document.getElementById('app-container'));
+
+    const buttons = Array.from(document.querySelectorAll('.category-btn'));
+    assert.deepStrictEqual(buttons.map(btn => btn.getAttribute('data-category')), PAYLOADS);
+    assert.deepStrictEqual(buttons.map(btn => btn.textContent.trim()), PAYLOADS);
+    assert.deepStrictEqual(buttons.map(btn => btn.getAttribute('title')), PAYLOADS);
+
+    PAYLOADS.forEach((category, index) => {
+        const badge = document.querySelector(`[data-post-id="p${index}"] span.bg-custom-blue`);
+        assert.strictEqual(badge.textContent, category);
+    });
+
+    // Selecting a category looks its button up by name, quotes and all
+    buttons[2].click();
+    assert.ok(buttons[2].classList.contains('bg-custom-blue'));
+    assert.strictEqual(document.getElementById('post-label').textContent, `Share in ${PAYLOADS[2]}`);
+
+    document.getElementById('add-category-btn').click();
+    const items = Array.from(document.querySelectorAll('#category-manager-list [data-manage-category]'));
+    assert.deepStrictEqual(items.map(item => item.getAttribute('data-manage-category')), PAYLOADS);
+    items[1].querySelector('[data-category-action="edit"]').click();
+    assert.strictEqual(document.getElementById('category-name').value, PAYLOADS[1]);
+    assertInert(document.getElementById('details-panel'));
+});
+
+test('the account email renders as text', async () => {
+    const email = '"><img src=x onerror="window.xss = 1">@evil.example';
+    const { document } = await renderDashboard({ user: { email } });
+
+    assertInert(document.getElementById('app-container'));
+    assert.ok(document.body.textContent.includes(email));
+});
+
+test('profiles, remote authors and link previews render as text', async () => {
+    const previewUrl = 'https://preview.example/page';
+    const { document } = await renderDashboard({
+        profiles: {
+            'user-2': { handle: 'mallory', displayName: PAYLOADS[1], bio: PAYLOADS[0], avatarUrl: URL_PAYLOADS[0] }
+        },
+        posts: [
+            post('local', { content: `see ${previewUrl}` }),
+            post('remote', {
+                userId: null,
+                remote: { name: PAYLOADS[2], acct: PAYLOADS[3], url: URL_PAYLOADS[0], avatarUrl: URL_PAYLOADS[1] }
+            })
+        ],
+        previews: {
+            [previewUrl]: {
+                status: 'ok',
+                url: previewUrl,
+                title: PAYLOADS[0],
+                description: PAYLOADS[1],
+                imageUrl: URL_PAYLOADS[0],
+                siteName: PAYLOADS[4]
+            }
+        }
+    });
+
+    assertInert(document.getElementById('app-container'));
+
+    const local = document.querySelector('[data-post-id="local"]');
+    assert.ok(local.querySelector('[data-author-id]').textContent.includes(PAYLOADS[1]));
+    // The link in the text, then the preview card
+    const links = local.querySelectorAll(`a[href="${previewUrl}"]`);
+    assert.strictEqual(links.length, 2);
+    assert.ok(links[1].textContent.includes(PAYLOADS[0]));
+    assert.ok(links[1].textContent.includes(PAYLOADS[4]));
+    assert.strictEqual(local.querySelector('img'), null);
+
+    const remote = document.querySelector('[data-post-id="remote"]');
+    assert.ok(remote.textContent.includes(PAYLOADS[2]));
+    assert.ok(remote.textContent.includes(`@${PAYLOADS[3]}`));
+    assert.strictEqual(remote.querySelector('a, img'), null);
+
+    // The profile page shows the same fields, plus the bio
+    local.querySelector('[data-author-id]').click();
+    await settle();
+
+    const header = document.getElementById('profile-header');
+    assertInert(header);
+    assert.ok(header.textContent.includes(PAYLOADS[0]));
+    assert.ok(header.textContent.includes(PAYLOADS[1]));
+});
+
+test('threads, the edit box and edit history render as text', async () => {
+    const root = post('p1', { content: PAYLOADS[0], category: PAYLOADS[2], userId: 'user-1', editedAt: timestamp() });
+    const { window, document, renderer } = await renderDashboard({
+        posts: [root],
+        thread: {
+            post: root,
+            replies: [
+                ...PAYLOADS.map((content, index) => ({
+                    id: `r${index}`,
+                    parentId: index > 0 ? `r${index - 1}` : 'p1',
+                    userId: 'user-2',
+                    content,
+                    createdAt: timestamp()
+                })),
+                {
+                    id: 'remote',
+                    parentId: 'p1',
+                    userId: null,
+                    remote: { name: PAYLOADS[2], acct: PAYLOADS[3], url: URL_PAYLOADS[0], avatarUrl: URL_PAYLOADS[1] },
+                    content: PAYLOADS[4],
+                    createdAt: timestamp()
+                }
+            ]
+        },
+        revisions: [
+            { content: PAYLOADS[5], versionCreatedAt: timestamp() },
+            { content: PAYLOADS[6], versionCreatedAt: timestamp() }
+        ]
+    });
+
+    renderer.openThread('p1');
+    await settle();
+
+    const thread = document.getElementById('thread-container');
+    assertInert(thread);
+    PAYLOADS.forEach((content, index) => {
+        const reply = thread.querySelector(`[data-reply-id="r${index}"] .whitespace-pre-wrap`);
+        assert.strictEqual(reply.textContent, content);
+    });
+    const remoteReply = thread.querySelector('[data-reply-id="remote"]');
+    assert.ok(remoteReply.textContent.includes(`@${PAYLOADS[3]}`));
+    assert.strictEqual(remoteReply.querySelector('a, img, [data-delete-reply]'), null);
+
+    // The edit box starts from the post's text; the draft typed into it is kept across renders
+    await renderer.handlePostAction('edit', 'p1');
+    const editor = document.getElementById('edit-post-content');
+    assert.strictEqual(editor.value, PAYLOADS[0]);
+    editor.value = PAYLOADS[5];
+    editor.dispatchEvent(new window.Event('input', { bubbles: true }));
+    renderer.renderFeed();
+    assertInert(document.getElementById('posts-container'));
+    assert.strictEqual(document.getElementById('edit-post-content').value, PAYLOADS[5]);
+
+    await renderer.openRevisions('p1');
+    const revisions = document.getElementById('revisions-container');
+    assertInert(revisions);
+    assert.strictEqual(revisions.lastElementChild.querySelector('.whitespace-pre-wrap').textContent, PAYLOADS[5]);
+    assert.ok(Array.from(revisions.querySelectorAll('ins')).some(ins => ins.textContent.includes('${window.xss')));
+});
+
+test('conversations, messages and typing names render as text', async () => {
+    const conversationId = 'group-1';
+    const { document, renderer } = await renderDashboard({
+        profiles: {
+            'user-2': { handle: 'mallory', displayName: PAYLOADS[1] },
+            'user-3': { handle: 'eve', displayName: PAYLOADS[2] }
+        },
+        conversations: [{
+            id: conversationId,
+            participantIds: ['user-1', 'user-2', 'user-3'],
+            lastMessage: { id: 'm0', senderId: 'user-2', text: PAYLOADS[0], createdAt: timestamp() },
+            readAt: {}
+        }],
+        messages: {
+            [conversationId]: PAYLOADS.map((text, index) => ({ id: `m${index}`, senderId: 'user-2', text, createdAt: timestamp() }))
+        },
+        typing: {
+            [conversationId]: [{ userId: 'user-3', at: timestamp() }]
+        }
+    });
+
+    const list = document.getElementById('conversations-list');
+    assertInert(list);
+    assert.ok(list.textContent.includes(PAYLOADS[0]));
+    assert.ok(list.textContent.includes(`${PAYLOADS[1]}, ${PAYLOADS[2]}`));
+
+    renderer.openConversation(conversationId);
+    await settle();
+
+    assertInert(document.getElementById('details-panel'));
+    PAYLOADS.forEach((text, index) => {
+        const bubble = document.querySelector(`[data-message-id="m${index}"] .whitespace-pre-wrap`);
+        assert.strictEqual(bubble.textContent, text);
+    });
+    assert.strictEqual(document.getElementById('typing-indicator').textContent, `${PAYLOADS[2]} is typing…`);
+
+    renderer.closeDetails();
+});
+
+test('notifications render as text', async () => {
+    const { document } = await renderDashboard({
+        profiles: { 'user-2': { handle: 'mallory', displayName: PAYLOADS[1], avatarUrl: URL_PAYLOADS[0] } },
+        notifications: [
+            { id: PAYLOADS[2], type: 'reaction', actorId: 'user-2', postId: PAYLOADS[0], reaction: PAYLOADS[0], read: false, createdAt: timestamp() },
+            { id: 'n2', type: 'mention', actorId: 'user-2', postId: 'p1', read: false, createdAt: timestamp() }
+        ]
+    });
+
+    document.getElementById('notifications-btn').click();
+
+    const list = document.getElementById('notifications-list');
+    assertInert(list);
+    assert.strictEqual(list.firstElementChild.getAttribute('data-notification-id'), PAYLOADS[2]);
+    assert.ok(list.textContent.includes(`${PAYLOADS[1]}`));
+    assert.ok(list.textContent.includes('reacted to your post'));
+});
+
+test('category invitations, members and invite notifications render as text', async () => {
+    const { document } = await renderDashboard({
+        categories: PAYLOADS.map(name => ({ id: name, name, visibility: 'invite', createdBy: 'user-2', moderatorIds: ['user-1'] })),
+        memberships: { [PAYLOADS[0]]: 'invited' },
+        members: { [PAYLOADS[1]]: [{ id: PAYLOADS[2], userId: PAYLOADS[2], status: 'invited' }] },
+        notifications: [
+            { id: 'n1', type: 'invite', actorId: 'user-2', categoryId: PAYLOADS[1], read: false, createdAt: timestamp() }
+        ]
+    });
+
+    document.getElementById('add-category-btn').click();
+    const invitation = document.querySelector('#category-invitations-list [data-category-invite]');
+    assert.strictEqual(invitation.getAttribute('data-category-invite'), PAYLOADS[0]);
+    assertInert(document.getElementById('details-panel'));
+
+    const items = Array.from(document.querySelectorAll('#category-manager-list [data-manage-category]'));
+    items[1].querySelector('[data-category-action="members"]').click();
+    await settle();
+    assert.strictEqual(document.querySelector('[data-member-id]').getAttribute('data-member-id'), PAYLOADS[2]);
+    assertInert(document.getElementById('details-panel'));
+
+    document.getElementById('notifications-btn').click();
+    const list = document.getElementById('notifications-list');
+    assertInert(list);
+    assert.ok(list.textContent.includes(`invited you to ${PAYLOADS[1]}`));
+});
+
+test('search results and their highlights render as text', async () => {
+    const { document } = await renderDashboard({
+        categories: [{ id: 'c1', name: `script ${PAYLOADS[1]}` }],
+        profiles: { 'user-2': { handle: 'script', displayName: PAYLOADS[0] } },
+        searchResults: {
+            posts: PAYLOADS.map((content, index) => ({ id: `p${index}`, userId: 'user-2', category: PAYLOADS[2], content, createdAt: Date.now() })),
+            users: [{ id: 'user-2', handle: 'script', displayName: PAYLOADS[0], avatarUrl: URL_PAYLOADS[0] }]
+        }
+    });
+
+    document.getElementById('search-input').value = 'script';
+    document.getElementById('search-form').requestSubmit();
+    await settle();
+
+    const results = document.getElementById('search-results');
+    assertInert(results);
+    const posts = Array.from(results.querySelectorAll('[data-search-post-id]'));
+    assert.strictEqual(posts.length, PAYLOADS.length);
+    posts.forEach((post, index) => {
+        assert.strictEqual(post.querySelector('.whitespace-pre-wrap').textContent, PAYLOADS[index]);
+    });
+    assert.ok(results.querySelector('mark'));
+    assert.ok(Array.from(results.querySelectorAll('mark')).every(mark => mark.textContent === 'script'));
+});
+
+test('outbox entries and failed posts render as text', async () => {
+    const failed = { id: PAYLOADS[2], userId: 'user-1', content: PAYLOADS[0], category: PAYLOADS[1], createdAt: null };
+    const { document } = await renderDashboard({
+        outbox: [
+            { id: PAYLOADS[2], kind: 'post', post: failed, status: 'failed', error: 'Failed to create post' },
+            { id: PAYLOADS[3], kind: 'category', name: PAYLOADS[4], status: 'pending', error: null }
+        ]
+    });
+
+    assertInert(document.getElementById('outbox-list'));
+    assertInert(document.getElementById('posts-container'));
+    const entries = Array.from(document.querySelectorAll('[data-outbox-id]'));
+    assert.deepStrictEqual(entries.map(entry => entry.getAttribute('data-outbox-id')), [PAYLOADS[2], PAYLOADS[3]]);
+    assert.ok(entries[1].textContent.includes(`Category: ${PAYLOADS[4]}`));
+    assert.strictEqual(document.querySelector('[data-sync-status="failed"] .whitespace-pre-wrap').textContent, PAYLOADS[0]);
+});